@@ -39,6 +39,7 @@ export function cleanseResponseText(text) {
         .replace(config.GAME_ACTION_REGEX, '')
         .replace(config.DICE_ROLL_REGEX, '')
         .replace(config.ATTACK_ROLL_REGEX, '')
+        .replace(config.CAST_SPELL_REGEX, '')
         .replace(config.PIV_SEX_TAG, '')
         .replace(config.PREGNANCY_REVEALED_TAG, '')
         .trim();
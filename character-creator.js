@@ -5,12 +5,17 @@
 import { dom } from './dom.js';
 import * as ui from './ui.js';
 import * as dataManager from './data-manager.js';
-import { getPointBuyCost, DEFAULT_SKILLS, getAbilityModifierValue, DEFAULT_SAVING_THROWS, calculateProficiencyBonus } from './rpg-helpers.js';
+import { getPointBuyCost, DEFAULT_SKILLS, getAbilityModifierValue, DEFAULT_SAVING_THROWS, calculateProficiencyBonus, getPendingLevels, rollDice, getDiceState, createDeathSaves, createHitDice, buildClassResources } from './rpg-helpers.js';
 import { gameState } from './state-manager.js';
 import * as game from './game.js';
-import { startAdventure } from './game-loop.js';
+import { startAdventure, addHotSeatPlayer } from './game-loop.js';
 import { initializeChatSession, saveCurrentGame } from './session-manager.js';
 import { toCamelCase } from './utils.js';
+import { buildSpellSlots, choosePreparedSpells, getSpellsToLearn } from './spellcasting.js';
+import { buildParty } from './party.js';
+import { buildInventory } from './inventory.js';
+import { createPurse } from './currency.js';
+import { isGuest } from './multiplayer.js';
 // Type guards to help TypeScript narrow the union type
 function isRaceData(data) {
     return 'is_subrace' in data;
@@ -32,6 +37,8 @@ const STAT_ABBREVIATIONS = {
 };
 const CLASSES_WITH_PAGE_4 = new Set(['bard', 'cleric', 'druid', 'fighter', 'ranger', 'rogue', 'sorcerer', 'warlock', 'wizard']);
 const SPELLCASTING_CLASSES = new Set(['bard', 'cleric', 'druid', 'sorcerer', 'warlock', 'wizard', 'paladin', 'ranger']);
+// The class features that grant a subclass, one of the class's archetypes.
+const SUBCLASS_FEATURES = new Set(['Primal Path', 'Bard College', 'Divine Domain', 'Druid Circle', 'Martial Archetype', 'Monastic Tradition', 'Sacred Oath', 'Ranger Archetype', 'Roguish Archetype', 'Sorcerous Origin', 'Otherworldly Patron', 'Arcane Tradition']);
 export const POINT_BUY_TOTAL = 35;
 let pointBuyState = {
     pointsRemaining: POINT_BUY_TOTAL,
@@ -43,6 +50,10 @@ let pointBuyState = {
 let currentPage = 1;
 const totalPages = 5;
 let levelUpState = null;
+// The character and the level they had earned when the state last changed, so each earned level is announced once.
+let lastLevelCheck = { name: null, earnedLevel: 0 };
+// Set while the creator is making another player for a hot-seat game rather than starting a new one.
+let isAddingPlayer = false;
 // --- HELPERS ---
 /**
  * Extracts a short, clean blurb from a long description.
@@ -60,6 +71,25 @@ function createBlurb(desc) {
         .trim();
     return sanitized;
 }
+/**
+ * Finds the subclass a character follows: the archetype named among their class features or, once
+ * they have the feature that grants one, the archetype they picked when they were created. A pick
+ * that matches no archetype, or none at all, leaves the choice to their next level up.
+ * @param {any} classData The class's SRD data.
+ * @param {string[]} classFeatures The character's class features.
+ * @param {any} characterInfo The character's details.
+ * @returns {any | null} The archetype, or null if the character has no subclass yet.
+ */
+function findArchetype(classData, classFeatures, characterInfo) {
+    const archetypes = classData?.archetypes || [];
+    const named = archetypes.find(archetype => classFeatures.includes(archetype.name));
+    if (named)
+        return named;
+    if (!classFeatures.some(name => SUBCLASS_FEATURES.has(name)))
+        return null;
+    const picks = [characterInfo.divineDomain, characterInfo.sorcerousOrigin, characterInfo.otherworldlyPatron].filter(Boolean);
+    return archetypes.find(archetype => picks.some(pick => archetype.name.startsWith(pick))) || null;
+}
 // --- WIZARD NAVIGATION ---
 /**
  * Navigates to a specific page in the character creation wizard.
@@ -370,8 +400,7 @@ export function updateCheckboxStates() {
         }
     });
 }
-export function enforceCheckboxLimit(name, limit) {
-    const page = document.getElementById('spell-selection-page');
+export function enforceCheckboxLimit(name, limit, page = document.getElementById('spell-selection-page')) {
     if (!page)
         return;
     const checked = page.querySelectorAll(`input[name="${name}"]:checked`).length;
@@ -472,10 +501,36 @@ function createChoiceBlock(title, choices, inputType, inputName, limit = 1) {
     });
     return html + '</div></div>';
 }
-function renderSpellSelection(className) {
+/**
+ * Renders the spell picks for a class. Without `limits`, these are a new character's level 1 cantrips
+ * and spells; with them, the spells learned on levelling up, leaving out the ones already known.
+ * @param {string} className The character's class name.
+ * @param {{cantrips: number, spells: number, maxSpellLevel: number, known: string[]} | null} [limits]
+ *   How many cantrips and leveled spells to pick, the highest spell level and the spells already known.
+ * @returns {string} The HTML.
+ */
+function renderSpellSelection(className, limits = null) {
     const spellList = dataManager.getSpellList(className);
     if (!spellList)
         return `<p class="error-message">Could not find a spell list for ${className}.</p>`;
+    const known = new Set((limits?.known || []).map(name => name.toLowerCase()));
+    const allSpells = spellList.spells.map(s => dataManager.getSpell(s)).filter(spell => spell && !known.has(spell.name.toLowerCase()));
+    const renderGrid = (title, spells, limit, group) => {
+        if (spells.length === 0 || limit === 0)
+            return '';
+        let html = `<div class="spell-list choice-block"><h4>${title} (Choose ${limit})</h4><div class="spell-grid">`;
+        spells.forEach(s => html += `<div class="spell-item"><div class="spell-item-header"><input type="checkbox" id="spell-${group}-${s.name.toLowerCase().replace(/[\s/]+/g, '-')}" name="${group}-selection" data-spell-name="${s.name}"><label for="spell-${group}-${s.name.toLowerCase().replace(/[\s/]+/g, '-')}" data-spell-slug="${s.name.toLowerCase().replace(/[\s/]+/g, '-')}">${s.name}</label></div></div>`);
+        return html + `</div></div>`;
+    };
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const descriptionBox = `<div id="spell-description-display" class="summary-box"><p class="placeholder-text">Click a spell name to see its description.</p></div>`;
+    if (limits) {
+        const spellTitle = limits.maxSpellLevel > 1 ? `Spells of Level 1 to ${limits.maxSpellLevel}` : '1st-Level Spells';
+        const leveled = allSpells.filter(s => s.level > 0 && s.level <= limits.maxSpellLevel).sort((a, b) => a.level - b.level || byName(a, b));
+        return `${renderGrid('Cantrips', allSpells.filter(s => s.level === 0).sort(byName), limits.cantrips, 'new-cantrip')}
+            ${descriptionBox}
+            ${renderGrid(spellTitle, leveled, limits.spells, 'new-spell')}`;
+    }
     let cantrips = 0, level1 = 0;
     const { wisdom, intelligence, charisma } = pointBuyState.scores;
     switch (className.toLowerCase()) {
@@ -517,24 +572,18 @@ function renderSpellSelection(className) {
         page.dataset.cantripLimit = String(cantrips);
         page.dataset.level1Limit = String(level1);
     }
-    const allSpells = spellList.spells.map(s => dataManager.getSpell(s)).filter(Boolean);
-    const renderGrid = (title, spells, limit, group) => {
-        if (spells.length === 0 || limit === 0)
-            return '';
-        let html = `<div class="spell-list choice-block"><h4>${title} (Choose ${limit})</h4><div class="spell-grid">`;
-        spells.forEach(s => html += `<div class="spell-item"><div class="spell-item-header"><input type="checkbox" id="spell-${group}-${s.name.toLowerCase().replace(/[\s/]+/g, '-')}" name="${group}-selection" data-spell-name="${s.name}"><label for="spell-${group}-${s.name.toLowerCase().replace(/[\s/]+/g, '-')}" data-spell-slug="${s.name.toLowerCase().replace(/[\s/]+/g, '-')}">${s.name}</label></div></div>`);
-        return html + `</div></div>`;
-    };
-    return `${renderGrid('Cantrips', allSpells.filter(s => s.level === 0).sort((a, b) => a.name.localeCompare(b.name)), cantrips, 'cantrip')}
-            <div id="spell-description-display" class="summary-box"><p class="placeholder-text">Click a spell name to see its description.</p></div>
-            ${renderGrid('1st-Level Spells', allSpells.filter(s => s.level === 1).sort((a, b) => a.name.localeCompare(b.name)), level1, 'level1')}`;
+    return `${renderGrid('Cantrips', allSpells.filter(s => s.level === 0).sort(byName), cantrips, 'cantrip')}
+            ${descriptionBox}
+            ${renderGrid('1st-Level Spells', allSpells.filter(s => s.level === 1).sort(byName), level1, 'level1')}`;
 }
 export function displaySpellDetails(label) {
     const spell = dataManager.getSpell(label.dataset.spellSlug);
-    const displayBox = document.getElementById('spell-description-display');
+    // The creation wizard and the level-up window each have their own description box.
+    const scope = label.closest('#spell-selection-page, .level-up-page');
+    const displayBox = scope?.querySelector('#spell-description-display');
     if (!spell || !displayBox)
         return;
-    document.querySelectorAll('#spell-selection-page label[data-spell-slug]').forEach(lbl => lbl.classList.remove('active'));
+    scope.querySelectorAll('label[data-spell-slug]').forEach(lbl => lbl.classList.remove('active'));
     label.classList.add('active');
     displayBox.innerHTML = `<h4>${spell.name}</h4><ul>${Object.entries({
         Level: spell.level === 0 ? 'Cantrip' : spell.level, School: spell.school, 'Casting Time': spell.casting_time,
@@ -592,13 +641,17 @@ export async function handleCharacterCreationSubmit(event) {
     const fullCharacterDescription = `This is the user's primary input for their character. PRIORITIZE THIS TEXT. If it contains a full character sheet (stats, skills, etc.), use it directly.\n\n--- USER'S FREE-TEXT DESCRIPTION ---\nName: ${characterInfo.name}\nAppearance: ${characterInfo.desc}\nBackstory: ${characterInfo.bio}\n--- END OF FREE-TEXT ---\n\nUse the following selections to fill in missing details:\nRace: ${characterInfo.race}\nClass: ${characterInfo.characterClass}\nBackground: ${characterInfo.background}\nAlignment: ${characterInfo.alignment}\nGender: ${characterInfo.gender}\nAbility Scores: Str ${finalAbilityScores.strength}, Dex ${finalAbilityScores.dexterity}, Con ${finalAbilityScores.constitution}, Int ${finalAbilityScores.intelligence}, Wis ${finalAbilityScores.wisdom}, Cha ${finalAbilityScores.charisma}${specialSelectionsText}`;
     dom.characterCreationModal.classList.add('hidden');
     dom.storyHooksModal.classList.remove('hidden');
-    dom.storyHooksContainer.innerHTML = `<div class="spinner-container"><div class="spinner"></div><span>The Storyteller is crafting your character and adventure... This may take a moment.</span></div>`;
+    const craftingText = isAddingPlayer ? 'The Storyteller is crafting your character...' : 'The Storyteller is crafting your character and adventure...';
+    dom.storyHooksContainer.innerHTML = `<div class="spinner-container"><div class="spinner"></div><span>${craftingText} This may take a moment.</span></div>`;
     try {
         const { isMatureEnabled } = gameState.getState();
         const { playerState, storyHooks } = await llmProvider.createCharacterSheet(characterInfo, fullCharacterDescription, isMatureEnabled);
         playerState.turnCount = 0;
         playerState.pregnancy = null;
         playerState.npcStates = {};
+        playerState.health = { ...playerState.health, temp: 0 };
+        playerState.deathSaves = createDeathSaves();
+        playerState.isDead = false;
         // --- REBUILD CORE STATS FROM CANONICAL DATA ---
         // 1. Enforce final calculated ability scores to override any AI deviation.
         playerState.abilityScores = finalAbilityScores;
@@ -613,6 +666,10 @@ export async function handleCharacterCreationSubmit(event) {
         const classData = dataManager.getClass(characterInfo.characterClass);
         if (classData?.features) {
             playerState.classFeatures.push(...classData.features.filter(f => f.level === 1).map(f => f.name));
+            // Clerics, sorcerers and warlocks start with their subclass.
+            const archetype = findArchetype(classData, playerState.classFeatures, characterInfo);
+            if (archetype)
+                playerState.classFeatures.push(archetype.name, ...(archetype.features || []).filter(f => f.level === 1).map(f => f.name));
         }
         const backgroundData = dataManager.getBackground(characterInfo.background);
         if (backgroundData?.benefits) {
@@ -655,8 +712,29 @@ export async function handleCharacterCreationSubmit(event) {
         }
         // 5. Set spells from form selections
         playerState.spellsKnown = characterInfo.spellsSelected;
+        // 6. Fill the hit dice and limited-use class features for the character's level
+        playerState.hitDice = createHitDice(characterInfo.characterClass, playerState.level);
+        playerState.classResources = buildClassResources(characterInfo.characterClass, { ...playerState, classResources: {} });
+        playerState.spellSlots = buildSpellSlots(characterInfo.characterClass, { ...playerState, spellSlots: {} });
+        playerState.preparedSpells = choosePreparedSpells(characterInfo.characterClass, playerState);
+        playerState.concentration = null;
+        // 7. Give any starting companions their own character sheets
+        playerState.party = buildParty(playerState.party, playerState.level);
+        // 8. Turn the listed gear into item records, with the equipped weapon and armor among them
+        playerState.inventory = buildInventory(playerState.inventory, playerState.equipment);
+        // 9. Count the starting money out in coins
+        playerState.money = createPurse(playerState.money);
         // --- END REBUILD ---
-        gameState.updateState({ characterInfo, playerState });
+        if (isAddingPlayer) {
+            isAddingPlayer = false;
+            dom.storyHooksModal.classList.add('hidden');
+            dom.characterForm.reset();
+            resetPointBuy();
+            setupInitialPage();
+            await addHotSeatPlayer(characterInfo, playerState);
+            return;
+        }
+        gameState.updateState({ characterInfo, playerState, players: [], activeSeatId: null });
         ui.updatePlayerStateUI(playerState, characterInfo);
         dom.characterForm.reset();
         resetPointBuy();
@@ -665,7 +743,8 @@ export async function handleCharacterCreationSubmit(event) {
         ui.displayStoryHooks(finalHooks, startAdventure);
         const newCharacterId = Date.now().toString();
         gameState.updateState({ currentCharacterId: newCharacterId });
-        game.addNewSave({ id: newCharacterId, characterInfo, playerState, chatHistory: [], currentModelIndex: llmProvider.getCurrentModelIndex() });
+        game.addNewSave({ id: newCharacterId, characterInfo, playerState, chatHistory: [], dice: getDiceState(), currentModelIndex: llmProvider.getCurrentModelIndex() })
+            .catch(error => alert(`Failed to save your new game. ${error.message}`));
         await initializeChatSession();
     }
     catch (error) {
@@ -675,6 +754,25 @@ export async function handleCharacterCreationSubmit(event) {
         ui.showCharacterCreation();
     }
 }
+/**
+ * Opens the character creator to add another player to the game in progress, for hot-seat play.
+ */
+export function startAddingPlayer() {
+    const { playerState, isGenerating } = gameState.getState();
+    if (!playerState || isGenerating)
+        return;
+    isAddingPlayer = true;
+    ui.showCharacterCreation();
+}
+/**
+ * Abandons adding a hot-seat player.
+ * @returns {boolean} True if the creator was adding a player, so the game in progress carries on.
+ */
+export function cancelAddingPlayer() {
+    const wasAdding = isAddingPlayer;
+    isAddingPlayer = false;
+    return wasAdding;
+}
 export function handleCustomHookSubmit(event) {
     event.preventDefault();
     const customHook = dom.customHookInput.value.trim();
@@ -682,6 +780,87 @@ export function handleCustomHookSubmit(event) {
         startAdventure(customHook);
 }
 // --- LEVEL UP WIZARD ---
+/**
+ * Reads one level's row of a class's table: its proficiency bonus and the entries of its Features
+ * column, such as "Extra Attack (2)" or "Path feature".
+ * @param {any} classData The class's SRD data.
+ * @param {number} level The level.
+ * @returns {{proficiencyBonus: number, entries: string[]}} The row.
+ */
+function readClassTableRow(classData, level) {
+    const rows = String(classData.table || '').split('\n').map(line => line.split('|').slice(1, -1).map(cell => cell.trim()));
+    const header = rows[0] || [];
+    const bonusColumn = header.findIndex(cell => /^proficiency bonus$/i.test(cell));
+    const featuresColumn = header.findIndex(cell => /^features$/i.test(cell));
+    const row = rows.find(cells => parseInt(cells[0], 10) === level);
+    const bonus = parseInt(row?.[bonusColumn] || '', 10);
+    return {
+        proficiencyBonus: Number.isFinite(bonus) ? bonus : calculateProficiencyBonus(level),
+        entries: (row?.[featuresColumn] || '').split(/,\s*/).filter(entry => entry && entry !== '-'),
+    };
+}
+/**
+ * Works out what a character gains at their next level from their class table: new features,
+ * improvements to features they have, whether they pick a subclass or an Ability Score Improvement,
+ * and the spells they learn.
+ * @param {any} classData The class's SRD data.
+ * @param {import("./types.js").PlayerState} playerState The character's state.
+ * @param {any} characterInfo The character's details.
+ * @param {number} targetLevel The level being reached.
+ * @returns {{proficiencyBonus: number, features: string[], improvements: string[], subclassFeature: string | null,
+ *   archetype: any | null, hasASI: boolean, spells: {cantrips: number, spells: number, maxSpellLevel: number}}} The plan.
+ */
+function planLevelUp(classData, playerState, characterInfo, targetLevel) {
+    const held = playerState.classFeatures || [];
+    const { proficiencyBonus, entries } = readClassTableRow(classData, targetLevel);
+    // The table leaves out a few features the class data lists, such as Channel Divinity: Turn Undead.
+    const listed = (classData.features || []).filter(f => f.level === targetLevel).map(f => f.name);
+    const plan = {
+        proficiencyBonus, features: [], improvements: [], subclassFeature: null,
+        archetype: findArchetype(classData, held, characterInfo), hasASI: false,
+        spells: getSpellsToLearn(characterInfo.characterClass, targetLevel),
+    };
+    [...entries, ...listed].forEach(entry => {
+        const name = entry.replace(/\s*\(.*\)$/, '');
+        if (name === 'Ability Score Improvement')
+            plan.hasASI = true;
+        else if (/\bfeature$/i.test(name))
+            return; // Subclass features come from the archetype.
+        else if (/\bimprovements?$/i.test(name) || held.includes(name))
+            plan.improvements.push(entry);
+        else if (!plan.features.includes(name))
+            plan.features.push(name);
+        if (SUBCLASS_FEATURES.has(name) && !plan.archetype && classData.archetypes?.length)
+            plan.subclassFeature = name;
+    });
+    // A character who gained the feature without choosing a subclass chooses one now.
+    const heldSubclassFeature = held.find(name => SUBCLASS_FEATURES.has(name));
+    if (heldSubclassFeature && !plan.archetype && !plan.subclassFeature && classData.archetypes?.length)
+        plan.subclassFeature = heldSubclassFeature;
+    plan.improvements = [...new Set(plan.improvements)].filter(entry => !plan.features.includes(entry));
+    return plan;
+}
+/**
+ * Lists the class features the level up grants, with the subclass picked on its page and the
+ * subclass's features for the new level.
+ * @returns {string[]} The feature names.
+ */
+function getLevelUpFeatures() {
+    const { plan, targetLevel, choices } = levelUpState;
+    const { characterInfo } = gameState.getState();
+    const archetype = plan.archetype || dataManager.getClass(characterInfo.characterClass)?.archetypes?.find(a => a.name === choices.subclass);
+    // A subclass chosen now brings every feature it grants up to the new level.
+    const archetypeFeatures = (archetype?.features || []).filter(f => (choices.subclass ? f.level <= targetLevel : f.level === targetLevel)).map(f => f.name);
+    return [...plan.features, ...(choices.subclass && archetype ? [archetype.name] : []), ...archetypeFeatures];
+}
+/**
+ * Reads which spells are ticked on the level up spell page.
+ * @param {string} group The checkbox group, 'new-cantrip' or 'new-spell'.
+ * @returns {string[]} The spell names.
+ */
+function readLevelUpSpells(group) {
+    return Array.from(dom.levelUpPagesContainer.querySelectorAll(`input[name="${group}-selection"]:checked`)).map(cb => cb.dataset.spellName);
+}
 function renderLevelUpPage(page) {
     if (!levelUpState)
         return;
@@ -691,6 +870,8 @@ function renderLevelUpPage(page) {
     const classData = dataManager.getClass(characterInfo.characterClass);
     if (!classData)
         return;
+    const { plan, choices } = levelUpState;
+    const pageKind = levelUpState.pages[page - 1];
     let html = '';
     const container = dom.levelUpPagesContainer;
     container.innerHTML = '';
@@ -710,38 +891,56 @@ function renderLevelUpPage(page) {
         dot.dataset.step = String(i);
         stepIndicator.appendChild(dot);
     }
-    switch (page) {
-        case 1:
-            // Page 1: HP and new features
+    switch (pageKind) {
+        case 'features': {
+            // HP, proficiency bonus and the features from the class table
             const conMod = getAbilityModifierValue(playerState.abilityScores.constitution);
-            const hitDie = classData.hit_die;
-            // Roll HP, but take average if it's better.
-            const hpRoll = Math.max(Math.floor(Math.random() * hitDie) + 1, Math.floor(hitDie / 2) + 1);
-            levelUpState.choices.hpRoll = hpRoll + conMod;
-            const newProficiencyBonus = calculateProficiencyBonus(levelUpState.targetLevel);
-            const profBonusIncreased = newProficiencyBonus > playerState.proficiencyBonus;
-            levelUpState.newFeatures = classData.features?.filter(f => f.level === levelUpState.targetLevel).map(f => f.name) || [];
+            const profBonusIncreased = plan.proficiencyBonus > playerState.proficiencyBonus;
+            const archetypeFeatures = (plan.archetype?.features || []).filter(f => f.level === levelUpState.targetLevel);
             html += `<h4>Hit Points</h4>`;
-            html += `<p>Your maximum Hit Points increase by <strong>${levelUpState.choices.hpRoll}</strong> (1d${hitDie} + ${conMod} Constitution Modifier). Your new maximum HP will be ${playerState.health.max + levelUpState.choices.hpRoll}.</p>`;
+            html += `<p>Your maximum Hit Points increase by <strong>${choices.hpRoll}</strong> (1d${classData.hit_die} + ${conMod} Constitution Modifier). Your new maximum HP will be ${playerState.health.max + choices.hpRoll}.</p>`;
             if (profBonusIncreased) {
                 html += `<h4>Proficiency Bonus</h4>`;
-                html += `<p>Your Proficiency Bonus has increased to <strong>+${newProficiencyBonus}</strong>!</p>`;
+                html += `<p>Your Proficiency Bonus has increased to <strong>+${plan.proficiencyBonus}</strong>!</p>`;
             }
-            if (levelUpState.newFeatures.length > 0) {
+            if (plan.features.length > 0 || archetypeFeatures.length > 0) {
                 html += `<h4>New Features</h4><ul>`;
-                levelUpState.newFeatures.forEach(featureName => {
+                plan.features.forEach(featureName => {
                     const featureData = classData.features?.find(f => f.name === featureName);
                     html += `<li><strong>${featureName}:</strong> ${featureData ? createBlurb(featureData.desc) : ''}</li>`;
                 });
+                archetypeFeatures.forEach(feature => {
+                    html += `<li><strong>${feature.name} (${plan.archetype.name}):</strong> ${createBlurb(feature.desc)}</li>`;
+                });
                 html += `</ul>`;
             }
-            else if (!profBonusIncreased) {
+            if (plan.improvements.length > 0) {
+                html += `<h4>Improved Features</h4><ul>${plan.improvements.map(entry => `<li>${entry}</li>`).join('')}</ul>`;
+            }
+            if (plan.subclassFeature) {
+                html += `<p>You choose your ${plan.subclassFeature} on the next page, gaining its features up to this level.</p>`;
+            }
+            if (plan.features.length === 0 && archetypeFeatures.length === 0 && plan.improvements.length === 0 && !profBonusIncreased) {
                 html += `<p>You gain no new class features at this level.</p>`;
             }
             break;
-        case 2:
-            // Page 2: Ability Score Improvement
+        }
+        case 'subclass': {
+            const archetypes = (classData.archetypes || []).map(a => ({ name: a.name, desc: a.desc }));
+            html += createChoiceBlock(plan.subclassFeature, archetypes, 'radio', 'levelUpSubclass');
+            break;
+        }
+        case 'improvement': {
+            // Ability Score Improvement, or a feat in its place
+            const feats = dataManager.getFeats().filter(f => !f.has_prerequisite && !f.prerequisite && !(playerState.feats || []).includes(f.name));
             html += `<h4>Ability Score Improvement</h4>`;
+            if (feats.length > 0) {
+                html += `<div class="improvement-choice">
+                        <label><input type="radio" name="improvementType" value="asi" ${choices.improvement === 'asi' ? 'checked' : ''}> Increase ability scores</label>
+                        <label><input type="radio" name="improvementType" value="feat" ${choices.improvement === 'feat' ? 'checked' : ''}> Take a feat instead</label>
+                    </div>`;
+            }
+            html += `<div class="asi-section ${choices.improvement === 'asi' ? '' : 'hidden'}">`;
             html += `<p>You can increase one ability score by 2, or two ability scores by 1. You have <strong id="asi-points-remaining">2</strong> points remaining.</p>`;
             html += `<div class="asi-container">`;
             for (const [stat, score] of Object.entries(playerState.abilityScores)) {
@@ -755,16 +954,61 @@ function renderLevelUpPage(page) {
             }
             html += `</div>`;
             html += `<button type="button" id="asi-reset-btn" class="secondary-btn">Reset Points</button>`;
+            html += `</div>`;
+            if (feats.length > 0) {
+                html += `<div class="feat-section ${choices.improvement === 'feat' ? '' : 'hidden'}">${createChoiceBlock('Feat', feats, 'radio', 'levelUpFeat')}</div>`;
+            }
+            break;
+        }
+        case 'spells':
+            html += renderSpellSelection(characterInfo.characterClass, { ...plan.spells, known: playerState.spellsKnown || [] });
             break;
     }
     const pageElement = document.createElement('div');
     pageElement.className = 'level-up-page active';
     pageElement.innerHTML = html;
     container.appendChild(pageElement);
-    if (page === 2) {
+    // Put back the picks made before the player stepped away from this page.
+    const picks = [choices.subclass, choices.feat, ...choices.cantrips, ...choices.spells].filter(Boolean);
+    pageElement.querySelectorAll('input[name="levelUpSubclass"], input[name="levelUpFeat"]').forEach(input => {
+        input.checked = picks.includes(input.value);
+    });
+    pageElement.querySelectorAll('input[data-spell-name]').forEach(input => {
+        input.checked = picks.includes(input.dataset.spellName);
+    });
+    enforceCheckboxLimit('new-cantrip-selection', plan.spells.cantrips, pageElement);
+    enforceCheckboxLimit('new-spell-selection', plan.spells.spells, pageElement);
+    pageElement.addEventListener('change', (event) => {
+        const target = event.target;
+        if (!levelUpState || !(target instanceof HTMLInputElement))
+            return;
+        if (target.name === 'levelUpSubclass')
+            levelUpState.choices.subclass = target.value;
+        else if (target.name === 'levelUpFeat')
+            levelUpState.choices.feat = target.value;
+        else if (target.name === 'improvementType') {
+            levelUpState.choices.improvement = target.value;
+            pageElement.querySelector('.asi-section')?.classList.toggle('hidden', target.value !== 'asi');
+            pageElement.querySelector('.feat-section')?.classList.toggle('hidden', target.value !== 'feat');
+        }
+        else if (target.name === 'new-cantrip-selection') {
+            enforceCheckboxLimit(target.name, levelUpState.plan.spells.cantrips, pageElement);
+            levelUpState.choices.cantrips = readLevelUpSpells('new-cantrip');
+        }
+        else if (target.name === 'new-spell-selection') {
+            enforceCheckboxLimit(target.name, levelUpState.plan.spells.spells, pageElement);
+            levelUpState.choices.spells = readLevelUpSpells('new-spell');
+        }
+    });
+    pageElement.addEventListener('click', (event) => {
+        const target = event.target;
+        if (target instanceof HTMLElement && target.matches('label[data-spell-slug]'))
+            displaySpellDetails(target);
+    });
+    if (pageKind === 'improvement') {
         setupAsiListeners();
         document.getElementById('asi-reset-btn').addEventListener('click', () => {
-            renderLevelUpPage(2);
+            renderLevelUpPage(page);
         });
     }
 }
@@ -829,11 +1073,39 @@ function updateAsiUi() {
 function validateLevelUpPage(page) {
     if (!levelUpState)
         return false;
-    if (page === 2) {
-        const pointsSpent = levelUpState.choices.asi?.reduce((acc, c) => acc + c.points, 0) || 0;
-        if (pointsSpent !== 2) {
-            alert('You must spend exactly 2 points for your Ability Score Improvement.');
-            return false;
+    const { plan, choices } = levelUpState;
+    switch (levelUpState.pages[page - 1]) {
+        case 'subclass':
+            if (!choices.subclass) {
+                alert(`You must choose your ${plan.subclassFeature}.`);
+                return false;
+            }
+            break;
+        case 'improvement': {
+            if (choices.improvement === 'feat') {
+                if (!choices.feat) {
+                    alert('You must choose a feat, or increase your ability scores instead.');
+                    return false;
+                }
+                break;
+            }
+            const pointsSpent = choices.asi?.reduce((acc, c) => acc + c.points, 0) || 0;
+            if (pointsSpent !== 2) {
+                alert('You must spend exactly 2 points for your Ability Score Improvement.');
+                return false;
+            }
+            break;
+        }
+        case 'spells': {
+            // A short class list may offer fewer spells than the class learns.
+            const countOptions = (group) => dom.levelUpPagesContainer.querySelectorAll(`input[name="${group}-selection"]`).length;
+            const cantripsNeeded = Math.min(plan.spells.cantrips, countOptions('new-cantrip'));
+            const spellsNeeded = Math.min(plan.spells.spells, countOptions('new-spell'));
+            if (choices.cantrips.length !== cantripsNeeded || choices.spells.length !== spellsNeeded) {
+                alert(`You must choose ${cantripsNeeded} cantrip(s) and ${spellsNeeded} spell(s).`);
+                return false;
+            }
+            break;
         }
     }
     return true;
@@ -844,22 +1116,35 @@ function applyLevelUp() {
     const { playerState } = gameState.getState();
     if (!playerState)
         return;
+    const { plan, choices } = levelUpState;
     const playerStateUpdate = {
         level: levelUpState.targetLevel,
         health: {
-            current: playerState.health.max + levelUpState.choices.hpRoll,
-            max: playerState.health.max + levelUpState.choices.hpRoll
+            current: playerState.health.max + choices.hpRoll,
+            max: playerState.health.max + choices.hpRoll
         },
-        proficiencyBonus: calculateProficiencyBonus(levelUpState.targetLevel),
-        classFeatures: [...playerState.classFeatures, ...levelUpState.newFeatures],
+        proficiencyBonus: plan.proficiencyBonus,
+        classFeatures: [...new Set([...playerState.classFeatures, ...getLevelUpFeatures()])],
     };
-    if (levelUpState.choices.asi && levelUpState.choices.asi.length > 0) {
+    if (choices.improvement === 'feat' && choices.feat) {
+        playerStateUpdate.feats = [...(playerState.feats || []), choices.feat];
+    }
+    else if (choices.asi && choices.asi.length > 0) {
         const newScores = { ...playerState.abilityScores };
-        levelUpState.choices.asi.forEach(choice => {
+        choices.asi.forEach(choice => {
             newScores[choice.stat] += choice.points;
         });
         playerStateUpdate.abilityScores = newScores;
     }
+    if (choices.cantrips.length > 0 || choices.spells.length > 0) {
+        playerStateUpdate.spellsKnown = [...(playerState.spellsKnown || []), ...choices.cantrips, ...choices.spells];
+    }
+    // Each level adds a hit die, and may add uses of (or new) class resources.
+    const { characterClass } = gameState.getState().characterInfo;
+    const hitDice = playerState.hitDice || createHitDice(characterClass, playerState.level);
+    playerStateUpdate.hitDice = { ...hitDice, current: hitDice.current + 1, max: hitDice.max + 1 };
+    playerStateUpdate.classResources = buildClassResources(characterClass, { ...playerState, ...playerStateUpdate });
+    playerStateUpdate.spellSlots = buildSpellSlots(characterClass, { ...playerState, ...playerStateUpdate });
     gameState.updatePlayerState(playerStateUpdate);
     // Recalculate derived stats like AC after potential Dex increase
     const finalState = gameState.getState().playerState;
@@ -868,23 +1153,57 @@ function applyLevelUp() {
     initializeChatSession();
     dom.levelUpModal.classList.add('hidden');
     levelUpState = null;
+    // Levels are taken one at a time, so every level's hit points, features and choices are granted.
+    if (getPendingLevels(finalState) > 0)
+        startLevelUp();
+}
+/**
+ * Watches the game state for the character earning a level, from experience or a milestone, and
+ * tells the player it's ready to take. Guests hear about it from the host.
+ */
+export function watchForLevelUps() {
+    gameState.subscribe(({ playerState, characterInfo }) => {
+        if (!playerState || !characterInfo || isGuest())
+            return;
+        const pendingLevels = getPendingLevels(playerState);
+        const earnedLevel = playerState.level + pendingLevels;
+        if (lastLevelCheck.name === characterInfo.name && earnedLevel > lastLevelCheck.earnedLevel && pendingLevels > 0) {
+            const backlog = pendingLevels > 1 ? ` You have ${pendingLevels} levels to take, one at a time.` : '';
+            ui.addEventMessage('xp', `${characterInfo.name} can advance to level ${playerState.level + 1}! Press Level Up to choose what you gain.${backlog}`);
+        }
+        lastLevelCheck = { name: characterInfo.name, earnedLevel };
+    });
 }
 export function startLevelUp() {
     const { playerState, characterInfo } = gameState.getState();
     if (!playerState || !characterInfo)
         return;
+    if (getPendingLevels(playerState) === 0)
+        return;
     const classData = dataManager.getClass(characterInfo.characterClass);
     if (!classData)
         return;
     const targetLevel = playerState.level + 1;
-    const newFeaturesData = classData.features?.filter(f => f.level === targetLevel) || [];
-    const hasASI = newFeaturesData.some(f => f.name === 'Ability Score Improvement');
+    const plan = planLevelUp(classData, playerState, characterInfo, targetLevel);
+    // The pages follow from what the class table grants at this level.
+    const pages = ['features'];
+    if (plan.subclassFeature)
+        pages.push('subclass');
+    if (plan.hasASI)
+        pages.push('improvement');
+    if (plan.spells.cantrips > 0 || plan.spells.spells > 0)
+        pages.push('spells');
+    // Roll HP once, so stepping back to the first page doesn't roll again, but take the average if it's better.
+    const hitDie = classData.hit_die;
+    const conMod = getAbilityModifierValue(playerState.abilityScores.constitution);
+    const hpRoll = Math.max(rollDice(`1d${hitDie}`, `Level ${targetLevel} hit points`).total, Math.floor(hitDie / 2) + 1);
     levelUpState = {
         targetLevel,
+        plan,
+        pages,
         currentPage: 1,
-        totalPages: hasASI ? 2 : 1, // Dynamically set pages
-        choices: { asi: [] },
-        newFeatures: [],
+        totalPages: pages.length,
+        choices: { hpRoll: hpRoll + conMod, asi: [], improvement: 'asi', feat: null, subclass: null, cantrips: [], spells: [] },
     };
     dom.levelUpTitle.textContent = `Level Up: ${characterInfo.name} reaches Level ${targetLevel}!`;
     renderLevelUpPage(1);
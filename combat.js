@@ -0,0 +1,143 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+// This module keeps the turn order of a fight: whose turn it is, which round it is, and how
+// delaying or readying an action changes the order. Every function takes the combat fields of
+// the game state ({ combatants, combatRound, activeCombatantId }) and returns updated copies,
+// leaving it to the caller to store them.
+// --- HELPERS ---
+/**
+ * Checks whether a combatant can still take turns. Defeated creatures are skipped.
+ * @param {any} combatant The combatant to check.
+ * @returns {boolean} True if the combatant can act.
+ */
+function canAct(combatant) {
+    return combatant.hp > 0;
+}
+/**
+ * Finds the next combatant able to act after a position in the turn order.
+ * @param {any[]} combatants The combatants in turn order.
+ * @param {number} fromIndex The position to search after, or -1 to search from the top.
+ * @returns {{index: number, wrapped: boolean} | null} The next combatant's position and whether the search
+ *   passed the bottom of the order, or null if nobody can act.
+ */
+function findNextActor(combatants, fromIndex) {
+    for (let step = 1; step <= combatants.length; step++) {
+        const rawIndex = fromIndex + step;
+        const index = rawIndex % combatants.length;
+        if (canAct(combatants[index]))
+            return { index, wrapped: rawIndex >= combatants.length };
+    }
+    return null;
+}
+// --- PUBLIC API ---
+/**
+ * Checks whether a combatant fights on the player's side: the player or one of their companions.
+ * @param {any} combatant The combatant to check.
+ * @returns {boolean} True for the player and their companions.
+ */
+export function isPartyCombatant(combatant) {
+    return !!(combatant?.isPlayer || combatant?.isCompanion);
+}
+/**
+ * Finds the enemy an attack or spell is aimed at. The target is matched by combatant ID or by its
+ * exact name, ignoring case and a leading "the", "a" or "an". When nothing matches and only one enemy
+ * is still standing, that enemy is the target.
+ * @param {any[]} combatants The combatants.
+ * @param {string} target The target's ID, name or description.
+ * @returns {any | null} The targeted enemy, or null if it can't be told which one is meant.
+ */
+export function findEnemyTarget(combatants, target) {
+    const enemies = (combatants || []).filter(c => !isPartyCombatant(c) && canAct(c));
+    const wanted = String(target || '').trim().toLowerCase().replace(/^(the|a|an)\s+/, '');
+    return enemies.find(c => c.id === target) ||
+        enemies.find(c => c.name.toLowerCase() === wanted) ||
+        (enemies.length === 1 ? enemies[0] : null);
+}
+/**
+ * Finds the enemy a storyteller's game action is about. The combatant ID is matched first. Failing
+ * that, the enemy is matched by name; when several enemies share it, the one whose turn it is wins.
+ * @param {any[]} combatants The combatants.
+ * @param {{id?: string, name?: string}} reference The ID and name the game action gave.
+ * @param {string | null} [activeCombatantId] The ID of the combatant whose turn it is.
+ * @returns {any | null} The enemy, or null if no enemy still standing matches.
+ */
+export function findNamedEnemy(combatants, { id, name }, activeCombatantId = null) {
+    const enemies = (combatants || []).filter(c => !isPartyCombatant(c) && canAct(c));
+    const wanted = String(name || '').trim().toLowerCase();
+    const named = enemies.filter(c => c.name.toLowerCase() === wanted);
+    return (id && enemies.find(c => c.id === id)) ||
+        named.find(c => c.id === activeCombatantId) ||
+        named[0] ||
+        null;
+}
+/**
+ * Sorts freshly rolled combatants by initiative and hands the first turn to the highest roll.
+ * @param {any[]} combatants The combatants, with their initiative already rolled.
+ * @returns {{combatants: any[], combatRound: number, activeCombatantId: string | null}} The opening turn state.
+ */
+export function beginCombat(combatants) {
+    const ordered = [...combatants].sort((a, b) => b.initiative - a.initiative);
+    const first = findNextActor(ordered, -1);
+    return {
+        combatants: ordered,
+        combatRound: 1,
+        activeCombatantId: first ? ordered[first.index].id : null,
+    };
+}
+/**
+ * Returns the combatant whose turn it is.
+ * @param {{combatants: any[], activeCombatantId: string | null}} turnState The current turn state.
+ * @returns {any | null} The active combatant, or null outside of combat.
+ */
+export function getActiveCombatant({ combatants, activeCombatantId }) {
+    return (combatants || []).find(c => c.id === activeCombatantId) || null;
+}
+/**
+ * Ends the active combatant's turn and passes it to the next combatant able to act,
+ * starting a new round when the order wraps around. A readied action lasts until the
+ * start of its owner's next turn, so it is cleared then.
+ * @param {{combatants: any[], combatRound: number, activeCombatantId: string | null}} turnState The current turn state.
+ * @returns {{combatants: any[], combatRound: number, activeCombatantId: string | null}} The new turn state.
+ */
+export function advanceTurn({ combatants, combatRound, activeCombatantId }) {
+    const currentIndex = combatants.findIndex(c => c.id === activeCombatantId);
+    const next = findNextActor(combatants, currentIndex);
+    if (!next)
+        return { combatants, combatRound, activeCombatantId };
+    const updated = combatants.map((c, index) => (index === next.index && c.readiedAction ? { ...c, readiedAction: null } : c));
+    return {
+        combatants: updated,
+        combatRound: next.wrapped && currentIndex !== -1 ? combatRound + 1 : combatRound,
+        activeCombatantId: updated[next.index].id,
+    };
+}
+/**
+ * Lets the active combatant delay, moving it to just after the next combatant in the order.
+ * That combatant takes its turn now, and the delaying one acts straight after it.
+ * @param {{combatants: any[], combatRound: number, activeCombatantId: string | null}} turnState The current turn state.
+ * @returns {{combatants: any[], combatRound: number, activeCombatantId: string | null} | null}
+ *   The new turn state, or null if nobody later in this round could go first.
+ */
+export function delayTurn({ combatants, combatRound, activeCombatantId }) {
+    const currentIndex = combatants.findIndex(c => c.id === activeCombatantId);
+    const next = currentIndex === -1 ? null : findNextActor(combatants, currentIndex);
+    if (!next || next.wrapped)
+        return null;
+    const nextCombatant = combatants[next.index];
+    const delayed = { ...combatants[currentIndex], initiative: nextCombatant.initiative };
+    const reordered = combatants.filter(c => c.id !== activeCombatantId);
+    reordered.splice(reordered.indexOf(nextCombatant) + 1, 0, delayed);
+    return { combatants: reordered, combatRound, activeCombatantId: nextCombatant.id };
+}
+/**
+ * Has the active combatant ready an action with a trigger, then ends its turn.
+ * @param {{combatants: any[], combatRound: number, activeCombatantId: string | null}} turnState The current turn state.
+ * @param {string} trigger The circumstance that sets off the readied action.
+ * @returns {{combatants: any[], combatRound: number, activeCombatantId: string | null}} The new turn state.
+ */
+export function readyAction(turnState, trigger) {
+    const combatants = turnState.combatants.map(c => (c.id === turnState.activeCombatantId ? { ...c, readiedAction: trigger } : c));
+    return advanceTurn({ ...turnState, combatants });
+}
@@ -0,0 +1,522 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as ui from './ui.js';
+import * as dataManager from './data-manager.js';
+import { gameState } from './state-manager.js';
+import { saveCurrentGame, initializeChatSession } from './session-manager.js';
+import { isPlayerTurn, endPlayerTurn, delayPlayerTurn, readyPlayerAction, getRestBlocker, announceRest, getActingCharacter, setActingCharacter, getActorName, labelRoll } from './game-loop.js';
+import { restParty } from './party.js';
+import { restSeats } from './hot-seat.js';
+import { equipItem, attuneItem, formatItem, getEncumbrance } from './inventory.js';
+import { formatMoney } from './currency.js';
+import { findSpell, getSpellcastingClass, getMaxPreparedSpells } from './spellcasting.js';
+import { DEFAULT_SKILLS, calculateArmorClass, calculateRollModifier, calculateSavingThrowModifier, rollD20, rollDice, takeRest } from './rpg-helpers.js';
+import { escapeHtml } from './utils.js';
+// This module implements the slash commands typed into the chat input. Commands are
+// resolved locally; when the result matters to the story, a short summary is added
+// to the chat history so the storyteller sees it on its next turn.
+// --- CONSTANTS ---
+const ABILITY_ALIASES = {
+    str: 'strength', dex: 'dexterity', con: 'constitution',
+    int: 'intelligence', wis: 'wisdom', cha: 'charisma',
+};
+const ABILITIES = Object.values(ABILITY_ALIASES);
+const ROLL_MODIFIER_ALIASES = {
+    adv: 'ADVANTAGE', advantage: 'ADVANTAGE',
+    dis: 'DISADVANTAGE', disadvantage: 'DISADVANTAGE',
+};
+/**
+ * The commands an online guest may send. Each acts only for the seat the host gave them; commands
+ * that switch characters or change the whole party, like /as and /rest, are left to the host.
+ */
+const GUEST_COMMANDS = ['roll', 'check', 'save', 'inventory', 'endturn', 'delay', 'ready', 'help'];
+// --- HELPERS ---
+/**
+ * Adds a summary of a command's result to the chat history and refreshes the
+ * chat session so the storyteller is aware of it.
+ * @param {string} summary The text to record.
+ */
+async function recordInHistory(summary) {
+    const { chatHistory } = gameState.getState();
+    gameState.updateState({ chatHistory: [...chatHistory, { role: 'user', parts: [{ text: `(System: ${summary})` }] }] });
+    saveCurrentGame();
+    await initializeChatSession();
+}
+/**
+ * Shows a short, local-only note in the chat log.
+ * @param {string} text The note to show.
+ */
+function showNote(text) {
+    ui.addMessage('dm', `*${escapeHtml(text)}*`);
+}
+/**
+ * Splits trailing "adv"/"dis" words off a command's arguments.
+ * @param {string[]} args The command arguments.
+ * @returns {{args: string[], rollModifier: string}} The remaining arguments and the roll modifier.
+ */
+function extractRollModifier(args) {
+    const last = args[args.length - 1]?.toLowerCase();
+    if (last && ROLL_MODIFIER_ALIASES[last]) {
+        return { args: args.slice(0, -1), rollModifier: ROLL_MODIFIER_ALIASES[last] };
+    }
+    return { args, rollModifier: 'NONE' };
+}
+/**
+ * Resolves a typed skill or ability name (e.g. "sleight of hand", "dex") to its key.
+ * @param {string} text The typed name.
+ * @returns {string | null} The matching skill or ability key.
+ */
+function resolveSkillOrAbility(text) {
+    const cleaned = text.toLowerCase().replace(/[\s_-]/g, '');
+    if (ABILITY_ALIASES[cleaned])
+        return ABILITY_ALIASES[cleaned];
+    const keys = [...Object.keys(DEFAULT_SKILLS), ...ABILITIES];
+    return keys.find(key => key.toLowerCase() === cleaned) ||
+        keys.find(key => key.toLowerCase().startsWith(cleaned)) ||
+        null;
+}
+/**
+ * Formats a camelCase skill key for display.
+ * @param {string} key The skill or ability key.
+ * @returns {string} The display name.
+ */
+function formatKey(key) {
+    return key.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+}
+/**
+ * Renders a d20 roll through the dice message type.
+ * @param {string} description The roll's title.
+ * @param {string} skillOrAbility The skill or ability rolled.
+ * @param {number} modifier The bonus added to the roll.
+ * @param {string} rollModifier 'ADVANTAGE', 'DISADVANTAGE' or 'NONE'.
+ * @returns {number} The total of the roll.
+ */
+function rollAndShowD20(description, skillOrAbility, modifier, rollModifier) {
+    const { roll, allRolls, total, terms } = rollD20(rollModifier, modifier, description);
+    ui.addMessage('dice', { description, roll, modifier, total, dieValue: 20, diceString: `d20+${modifier}`, skillOrAbility, allRolls, rollModifier, terms });
+    return total;
+}
+// --- COMMAND HANDLERS ---
+async function runRoll(args) {
+    const [notation, ...reasonWords] = args;
+    if (!notation) {
+        showNote('Usage: /roll <dice> [reason], for example /roll 3d6+2 or /roll d20adv stealth');
+        return;
+    }
+    const reason = reasonWords.join(' ');
+    const result = rollDice(notation, reason || 'Player roll');
+    if (result.error) {
+        showNote(`${result.error} Try something like 2d6+3, 4d6kh3 or d20adv.`);
+        return;
+    }
+    const firstDice = result.terms.find(term => term.type === 'dice');
+    ui.addMessage('dice', {
+        description: reason ? `${reason} (${result.notation})` : `Roll ${result.notation}`,
+        roll: result.total,
+        modifier: 0,
+        total: result.total,
+        dieValue: firstDice?.sides || 0,
+        diceString: result.notation,
+        skillOrAbility: '',
+        allRolls: result.rolls,
+        rollModifier: 'NONE',
+        terms: result.terms,
+    });
+    await recordInHistory(`I rolled ${result.notation}${reason ? ` for ${reason}` : ''} and got ${result.total}.`);
+}
+async function runCheck(args) {
+    const actor = getActingCharacter();
+    const { args: nameArgs, rollModifier } = extractRollModifier(args);
+    const key = resolveSkillOrAbility(nameArgs.join(' '));
+    if (!key) {
+        showNote('Usage: /check <skill or ability> [adv|dis], for example /check stealth adv');
+        return;
+    }
+    const modifier = calculateRollModifier(key, actor.sheet);
+    const total = rollAndShowD20(labelRoll(actor, `${formatKey(key)} Check`), key, modifier, rollModifier);
+    await recordInHistory(`${getActorName(actor) || 'I'} made a ${formatKey(key)} check${rollModifier !== 'NONE' ? ` with ${rollModifier.toLowerCase()}` : ''} and rolled a total of ${total}.`);
+}
+async function runSave(args) {
+    const actor = getActingCharacter();
+    const { args: nameArgs, rollModifier } = extractRollModifier(args);
+    const key = resolveSkillOrAbility(nameArgs.join(' '));
+    if (!key || !ABILITIES.includes(key)) {
+        showNote('Usage: /save <ability> [adv|dis], for example /save dex');
+        return;
+    }
+    const modifier = calculateSavingThrowModifier(key, actor.sheet);
+    const total = rollAndShowD20(labelRoll(actor, `${formatKey(key)} Saving Throw`), key, modifier, rollModifier);
+    await recordInHistory(`${getActorName(actor) || 'I'} made a ${formatKey(key)} saving throw${rollModifier !== 'NONE' ? ` with ${rollModifier.toLowerCase()}` : ''} and rolled a total of ${total}.`);
+}
+function runAs(args) {
+    const name = args.join(' ');
+    if (!name) {
+        showNote(`Usage: /as <character>. You are acting as ${getActingCharacter().name}.`);
+        return;
+    }
+    const actingName = setActingCharacter(name);
+    showNote(actingName ? `You are now acting as ${actingName}.` : `There is nobody called "${name}" in your party.`);
+}
+async function runRest(args) {
+    const restType = args[0]?.toLowerCase();
+    const hitDiceToSpend = args[1] !== undefined ? parseInt(args[1], 10) : null;
+    if ((restType !== 'short' && restType !== 'long') || (hitDiceToSpend !== null && !(hitDiceToSpend >= 0))) {
+        showNote('Usage: /rest short [hit dice] or /rest long');
+        return;
+    }
+    const blocker = getRestBlocker(gameState.getState());
+    if (blocker) {
+        showNote(blocker);
+        return;
+    }
+    const { playerState, characterInfo, players, activeSeatId } = gameState.getState();
+    const rest = takeRest(playerState, restType, hitDiceToSpend);
+    const party = restParty(playerState.party, restType, playerState.turnCount || 0);
+    const restedPlayers = restSeats(players, activeSeatId, restType, playerState.turnCount || 0);
+    gameState.updatePlayerState({ ...rest.update, party, turnCount: (playerState.turnCount || 0) + rest.turnsElapsed });
+    gameState.updateState({ players: restedPlayers });
+    const restedState = gameState.getState().playerState;
+    ui.updatePlayerStateUI(restedState, characterInfo);
+    await recordInHistory(announceRest(rest, restType, restedState, restedPlayers));
+}
+function runInventory() {
+    const { playerState } = gameState.getState();
+    const { inventory = [], equipment = {}, money } = playerState;
+    const items = inventory.length > 0 ? inventory.map(item => `- ${formatItem(item)}${item.weight ? `, ${item.weight * item.quantity} lb.` : ''}`).join('\n') : '- (empty)';
+    const moneyText = formatMoney(money);
+    const load = getEncumbrance(playerState);
+    const loadText = `${load.carried} of ${load.capacity} lb.${load.level !== 'none' ? ` (${load.level}, -${load.speedPenalty} ft. speed)` : ''}`;
+    ui.addMessage('dm', `**Inventory**\n${items}\n**Equipped:** ${equipment.weapon || 'None'} (weapon), ${equipment.armor || 'None'} (armor)\n**Carried:** ${loadText}\n**Money:** ${moneyText}`);
+}
+/**
+ * Equips an item from the player's inventory, or takes it off.
+ * @param {string[]} args The item's name.
+ * @param {boolean} equipped False to take the item off.
+ */
+async function changeEquipment(args, equipped) {
+    const { playerState, characterInfo } = gameState.getState();
+    const query = args.join(' ');
+    if (!query) {
+        showNote(`Usage: /${equipped ? 'equip' : 'unequip'} <item from your inventory>`);
+        return;
+    }
+    const { update, item, error } = equipItem(playerState, query, equipped);
+    if (!update) {
+        showNote(error);
+        return;
+    }
+    gameState.updatePlayerState(update);
+    gameState.updatePlayerState({ armorClass: calculateArmorClass(gameState.getState().playerState) });
+    ui.updatePlayerStateUI(gameState.getState().playerState, characterInfo);
+    showNote(`You ${equipped ? 'equip' : 'take off'} the ${item.name}.`);
+    await recordInHistory(equipped ? `I equipped my ${item.name}.` : `I took off my ${item.name}.`);
+}
+async function runEquip(args) {
+    await changeEquipment(args, true);
+}
+async function runUnequip(args) {
+    await changeEquipment(args, false);
+}
+/**
+ * Attunes the player to a magic item from their inventory, or ends the attunement.
+ * @param {string[]} args The item's name.
+ * @param {boolean} attuned False to end the attunement.
+ */
+async function changeAttunement(args, attuned) {
+    const { playerState, characterInfo } = gameState.getState();
+    const query = args.join(' ');
+    if (!query) {
+        showNote(`Usage: /${attuned ? 'attune' : 'unattune'} <magic item from your inventory>`);
+        return;
+    }
+    const { update, item, error } = attuneItem(playerState, query, attuned);
+    if (!update) {
+        showNote(error);
+        return;
+    }
+    gameState.updatePlayerState(update);
+    gameState.updatePlayerState({ armorClass: calculateArmorClass(gameState.getState().playerState) });
+    ui.updatePlayerStateUI(gameState.getState().playerState, characterInfo);
+    showNote(`You ${attuned ? 'attune to' : 'end your attunement to'} the ${item.name}.`);
+    await recordInHistory(attuned ? `I attuned to my ${item.name}.` : `I ended my attunement to my ${item.name}.`);
+}
+async function runAttune(args) {
+    await changeAttunement(args, true);
+}
+async function runUnattune(args) {
+    await changeAttunement(args, false);
+}
+async function runEndTurn() {
+    if (!isPlayerTurn()) {
+        showNote("It isn't your turn in combat.");
+        return;
+    }
+    await endPlayerTurn();
+}
+async function runDelay() {
+    if (!isPlayerTurn()) {
+        showNote("It isn't your turn in combat.");
+        return;
+    }
+    if (!await delayPlayerTurn())
+        showNote("Nobody else acts after you this round, so there's no one to delay for.");
+}
+async function runReady(args) {
+    const trigger = args.join(' ');
+    if (!trigger) {
+        showNote('Usage: /ready <trigger>, e.g. /ready the goblin steps through the door');
+        return;
+    }
+    if (!isPlayerTurn()) {
+        showNote("It isn't your turn in combat.");
+        return;
+    }
+    showNote(`You ready an action for when ${trigger}.`);
+    await readyPlayerAction(trigger);
+}
+/**
+ * Checks whether a spell could be prepared by the character: it must be a leveled spell of a level
+ * they have slots for, from their spellbook (for wizards) or their class's spell list.
+ * @param {any} spell The spell's SRD data.
+ * @param {any} playerState The player's current state.
+ * @param {string} characterClass The character's class name.
+ * @returns {string | null} Why the spell can't be prepared, or null if it can.
+ */
+function getPrepareBlocker(spell, playerState, characterClass) {
+    if (spell.level === 0)
+        return `${spell.name} is a cantrip, so it is always ready.`;
+    if (!playerState.spellSlots?.[spell.level])
+        return `You have no level ${spell.level} spell slots to prepare ${spell.name} with.`;
+    const source = characterClass.toLowerCase() === 'wizard'
+        ? playerState.spellsKnown || []
+        : (dataManager.getSpellList(characterClass)?.spells || []).map(slug => dataManager.getSpell(slug)?.name).filter(Boolean);
+    if (!source.some(name => name.toLowerCase() === spell.name.toLowerCase()))
+        return `${spell.name} isn't in your ${characterClass.toLowerCase() === 'wizard' ? 'spellbook' : `${characterClass} spell list`}.`;
+    return null;
+}
+async function runPrepare(args) {
+    const { playerState, characterInfo, isInCombat } = gameState.getState();
+    if (getSpellcastingClass(characterInfo.characterClass)?.preparation !== 'prepared') {
+        showNote(`${characterInfo.characterClass}s cast the spells they know and don't prepare spells.`);
+        return;
+    }
+    const spell = findSpell(args.join(' '));
+    if (!spell) {
+        showNote('Usage: /prepare <spell>, for example /prepare cure wounds');
+        return;
+    }
+    if (isInCombat) {
+        showNote("You can't change your prepared spells during combat.");
+        return;
+    }
+    const prepared = playerState.preparedSpells || [];
+    if (prepared.some(name => name.toLowerCase() === spell.name.toLowerCase())) {
+        showNote(`${spell.name} is already prepared.`);
+        return;
+    }
+    const blocker = getPrepareBlocker(spell, playerState, characterInfo.characterClass);
+    if (blocker) {
+        showNote(blocker);
+        return;
+    }
+    const limit = getMaxPreparedSpells(characterInfo.characterClass, playerState);
+    if (prepared.length >= limit) {
+        showNote(`You can only prepare ${limit} spells. Use /unprepare to make room.`);
+        return;
+    }
+    gameState.updatePlayerState({ preparedSpells: [...prepared, spell.name] });
+    ui.updatePlayerStateUI(gameState.getState().playerState, characterInfo);
+    showNote(`You prepare ${spell.name} (${prepared.length + 1}/${limit}).`);
+    saveCurrentGame();
+    await initializeChatSession();
+}
+async function runUnprepare(args) {
+    const { playerState, characterInfo } = gameState.getState();
+    const query = args.join(' ').trim().toLowerCase();
+    const prepared = playerState.preparedSpells || [];
+    const spellName = prepared.find(name => name.toLowerCase() === query);
+    if (!spellName) {
+        showNote(query ? `"${args.join(' ')}" isn't one of your prepared spells.` : 'Usage: /unprepare <spell>');
+        return;
+    }
+    gameState.updatePlayerState({ preparedSpells: prepared.filter(name => name !== spellName) });
+    ui.updatePlayerStateUI(gameState.getState().playerState, characterInfo);
+    showNote(`You no longer have ${spellName} prepared.`);
+    saveCurrentGame();
+    await initializeChatSession();
+}
+function runHelp() {
+    const lines = Object.values(COMMANDS).map(command => `- **${escapeHtml(command.usage)}**: ${command.description}`);
+    ui.addMessage('dm', `**Commands**\n${lines.join('\n')}`);
+}
+// --- REGISTRY ---
+const COMMANDS = {
+    roll: {
+        usage: '/roll <dice> [reason]',
+        description: 'Roll any dice expression, such as 3d6+2, 4d6kh3 or d20adv.',
+        run: runRoll,
+        complete: () => ['d20', 'd20adv', '2d6', '4d6kh3', '1d100'],
+    },
+    check: {
+        usage: '/check <skill> [adv|dis]',
+        description: 'Make a skill or ability check.',
+        run: runCheck,
+        complete: () => [...Object.keys(DEFAULT_SKILLS), ...ABILITIES],
+    },
+    save: {
+        usage: '/save <ability> [adv|dis]',
+        description: 'Make a saving throw.',
+        run: runSave,
+        complete: () => Object.keys(ABILITY_ALIASES),
+    },
+    rest: {
+        usage: '/rest short [hit dice]|long',
+        description: 'Take a short rest, spending hit dice to heal, or a long rest to recover fully.',
+        run: runRest,
+        complete: () => ['short', 'long'],
+    },
+    inventory: {
+        usage: '/inventory',
+        description: 'List your items, equipment and money.',
+        run: runInventory,
+        complete: () => [],
+    },
+    equip: {
+        usage: '/equip <item>',
+        description: 'Equip a weapon, armor or shield from your inventory.',
+        run: runEquip,
+        complete: () => (gameState.getState().playerState?.inventory || []).filter(item => (item.weapon || item.armor) && !item.equipped).map(item => item.name),
+    },
+    unequip: {
+        usage: '/unequip <item>',
+        description: 'Take off an equipped weapon, armor or shield.',
+        run: runUnequip,
+        complete: () => (gameState.getState().playerState?.inventory || []).filter(item => item.equipped).map(item => item.name),
+    },
+    attune: {
+        usage: '/attune <item>',
+        description: 'Attune to a magic item so its magic works for you (up to three at once).',
+        run: runAttune,
+        complete: () => (gameState.getState().playerState?.inventory || []).filter(item => item.requiresAttunement && !item.attuned).map(item => item.name),
+    },
+    unattune: {
+        usage: '/unattune <item>',
+        description: 'End your attunement to a magic item.',
+        run: runUnattune,
+        complete: () => (gameState.getState().playerState?.inventory || []).filter(item => item.attuned).map(item => item.name),
+    },
+    prepare: {
+        usage: '/prepare <spell>',
+        description: 'Prepare a spell, if your class prepares its spells.',
+        run: runPrepare,
+        complete: () => gameState.getState().playerState?.spellsKnown || [],
+    },
+    unprepare: {
+        usage: '/unprepare <spell>',
+        description: 'Stop preparing a spell to make room for another.',
+        run: runUnprepare,
+        complete: () => gameState.getState().playerState?.preparedSpells || [],
+    },
+    endturn: {
+        usage: '/endturn',
+        description: 'End your turn in combat.',
+        run: runEndTurn,
+        complete: () => [],
+    },
+    delay: {
+        usage: '/delay',
+        description: 'Delay your turn until after the next creature in the initiative order.',
+        run: runDelay,
+        complete: () => [],
+    },
+    ready: {
+        usage: '/ready <trigger>',
+        description: 'Ready an action for a trigger and end your turn.',
+        run: runReady,
+        complete: () => [],
+    },
+    as: {
+        usage: '/as <character>',
+        description: 'Choose whose actions and rolls the chat input issues: you, a companion or another player.',
+        run: runAs,
+        complete: () => {
+            const { playerState, characterInfo, players } = gameState.getState();
+            const names = [characterInfo?.name, ...players.map(seat => seat.characterInfo.name), ...(playerState?.party || []).map(member => member.name)];
+            return [...new Set(names.filter(Boolean))];
+        },
+    },
+    help: {
+        usage: '/help',
+        description: 'Show this list of commands.',
+        run: runHelp,
+        complete: () => [],
+    },
+};
+// --- PUBLIC API ---
+/**
+ * Checks whether chat input should be handled as a slash command.
+ * @param {string} input The text typed into the chat input.
+ * @returns {boolean} True if the input is a command.
+ */
+export function isCommand(input) {
+    return input.trim().startsWith('/');
+}
+/**
+ * Checks whether an online guest may send a slash command to the host.
+ * @param {string} input The full command text, including the leading slash.
+ * @returns {boolean} True if the command is one guests may use.
+ */
+export function isGuestCommand(input) {
+    const name = input.trim().slice(1).split(/\s+/)[0].toLowerCase();
+    return GUEST_COMMANDS.includes(name);
+}
+/**
+ * Runs a slash command typed into the chat input.
+ * @param {string} input The full command text, including the leading slash.
+ */
+export async function executeCommand(input) {
+    const [name, ...args] = input.trim().slice(1).split(/\s+/);
+    const command = COMMANDS[name?.toLowerCase()];
+    if (!command) {
+        showNote(`Unknown command "/${name}". Type /help to see the available commands.`);
+        return;
+    }
+    if (!gameState.getState().playerState && command.run !== runHelp) {
+        showNote('Start or load an adventure before using commands.');
+        return;
+    }
+    try {
+        await command.run(args);
+    }
+    catch (error) {
+        console.error(`Command /${name} failed:`, error);
+        ui.addMessage('error', `The /${name} command failed. Error: ${error.message}`);
+    }
+}
+/**
+ * Returns autocomplete suggestions for partially typed command input.
+ * @param {string} input The current chat input.
+ * @returns {{value: string, label: string, description: string}[]} Suggestions, where `value` is the full replacement input.
+ */
+export function getCommandSuggestions(input) {
+    if (!isCommand(input))
+        return [];
+    const text = input.trimStart().slice(1);
+    const spaceIndex = text.indexOf(' ');
+    if (spaceIndex === -1) {
+        const partial = text.toLowerCase();
+        return Object.entries(COMMANDS)
+            .filter(([name]) => name.startsWith(partial))
+            .map(([name, command]) => ({ value: `/${name} `, label: command.usage, description: command.description }));
+    }
+    const command = COMMANDS[text.slice(0, spaceIndex).toLowerCase()];
+    if (!command)
+        return [];
+    const argText = text.slice(spaceIndex + 1).toLowerCase();
+    return command.complete()
+        .filter(option => option.toLowerCase().startsWith(argText) && option.toLowerCase() !== argText)
+        .slice(0, 8)
+        .map(option => ({ value: `/${text.slice(0, spaceIndex)} ${option}`, label: option, description: '' }));
+}
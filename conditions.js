@@ -0,0 +1,285 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as dataManager from './data-manager.js';
+import { hoursToTurns } from './rpg-helpers.js';
+// This module holds the rules for conditions: how long they last, what they do to the rolls made
+// by and against the creature they affect, and the player's concentration on a spell. Conditions
+// are stored on the player as plain objects, and every function here returns updated copies,
+// leaving it to the caller to store them.
+// --- CONSTANTS ---
+const FAILS_STRENGTH_AND_DEXTERITY_SAVES = { strength: 'FAIL', dexterity: 'FAIL' };
+/**
+ * The mechanical effects of the SRD conditions, keyed by lowercase name. `attack` applies to the
+ * creature's own attack rolls, `attacked` to attack rolls against it, `check` to its ability
+ * checks and `saves` to its saving throws by ability. Range-dependent details (a prone creature
+ * is only easier to hit up close) and checks that need sight or hearing are left to the storyteller.
+ */
+const CONDITION_EFFECTS = {
+    blinded: { attack: 'DISADVANTAGE', attacked: 'ADVANTAGE' },
+    frightened: { attack: 'DISADVANTAGE', check: 'DISADVANTAGE' },
+    grappled: { speedFactor: 0 },
+    incapacitated: { incapacitated: true },
+    invisible: { attack: 'ADVANTAGE', attacked: 'DISADVANTAGE' },
+    paralyzed: { incapacitated: true, speedFactor: 0, attacked: 'ADVANTAGE', saves: FAILS_STRENGTH_AND_DEXTERITY_SAVES },
+    petrified: { incapacitated: true, speedFactor: 0, attacked: 'ADVANTAGE', saves: FAILS_STRENGTH_AND_DEXTERITY_SAVES },
+    poisoned: { attack: 'DISADVANTAGE', check: 'DISADVANTAGE' },
+    prone: { attack: 'DISADVANTAGE', attacked: 'ADVANTAGE' },
+    restrained: { speedFactor: 0, attack: 'DISADVANTAGE', attacked: 'ADVANTAGE', saves: { dexterity: 'DISADVANTAGE' } },
+    stunned: { incapacitated: true, speedFactor: 0, attacked: 'ADVANTAGE', saves: FAILS_STRENGTH_AND_DEXTERITY_SAVES },
+    unconscious: { incapacitated: true, speedFactor: 0, attacked: 'ADVANTAGE', saves: FAILS_STRENGTH_AND_DEXTERITY_SAVES },
+};
+const ABILITIES = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+const DURATION_PATTERN = /(\d+)\s*(round|minute|hour|day|turn)s?/i;
+// --- HELPERS ---
+/**
+ * Works out the effects of exhaustion, which grow with its level.
+ * @param {number} level The exhaustion level, from 1 to 6.
+ * @returns {any} The effects, in the same shape as `CONDITION_EFFECTS`.
+ */
+function getExhaustionEffects(level) {
+    const effects = { check: 'DISADVANTAGE' };
+    if (level >= 2)
+        effects.speedFactor = 0.5;
+    if (level >= 3) {
+        effects.attack = 'DISADVANTAGE';
+        effects.saves = Object.fromEntries(ABILITIES.map(ability => [ability, 'DISADVANTAGE']));
+    }
+    if (level >= 5)
+        effects.speedFactor = 0;
+    return effects;
+}
+/**
+ * Looks up the effects of a condition.
+ * @param {any} condition The condition.
+ * @returns {any} Its effects, empty for conditions without any the game applies.
+ */
+function getEffects(condition) {
+    const key = String(condition.name || '').trim().toLowerCase();
+    if (key === 'exhaustion')
+        return getExhaustionEffects(Number(condition.level) || 1);
+    return CONDITION_EFFECTS[key] || {};
+}
+/**
+ * Compares two names, ignoring case and stray whitespace.
+ * @param {string} a The first name.
+ * @param {string} b The second name.
+ * @returns {boolean} True if they are the same.
+ */
+function isSameName(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+/**
+ * Reads how long something lasts from an action payload or a spell's duration text.
+ * @param {any} source The payload (with `rounds`, `minutes`, `hours` or `turns`) or a duration string.
+ * @returns {{amount: number, unit: string} | null} The duration, or null if it has no timed one.
+ */
+function readDuration(source) {
+    if (source && typeof source === 'object') {
+        for (const unit of ['round', 'minute', 'hour', 'day', 'turn']) {
+            const amount = Number(source[`${unit}s`]);
+            if (amount > 0)
+                return { amount, unit };
+        }
+        // Saves written by the character generator give a bare number of turns.
+        if (typeof source.duration === 'number' && source.duration > 0)
+            return { amount: source.duration, unit: 'turn' };
+        return readDuration(source.duration);
+    }
+    const timed = String(source || '').match(DURATION_PATTERN);
+    return timed ? { amount: Number(timed[1]), unit: timed[2].toLowerCase() } : null;
+}
+/**
+ * Works out when a duration runs out. Everything is counted in player turns; in combat, durations
+ * given in rounds or minutes are also counted in rounds.
+ * @param {{amount: number, unit: string} | null} duration The duration.
+ * @param {{turnCount: number, combatRound: number, isInCombat: boolean}} clock The current time.
+ * @returns {{duration: string | null, expiresAtTurn: number | null, expiresAtRound: number | null}} A readable
+ *   duration and the last turn and round it lasts through.
+ */
+function scheduleExpiry(duration, clock) {
+    if (!duration)
+        return { duration: null, expiresAtTurn: null, expiresAtRound: null };
+    const { amount, unit } = duration;
+    const hours = { round: amount / 600, minute: amount / 60, hour: amount, day: amount * 24 }[unit];
+    const rounds = { round: amount, minute: amount * 10 }[unit];
+    return {
+        duration: `${amount} ${unit}${amount === 1 ? '' : 's'}`,
+        expiresAtTurn: (clock.turnCount || 0) + (unit === 'turn' ? amount : hoursToTurns(hours)),
+        expiresAtRound: clock.isInCombat && rounds !== undefined ? clock.combatRound + rounds : null,
+    };
+}
+/**
+ * Checks whether a timed condition or concentration has run out. A fight lasts only a few minutes,
+ * so during one only durations counted in rounds run out; the rest wait until it is over.
+ * @param {{expiresAtTurn?: number | null, expiresAtRound?: number | null}} timed The condition or concentration.
+ * @param {{turnCount: number, combatRound: number, isInCombat: boolean}} clock The current time.
+ * @returns {boolean} True if it has expired.
+ */
+function hasExpired(timed, clock) {
+    if (clock.isInCombat)
+        return typeof timed.expiresAtRound === 'number' && clock.combatRound > timed.expiresAtRound;
+    return typeof timed.expiresAtTurn === 'number' && (clock.turnCount || 0) > timed.expiresAtTurn;
+}
+/**
+ * Picks the roll to make from a set of advantage and disadvantage sources. Any number of either
+ * cancel each other out.
+ * @param {string[]} sources 'ADVANTAGE', 'DISADVANTAGE' or 'NONE' from each source.
+ * @returns {'ADVANTAGE' | 'DISADVANTAGE' | 'NONE'} The roll to make.
+ */
+function combineRollModifiers(sources) {
+    const hasAdvantage = sources.includes('ADVANTAGE');
+    const hasDisadvantage = sources.includes('DISADVANTAGE');
+    if (hasAdvantage === hasDisadvantage)
+        return 'NONE';
+    return hasAdvantage ? 'ADVANTAGE' : 'DISADVANTAGE';
+}
+// --- PUBLIC API ---
+/**
+ * Builds a condition from an APPLY_CONDITION payload. SRD conditions get their standard name,
+ * and the duration is turned into the turn (and, in combat, round) it lasts through. Other fields
+ * of the payload, such as `source`, `sourceSpell`, `concentration` or damage resistances, are kept.
+ * @param {any} payload The action's payload.
+ * @param {{turnCount: number, combatRound: number, isInCombat: boolean}} clock The current time.
+ * @returns {any} The condition to store.
+ */
+export function createCondition(payload, clock) {
+    const name = dataManager.getCondition(payload.name)?.name || String(payload.name).trim();
+    const expiry = scheduleExpiry(readDuration(payload), clock);
+    return {
+        ...payload,
+        name,
+        duration: expiry.duration || (typeof payload.duration === 'string' ? payload.duration : null),
+        expiresAtTurn: expiry.expiresAtTurn,
+        expiresAtRound: expiry.expiresAtRound,
+    };
+}
+/**
+ * Adds a condition to a list, replacing any earlier copy of it.
+ * @param {any[] | undefined} conditions The current conditions.
+ * @param {any} condition The condition to add.
+ * @returns {any[]} The updated list.
+ */
+export function addCondition(conditions, condition) {
+    return [...removeCondition(conditions, condition.name), condition];
+}
+/**
+ * Removes a condition from a list by name.
+ * @param {any[] | undefined} conditions The current conditions.
+ * @param {string} name The condition to remove.
+ * @returns {any[]} The updated list.
+ */
+export function removeCondition(conditions, name) {
+    return (conditions || []).filter(c => !isSameName(c.name, name));
+}
+/**
+ * Ends the player's conditions and concentration that have run out, along with any conditions
+ * that were kept up by the spell they stopped concentrating on.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {{turnCount: number, combatRound: number, isInCombat: boolean}} clock The current time.
+ * @returns {{update: {conditions: any[], concentration: any} | null, ended: string[]}} The state changes to
+ *   apply, or null if nothing ended, and the names of what ended.
+ */
+export function expireConditions(playerState, clock) {
+    const concentration = playerState.concentration && hasExpired(playerState.concentration, clock) ? null : playerState.concentration || null;
+    const lostSpell = playerState.concentration && !concentration ? playerState.concentration.spell : null;
+    const conditions = playerState.conditions || [];
+    const remaining = conditions.filter(c => !hasExpired(c, clock) && !(lostSpell && c.sourceSpell && isSameName(c.sourceSpell, lostSpell)));
+    const ended = [...(lostSpell ? [lostSpell] : []), ...conditions.filter(c => !remaining.includes(c)).map(c => c.name)];
+    return { update: ended.length > 0 ? { conditions: remaining, concentration } : null, ended };
+}
+/**
+ * Ends conditions held up by a creature's concentration when that creature is defeated.
+ * @param {any[] | undefined} conditions The current conditions.
+ * @param {string} sourceName The defeated creature.
+ * @returns {any[]} The conditions that remain.
+ */
+export function endConditionsFromSource(conditions, sourceName) {
+    return (conditions || []).filter(c => !(c.concentration && c.source && isSameName(c.source, sourceName)));
+}
+/**
+ * Works out whether a roll is made with advantage or disadvantage once the player's conditions are
+ * taken into account, and whether it fails automatically.
+ * @param {any[] | undefined} conditions The player's conditions.
+ * @param {'attack' | 'attacked' | 'check' | 'save'} rollType The player's attack, an attack against the player, an ability check or a saving throw.
+ * @param {string} [requested] The advantage or disadvantage the storyteller asked for.
+ * @param {string} [ability] For saving throws, the ability being saved with.
+ * @param {string[]} [otherSources] Advantage or disadvantage from anything besides conditions, such as a heavy load.
+ * @returns {{rollModifier: 'ADVANTAGE' | 'DISADVANTAGE' | 'NONE', autoFail: string | null}} The roll to make, and the
+ *   condition that makes it fail outright, if any.
+ */
+export function getConditionRollModifier(conditions, rollType, requested = 'NONE', ability = null, otherSources = []) {
+    const sources = [requested || 'NONE', ...otherSources];
+    let autoFail = null;
+    for (const condition of conditions || []) {
+        const effects = getEffects(condition);
+        const effect = rollType === 'save' ? effects.saves?.[ability] : effects[rollType];
+        if (!effect)
+            continue;
+        if (effect === 'FAIL')
+            autoFail = autoFail || condition.name;
+        else
+            sources.push(effect);
+    }
+    return { rollModifier: combineRollModifiers(sources), autoFail };
+}
+/**
+ * Finds a condition that stops the player from taking actions.
+ * @param {any[] | undefined} conditions The player's conditions.
+ * @returns {string | null} The condition's name, or null if the player can act.
+ */
+export function getIncapacitatingCondition(conditions) {
+    return (conditions || []).find(c => getEffects(c).incapacitated)?.name || null;
+}
+/**
+ * Works out the player's walking speed once conditions that slow them or hold them in place are applied.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {number} [baseSpeed] The speed before conditions, if something else has already changed it.
+ * @returns {number} The speed in feet.
+ */
+export function getEffectiveSpeed(playerState, baseSpeed = playerState.speed) {
+    const factor = Math.min(1, ...(playerState.conditions || []).map(c => getEffects(c).speedFactor ?? 1));
+    return Math.floor(baseSpeed * factor);
+}
+/**
+ * Checks whether a spell needs concentration.
+ * @param {any} spell The spell's SRD data.
+ * @returns {boolean} True for concentration spells.
+ */
+export function isConcentrationSpell(spell) {
+    return /concentration/i.test(String(spell?.duration || ''));
+}
+/**
+ * Starts the player concentrating on a spell, which ends any spell they were concentrating on before.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {any} spell The spell's SRD data.
+ * @param {{turnCount: number, combatRound: number, isInCombat: boolean}} clock The current time.
+ * @returns {{update: {conditions: any[], concentration: any}, ended: string | null}} The state changes to apply,
+ *   and the spell the player stopped concentrating on, if any.
+ */
+export function startConcentration(playerState, spell, clock) {
+    const previous = playerState.concentration?.spell || null;
+    const { update } = endConcentration(playerState);
+    const expiry = scheduleExpiry(readDuration(spell.duration), clock);
+    return { update: { ...update, concentration: { spell: spell.name, ...expiry } }, ended: previous };
+}
+/**
+ * Ends the player's concentration and the conditions their spell was keeping up.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {{update: {conditions: any[], concentration: null}, ended: string | null}} The state changes to apply,
+ *   and the spell that ended, if any.
+ */
+export function endConcentration(playerState) {
+    const spell = playerState.concentration?.spell || null;
+    const conditions = (playerState.conditions || []).filter(c => !(spell && c.sourceSpell && isSameName(c.sourceSpell, spell)));
+    return { update: { conditions, concentration: null }, ended: spell };
+}
+/**
+ * Returns the DC of the Constitution save to keep concentrating after taking damage.
+ * @param {number} damage The damage taken.
+ * @returns {number} Half the damage, and at least 10.
+ */
+export function getConcentrationDc(damage) {
+    return Math.max(10, Math.floor(damage / 2));
+}
@@ -14,16 +14,46 @@ export const AI_TEXT_MODELS = ['gemini-2.5-flash', 'gemma-3-27b-it', 'gemini-2.5
  * The application will try them in order if the previous one fails.
  */
 export const AI_EMBEDDING_MODELS = ['text-embedding-004'];
-/** The key used for storing save game data in localStorage. */
+/** The legacy localStorage key for save game data. Saves now live in IndexedDB and are migrated from this key on startup. */
 export const SAVE_GAME_KEY = 'unfettered-storyteller-saves';
+/** Identifies a portable save file produced by the export feature. */
+export const SAVE_EXPORT_FORMAT = 'unfettered-storyteller-save';
+/** The current version of the portable save file format. Older files are upgraded on import. */
+export const SAVE_EXPORT_VERSION = 1;
+/** The current schema version of a save slot. Older slots are upgraded by `save-migrations.js` when loaded or imported. */
+export const SAVE_SCHEMA_VERSION = 17;
+/** The number of autosave snapshots kept per character for rewinding to earlier turns. */
+export const AUTOSAVE_SNAPSHOT_LIMIT = 20;
+/** The number of dice rolls kept in a save's roll log. */
+export const DICE_LOG_LIMIT = 500;
 /** A legacy key used for storing the API key in localStorage (for backward compatibility). */
 export const API_KEY_STORAGE_KEY = 'unfettered-storyteller-api-key';
 /** The primary key for storing all provider settings (provider type, API key, local URL) in localStorage. */
 export const PROVIDER_SETTINGS_KEY = 'unfettered-storyteller-provider-settings';
+/** The localStorage key for the address of the relay server last used for online play. */
+export const RELAY_URL_STORAGE_KEY = 'unfettered-storyteller-relay-url';
+/** The relay server offered for online play until another is used; `npm run relay` listens here. */
+export const DEFAULT_RELAY_URL = 'ws://localhost:8787';
+/** The longest name a player can join an online game with. The relay refuses longer names. */
+export const MAX_ONLINE_NAME_LENGTH = 40;
+/** The armor class used for enemies that have neither a statblock nor an AC from the storyteller. */
+export const DEFAULT_ENEMY_AC = 12;
+/** The d20 result a dying character needs on a death saving throw to count it as a success. */
+export const DEATH_SAVE_DC = 10;
+/** The DC of the Wisdom (Medicine) check to stabilize a dying creature. */
+export const STABILIZE_DC = 10;
+/** The highest level a character can reach. */
+export const MAX_LEVEL = 20;
+/** The most magic items a character can be attuned to at once. */
+export const MAX_ATTUNED_ITEMS = 3;
 /** The base probability of conception after a relevant in-game event. */
 export const PREGNANCY_CHANCE = 0.20; // 20% chance
 /** The number of player actions that are considered equivalent to one in-game day for tracking time-based effects. */
 export const TURNS_PER_DAY = 8;
+/** How many in-game hours a short rest takes. */
+export const SHORT_REST_HOURS = 1;
+/** How many in-game hours a long rest takes. */
+export const LONG_REST_HOURS = 8;
 // --- CONSTANTS ---
 /**
  * Regex to parse a structured game action from the AI's response.
@@ -32,17 +62,24 @@ export const TURNS_PER_DAY = 8;
  */
 export const GAME_ACTION_REGEX = /\[GAME_ACTION\|(.*?)\|(.*?)\]/g;
 /**
- * Regex to parse a dice roll request tag from the AI's response.
- * Captures: [ROLL|SKILL_or_ABILITY|DESCRIPTION|MODIFIER?]
- * Example: [ROLL|Stealth|Sneak past the guard|ADVANTAGE]
+ * Regex to parse a dice roll request tag from the AI's response. SKILL_or_ABILITY names a
+ * saving throw when written as "<Ability> Save" (e.g. "Dexterity Save").
+ * Captures: [ROLL|SKILL_or_ABILITY|DESCRIPTION|MODIFIER?|DC?]
+ * Example: [ROLL|Stealth|Sneak past the guard|ADVANTAGE|DC 15]
  */
-export const DICE_ROLL_REGEX = /\[ROLL\|([^|\]]+)\|([^|\]]*)(?:\|(ADVANTAGE|DISADVANTAGE|NONE))?\|?\]/g;
+export const DICE_ROLL_REGEX = /\[ROLL\|([^|\]]+)\|([^|\]]*)(?:\|(ADVANTAGE|DISADVANTAGE|NONE)?)?(?:\|\s*(?:DC\s*)?(\d+))?\|?\]/g;
 /**
  * Regex to parse an attack roll request tag from the AI's response.
  * Captures: [ATTACK|WEAPON_NAME|TARGET_DESCRIPTION|MODIFIER?]
  * Example: [ATTACK|Longsword|the goblin|NONE]
  */
 export const ATTACK_ROLL_REGEX = /\[ATTACK\|([^|\]]+)\|([^|\]]*)(?:\|(ADVANTAGE|DISADVANTAGE|NONE))?\|?\]/g;
+/**
+ * Regex to parse a spell casting request tag from the AI's response.
+ * Captures: [CAST_SPELL|SPELL_NAME|TARGET_DESCRIPTION|SLOT_LEVEL?]
+ * Example: [CAST_SPELL|Fire Bolt|the goblin]
+ */
+export const CAST_SPELL_REGEX = /\[CAST_SPELL\|([^|\]]+)\|([^|\]]*)(?:\|(\d))?\|?\]/g;
 /**
  * Regex to parse a tag indicating a specific mature-content event.
  * Captures: [PIV_SEX|Male_Name|Female_Name]
@@ -0,0 +1,171 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+// This module looks after the coins in `playerState.money`, a purse holding the five SRD
+// denominations: `{ cp, sp, ep, gp, pp }`. Prices and rewards are worked out in copper pieces.
+// Paying takes coins from the purse smallest first and breaks a larger coin when it must, taking
+// the change back the way a merchant gives it. Every function returns new purses, leaving it to
+// the caller to store them.
+// --- CONSTANTS ---
+/** What one of each coin is worth in copper pieces. */
+export const COIN_VALUES = { cp: 1, sp: 10, ep: 50, gp: 100, pp: 1000 };
+/** The coins, smallest first. */
+const COINS = ['cp', 'sp', 'ep', 'gp', 'pp'];
+/** The coins merchants give change in, largest first. Nobody hands out electrum or platinum as change. */
+const CHANGE_COINS = ['gp', 'sp', 'cp'];
+/** Words for each coin, as older saves and the storyteller write them. */
+const COIN_NAMES = {
+    copper: 'cp', silver: 'sp', electrum: 'ep', gold: 'gp', platinum: 'pp',
+    c: 'cp', s: 'sp', e: 'ep', g: 'gp', p: 'pp',
+};
+// --- HELPERS ---
+/**
+ * Finds the coin a word names, such as "gp", "gold" or "Silver Pieces".
+ * @param {string} word The word.
+ * @returns {string | null} The coin's key, or null if the word doesn't name a coin.
+ */
+function findCoin(word) {
+    const lowerWord = String(word || '').toLowerCase().trim();
+    if (COIN_VALUES[lowerWord])
+        return lowerWord;
+    const firstWord = lowerWord.split(/\s+/)[0];
+    return COIN_NAMES[firstWord] || null;
+}
+/**
+ * Creates a purse with no coins.
+ * @returns {Record<string, number>} The empty purse.
+ */
+function createEmptyPurse() {
+    return { cp: 0, sp: 0, ep: 0, gp: 0, pp: 0 };
+}
+/**
+ * Checks whether a value is an object of coins, such as `{ gp: 5, sp: 3 }`.
+ * @param {any} value The value.
+ * @returns {boolean} True if it holds at least one coin key.
+ */
+function isCoinObject(value) {
+    return !!value && typeof value === 'object' && COINS.some(coin => coin in value);
+}
+// --- PUBLIC API ---
+/**
+ * Reads an amount of money as copper pieces. Numbers are gold pieces; text may list several coins,
+ * as in "2 gp 5 sp"; objects may be coins (`{ gp: 2, sp: 5 }`) or an older save's
+ * `{ amount, currency }`.
+ * @param {any} value The money.
+ * @returns {number | null} The amount in copper pieces, or null if it can't be read.
+ */
+export function toCopper(value) {
+    if (typeof value === 'number')
+        return Number.isFinite(value) ? Math.round(value * COIN_VALUES.gp) : null;
+    if (typeof value === 'string') {
+        const matches = [...value.matchAll(/(-?\d+(?:\.\d+)?)\s*([a-z]+)?/gi)];
+        if (matches.length === 0)
+            return null;
+        return Math.round(matches.reduce((total, match) => total + parseFloat(match[1]) * COIN_VALUES[findCoin(match[2]) || 'gp'], 0));
+    }
+    if (isCoinObject(value))
+        return COINS.reduce((total, coin) => total + Math.floor(Number(value[coin]) || 0) * COIN_VALUES[coin], 0);
+    if (value && typeof value === 'object' && 'amount' in value)
+        return toCopper(`${Number(value.amount) || 0} ${value.currency || 'gp'}`);
+    return null;
+}
+/**
+ * Counts out an amount in the fewest coins a merchant would hand over.
+ * @param {number} copper The amount in copper pieces.
+ * @returns {Record<string, number>} The coins.
+ */
+export function makeChange(copper) {
+    const purse = createEmptyPurse();
+    let remaining = Math.max(0, Math.floor(copper));
+    CHANGE_COINS.forEach(coin => {
+        purse[coin] = Math.floor(remaining / COIN_VALUES[coin]);
+        remaining -= purse[coin] * COIN_VALUES[coin];
+    });
+    return purse;
+}
+/**
+ * Builds a purse from whatever a save or the storyteller holds: a purse, some of its coins, an
+ * older save's `{ amount, currency }`, a number of gold pieces or text such as "15 gp".
+ * @param {any} money The money.
+ * @returns {Record<string, number>} The purse.
+ */
+export function createPurse(money) {
+    if (isCoinObject(money)) {
+        const purse = createEmptyPurse();
+        COINS.forEach(coin => { purse[coin] = Math.max(0, Math.floor(Number(money[coin]) || 0)); });
+        return purse;
+    }
+    if (money && typeof money === 'object' && 'amount' in money) {
+        const coin = findCoin(money.currency) || 'gp';
+        return { ...createEmptyPurse(), [coin]: Math.max(0, Math.floor(Number(money.amount) || 0)) };
+    }
+    return makeChange(toCopper(money) || 0);
+}
+/**
+ * Adds up what a purse is worth.
+ * @param {any} purse The purse.
+ * @returns {number} Its value in copper pieces.
+ */
+export function getPurseValue(purse) {
+    return toCopper(createPurse(purse)) || 0;
+}
+/**
+ * Adds money to a purse. Coins given by kind keep their kind, so found electrum stays electrum;
+ * amounts given as a number or text arrive as gold, silver and copper.
+ * @param {any} purse The purse.
+ * @param {any} money The money to add.
+ * @returns {Record<string, number>} The new purse.
+ */
+export function addMoney(purse, money) {
+    const added = isCoinObject(money) ? createPurse(money) : makeChange(toCopper(money) || 0);
+    const current = createPurse(purse);
+    COINS.forEach(coin => { current[coin] += added[coin]; });
+    return current;
+}
+/**
+ * Pays an amount from a purse. Coins go smallest first; if they don't come to the exact amount, the
+ * smallest coin that covers the rest is broken and the change comes back in gold, silver and copper.
+ * @param {any} purse The purse.
+ * @param {number} copper The amount to pay, in copper pieces.
+ * @returns {{purse: Record<string, number> | null, error: string | null}} The new purse, or null with
+ *   the reason the purse can't pay.
+ */
+export function spendMoney(purse, copper) {
+    const cost = Math.max(0, Math.round(copper));
+    const current = createPurse(purse);
+    if (getPurseValue(current) < cost)
+        return { purse: null, error: `That costs ${formatPrice(cost)}, but you only have ${formatMoney(current)}.` };
+    let remaining = cost;
+    COINS.forEach(coin => {
+        const used = Math.min(current[coin], Math.floor(remaining / COIN_VALUES[coin]));
+        current[coin] -= used;
+        remaining -= used * COIN_VALUES[coin];
+    });
+    if (remaining > 0) {
+        // Every coin left is worth more than what's still owed, so one is enough.
+        const brokenCoin = COINS.find(coin => current[coin] > 0);
+        current[brokenCoin] -= 1;
+        const change = makeChange(COIN_VALUES[brokenCoin] - remaining);
+        COINS.forEach(coin => { current[coin] += change[coin]; });
+    }
+    return { purse: current, error: null };
+}
+/**
+ * Describes the coins in a purse, largest first.
+ * @param {any} purse The purse.
+ * @returns {string} The description, e.g. "12 gp, 5 sp", or "no money".
+ */
+export function formatMoney(purse) {
+    const current = createPurse(purse);
+    const parts = [...COINS].reverse().filter(coin => current[coin] > 0).map(coin => `${current[coin]} ${coin}`);
+    return parts.length > 0 ? parts.join(', ') : 'no money';
+}
+/**
+ * Describes a price in the coins a merchant would ask for.
+ * @param {number} copper The price in copper pieces.
+ * @returns {string} The price, e.g. "1 gp, 5 sp", or "free".
+ */
+export function formatPrice(copper) {
+    return copper > 0 ? formatMoney(makeChange(copper)) : 'free';
+}
@@ -0,0 +1,68 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCopper, makeChange, createPurse, getPurseValue, addMoney, spendMoney, formatMoney, formatPrice } from './currency.js';
+// These tests check the coin rules: converting between denominations, paying from a purse and the
+// change merchants give. Run them with `npm test`.
+// --- CONVERTING ---
+test('reads numbers as gold pieces', () => {
+    assert.equal(toCopper(2), 200);
+    assert.equal(toCopper(2.5), 250);
+    assert.equal(toCopper(Number.NaN), null);
+});
+test('reads text listing one or more coins', () => {
+    assert.equal(toCopper('15 gp'), 1500);
+    assert.equal(toCopper('2 gp 5 sp'), 250);
+    assert.equal(toCopper('3 silver pieces'), 30);
+    assert.equal(toCopper('1 pp, 1 ep'), 1050);
+    assert.equal(toCopper('7'), 700);
+    assert.equal(toCopper('a fair price'), null);
+});
+test('reads coin objects and the amount and currency of older saves', () => {
+    assert.equal(toCopper({ gp: 1, sp: 2, cp: 3 }), 123);
+    assert.equal(toCopper({ amount: 3, currency: 'Silver' }), 30);
+    assert.equal(toCopper(null), null);
+});
+test('makes change in the fewest gold, silver and copper pieces', () => {
+    assert.deepEqual(makeChange(1234), { cp: 4, sp: 3, ep: 0, gp: 12, pp: 0 });
+    assert.deepEqual(makeChange(-5), { cp: 0, sp: 0, ep: 0, gp: 0, pp: 0 });
+});
+test('builds a purse from coins, an older save or an amount', () => {
+    assert.deepEqual(createPurse({ ep: 2, gp: 1.9, pp: -1 }), { cp: 0, sp: 0, ep: 2, gp: 1, pp: 0 });
+    assert.deepEqual(createPurse({ amount: 40, currency: 'copper' }), { cp: 40, sp: 0, ep: 0, gp: 0, pp: 0 });
+    assert.deepEqual(createPurse({ amount: 40, currency: 'shells' }), { cp: 0, sp: 0, ep: 0, gp: 40, pp: 0 });
+    assert.deepEqual(createPurse('1 gp 5 sp'), { cp: 0, sp: 5, ep: 0, gp: 1, pp: 0 });
+    assert.equal(getPurseValue({ cp: 1, sp: 1, ep: 1, gp: 1, pp: 1 }), 1161);
+});
+// --- ADDING AND PAYING ---
+test('keeps found coins in their own denomination', () => {
+    assert.deepEqual(addMoney({ ep: 1 }, { ep: 2, pp: 1 }), { cp: 0, sp: 0, ep: 3, gp: 0, pp: 1 });
+});
+test('adds an amount as gold, silver and copper', () => {
+    assert.deepEqual(addMoney({ gp: 1 }, '3.25'), { cp: 5, sp: 2, ep: 0, gp: 4, pp: 0 });
+    assert.deepEqual(addMoney({ gp: 1 }, 'nothing'), { cp: 0, sp: 0, ep: 0, gp: 1, pp: 0 });
+});
+test('pays with the smallest coins first when they cover the price exactly', () => {
+    assert.deepEqual(spendMoney({ cp: 5, sp: 3, gp: 2 }, 35).purse, { cp: 0, sp: 0, ep: 0, gp: 2, pp: 0 });
+});
+test('breaks a larger coin and takes the change in gold, silver and copper', () => {
+    assert.deepEqual(spendMoney({ gp: 1 }, 15).purse, { cp: 5, sp: 8, ep: 0, gp: 0, pp: 0 });
+    const { purse } = spendMoney({ cp: 3, sp: 2, gp: 1, pp: 1 }, 125);
+    assert.deepEqual(purse, { cp: 8, sp: 9, ep: 0, gp: 9, pp: 0 });
+    assert.equal(getPurseValue(purse), 1123 - 125);
+});
+test('refuses to pay more than the purse holds', () => {
+    assert.deepEqual(spendMoney({ sp: 1 }, 20), { purse: null, error: 'That costs 2 sp, but you only have 1 sp.' });
+});
+// --- DESCRIBING ---
+test('describes a purse largest coin first', () => {
+    assert.equal(formatMoney({ cp: 3, gp: 12, pp: 1 }), '1 pp, 12 gp, 3 cp');
+    assert.equal(formatMoney({}), 'no money');
+});
+test('describes a price in the coins a merchant would ask for', () => {
+    assert.equal(formatPrice(150), '1 gp, 5 sp');
+    assert.equal(formatPrice(0), 'free');
+});
@@ -14,6 +14,9 @@ let armor = {}; // Store as object for easier lookup by name
 let spells = new Map();
 let spellLists = new Map();
 let feats = [];
+let conditions = new Map();
+let monsters = {}; // Store as object for easier lookup by name
+let magicItems = {}; // Store as object for easier lookup by name
 // --- HELPERS ---
 /**
  * Parses the 'Ability Score Increase' trait description to extract bonuses.
@@ -37,6 +40,58 @@ function parseAbilityBonusString(desc) {
     }
     return bonuses;
 }
+/** Experience points awarded for defeating a monster of each challenge rating. */
+const CR_XP_VALUES = {
+    '0': 10, '1/8': 25, '1/4': 50, '1/2': 100, '1': 200, '2': 450, '3': 700, '4': 1100, '5': 1800,
+    '6': 2300, '7': 2900, '8': 3900, '9': 5000, '10': 5900, '11': 7200, '12': 8400, '13': 10000,
+    '14': 11500, '15': 13000, '16': 15000, '17': 18000, '18': 20000, '19': 22000, '20': 25000,
+    '21': 33000, '22': 41000, '23': 50000, '24': 62000, '25': 75000, '26': 90000, '27': 105000,
+    '28': 120000, '29': 135000, '30': 155000,
+};
+/**
+ * Extracts the attack bonus and damage from a statblock action.
+ * Uses the structured fields when present and falls back to parsing the action text,
+ * e.g. "Melee Weapon Attack: +4 to hit, ... Hit: 5 (1d6 + 2) slashing damage."
+ * @param action The action object from the monster data.
+ * @returns The parsed attack, or null if the action is not an attack.
+ */
+function parseMonsterAttack(action) {
+    const desc = action.desc || '';
+    const toHitMatch = desc.match(/([+-]\s?\d+)\s+to hit/i);
+    const attackBonus = typeof action.attack_bonus === 'number' ? action.attack_bonus : (toHitMatch ? parseInt(toHitMatch[1].replace(/\s/g, ''), 10) : null);
+    if (attackBonus === null)
+        return null;
+    const damageMatch = desc.match(/Hit:\s*\d+\s*\((\d+d\d+)(?:\s*([+-])\s*(\d+))?\)\s*(\w+)?\s*damage/i);
+    const damageDice = action.damage_dice || damageMatch?.[1] || '1';
+    let damageBonus = typeof action.damage_bonus === 'number' ? action.damage_bonus : 0;
+    if (typeof action.damage_bonus !== 'number' && damageMatch?.[3]) {
+        damageBonus = parseInt(damageMatch[3], 10) * (damageMatch[2] === '-' ? -1 : 1);
+    }
+    return {
+        name: action.name,
+        attackBonus,
+        damageDice,
+        damageBonus,
+        damageType: damageMatch?.[4]?.toLowerCase() || null,
+    };
+}
+/**
+ * Pre-calculates the combat numbers the game loop needs from a monster statblock.
+ * @param monster The raw monster data object.
+ */
+function processMonster(monster) {
+    const abilities = ['strength', 'dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma'];
+    monster.parsed_saves = {};
+    abilities.forEach(ability => {
+        const save = monster[`${ability}_save`];
+        monster.parsed_saves[ability] = typeof save === 'number' ? save : Math.floor(((monster[ability] || 10) - 10) / 2);
+    });
+    monster.parsed_attacks = (monster.actions || []).map(parseMonsterAttack).filter(Boolean);
+    const armorClass = Array.isArray(monster.armor_class) ? monster.armor_class[0]?.value : monster.armor_class;
+    monster.parsed_ac = typeof armorClass === 'number' ? armorClass : (parseInt(armorClass, 10) || 10);
+    monster.parsed_cr = String(monster.challenge_rating ?? monster.cr ?? '0');
+    monster.parsed_xp = CR_XP_VALUES[monster.parsed_cr] ?? 0;
+}
 // --- PUBLIC GETTERS ---
 export const getRaces = () => races;
 export const getClasses = () => classes;
@@ -44,8 +99,10 @@ export const getBackgrounds = () => backgrounds;
 export const getWeapons = () => weapons;
 export const getArmor = () => armor;
 export const getFeats = () => feats;
+export const getMonsters = () => monsters;
 export const getSpell = (slug) => spells.get(slug);
 export const getSpellList = (className) => spellLists.get(className.toLowerCase());
+export const getCondition = (name) => conditions.get(String(name || '').trim().toLowerCase());
 /**
  * Finds and returns the data for a specific class by its name.
  * @param className The name of the class to find (e.g., "Rogue").
@@ -56,6 +113,42 @@ export function getClass(className) {
         return undefined;
     return classes.find(c => c.name.toLowerCase() === className.toLowerCase());
 }
+/**
+ * Finds the statblock that best matches a creature name. Exact matches win; otherwise
+ * the longest monster name contained in the given name is used, so "Goblin Scout 2"
+ * resolves to "Goblin".
+ * @param creatureName The name of the creature (e.g., "Goblin Boss").
+ * @returns The monster data object, or undefined if none matches.
+ */
+export function findMonster(creatureName) {
+    if (!creatureName)
+        return undefined;
+    const lowerName = creatureName.toLowerCase().trim();
+    if (monsters[lowerName])
+        return monsters[lowerName];
+    const matchingKey = Object.keys(monsters)
+        .filter(key => new RegExp(`\\b${escapeRegExp(key)}\\b`).test(lowerName))
+        .sort((a, b) => b.length - a.length)[0];
+    return matchingKey ? monsters[matchingKey] : undefined;
+}
+/**
+ * Finds the magic item an item name refers to. Exact matches win; otherwise the longest magic item
+ * name of two or more words contained in the given name is used, so "Cloak of Elvenkind (worn)"
+ * resolves to "Cloak of Elvenkind". One-word names, such as "Harvest", have to match exactly.
+ * @param itemName The name of the item (e.g., "Bag of Holding").
+ * @returns The magic item data object, or undefined if none matches.
+ */
+export function getMagicItem(itemName) {
+    if (!itemName)
+        return undefined;
+    const lowerName = itemName.toLowerCase().trim();
+    if (magicItems[lowerName])
+        return magicItems[lowerName];
+    const matchingKey = Object.keys(magicItems)
+        .filter(key => key.includes(' ') && new RegExp(`\\b${escapeRegExp(key)}\\b`).test(lowerName))
+        .sort((a, b) => b.length - a.length)[0];
+    return matchingKey ? magicItems[matchingKey] : undefined;
+}
 /**
  * Finds and returns the data for a specific race by its name.
  * @param raceName The name of the race to find (e.g., "Elf").
@@ -118,7 +211,7 @@ export function findEntityInText(text) {
  */
 export async function init() {
     try {
-        const [racesRes, classesRes, backgroundsRes, weaponsRes, armorRes, spellsRes, spellListRes, featsRes] = await Promise.all([
+        const [racesRes, classesRes, backgroundsRes, weaponsRes, armorRes, spellsRes, spellListRes, featsRes, conditionsRes] = await Promise.all([
             fetch('./data/races.json'),
             fetch('./data/classes.json'),
             fetch('./data/backgrounds.json'),
@@ -127,6 +220,7 @@ export async function init() {
             fetch('./data/spells-0-1.json'),
             fetch('./data/spelllist.json'),
             fetch('./data/feats.json'),
+            fetch('./data/conditions.json'),
         ]);
         const racesData = await racesRes.json();
         races = racesData.results || racesData;
@@ -151,6 +245,9 @@ export async function init() {
         spellListArray.forEach(sl => spellLists.set(sl.slug.toLowerCase(), sl));
         const featsData = await featsRes.json();
         feats = featsData.results || featsData;
+        const conditionsData = await conditionsRes.json();
+        const conditionsArray = conditionsData.results || conditionsData;
+        conditionsArray.forEach(c => conditions.set(c.name.toLowerCase(), c));
         // --- Post-process and pre-calculate data for performance ---
         // 1. Process Races
         const raceUrlMap = new Map();
@@ -244,4 +341,52 @@ export async function init() {
     catch (error) {
         console.error("Failed to load game data:", error);
     }
-}
\ No newline at end of file
+    await loadMonsters();
+    await loadMagicItems();
+}
+/**
+ * Loads monster statblocks. The monster data is optional: if the file is missing or
+ * malformed, combat falls back to the stats provided by the storyteller.
+ */
+async function loadMonsters() {
+    try {
+        const monstersRes = await fetch('./data/monsters.json');
+        if (!monstersRes.ok) {
+            console.warn(`Monster data is unavailable (HTTP ${monstersRes.status}). Enemies will use default combat stats.`);
+            return;
+        }
+        const monstersData = await monstersRes.json();
+        const monstersArray = monstersData.results || monstersData;
+        monstersArray.forEach(m => {
+            processMonster(m);
+            monsters[m.name.toLowerCase()] = m;
+        });
+    }
+    catch (error) {
+        console.warn("Failed to load monster data. Enemies will use default combat stats.", error);
+    }
+}
+/**
+ * Loads magic item data, used to recognise magic items in the player's inventory. Like the monster
+ * data it is optional: without it, items are simply not linked to their magic item entries. Where
+ * several sources describe an item, the SRD's entry is kept.
+ */
+async function loadMagicItems() {
+    try {
+        const magicItemsRes = await fetch('./data/magicitems.json');
+        if (!magicItemsRes.ok) {
+            console.warn(`Magic item data is unavailable (HTTP ${magicItemsRes.status}).`);
+            return;
+        }
+        const magicItemsData = await magicItemsRes.json();
+        const magicItemsArray = magicItemsData.results || magicItemsData;
+        magicItemsArray.forEach(item => {
+            const key = item.name.toLowerCase();
+            if (!magicItems[key] || item.document__slug === 'wotc-srd')
+                magicItems[key] = item;
+        });
+    }
+    catch (error) {
+        console.warn("Failed to load magic item data.", error);
+    }
+}
@@ -44,6 +44,7 @@ class DOMElements {
     get landingNewBtn() { return query('landing-new-btn'); }
     get landingLoadBtn() { return query('landing-load-btn'); }
     get landingSettingsBtn() { return query('landing-settings-btn'); }
+    get landingJoinBtn() { return query('landing-join-btn'); }
     get landingCreditLine() { return query('landing-credit-line'); }
     get versionDisplay() { return query('version-display'); }
     // --- Main App & Modals ---
@@ -52,8 +53,22 @@ class DOMElements {
     get combatTracker() { return query('combat-tracker'); }
     get chatForm() { return query('chat-form'); }
     get chatInput() { return query('chat-input'); }
+    get actingCharacter() { return query('acting-character'); }
+    get addPlayerBtn() { return query('add-player-btn'); }
+    get hostOnlineBtn() { return query('host-online-btn'); }
+    get commandSuggestions() { return query('command-suggestions'); }
+    get gameOverBanner() { return query('game-over-banner'); }
     get loadingIndicator() { return query('loading'); }
     get settingsModal() { return query('settings-modal'); }
+    get onlineModal() { return query('online-modal'); }
+    get onlineModalTitle() { return query('online-modal-title'); }
+    get onlineModalHint() { return query('online-modal-hint'); }
+    get onlineForm() { return query('online-form'); }
+    get relayUrlInput() { return query('relay-url-input'); }
+    get roomCodeInput() { return query('room-code-input'); }
+    get onlineNameGroup() { return query('online-name-group'); }
+    get onlineNameInput() { return query('online-name-input'); }
+    get onlineCancelBtn() { return query('online-cancel-btn'); }
     get settingsForm() { return query('settings-form'); }
     get providerSelector() { return query('provider-selector'); }
     get geminiSettingsSection() { return query('gemini-settings-section'); }
@@ -67,6 +82,8 @@ class DOMElements {
     get saveSlotsList() { return query('save-slots-list'); }
     get newAdventureBtn() { return query('new-adventure-btn'); }
     get loadGameCancelBtn() { return query('load-game-cancel-btn'); }
+    get importSaveBtn() { return query('import-save-btn'); }
+    get importSaveInput() { return query('import-save-input'); }
     get changeSettingsBtn() { return query('change-settings-btn'); }
     get micBtn() { return query('mic-btn'); }
     get characterCreationModal() { return query('character-creation-modal'); }
@@ -83,6 +100,13 @@ class DOMElements {
     get statsCharName() { return query('stats-char-name'); }
     get statsLocation() { return query('stats-location'); }
     get statsHealth() { return query('stats-health'); }
+    get statsHitDice() { return query('stats-hit-dice'); }
+    get statsResources() { return query('stats-resources'); }
+    get statsResourcesValue() { return query('stats-resources-value'); }
+    get statsDefenses() { return query('stats-defenses'); }
+    get statsDefensesValue() { return query('stats-defenses-value'); }
+    get statsDeathSaves() { return query('stats-death-saves'); }
+    get statsDeathSavesValue() { return query('stats-death-saves-value'); }
     get statsMoney() { return query('stats-money'); }
     get statsExp() { return query('stats-exp'); }
     get statsPregnancyStatus() { return query('stats-pregnancy-status'); }
@@ -90,6 +114,8 @@ class DOMElements {
     get statsConditionsList() { return query('stats-conditions-list'); }
     get equipWeapon() { return query('equip-weapon'); }
     get equipArmor() { return query('equip-armor'); }
+    get equipLoad() { return query('equip-load'); }
+    get equipAttuned() { return query('equip-attuned'); }
     get statsInventory() { return query('stats-inventory'); }
     get statsQuests() { return query('stats-quests'); }
     get statsParty() { return query('stats-party'); }
@@ -118,6 +144,8 @@ class DOMElements {
     get statsFeats() { return query('stats-feats'); }
     get statsRacialTraits() { return query('stats-racial-traits'); }
     get statsClassFeatures() { return query('stats-class-features'); }
+    get statsSpellcasting() { return query('stats-spellcasting'); }
+    get statsSpellSlots() { return query('stats-spell-slots'); }
     get statsSpellsKnown() { return query('stats-spells-known'); }
     get charRaceInput() { return query('char-race'); }
     get charClassInput() { return query('char-class'); }
@@ -136,6 +164,14 @@ class DOMElements {
     get confirmModalText() { return query('confirm-modal-text'); }
     get confirmModalYesBtn() { return query('confirm-modal-yes-btn'); }
     get confirmModalNoBtn() { return query('confirm-modal-no-btn'); }
+    get shopModal() { return query('shop-modal'); }
+    get shopModalTitle() { return query('shop-modal-title'); }
+    get shopForm() { return query('shop-form'); }
+    get shopItemList() { return query('shop-item-list'); }
+    get shopTotal() { return query('shop-total'); }
+    get shopError() { return query('shop-error'); }
+    get shopBuyBtn() { return query('shop-buy-btn'); }
+    get shopCancelBtn() { return query('shop-cancel-btn'); }
     get debugLogBtn() { return query('debug-log-btn'); }
     get debuggerModal() { return query('debugger-modal'); }
     get debuggerModalCloseBtn() { return query('debugger-modal-close-btn'); }
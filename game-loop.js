@@ -2,7 +2,7 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
  */
-import { calculateRollModifier, getAbilityModifierValue, getWeaponData, rollDice } from './rpg-helpers.js';
+import { calculateRollModifier, calculateSavingThrowModifier, calculateArmorClass, getMilestoneLevel, parseSavingThrow, getCheckAbility, getAbilityModifierValue, calculateMonsterCheckModifier, getWeaponData, getWeaponDamageType, rollDice, rollD20, rollChance, resolveAttackRoll, isPlayerDying, applyDamageToPlayer, applyHealingToPlayer, grantTempHp, stabilizePlayer, resolveDeathSave, getDamageModifiers, adjustDamageForType, takeRest } from './rpg-helpers.js';
 import * as config from './config.js';
 import { dom } from './dom.js';
 import * as ui from './ui.js';
@@ -10,9 +10,20 @@ import { cleanseResponseText } from './api.js';
 import * as rag from './rag.js';
 import { gameState, deepMerge } from './state-manager.js';
 import { saveCurrentGame, initializeChatSession } from './session-manager.js';
+import { isCommand, executeCommand } from './commands.js';
 import { promiseWithTimeout } from './utils.js';
+import { beginCombat, getActiveCombatant, advanceTurn, delayTurn, readyAction, isPartyCombatant, findEnemyTarget, findNamedEnemy } from './combat.js';
+import { findSpell, canCastSpell, getSpellcastingClass, getSpellcastingStats, findAvailableSlot, parseSpellEffect, scaleSpellDice } from './spellcasting.js';
+import { createCondition, addCondition, removeCondition, expireConditions, endConditionsFromSource, getConditionRollModifier, getIncapacitatingCondition, isConcentrationSpell, startConcentration, endConcentration, getConcentrationDc } from './conditions.js';
+import { createCompanion, findPartyMember, updatePartyMember, applyDamageToCompanion, restParty, syncCompanionCombatants } from './party.js';
+import { addItem, removeItem, equipItem, attuneItem, spendItemCharges, findItem, formatItem, getEncumbrance, getEncumbranceRollModifier } from './inventory.js';
+import { getWeaponBonuses } from './magic-items.js';
+import { toCopper, addMoney, spendMoney, getPurseValue, formatMoney, formatPrice } from './currency.js';
+import { openShop } from './shop.js';
+import { isHotSeat, createSeat, findSeat, storeSeat, withSharedFields, isSeatStanding, getNextSeatId, restSeats } from './hot-seat.js';
 import * as game from './game.js';
 import * as dataManager from './data-manager.js';
+import { shareMessage } from './multiplayer.js';
 /**
  * Intelligently finds and parses a JSON payload from within a GAME_ACTION tag.
  * This is more robust than a simple regex, as it balances brackets to handle
@@ -76,18 +87,45 @@ function parseGameActionPayload(text) {
     }
     return null; // Unbalanced JSON
 }
-// --- NEW: GAME ACTION PROCESSOR ---
-async function processGameActions(matches) {
-    const { playerState, characterInfo, combatants, isInCombat, worldState } = gameState.getState();
-    if (!playerState || !characterInfo)
-        return false;
-    let stateUpdate = {
+/**
+ * Copies the parts of the game state that game actions can change, so they can be edited freely.
+ * @returns {any} Deep copies of the player, hot-seat players, combat and world state.
+ */
+function copyActionState() {
+    const { playerState, players, combatants, isInCombat, combatRound, activeCombatantId, worldState } = gameState.getState();
+    return {
         playerState: JSON.parse(JSON.stringify(playerState)), // Deep copy
+        players: JSON.parse(JSON.stringify(players)),
         combatants: JSON.parse(JSON.stringify(combatants)),
         isInCombat,
+        combatRound,
+        activeCombatantId,
         worldState: JSON.parse(JSON.stringify(worldState)),
     };
+}
+/**
+ * Tells the player when picking something up or putting it down changes how encumbered they are.
+ * @param {ReturnType<typeof getEncumbrance>} before The player's load before the change.
+ * @param {import("./types.js").PlayerState} playerState The player's state after the change.
+ */
+function announceLoadChange(before, playerState) {
+    const after = getEncumbrance(playerState);
+    if (after.level === before.level && after.isOverCapacity === before.isOverCapacity)
+        return;
+    if (after.level === 'none')
+        ui.addMessage('dm', `<em>(You are no longer encumbered: ${after.carried} lb. carried.)</em>`);
+    else
+        ui.addMessage('dm', `<em>(You are ${after.level}: ${after.carried} of ${after.capacity} lb. carried, -${after.speedPenalty} ft. speed${after.level === 'heavily encumbered' ? ', and disadvantage on Strength, Dexterity and Constitution rolls' : ''}${after.isOverCapacity ? '. You are carrying more than you can manage' : ''}.)</em>`);
+}
+// --- NEW: GAME ACTION PROCESSOR ---
+async function processGameActions(matches) {
+    const { playerState, characterInfo } = gameState.getState();
+    if (!playerState || !characterInfo)
+        return false;
+    let stateUpdate = copyActionState();
     let stateWasUpdated = false;
+    const shopOffers = [];
+    let merchant = null;
     for (const match of matches) {
         try {
             const type = match[1];
@@ -99,56 +137,187 @@ async function processGameActions(matches) {
             switch (type) {
                 case 'START_COMBAT':
                     stateUpdate.isInCombat = true;
-                    const playerInitiative = rollDice('d20').total + getAbilityModifierValue(playerState.abilityScores.dexterity);
-                    const allCombatants = [{ id: 'player', name: characterInfo.name, hp: playerState.health.current, maxHp: playerState.health.max, initiative: playerInitiative, isPlayer: true }];
+                    const fighter = stateUpdate.playerState;
+                    const allCombatants = getSeats(fighter).filter(seat => !seat.playerState.isDead).map(createPlayerCombatant);
+                    (fighter.party || []).filter(member => !member.isDead).forEach(member => allCombatants.push(createCompanionCombatant(member)));
                     payload.forEach((enemy, index) => {
-                        allCombatants.push({
-                            id: `${enemy.name.toLowerCase().replace(/\s/g, '-')}-${index}`,
-                            name: enemy.name,
-                            hp: enemy.hp,
-                            maxHp: enemy.hp,
-                            initiative: rollDice('d20').total,
-                            isPlayer: false,
-                            xpValue: enemy.xpValue || 0
-                        });
+                        allCombatants.push(createEnemyCombatant(enemy, index));
                     });
-                    stateUpdate.combatants = allCombatants.sort((a, b) => b.initiative - a.initiative);
-                    ui.addMessage('dm', `<em>Combat has begun! Initiative order: ${stateUpdate.combatants.map(c => c.name).join(', ')}.</em>`);
+                    Object.assign(stateUpdate, beginCombat(allCombatants));
+                    const openingCombatant = getActiveCombatant(stateUpdate);
+                    const openingTurnText = isPartyCombatant(openingCombatant) ? ` It is ${getTurnOwner(openingCombatant)} turn.` : '';
+                    ui.addMessage('dm', `<em>Combat has begun! Initiative order: ${stateUpdate.combatants.map(c => c.name).join(', ')}.${openingTurnText}</em>`);
                     stateWasUpdated = true;
                     break;
                 case 'NPC_ATTACK_INTENT':
-                    await handleNpcAttackIntent(payload);
-                    break;
                 case 'NPC_SKILL_INTENT':
-                    await handleNpcSkillIntent(payload);
+                    // These resolve against the live state and may change it, so earlier actions
+                    // are applied first and the working copy is refreshed afterwards.
+                    if (stateWasUpdated)
+                        gameState.updateState(stateUpdate);
+                    if (type === 'NPC_ATTACK_INTENT')
+                        await handleNpcAttackIntent(payload);
+                    else
+                        await handleNpcSkillIntent(payload);
+                    stateUpdate = copyActionState();
                     break;
                 case 'ENEMY_DEFEATED':
-                    const defeatedNpc = stateUpdate.combatants.find(c => c.name === payload.name && c.hp > 0);
+                    const defeatedNpc = findNamedEnemy(stateUpdate.combatants, payload);
                     if (defeatedNpc) {
                         defeatedNpc.hp = 0;
+                        // A defeated caster can no longer concentrate on the spells it cast on the player.
+                        stateUpdate.playerState.conditions = endConditionsFromSource(stateUpdate.playerState.conditions, defeatedNpc.name);
+                        stateUpdate.playerState.party = stateUpdate.playerState.party.map(member => ({ ...member, conditions: endConditionsFromSource(member.conditions, defeatedNpc.name) }));
                         if (defeatedNpc.xpValue) {
                             stateUpdate.playerState.exp = (stateUpdate.playerState.exp || 0) + defeatedNpc.xpValue;
                             ui.addEventMessage('xp', `Gained ${defeatedNpc.xpValue} XP for defeating ${defeatedNpc.name}.`);
                         }
                         stateWasUpdated = true;
                     }
-                    const allEnemiesDefeated = stateUpdate.combatants.every(c => c.isPlayer || c.hp === 0);
+                    const allEnemiesDefeated = stateUpdate.combatants.every(c => isPartyCombatant(c) || c.hp === 0);
                     if (allEnemiesDefeated && stateUpdate.isInCombat) {
                         stateUpdate.isInCombat = false;
                         stateUpdate.combatants = [];
+                        stateUpdate.combatRound = 0;
+                        stateUpdate.activeCombatantId = null;
                         ui.addMessage('dm', '<em>Combat has ended.</em>');
                     }
                     break;
+                case 'DELAY_TURN':
+                case 'READY_ACTION':
+                    // Only the creature whose turn it is can hold its action back.
+                    const holdingCombatant = getActiveCombatant(stateUpdate);
+                    if (!stateUpdate.isInCombat || holdingCombatant?.name !== payload.name) {
+                        console.warn(`${type} ignored: it is not ${payload.name}'s turn.`);
+                        break;
+                    }
+                    if (type === 'DELAY_TURN') {
+                        const delayed = delayTurn(stateUpdate);
+                        if (!delayed) {
+                            console.warn(`${payload.name} is last in the turn order and cannot delay.`);
+                            break;
+                        }
+                        Object.assign(stateUpdate, delayed);
+                        ui.addMessage('dm', `<em>${payload.name} delays their turn.</em>`);
+                    }
+                    else {
+                        Object.assign(stateUpdate, readyAction(stateUpdate, payload.trigger || 'an opening'));
+                        ui.addMessage('dm', `<em>${payload.name} readies an action: ${payload.trigger || 'waiting for an opening'}.</em>`);
+                    }
+                    stateWasUpdated = true;
+                    break;
                 case 'GAIN_REWARD':
                     if (payload.xp) {
                         stateUpdate.playerState.exp = (stateUpdate.playerState.exp || 0) + payload.xp;
                         ui.addEventMessage('xp', `You gained ${payload.xp} XP.`);
                     }
-                    if (payload.money) {
-                        stateUpdate.playerState.money.amount = (stateUpdate.playerState.money.amount || 0) + payload.money;
-                        const action = payload.money > 0 ? 'found' : 'lost';
-                        ui.addEventMessage('money', `You ${action} ${Math.abs(payload.money)} ${playerState.money.currency}.`);
+                    const reward = toCopper(payload.money);
+                    if (reward > 0) {
+                        stateUpdate.playerState.money = addMoney(stateUpdate.playerState.money, payload.money);
+                        ui.addEventMessage('money', `You found ${typeof payload.money === 'object' ? formatMoney(payload.money) : formatPrice(reward)}.`);
+                    }
+                    else if (reward < 0) {
+                        const loss = Math.min(-reward, getPurseValue(stateUpdate.playerState.money));
+                        stateUpdate.playerState.money = spendMoney(stateUpdate.playerState.money, loss).purse;
+                        ui.addEventMessage('money', `You lost ${formatPrice(loss)}.`);
+                    }
+                    stateWasUpdated = true;
+                    break;
+                case 'LEVEL_UP':
+                    const milestoneHolder = stateUpdate.playerState;
+                    const milestoneLevel = getMilestoneLevel(milestoneHolder);
+                    if (milestoneLevel === null) {
+                        console.warn(`LEVEL_UP ignored: ${characterInfo.name} has already earned level ${config.MAX_LEVEL}.`);
+                        break;
+                    }
+                    milestoneHolder.milestoneLevel = milestoneLevel;
+                    ui.addEventMessage('xp', `Milestone reached${payload.reason ? `: ${payload.reason}` : ''}.`);
+                    stateWasUpdated = true;
+                    break;
+                case 'SPEND_MONEY':
+                    const cost = toCopper(payload.amount);
+                    if (!cost || cost < 0) {
+                        console.warn('SPEND_MONEY ignored: it needs a positive amount.', payload);
+                        break;
                     }
+                    const payment = spendMoney(stateUpdate.playerState.money, cost);
+                    if (!payment.purse) {
+                        console.warn(`SPEND_MONEY ignored: ${payment.error}`);
+                        ui.addMessage('dm', `<em>(${payment.error})</em>`);
+                        break;
+                    }
+                    stateUpdate.playerState.money = payment.purse;
+                    ui.addEventMessage('money', `You spent ${formatPrice(cost)}${payload.reason ? ` on ${payload.reason}` : ''}.`);
+                    stateWasUpdated = true;
+                    break;
+                case 'OFFER_ITEM':
+                    // The offers are gathered and shown together once every action has run.
+                    if (payload.name)
+                        shopOffers.push(payload);
+                    merchant = merchant || payload.merchant || null;
+                    break;
+                case 'ADD_ITEM':
+                    if (!payload.name) {
+                        console.warn('ADD_ITEM ignored: it needs the item\'s name.', payload);
+                        break;
+                    }
+                    const loadBeforeGain = getEncumbrance(stateUpdate.playerState);
+                    const gained = addItem(stateUpdate.playerState.inventory, { name: payload.name, quantity: payload.quantity, weight: payload.weight });
+                    stateUpdate.playerState.inventory = gained.inventory;
+                    ui.addEventMessage('item', `You gained ${formatItem(gained.item)}.`);
+                    announceLoadChange(loadBeforeGain, stateUpdate.playerState);
+                    stateWasUpdated = true;
+                    break;
+                case 'REMOVE_ITEM':
+                    const loadBeforeLoss = getEncumbrance(stateUpdate.playerState);
+                    const lost = removeItem(stateUpdate.playerState, payload.name, payload.quantity);
+                    if (!lost.update) {
+                        console.warn(`REMOVE_ITEM ignored: the player has no ${payload.name}.`);
+                        break;
+                    }
+                    Object.assign(stateUpdate.playerState, lost.update);
+                    if (lost.removed.equipped || lost.removed.attuned)
+                        stateUpdate.playerState.armorClass = calculateArmorClass(stateUpdate.playerState);
+                    ui.addEventMessage('item', `You lost ${formatItem({ ...lost.removed, quantity: lost.quantity, equipped: false, attuned: false })}.`);
+                    announceLoadChange(loadBeforeLoss, stateUpdate.playerState);
+                    stateWasUpdated = true;
+                    break;
+                case 'EQUIP_ITEM':
+                    const equipping = payload.unequip !== true;
+                    const equipped = equipItem(stateUpdate.playerState, payload.name, equipping);
+                    if (!equipped.update) {
+                        console.warn(`EQUIP_ITEM ignored: ${equipped.error}`);
+                        break;
+                    }
+                    Object.assign(stateUpdate.playerState, equipped.update);
+                    stateUpdate.playerState.armorClass = calculateArmorClass(stateUpdate.playerState);
+                    ui.addEventMessage('item', `You ${equipping ? 'equip' : 'take off'} the ${equipped.item.name}.`);
+                    stateWasUpdated = true;
+                    break;
+                case 'ATTUNE_ITEM':
+                    const attuning = payload.end !== true;
+                    const attunement = attuneItem(stateUpdate.playerState, payload.name, attuning);
+                    if (!attunement.update) {
+                        console.warn(`ATTUNE_ITEM ignored: ${attunement.error}`);
+                        if (attuning && attunement.item?.requiresAttunement)
+                            ui.addMessage('dm', `<em>(${attunement.error})</em>`);
+                        break;
+                    }
+                    Object.assign(stateUpdate.playerState, attunement.update);
+                    stateUpdate.playerState.armorClass = calculateArmorClass(stateUpdate.playerState);
+                    ui.addEventMessage('item', `You ${attuning ? 'attune to' : 'end your attunement to'} the ${attunement.item.name}.`);
+                    stateWasUpdated = true;
+                    break;
+                case 'USE_ITEM_CHARGE':
+                    const chargesToSpend = typeof payload.charges === 'number' && payload.charges > 0 ? Math.floor(payload.charges) : 1;
+                    const charged = spendItemCharges(stateUpdate.playerState, payload.name, chargesToSpend);
+                    if (!charged.update) {
+                        console.warn(`USE_ITEM_CHARGE ignored: ${charged.error}`);
+                        ui.addMessage('dm', `<em>(${charged.error})</em>`);
+                        break;
+                    }
+                    Object.assign(stateUpdate.playerState, charged.update);
+                    ui.addEventMessage('item', `You spend ${chargesToSpend} charge${chargesToSpend === 1 ? '' : 's'} of the ${charged.item.name} (${charged.item.charges.current}/${charged.item.charges.max} left).`);
                     stateWasUpdated = true;
                     break;
                 case 'UPDATE_WORLD_STATE':
@@ -163,18 +332,164 @@ async function processGameActions(matches) {
                     }
                     break;
                 case 'APPLY_CONDITION':
-                    if (!stateUpdate.playerState.conditions)
-                        stateUpdate.playerState.conditions = [];
-                    // Remove existing condition with same name before adding new one
-                    stateUpdate.playerState.conditions = stateUpdate.playerState.conditions.filter(c => c.name !== payload.name);
-                    stateUpdate.playerState.conditions.push(payload);
+                    const afflictedCompanion = payload.target ? findPartyMember(stateUpdate.playerState.party, payload.target) : null;
+                    const afflicted = afflictedCompanion || stateUpdate.playerState;
+                    const condition = createCondition(payload, getClock(stateUpdate));
+                    const afflictedUpdate = { conditions: addCondition(afflicted.conditions, condition) };
+                    ui.addEventMessage('condition', `${afflictedCompanion ? `${afflictedCompanion.name} is` : 'You are'} ${condition.name}${condition.duration ? ` (${condition.duration})` : ''}.`);
+                    if (afflicted.concentration && getIncapacitatingCondition([condition])) {
+                        ui.addMessage('dm', `<em>Being ${condition.name.toLowerCase()} ends ${afflictedCompanion ? `${afflictedCompanion.name}'s` : 'your'} concentration on ${afflicted.concentration.spell}.</em>`);
+                        Object.assign(afflictedUpdate, endConcentration({ ...afflicted, ...afflictedUpdate }).update);
+                    }
+                    if (afflictedCompanion)
+                        updateCompanionCopy(stateUpdate, afflictedCompanion.id, afflictedUpdate);
+                    else
+                        Object.assign(stateUpdate.playerState, afflictedUpdate);
                     stateWasUpdated = true;
                     break;
-                case 'REMOVE_CONDITION':
-                    if (stateUpdate.playerState.conditions) {
-                        stateUpdate.playerState.conditions = stateUpdate.playerState.conditions.filter(c => c.name !== payload.name);
+                case 'TAKE_DAMAGE':
+                    const damageTaken = resolvePayloadAmount(payload, `Damage from ${payload.source || 'the storyteller'}`);
+                    if (!damageTaken) {
+                        console.warn('TAKE_DAMAGE needs an amount or dice:', payload);
+                        break;
+                    }
+                    const damagedCompanion = payload.target ? findPartyMember(stateUpdate.playerState.party, payload.target) : null;
+                    if (damagedCompanion) {
+                        updateCompanionCopy(stateUpdate, damagedCompanion.id, damageCompanion(damagedCompanion, damageTaken.amount, payload.type, payload.source).update);
+                        stateWasUpdated = true;
+                        break;
+                    }
+                    const typedDamage = adjustDamageForType(damageTaken.amount, payload.type, getDamageModifiers(stateUpdate.playerState, characterInfo));
+                    const damageResult = applyDamageToPlayer(stateUpdate.playerState, typedDamage.amount, !!payload.isCritical);
+                    stateUpdate.playerState = deepMerge(stateUpdate.playerState, damageResult.update);
+                    const modifierNote = typedDamage.modifier ? `, which you are ${typedDamage.modifier} to` : '';
+                    ui.addEventMessage('damage', `You take ${typedDamage.amount} ${payload.type ? `${payload.type} ` : ''}damage${payload.source ? ` from ${payload.source}` : ''}${damageTaken.detail}${modifierNote}.`);
+                    announceDamageOutcome(damageResult.outcome, !!payload.isCritical);
+                    const concentrationCheck = rollConcentrationSave(stateUpdate.playerState, typedDamage.amount);
+                    if (concentrationCheck.update)
+                        Object.assign(stateUpdate.playerState, concentrationCheck.update);
+                    if (damageResult.outcome === 'killed') {
+                        stateUpdate.isInCombat = false;
+                        stateUpdate.combatants = [];
+                        stateUpdate.combatRound = 0;
+                        stateUpdate.activeCombatantId = null;
+                    }
+                    stateWasUpdated = true;
+                    break;
+                case 'HEAL':
+                    const healing = resolvePayloadAmount(payload, `Healing from ${payload.source || 'the storyteller'}`);
+                    if (!healing) {
+                        console.warn('HEAL needs an amount or dice:', payload);
+                        break;
+                    }
+                    const healedCompanion = payload.target ? findPartyMember(stateUpdate.playerState.party, payload.target) : null;
+                    if (healedCompanion) {
+                        const companionHealing = applyHealingToPlayer(healedCompanion, healing.amount);
+                        updateCompanionCopy(stateUpdate, healedCompanion.id, companionHealing.update);
+                        const { current: companionHp, max: companionMaxHp } = findPartyMember(stateUpdate.playerState.party, healedCompanion.id).health;
+                        ui.addEventMessage('heal', `${healedCompanion.name} regains ${companionHp - healedCompanion.health.current} HP${payload.source ? ` from ${payload.source}` : ''}${healing.detail} (${companionHp}/${companionMaxHp}).${companionHealing.revived ? ` ${healedCompanion.name} regains consciousness!` : ''}`);
                         stateWasUpdated = true;
+                        break;
+                    }
+                    const hpBeforeHealing = stateUpdate.playerState.health.current;
+                    const healResult = applyHealingToPlayer(stateUpdate.playerState, healing.amount);
+                    stateUpdate.playerState = deepMerge(stateUpdate.playerState, healResult.update);
+                    const hpRegained = stateUpdate.playerState.health.current - hpBeforeHealing;
+                    ui.addEventMessage('heal', `You regain ${hpRegained} HP${payload.source ? ` from ${payload.source}` : ''}${healing.detail}.${healResult.revived ? ' You regain consciousness!' : ''}`);
+                    stateWasUpdated = true;
+                    break;
+                case 'GRANT_TEMP_HP':
+                    const tempHp = resolvePayloadAmount(payload, `Temporary HP from ${payload.source || 'the storyteller'}`);
+                    if (!tempHp) {
+                        console.warn('GRANT_TEMP_HP needs an amount or dice:', payload);
+                        break;
+                    }
+                    const tempResult = grantTempHp(stateUpdate.playerState, tempHp.amount);
+                    if (tempResult.applied) {
+                        stateUpdate.playerState = deepMerge(stateUpdate.playerState, tempResult.update);
+                        ui.addEventMessage('temp-hp', `You gain ${tempHp.amount} temporary HP${payload.source ? ` from ${payload.source}` : ''}${tempHp.detail}.`);
+                        stateWasUpdated = true;
+                    }
+                    else {
+                        ui.addMessage('dm', `<em>Temporary hit points don't stack, so you keep your current ${stateUpdate.playerState.health.temp} instead of ${tempHp.amount}.</em>`);
+                    }
+                    break;
+                case 'STABILIZE':
+                    if (!isPlayerDying(stateUpdate.playerState)) {
+                        console.warn('STABILIZE ignored: the player is not dying.');
+                        break;
+                    }
+                    if (payload.method === 'healing') {
+                        const healing = applyHealingToPlayer(stateUpdate.playerState, payload.hp || 1);
+                        stateUpdate.playerState = deepMerge(stateUpdate.playerState, healing.update);
+                        ui.addMessage('dm', `<em>${payload.name || 'Someone'} heals you. You regain consciousness with ${stateUpdate.playerState.health.current} HP.</em>`);
+                    }
+                    else if (payload.method === 'magic' || rollStabilizeCheck(payload)) {
+                        stateUpdate.playerState = deepMerge(stateUpdate.playerState, stabilizePlayer());
+                        ui.addMessage('dm', `<em>${payload.name || 'Someone'} stabilizes you. You are no longer dying, but remain unconscious.</em>`);
+                    }
+                    else {
+                        ui.addMessage('dm', `<em>${payload.name || 'Someone'} fails to stabilize you.</em>`);
+                    }
+                    stateWasUpdated = true;
+                    break;
+                case 'REST':
+                    const restType = payload.type === 'long' ? 'long' : 'short';
+                    const restBlocker = getRestBlocker(stateUpdate);
+                    if (restBlocker) {
+                        console.warn(`REST ignored: ${restBlocker}`);
+                        ui.addMessage('dm', `<em>${restBlocker}</em>`);
+                        break;
+                    }
+                    const rest = takeRest(stateUpdate.playerState, restType, typeof payload.hitDice === 'number' ? payload.hitDice : null);
+                    stateUpdate.playerState = deepMerge(stateUpdate.playerState, rest.update);
+                    stateUpdate.playerState.party = restParty(stateUpdate.playerState.party, restType, stateUpdate.playerState.turnCount || 0);
+                    stateUpdate.players = restSeats(stateUpdate.players, gameState.getState().activeSeatId, restType, stateUpdate.playerState.turnCount || 0);
+                    stateUpdate.playerState.turnCount = (stateUpdate.playerState.turnCount || 0) + rest.turnsElapsed;
+                    announceRest(rest, restType, stateUpdate.playerState, stateUpdate.players);
+                    stateWasUpdated = true;
+                    break;
+                case 'USE_RESOURCE':
+                    const resource = stateUpdate.playerState.classResources?.[payload.name];
+                    const usesSpent = typeof payload.amount === 'number' ? payload.amount : 1;
+                    if (!resource || resource.current < usesSpent) {
+                        console.warn(`USE_RESOURCE ignored: not enough ${payload.name} left.`);
+                        ui.addMessage('dm', `<em>You don't have enough ${payload.name} left.</em>`);
+                        break;
+                    }
+                    stateUpdate.playerState.classResources[payload.name] = { ...resource, current: resource.current - usesSpent };
+                    stateWasUpdated = true;
+                    break;
+                case 'REMOVE_CONDITION':
+                    const recoveringCompanion = payload.target ? findPartyMember(stateUpdate.playerState.party, payload.target) : null;
+                    if (recoveringCompanion)
+                        updateCompanionCopy(stateUpdate, recoveringCompanion.id, { conditions: removeCondition(recoveringCompanion.conditions, payload.name) });
+                    else
+                        stateUpdate.playerState.conditions = removeCondition(stateUpdate.playerState.conditions, payload.name);
+                    stateWasUpdated = true;
+                    break;
+                case 'ADD_PARTY_MEMBER':
+                    if (!payload.name || findPartyMember(stateUpdate.playerState.party, payload.name)) {
+                        console.warn('ADD_PARTY_MEMBER ignored: it needs a name that is not already in the party.', payload);
+                        break;
                     }
+                    const recruit = createCompanion(payload, stateUpdate.playerState.level, stateUpdate.playerState.party);
+                    stateUpdate.playerState.party = [...stateUpdate.playerState.party, recruit];
+                    ui.addEventMessage('party', `${recruit.name} joins the party (level ${recruit.level} ${recruit.race} ${recruit.characterClass}, ${recruit.health.max} HP, AC ${recruit.armorClass}).`);
+                    stateWasUpdated = true;
+                    break;
+                case 'REMOVE_PARTY_MEMBER':
+                    const leaver = findPartyMember(stateUpdate.playerState.party, payload.name);
+                    if (!leaver) {
+                        console.warn(`REMOVE_PARTY_MEMBER ignored: ${payload.name} is not in the party.`);
+                        break;
+                    }
+                    if (stateUpdate.activeCombatantId === leaver.id)
+                        Object.assign(stateUpdate, advanceTurn(stateUpdate));
+                    stateUpdate.playerState.party = stateUpdate.playerState.party.filter(member => member.id !== leaver.id);
+                    stateUpdate.combatants = stateUpdate.combatants.filter(c => c.id !== leaver.id);
+                    ui.addEventMessage('party', `${leaver.name} leaves the party.`);
+                    stateWasUpdated = true;
                     break;
             }
         }
@@ -185,16 +500,18 @@ async function processGameActions(matches) {
     if (stateWasUpdated) {
         gameState.updateState(stateUpdate);
     }
+    if (shopOffers.length > 0 && !openShop(merchant, shopOffers))
+        console.warn('OFFER_ITEM ignored: none of the offered items could be priced.', shopOffers);
     return stateWasUpdated;
 }
 /**
  * Determines the correct unarmed strike damage die based on class and level.
- * @param {import('./types.js').PlayerState} playerState The player's current state.
- * @param {import('./types.js').CharacterInfo} characterInfo The character's static info.
+ * @param {import('./types.js').PlayerState} playerState The attacker's current state.
+ * @param {string} characterClass The attacker's class.
  * @returns {string} The dice notation for the unarmed strike (e.g., '1d6' or '1').
  */
-function getUnarmedStrikeDice(playerState, characterInfo) {
-    if (characterInfo.characterClass.toLowerCase() === 'monk') {
+function getUnarmedStrikeDice(playerState, characterClass) {
+    if (characterClass.toLowerCase() === 'monk') {
         if (playerState.level < 5)
             return '1d4';
         if (playerState.level < 11)
@@ -206,13 +523,770 @@ function getUnarmedStrikeDice(playerState, characterInfo) {
     // Add other checks here for feats like Tavern Brawler if implemented
     return '1'; // Default unarmed strike damage
 }
+/**
+ * Rolls weapon damage, rolling the damage dice a second time on a critical hit.
+ * @param {string} damageDice The weapon's damage notation.
+ * @param {boolean} isCritical Whether the attack was a critical hit.
+ * @param {string} reason The attack description, recorded in the roll log.
+ * @returns {{damageRoll: number, damageTerms: any[]}} The damage total before ability bonuses and its per-term breakdown.
+ */
+function rollDamage(damageDice, isCritical, reason) {
+    const damage = rollDice(damageDice, `${reason} (damage)`);
+    if (!isCritical)
+        return { damageRoll: damage.total, damageTerms: damage.terms };
+    const criticalDamage = rollDice(damageDice, `${reason} (critical damage)`);
+    return { damageRoll: damage.total + criticalDamage.total, damageTerms: [...damage.terms, ...criticalDamage.terms] };
+}
+/**
+ * Builds the ENEMY_DEFEATED tag the storyteller is asked to include when an attack or spell may have
+ * defeated its target. A known target is named by its combatant ID too, so the right one of several
+ * same-named enemies falls.
+ * @param {any | null} targetNpc The targeted combatant, if it is known.
+ * @param {string} description The target as the player described it.
+ * @returns {string} The tag.
+ */
+function formatDefeatTag(targetNpc, description) {
+    const payload = targetNpc ? { name: targetNpc.name, id: targetNpc.id } : { name: description };
+    return `[GAME_ACTION|ENEMY_DEFEATED|${JSON.stringify(payload)}]`;
+}
+/**
+ * Builds a combatant for an enemy from a START_COMBAT payload entry, filling in
+ * armor class, attacks, saves and challenge rating from the matching SRD statblock.
+ * Values given by the storyteller take precedence over the statblock.
+ * @param {any} enemy The enemy entry from the START_COMBAT payload.
+ * @param {number} index The enemy's position in the payload, used to keep IDs unique.
+ * @returns {any} The new combatant.
+ */
+function createEnemyCombatant(enemy, index) {
+    const monster = dataManager.findMonster(enemy.statblock || enemy.name);
+    const hp = typeof enemy.hp === 'number' ? enemy.hp : (monster?.hit_points ?? 10);
+    const initiativeBonus = monster ? getAbilityModifierValue(monster.dexterity || 10) : 0;
+    return {
+        id: `${enemy.name.toLowerCase().replace(/\s/g, '-')}-${index}`,
+        name: enemy.name,
+        hp,
+        maxHp: hp,
+        initiative: rollD20('NONE', initiativeBonus, `Initiative: ${enemy.name}`).total,
+        isPlayer: false,
+        xpValue: enemy.xpValue || monster?.parsed_xp || 0,
+        statblock: monster?.name || null,
+        ac: typeof enemy.ac === 'number' ? enemy.ac : (monster?.parsed_ac ?? config.DEFAULT_ENEMY_AC),
+        cr: monster?.parsed_cr ?? null,
+        actions: monster?.parsed_attacks || [],
+        saves: monster?.parsed_saves || null,
+    };
+}
+/**
+ * Builds a combatant for a player character, rolling their initiative. The combatant shares its ID
+ * with the player's seat, so the turn order can hand the seat over.
+ * @param {{id: string, characterInfo: any, playerState: any}} seat The player's seat.
+ * @returns {any} The new combatant.
+ */
+function createPlayerCombatant({ id, characterInfo, playerState }) {
+    return {
+        id,
+        name: characterInfo.name,
+        hp: playerState.health.current,
+        maxHp: playerState.health.max,
+        initiative: rollD20('NONE', getAbilityModifierValue(playerState.abilityScores.dexterity), `Initiative: ${characterInfo.name}`).total,
+        isPlayer: true,
+        ac: playerState.armorClass,
+    };
+}
+/**
+ * Builds a combatant for one of the player's companions, rolling their initiative.
+ * @param {any} member The companion's sheet.
+ * @returns {any} The new combatant.
+ */
+function createCompanionCombatant(member) {
+    return {
+        id: member.id,
+        name: member.name,
+        hp: member.health.current,
+        maxHp: member.health.max,
+        initiative: rollD20('NONE', getAbilityModifierValue(member.abilityScores.dexterity), `Initiative: ${member.name}`).total,
+        isPlayer: false,
+        isCompanion: true,
+        ac: member.armorClass,
+    };
+}
+/**
+ * Picks the statblock attack an NPC is using, matching the storyteller's weapon name against the
+ * attacker's actions. Falls back to the first attack in the statblock.
+ * @param {any} attacker The attacking combatant.
+ * @param {string} weaponName The weapon or action named in the attack intent.
+ * @returns {any | null} The matching attack, or null if the combatant has no statblock attacks.
+ */
+function findCombatantAttack(attacker, weaponName) {
+    const actions = attacker.actions || [];
+    const lowerWeapon = (weaponName || '').toLowerCase();
+    return actions.find(a => a.name.toLowerCase() === lowerWeapon) ||
+        actions.find(a => lowerWeapon && (a.name.toLowerCase().includes(lowerWeapon) || lowerWeapon.includes(a.name.toLowerCase()))) ||
+        actions[0] ||
+        null;
+}
+// --- COMBAT TURNS ---
+let actionDepth = 0;
+let isRunningCombatTurns = false;
+/**
+ * Returns the turn order fields of the game state.
+ * @returns {{combatants: any[], combatRound: number, activeCombatantId: string | null}} The current turn state.
+ */
+function getTurnState() {
+    const { combatants, combatRound, activeCombatantId } = gameState.getState();
+    return { combatants, combatRound, activeCombatantId };
+}
+/**
+ * Stores a new turn state, announces new rounds and the start of a turn on the player's side, ends
+ * the conditions that run out with the old round, and saves the game. When a companion's turn
+ * starts, the chat input switches to acting for them, and back to the player on the player's turn.
+ * In a hot-seat game, a player's turn hands them the seat.
+ * @param {{combatants: any[], combatRound: number, activeCombatantId: string | null}} turnState The new turn state.
+ */
+function applyTurnState(turnState) {
+    const previous = getTurnState();
+    gameState.updateState(turnState);
+    const { combatants, isInCombat, combatRound, activeCombatantId } = gameState.getState();
+    if (combatRound > previous.combatRound) {
+        ui.addMessage('dm', `<em>Round ${combatRound} begins.</em>`);
+        expirePlayerConditions();
+    }
+    const active = getActiveCombatant(turnState);
+    if (activeCombatantId !== previous.activeCombatantId && active?.isPlayer)
+        seatPlayer(active.id);
+    if (activeCombatantId !== previous.activeCombatantId && active?.isPlayer && gameState.getState().playerState.health.current > 0) {
+        setActingCharacter('player');
+        ui.addMessage('dm', `<em>It is ${getTurnOwner(active)} turn.</em>`);
+    }
+    else if (activeCombatantId !== previous.activeCombatantId && active?.isCompanion) {
+        setActingCharacter(active.id);
+        ui.addMessage('dm', `<em>It is ${getTurnOwner(active)} turn.</em>`);
+    }
+    ui.updateCombatTrackerUI(combatants, isInCombat, combatRound, activeCombatantId);
+    saveCurrentGame();
+}
+/**
+ * Asks the storyteller to play out an NPC's turn.
+ * @param {any} npc The combatant whose turn it is.
+ * @returns {Promise<boolean>} True if the storyteller replied.
+ */
+async function takeNpcTurn(npc) {
+    const { chatHistory, combatRound, combatants, activeSeatId } = gameState.getState();
+    const attacks = npc.actions?.length > 0 ? ` Its attacks are: ${npc.actions.map(a => a.name).join(', ')}.` : '';
+    const readied = combatants
+        .filter(c => c.readiedAction && c.hp > 0 && c.id !== npc.id)
+        .map(c => ` ${c.name} has readied an action for when ${c.readiedAction}; if that happens, stop and let ${c.name} react.`)
+        .join('');
+    // Companions and, in a hot-seat game, the other players can be attacked as well as the seated player.
+    const allies = combatants.filter(c => isPartyCombatant(c) && c.hp > 0 && c.id !== (activeSeatId || 'player')).map(c => c.name);
+    const targets = allies.length > 0 ? ` It can attack me or one of my allies (${allies.join(', ')}); put the name of whoever it attacks in "targetName".` : '';
+    const apiPrompt = `It is round ${combatRound} and it is now ${npc.name}'s turn. Narrate only what ${npc.name} does on this turn.${attacks} If it attacks, you MUST use the NPC_ATTACK_INTENT game action with "attackerId": "${npc.id}".${targets} If it holds back, use DELAY_TURN or READY_ACTION instead.${readied} Do not narrate any actions for me or my allies.`;
+    const newHistory = [...chatHistory, { role: 'user', parts: [{ text: `(System: Round ${combatRound}, ${npc.name}'s turn.)` }] }];
+    gameState.updateState({ chatHistory: newHistory });
+    await sendMessageAndProcessStream(apiPrompt);
+    return gameState.getState().chatHistory.length > newHistory.length;
+}
+/**
+ * Plays out turns until the player or one of their companions can act. NPC turns are handed to the
+ * storyteller, and a player at 0 HP rolls their death save automatically. Stops early if combat
+ * ends, a reply fails, or the storyteller has offered the player a choice of rolls.
+ */
+export async function continueCombat() {
+    if (isRunningCombatTurns || gameState.getState().isGenerating)
+        return;
+    isRunningCombatTurns = true;
+    try {
+        let active = getActiveCombatant(getTurnState());
+        while (gameState.getState().isInCombat && active) {
+            if (dom.chatLog.querySelector('.roll-request-container'))
+                break;
+            if (active.isPlayer) {
+                seatPlayer(active.id);
+                if (gameState.getState().playerState.health.current > 0)
+                    break;
+                const outcome = await takeDownedPlayerTurn();
+                // A natural 20 brings the player back in time to act on this turn.
+                if (outcome === 'revived')
+                    break;
+            }
+            else if (active.isCompanion) {
+                // Companions at 0 HP are skipped by the turn order, so this one can act.
+                setActingCharacter(active.id);
+                break;
+            }
+            else if (!await takeNpcTurn(active)) {
+                break;
+            }
+            // Delaying or readying an action has already moved the turn on.
+            if (gameState.getState().isInCombat && gameState.getState().activeCombatantId === active.id)
+                applyTurnState(advanceTurn(getTurnState()));
+            active = getActiveCombatant(getTurnState());
+        }
+    }
+    finally {
+        isRunningCombatTurns = false;
+    }
+}
+/**
+ * Checks that it is currently the turn of the player or one of their companions in combat.
+ * @returns {boolean} True if the active combatant is on the player's side.
+ */
+export function isPlayerTurn() {
+    const { isInCombat } = gameState.getState();
+    return isInCombat && isPartyCombatant(getActiveCombatant(getTurnState()));
+}
+/**
+ * Ends the turn of the player, or of the companion whose turn it is, and lets the NPCs after them act.
+ */
+export async function endPlayerTurn() {
+    if (!isPlayerTurn() || gameState.getState().isGenerating)
+        return;
+    applyTurnState(advanceTurn(getTurnState()));
+    await continueCombat();
+}
+/**
+ * Delays the player's turn until after the next combatant in the order.
+ * @returns {Promise<boolean>} False if the player is already last in the round and cannot delay.
+ */
+export async function delayPlayerTurn() {
+    if (!isPlayerTurn() || gameState.getState().isGenerating)
+        return false;
+    const delayed = delayTurn(getTurnState());
+    if (!delayed)
+        return false;
+    applyTurnState(delayed);
+    await continueCombat();
+    return true;
+}
+/**
+ * Readies an action for the player and ends their turn. The storyteller is reminded of the
+ * trigger on every NPC turn until the player's next turn starts.
+ * @param {string} trigger The circumstance that sets off the readied action.
+ */
+export async function readyPlayerAction(trigger) {
+    if (!isPlayerTurn() || gameState.getState().isGenerating)
+        return;
+    applyTurnState(readyAction(getTurnState(), trigger));
+    await continueCombat();
+}
+// --- DYING ---
+/**
+ * Ends the current fight without a victor, used when the player can no longer take part in it.
+ */
+function stopCombat() {
+    gameState.updateState({ isInCombat: false, combatants: [], combatRound: 0, activeCombatantId: null });
+    ui.updateCombatTrackerUI([], false);
+}
+/**
+ * Takes the seated player out of a fight they can no longer take part in. In a hot-seat game where
+ * another player is still standing, the fight goes on without them; otherwise it ends.
+ */
+function leaveCombat() {
+    if (!hasOtherPlayersStanding()) {
+        stopCombat();
+        return;
+    }
+    const { combatants, activeSeatId } = gameState.getState();
+    gameState.updateState({ combatants: combatants.map(c => (c.id === activeSeatId ? { ...c, hp: 0 } : c)) });
+}
+/**
+ * Refreshes the character sheet and the combat tracker after the player's hit points change.
+ */
+function refreshVitals() {
+    const { playerState, characterInfo, combatants, isInCombat, combatRound, activeCombatantId } = gameState.getState();
+    ui.updatePlayerStateUI(playerState, characterInfo);
+    ui.updateCombatTrackerUI(combatants, isInCombat, combatRound, activeCombatantId);
+}
+/**
+ * Tells the player what damage did to them beyond lost hit points, and describes it for the storyteller.
+ * @param {'hurt' | 'downed' | 'failedSave' | 'killed'} outcome The outcome from `applyDamageToPlayer`.
+ * @param {boolean} isCritical Whether the damage came from a critical hit.
+ * @returns {string} A sentence to add to the storyteller's prompt, or an empty string if the player was only hurt.
+ */
+function announceDamageOutcome(outcome, isCritical) {
+    if (outcome === 'downed') {
+        ui.addMessage('dm', '<em>You fall unconscious and are dying!</em>');
+        return ' This drops me to 0 hit points: I fall unconscious and am dying.';
+    }
+    if (outcome === 'failedSave') {
+        const { failures } = gameState.getState().playerState.deathSaves;
+        ui.addMessage('dm', `<em>The blow costs you ${isCritical ? 'two death saves' : 'a death save'} (${failures}/3 failures).</em>`);
+        return ` I was already unconscious and dying, so this counts as ${isCritical ? 'two failed death saves' : 'a failed death save'}.`;
+    }
+    if (outcome === 'killed') {
+        ui.addMessage('dm', '<em>You have been killed.</em>');
+        return ` The blow kills me. Narrate my character's death.${hasOtherPlayersStanding() ? ' The other players carry on.' : ' The adventure is over, so do not offer any further actions.'}`;
+    }
+    return '';
+}
+/**
+ * Reads the amount of a HEAL, TAKE_DAMAGE or GRANT_TEMP_HP action, rolling its dice if the
+ * storyteller gave dice instead of a number.
+ * @param {{amount?: number, dice?: string}} payload The action's payload.
+ * @param {string} reason Why the dice are rolled, recorded in the roll log.
+ * @returns {{amount: number, detail: string} | null} The amount and a note on how it was rolled, or null if the payload has
+ *   neither or its dice can't be rolled.
+ */
+function resolvePayloadAmount(payload, reason) {
+    if (typeof payload.amount === 'number')
+        return { amount: Math.max(0, Math.floor(payload.amount)), detail: '' };
+    if (typeof payload.dice === 'string') {
+        const result = rollDice(payload.dice, reason);
+        if (result.error)
+            return null;
+        return { amount: Math.max(0, result.total), detail: ` (rolled ${payload.dice}: ${result.total})` };
+    }
+    return null;
+}
+/**
+ * Rolls the Medicine check of someone trying to stabilize the dying player.
+ * @param {{name?: string, bonus?: number}} payload The STABILIZE action's payload.
+ * @returns {boolean} True if the check meets the DC.
+ */
+function rollStabilizeCheck(payload) {
+    const helper = payload.name || 'Someone';
+    const bonus = typeof payload.bonus === 'number' ? payload.bonus : 0;
+    const { roll, total, terms } = rollD20('NONE', bonus, `${helper} tries to stabilize you`);
+    const diceContent = { description: `${helper}: Medicine to stabilize you`, roll, modifier: bonus, total, dieValue: 20, diceString: `d20+${bonus}`, skillOrAbility: 'medicine', allRolls: [roll], terms, dc: config.STABILIZE_DC, succeeded: total >= config.STABILIZE_DC };
+    ui.addMessage('dice', diceContent);
+    ui.logToDebugger('event', 'Stabilize Check', JSON.stringify(diceContent, null, 2));
+    return total >= config.STABILIZE_DC;
+}
+/**
+ * Rolls a death saving throw for the dying player and records the result for the storyteller.
+ * @returns {'revived' | 'success' | 'stable' | 'failure' | 'dead'} The outcome of the save.
+ */
+function rollPlayerDeathSave() {
+    const { playerState, characterInfo, chatHistory } = gameState.getState();
+    const { roll, total, terms } = rollD20('NONE', 0, 'Death saving throw');
+    const { update, outcome } = resolveDeathSave(playerState, roll);
+    gameState.updatePlayerState(update);
+    const { deathSaves } = gameState.getState().playerState;
+    const diceContent = { description: 'Death Saving Throw', roll, modifier: 0, total, dieValue: 20, diceString: 'd20', skillOrAbility: 'death save', allRolls: [roll], terms, dc: config.DEATH_SAVE_DC, succeeded: total >= config.DEATH_SAVE_DC };
+    ui.addMessage('dice', diceContent);
+    ui.logToDebugger('event', 'Death Saving Throw', JSON.stringify(diceContent, null, 2));
+    const tally = `${deathSaves.successes}/3 successes, ${deathSaves.failures}/3 failures`;
+    const summaries = {
+        revived: `Death save: a natural 20! ${characterInfo.name} regains consciousness with 1 hit point.`,
+        success: `Death save: ${total}, a success (${tally}).`,
+        stable: `Death save: ${total}, a third success. ${characterInfo.name} is stable but unconscious.`,
+        failure: `Death save: ${total}, ${roll === 1 ? 'a natural 1 counting as two failures' : 'a failure'} (${tally}).`,
+        dead: `Death save: ${total}, ${roll === 1 ? 'a natural 1' : 'a failure'}. ${characterInfo.name} has died.`,
+    };
+    ui.addMessage('dm', `<em>${summaries[outcome]}</em>`);
+    gameState.updateState({ chatHistory: [...chatHistory, { role: 'user', parts: [{ text: `(System: ${summaries[outcome]})` }] }] });
+    ui.updatePlayerStateUI(gameState.getState().playerState, characterInfo);
+    saveCurrentGame();
+    return outcome;
+}
+/**
+ * Plays a turn for the player while they are at 0 HP. A dying player rolls a death save. Once the
+ * player is stable or dead they can no longer take part, so they leave any fight and the storyteller
+ * narrates what becomes of them.
+ * @returns {Promise<'revived' | 'success' | 'stable' | 'failure' | 'dead'>} The outcome of the turn.
+ */
+async function takeDownedPlayerTurn() {
+    const outcome = isPlayerDying(gameState.getState().playerState) ? rollPlayerDeathSave() : 'stable';
+    await initializeChatSession();
+    if (outcome !== 'stable' && outcome !== 'dead')
+        return outcome;
+    const wasInCombat = gameState.getState().isInCombat;
+    const othersCarryOn = hasOtherPlayersStanding();
+    leaveCombat();
+    saveCurrentGame();
+    const apiPrompt = outcome === 'dead'
+        ? `I have failed my final death saving throw and died. Narrate my character's death.${othersCarryOn ? ' The other players carry on.' : ' The adventure is over, so do not offer any further actions.'}`
+        : `I am unconscious but stable at 0 hit points. ${wasInCombat && !othersCarryOn ? 'I can no longer take part in the fight, so narrate how it ends and' : 'Narrate'} what becomes of me while I lie unconscious.`;
+    await sendMessageAndProcessStream(apiPrompt);
+    return outcome;
+}
+/**
+ * Handles chat input from a player who cannot act: the dead can only look back, the dying roll a
+ * death save for each turn that passes, and a stable player wakes up with 1 HP after 1d4 hours.
+ */
+async function handleDownedPlayerInput() {
+    const { playerState, characterInfo, chatHistory, isInCombat } = gameState.getState();
+    if (playerState.isDead) {
+        ui.addMessage('dm', '<em>Your adventure has ended. Rewind to an earlier turn from the Load Game menu, or start a new adventure.</em>');
+        return;
+    }
+    if (isInCombat) {
+        ui.addMessage('dm', '<em>You are unconscious. Your death saves are rolled on your turn.</em>');
+        return;
+    }
+    if (isPlayerDying(playerState)) {
+        await takeDownedPlayerTurn();
+        return;
+    }
+    const hours = rollDice('1d4', 'Hours unconscious before waking').total;
+    gameState.updatePlayerState(applyHealingToPlayer(playerState, 1).update);
+    ui.updatePlayerStateUI(gameState.getState().playerState, characterInfo);
+    const summary = `After ${hours} hour${hours === 1 ? '' : 's'} unconscious, ${characterInfo.name} wakes with 1 hit point.`;
+    ui.addMessage('dm', `<em>${summary}</em>`);
+    gameState.updateState({ chatHistory: [...chatHistory, { role: 'user', parts: [{ text: `(System: ${summary})` }] }] });
+    saveCurrentGame();
+    await initializeChatSession();
+    await sendMessageAndProcessStream(`After ${hours} hour${hours === 1 ? '' : 's'} unconscious, I wake up with 1 hit point. Narrate what I find when I come to.`);
+}
+// --- RESTS ---
+/**
+ * Explains why the player can't rest right now.
+ * @param {{playerState: any, isInCombat: boolean}} state The current game state.
+ * @returns {string | null} The reason, or null if the player can rest.
+ */
+export function getRestBlocker({ playerState, isInCombat }) {
+    if (isInCombat)
+        return "You can't rest while in combat.";
+    if (playerState.health.current === 0)
+        return "You can't rest while unconscious.";
+    return null;
+}
+/**
+ * Shows the player what a rest restored, and where their companions' and any other players' hit
+ * points stand after it, and describes it for the storyteller.
+ * @param {ReturnType<typeof takeRest>} rest The result from `takeRest`.
+ * @param {'short' | 'long'} restType The kind of rest taken.
+ * @param {any} playerState The player's state after the rest.
+ * @param {any[]} [players] The hot-seat players after the rest, if any.
+ * @returns {string} A summary of the rest for the chat history.
+ */
+export function announceRest(rest, restType, playerState, players = []) {
+    const { current, max } = playerState.health;
+    const countDice = (count) => `${count} hit ${count === 1 ? 'die' : 'dice'}`;
+    const parts = [`${rest.hpRegained} HP regained (${current}/${max})`];
+    if (rest.hitDiceSpent > 0)
+        parts.push(`${countDice(rest.hitDiceSpent)} spent`);
+    if (rest.hitDiceRegained > 0)
+        parts.push(`${countDice(rest.hitDiceRegained)} regained`);
+    if (rest.resourcesRecovered.length > 0)
+        parts.push(`${rest.resourcesRecovered.join(', ')} recovered`);
+    if (rest.conditionsEnded.length > 0)
+        parts.push(`${rest.conditionsEnded.join(', ')} ended`);
+    const companions = (playerState.party || []).filter(member => !member.isDead).map(member => `${member.name} ${member.health.current}/${member.health.max} HP`);
+    const { activeSeatId } = gameState.getState();
+    const otherPlayers = players.filter(seat => seat.id !== activeSeatId && !seat.playerState.isDead)
+        .map(seat => `${seat.characterInfo.name} ${seat.playerState.health.current}/${seat.playerState.health.max} HP`);
+    const details = `${parts.join(', ')}; ${countDice(playerState.hitDice.current)} left${otherPlayers.length > 0 ? `; other players: ${otherPlayers.join(', ')}` : ''}${companions.length > 0 ? `; companions: ${companions.join(', ')}` : ''}`;
+    ui.addEventMessage('rest', `${restType === 'long' ? 'Long' : 'Short'} rest: ${details}.`);
+    return `I took a ${restType} rest (${details}).`;
+}
+// --- CONDITIONS ---
+/**
+ * Returns the parts of the game state that condition durations are measured against.
+ * @param {{playerState: any, isInCombat: boolean, combatRound: number}} state The game state, or a working copy of it.
+ * @returns {{turnCount: number, combatRound: number, isInCombat: boolean}} The current time.
+ */
+function getClock({ playerState, isInCombat, combatRound }) {
+    return { turnCount: playerState.turnCount || 0, combatRound: combatRound || 0, isInCombat: !!isInCombat };
+}
+/**
+ * Ends the conditions and concentration of the player and their companions that have run out and
+ * tells the player.
+ * @returns {string} A sentence telling the storyteller what wore off, or an empty string.
+ */
+function expirePlayerConditions() {
+    const { playerState, characterInfo } = gameState.getState();
+    const clock = getClock(gameState.getState());
+    const { update, ended } = expireConditions(playerState, clock);
+    const party = (playerState.party || []).map(member => {
+        const expired = expireConditions(member, clock);
+        if (!expired.update)
+            return member;
+        ended.push(...expired.ended.map(name => `${member.name}'s ${name}`));
+        return { ...member, ...expired.update };
+    });
+    if (ended.length === 0)
+        return '';
+    gameState.updatePlayerState({ ...update, party });
+    ui.updatePlayerStateUI(gameState.getState().playerState, characterInfo);
+    const summary = `${ended.join(', ')} ${ended.length === 1 ? 'has' : 'have'} worn off.`;
+    ui.addEventMessage('condition', summary);
+    return ` ${summary}`;
+}
+/**
+ * Moves the game clock on by one player turn and ends whatever runs out.
+ * @returns {string} A sentence telling the storyteller what wore off, or an empty string.
+ */
+function advanceClock() {
+    const { playerState } = gameState.getState();
+    gameState.updatePlayerState({ turnCount: (playerState.turnCount || 0) + 1 });
+    return expirePlayerConditions();
+}
+/**
+ * Rolls the Constitution saving throw a concentrating character makes after taking damage. Dropping
+ * to 0 HP ends concentration without a roll.
+ * @param {import("./types.js").PlayerState} playerState The sheet of the player or companion, after the damage.
+ * @param {number} damage The damage taken.
+ * @param {string} [companionName] The companion's name, if it is a companion concentrating rather than the player.
+ * @returns {{update: any, text: string}} The state changes to apply if concentration is lost (or
+ *   null), and a sentence describing the outcome for the storyteller.
+ */
+function rollConcentrationSave(playerState, damage, companionName) {
+    const spell = playerState.concentration?.spell;
+    if (!spell || damage <= 0)
+        return { update: null, text: '' };
+    const lost = () => {
+        ui.addMessage('dm', `<em>${companionName ? `${companionName} loses` : 'You lose'} concentration on ${spell}.</em>`);
+        return endConcentration(playerState).update;
+    };
+    const whose = companionName ? `${companionName}'s` : 'my';
+    const incapacitatedBy = playerState.health.current === 0 ? 'Unconscious' : getIncapacitatingCondition(playerState.conditions);
+    if (incapacitatedBy)
+        return { update: lost(), text: ` Being ${incapacitatedBy.toLowerCase()} ends ${whose} concentration on ${spell}.` };
+    const dc = getConcentrationDc(damage);
+    const { rollModifier } = getConditionRollModifier(playerState.conditions, 'save', 'NONE', 'constitution', [getEncumbranceRollModifier(playerState, 'constitution')]);
+    const modifier = calculateSavingThrowModifier('constitution', playerState);
+    const description = `${companionName ? `${companionName}: ` : ''}Concentration on ${spell}`;
+    const { roll, allRolls, total, terms } = rollD20(rollModifier, modifier, description);
+    const succeeded = total >= dc;
+    const diceContent = { description, roll, modifier, total, dieValue: 20, diceString: `d20+${modifier}`, skillOrAbility: 'constitution', allRolls, rollModifier, terms, dc, succeeded };
+    ui.addMessage('dice', diceContent);
+    ui.logToDebugger('event', 'Concentration Save', JSON.stringify(diceContent, null, 2));
+    const subject = companionName ? `${companionName} ${succeeded ? 'keeps' : 'loses'} their` : `I ${succeeded ? 'keep' : 'lose'} my`;
+    if (succeeded)
+        return { update: null, text: ` ${subject} concentration on ${spell} (Constitution save ${total} against DC ${dc}).` };
+    return { update: lost(), text: ` ${subject} concentration on ${spell} (Constitution save ${total} against DC ${dc}), and the spell ends.` };
+}
+// --- PARTY ---
+/**
+ * Finds the player or one of their companions by name or ID. The player answers to "player", their
+ * full name or their first name.
+ * @param {string} nameOrId The character's name or ID.
+ * @returns {{id: string, name: string, sheet: any, characterClass: string, isPlayer: boolean} | null}
+ *   The character and their sheet, or null if nobody in the party matches.
+ */
+function resolveCharacter(nameOrId) {
+    const { playerState, characterInfo } = gameState.getState();
+    const wanted = String(nameOrId || '').trim().toLowerCase();
+    const playerName = characterInfo.name.toLowerCase();
+    if (wanted === 'player' || wanted === playerName || wanted === playerName.split(/\s+/)[0])
+        return { id: 'player', name: characterInfo.name, sheet: playerState, characterClass: characterInfo.characterClass, isPlayer: true };
+    const companion = findPartyMember(playerState.party, nameOrId);
+    return companion ? { id: companion.id, name: companion.name, sheet: companion, characterClass: companion.characterClass, isPlayer: false } : null;
+}
+/**
+ * Returns the character whose actions and rolls the chat input issues: the player, or the
+ * companion they have switched to. If that companion has left the party, the player acts again.
+ * @returns {{id: string, name: string, sheet: any, characterClass: string, isPlayer: boolean}} The acting character.
+ */
+export function getActingCharacter() {
+    return resolveCharacter(gameState.getState().actingCharacterId) || resolveCharacter('player');
+}
+/**
+ * Switches which character the chat input acts for. Naming another player in a hot-seat game
+ * hands them the seat.
+ * @param {string} nameOrId The character's name or ID, or "player".
+ * @returns {string | null} The name of the character now acting, or null if nobody in the party matches.
+ */
+export function setActingCharacter(nameOrId) {
+    const seat = findSeat(gameState.getState().players, nameOrId);
+    if (seat)
+        seatPlayer(seat.id);
+    const character = resolveCharacter(seat ? 'player' : nameOrId);
+    if (!character)
+        return null;
+    gameState.updateState({ actingCharacterId: character.id });
+    const { playerState, characterInfo } = gameState.getState();
+    ui.updatePlayerStateUI(playerState, characterInfo);
+    return character.name;
+}
+/**
+ * Applies changes to the sheet of the player or one of their companions, keeping a companion's
+ * entry in the combat tracker in step with their hit points.
+ * @param {{id: string, isPlayer: boolean}} character The character to change.
+ * @param {any} update The changes to their sheet.
+ */
+function updateCharacterSheet(character, update) {
+    if (character.isPlayer) {
+        gameState.updatePlayerState(update);
+        return;
+    }
+    const party = updatePartyMember(gameState.getState().playerState.party, character.id, update);
+    gameState.updatePlayerState({ party });
+    gameState.updateState({ combatants: syncCompanionCombatants(gameState.getState().combatants, party) });
+}
+/**
+ * Applies changes to a companion's sheet in the working copy used by game actions.
+ * @param {any} stateUpdate The working copy of the game state.
+ * @param {string} memberId The companion's ID.
+ * @param {any} update The changes to their sheet.
+ */
+function updateCompanionCopy(stateUpdate, memberId, update) {
+    stateUpdate.playerState.party = updatePartyMember(stateUpdate.playerState.party, memberId, update);
+    stateUpdate.combatants = syncCompanionCombatants(stateUpdate.combatants, stateUpdate.playerState.party);
+}
+/**
+ * Works out what damage does to a companion, applying their resistances and temporary hit points
+ * and rolling a concentration save if they are concentrating, and tells the player.
+ * @param {any} member The companion's sheet.
+ * @param {number} amount The damage dealt.
+ * @param {string | null | undefined} damageType The type of damage, if known.
+ * @param {string} [source] What dealt the damage.
+ * @returns {{update: any, amount: number, text: string}} The sheet changes to apply, the damage taken after
+ *   resistances, and a description of the outcome for the storyteller.
+ */
+function damageCompanion(member, amount, damageType, source) {
+    const typedDamage = adjustDamageForType(amount, damageType, getDamageModifiers(member, null));
+    const { update, outcome } = applyDamageToCompanion(member, typedDamage.amount);
+    const modifierNote = typedDamage.modifier ? `, which ${member.name} is ${typedDamage.modifier} to` : '';
+    ui.addEventMessage('damage', `${member.name} takes ${typedDamage.amount} ${damageType ? `${damageType} ` : ''}damage${source ? ` from ${source}` : ''}${modifierNote}.`);
+    let text = ` ${member.name} takes ${typedDamage.amount} damage${modifierNote}.`;
+    if (outcome === 'downed') {
+        ui.addMessage('dm', `<em>${member.name} falls unconscious!</em>`);
+        return { update, amount: typedDamage.amount, text: `${text} This drops ${member.name} to 0 hit points and knocks them unconscious.` };
+    }
+    if (outcome === 'killed') {
+        ui.addMessage('dm', `<em>${member.name} has been killed.</em>`);
+        return { update, amount: typedDamage.amount, text: `${text} The blow kills ${member.name}.` };
+    }
+    const concentrationCheck = rollConcentrationSave(deepMerge(member, update), typedDamage.amount, member.name);
+    return { update: concentrationCheck.update ? { ...update, ...concentrationCheck.update } : update, amount: typedDamage.amount, text: text + concentrationCheck.text };
+}
+// --- HOT-SEAT ---
+/**
+ * Returns a seat for every player character, with the seated player's up to date. A solo game has
+ * the one seat, with the ID "player" that the player's combatant uses.
+ * @param {any} [playerState] The seated player's state, if it differs from the stored one.
+ * @returns {{id: string, characterInfo: any, playerState: any}[]} The seats.
+ */
+function getSeats(playerState = gameState.getState().playerState) {
+    const { players, activeSeatId, characterInfo } = gameState.getState();
+    if (!isHotSeat(players))
+        return [{ id: 'player', characterInfo, playerState }];
+    return storeSeat(players, activeSeatId, characterInfo, playerState);
+}
+/**
+ * The storyteller's chat session being rebuilt for a newly seated player, if any. The next message to
+ * the storyteller waits for it.
+ * @type {Promise<void>}
+ */
+let seatedChatSession = Promise.resolve();
+/**
+ * Hands the seat to another player in a hot-seat game, so the chat input, rolls and rules act for
+ * their character. The group's location, quests, companions and clock go with the seat.
+ * @param {string} seatId The player's seat ID.
+ * @returns {boolean} True if the seat changed hands.
+ */
+export function seatPlayer(seatId) {
+    const { players, activeSeatId, playerState } = gameState.getState();
+    const seat = players.find(s => s.id === seatId);
+    if (!isHotSeat(players) || !seat || seatId === activeSeatId)
+        return false;
+    const nextState = withSharedFields(seat.playerState, playerState);
+    gameState.updateState({ players: getSeats(), activeSeatId: seat.id, characterInfo: seat.characterInfo, playerState: nextState, actingCharacterId: 'player' });
+    ui.updatePlayerStateUI(nextState, seat.characterInfo);
+    // The storyteller's view of the player character follows the seat. A failure has already been
+    // shown in the chat, and the next message is sent with the session as it was.
+    seatedChatSession = initializeChatSession().catch(error => {
+        console.warn('Kept the previous chat session after seating a player.', error);
+    });
+    return true;
+}
+/**
+ * Names the owner of a turn for announcing it: "your" in a solo game, or the character's name.
+ * @param {any} combatant The combatant whose turn it is.
+ * @returns {string} The possessive, e.g. "Bram's".
+ */
+function getTurnOwner(combatant) {
+    return combatant.isPlayer && !isHotSeat(gameState.getState().players) ? 'your' : `${combatant.name}'s`;
+}
+/**
+ * Names whoever is acting, to label their messages and rolls. A solo player's own actions need no
+ * label, so this is null for them.
+ * @param {{name: string, isPlayer: boolean}} [actor] The acting character, by default the one the chat input acts for.
+ * @returns {string | null} The name to label the action with, or null.
+ */
+export function getActorName(actor = getActingCharacter()) {
+    return actor.isPlayer && !isHotSeat(gameState.getState().players) ? null : actor.name;
+}
+/**
+ * Labels a roll with the name of whoever made it, as `getActorName` decides.
+ * @param {{name: string, isPlayer: boolean}} actor The character rolling.
+ * @param {string} description What the roll is for.
+ * @returns {string} The labelled description.
+ */
+export function labelRoll(actor, description) {
+    const name = getActorName(actor);
+    return name ? `${name}: ${description}` : description;
+}
+/**
+ * Labels a line of the chat history with whoever acted, as `getActorName` decides.
+ * @param {{name: string, isPlayer: boolean}} actor The character acting.
+ * @returns {string} The label, e.g. "Action (Bram)".
+ */
+function labelAction(actor) {
+    const name = getActorName(actor);
+    return name ? `Action (${name})` : 'Action';
+}
+/**
+ * Checks whether, in a hot-seat game, a player other than the seated one can still fight on.
+ * @returns {boolean} True if another player is alive and above 0 HP.
+ */
+function hasOtherPlayersStanding() {
+    const { players, activeSeatId } = gameState.getState();
+    return isHotSeat(players) && getSeats().some(seat => seat.id !== activeSeatId && isSeatStanding(seat));
+}
+/**
+ * Finds who takes the next turn outside of combat in a hot-seat game.
+ * @returns {any | null} The next player's seat, or null in a solo game, in combat, or if nobody else is alive.
+ */
+function getNextSeat() {
+    const { players, activeSeatId, isInCombat } = gameState.getState();
+    if (!isHotSeat(players) || isInCombat)
+        return null;
+    const seats = getSeats();
+    return seats.find(seat => seat.id === getNextSeatId(seats, activeSeatId)) || null;
+}
+/**
+ * Outside of combat, passes the seat to the next player once the seated player's action has played
+ * out: after the storyteller's reply and any roll it asked for. In combat the turn order decides.
+ */
+function passTurnToNextPlayer() {
+    if (actionDepth > 0 || dom.chatLog.querySelector('.roll-request-container'))
+        return;
+    const next = getNextSeat();
+    if (next && seatPlayer(next.id))
+        ui.addMessage('dm', `<em>It is ${next.characterInfo.name}'s turn.</em>`);
+}
+/**
+ * Seats a new player character, made with the character creator, at the table, turning a solo game
+ * into a hot-seat one. The group's location, quests, companions and clock carry over to them, and
+ * one who joins mid-fight rolls initiative and takes their turn at the end of the order.
+ * @param {import("./types.js").CharacterInfo} newCharacterInfo The new character's static info.
+ * @param {import("./types.js").PlayerState} newPlayerState The new character's state.
+ */
+export async function addHotSeatPlayer(newCharacterInfo, newPlayerState) {
+    const { players, activeSeatId, characterInfo, playerState, isInCombat, combatants, activeCombatantId } = gameState.getState();
+    // A solo game's player takes the first seat, and their combatant takes its ID.
+    const seats = isHotSeat(players) ? getSeats() : [createSeat(characterInfo, playerState, [])];
+    const seat = createSeat(newCharacterInfo, withSharedFields(newPlayerState, playerState), seats);
+    const seatedId = activeSeatId || seats[0].id;
+    const renameSoloPlayer = (id) => (id === 'player' ? seatedId : id);
+    gameState.updateState({
+        players: [...seats, seat],
+        activeSeatId: seatedId,
+        combatants: isInCombat ? [...combatants.map(c => ({ ...c, id: renameSoloPlayer(c.id) })), createPlayerCombatant(seat)] : combatants,
+        activeCombatantId: activeCombatantId && renameSoloPlayer(activeCombatantId),
+    });
+    const { level, health, armorClass } = seat.playerState;
+    ui.addEventMessage('party', `${newCharacterInfo.name} joins the table (level ${level} ${newCharacterInfo.race} ${newCharacterInfo.characterClass}, ${health.max} HP, AC ${armorClass}).`);
+    const summary = `${newCharacterInfo.name}, a level ${level} ${newCharacterInfo.race} ${newCharacterInfo.characterClass}, joins the adventure as a new player character.`;
+    const { chatHistory } = gameState.getState();
+    gameState.updateState({ chatHistory: [...chatHistory, { role: 'user', parts: [{ text: `(System: ${summary})` }] }] });
+    refreshVitals();
+    saveCurrentGame();
+    await initializeChatSession();
+    await sendMessageAndProcessStream(`${summary} ${newCharacterInfo.desc} ${newCharacterInfo.bio} Narrate how they join the group.`);
+}
 // --- CORE GAME LOOP ---
 export async function sendMessageAndProcessStream(promptForApi, targetElement) {
-    const { isGenerating, characterInfo, playerState, llmProvider, chatHistory } = gameState.getState();
+    await seatedChatSession;
+    const { isGenerating, characterInfo, playerState, llmProvider, chatHistory, players, activeSeatId } = gameState.getState();
     if (isGenerating || !characterInfo || !playerState || !llmProvider) {
         return;
     }
-    const systemInstruction = llmProvider.getSystemInstructionContent(characterInfo, playerState, gameState.getState().isMatureEnabled);
+    const otherPlayers = players.filter(seat => seat.id !== activeSeatId);
+    const systemInstruction = llmProvider.getSystemInstructionContent(characterInfo, playerState, gameState.getState().isMatureEnabled, otherPlayers);
     let fullInputForDebugger = `--- SYSTEM PROMPT ---\n${systemInstruction}\n\n--- CHAT HISTORY & CURRENT PROMPT ---`;
     chatHistory.forEach(msg => {
         const text = msg.parts.map(p => p.text).join('');
@@ -250,9 +1324,20 @@ export async function sendMessageAndProcessStream(promptForApi, targetElement) {
             ui.scrollToBottom();
         }
         ui.logToDebugger('output', 'Received from AI', fullResponseText);
+        shareMessage({ sender: 'dm', content: cleanseResponseText(fullResponseText), author: null });
         const newHistory = [...gameState.getState().chatHistory, { role: 'model', parts: [{ text: fullResponseText }] }];
         gameState.updateState({ chatHistory: newHistory });
-        await processTagsAndActions(fullResponseText);
+        ui.addForkButton(dmMessageElement, newHistory.length);
+        actionDepth++;
+        try {
+            await processTagsAndActions(fullResponseText);
+        }
+        finally {
+            actionDepth--;
+        }
+        // Replies nested inside another reply's actions leave the turn order to the outermost one.
+        if (actionDepth === 0)
+            await continueCombat();
     }
     catch (error) {
         console.error("API call failed:", error);
@@ -292,7 +1377,7 @@ async function processTagsAndActions(fullResponseText) {
     let stateWasUpdatedByNarrative = false;
     const { isMatureEnabled, playerState, characterInfo } = gameState.getState();
     if (isMatureEnabled && playerState && characterInfo) {
-        if (config.PIV_SEX_TAG.test(fullResponseText) && characterInfo.gender === 'female' && !playerState.pregnancy?.isPregnant && Math.random() < config.PREGNANCY_CHANCE) {
+        if (config.PIV_SEX_TAG.test(fullResponseText) && characterInfo.gender === 'female' && !playerState.pregnancy?.isPregnant && rollChance(config.PREGNANCY_CHANCE, 'Conception')) {
             const sireMatch = fullResponseText.match(config.PIV_SEX_TAG);
             if (sireMatch) {
                 gameState.updatePlayerState({ pregnancy: { isPregnant: true, conceptionTurn: playerState.turnCount, sire: sireMatch[1], knowledgeRevealed: false } });
@@ -308,27 +1393,34 @@ async function processTagsAndActions(fullResponseText) {
     if (stateWasUpdatedByAction || stateWasUpdatedByNarrative) {
         const finalState = gameState.getState();
         ui.updatePlayerStateUI(finalState.playerState, finalState.characterInfo);
-        ui.updateCombatTrackerUI(finalState.combatants, finalState.isInCombat);
+        ui.updateCombatTrackerUI(finalState.combatants, finalState.isInCombat, finalState.combatRound, finalState.activeCombatantId);
         saveCurrentGame();
         await initializeChatSession();
     }
     else {
-        const { combatants, isInCombat } = gameState.getState();
-        ui.updateCombatTrackerUI(combatants, isInCombat);
+        const { combatants, isInCombat, combatRound, activeCombatantId } = gameState.getState();
+        ui.updateCombatTrackerUI(combatants, isInCombat, combatRound, activeCombatantId);
+        // Save the reply itself so this turn's autosave snapshot ends at the DM message, which is where forks start.
+        saveCurrentGame();
     }
     document.querySelectorAll('.action-btn-container, .roll-request-container').forEach(c => c.remove());
     const attackMatches = [...fullResponseText.matchAll(config.ATTACK_ROLL_REGEX)];
     const diceMatches = [...fullResponseText.matchAll(config.DICE_ROLL_REGEX)];
+    const spellMatches = [...fullResponseText.matchAll(config.CAST_SPELL_REGEX)];
     const choices = [];
     attackMatches.forEach(match => choices.push({ type: 'attack', weaponName: match[1], targetDescription: match[2], modifier: match[3] }));
-    diceMatches.forEach(match => choices.push({ type: 'roll', skillOrAbility: match[1], description: match[2], modifier: match[3] }));
+    spellMatches.forEach(match => choices.push({ type: 'spell', spellName: match[1], targetDescription: match[2], slotLevel: match[3] }));
+    diceMatches.forEach(match => choices.push({ type: 'roll', skillOrAbility: match[1], description: match[2], modifier: match[3], dc: match[4] }));
     if (choices.length === 1) {
         const choice = choices[0];
         if (choice.type === 'attack') {
             await handleAttackRollRequest(choice.weaponName, choice.targetDescription, choice.modifier);
         }
+        else if (choice.type === 'spell') {
+            await handleSpellCastRequest(choice.spellName, choice.targetDescription, choice.slotLevel);
+        }
         else {
-            await handleDiceRollRequest(choice.skillOrAbility, choice.description, choice.modifier);
+            await handleDiceRollRequest(choice.skillOrAbility, choice.description, choice.modifier, choice.dc);
         }
     }
     else if (choices.length > 1) {
@@ -349,30 +1441,41 @@ export async function handleAttackRollRequest(weaponName, description, rollModif
     const { playerState, characterInfo, chatHistory } = gameState.getState();
     if (!playerState || !characterInfo)
         return;
+    const actor = getActingCharacter();
+    const attacker = actor.sheet;
+    const actionLabel = labelAction(actor);
     let effectiveWeaponName = weaponName;
-    const equippedWeapon = playerState.equipment.weapon;
-    const hasWeaponInInventory = playerState.inventory.some(item => item.toLowerCase() === weaponName.toLowerCase());
+    const equippedWeapon = attacker.equipment.weapon;
+    const hasWeaponInInventory = !!findItem(attacker.inventory, weaponName);
     const isEquipped = equippedWeapon?.toLowerCase() === weaponName.toLowerCase();
     if (!hasWeaponInInventory && !isEquipped) {
         console.warn(`AI requested attack with unowned weapon: '${weaponName}'. Defaulting to equipped weapon: '${equippedWeapon}'.`);
-        ui.addMessage('dm', `<em>(You don't have a ${weaponName}. You use your ${equippedWeapon} instead.)</em>`);
+        ui.addMessage('dm', `<em>(${actor.isPlayer ? `You don't have a ${weaponName}. You use your` : `${actor.name} doesn't have a ${weaponName} and uses their`} ${equippedWeapon} instead.)</em>`);
         effectiveWeaponName = equippedWeapon;
     }
-    gameState.updatePlayerState({ turnCount: playerState.turnCount + 1 });
+    const incapacitatedBy = getIncapacitatingCondition(attacker.conditions);
+    if (incapacitatedBy) {
+        ui.addMessage('dm', `<em>(${actor.isPlayer ? 'You are' : `${actor.name} is`} ${incapacitatedBy.toLowerCase()} and can't attack.)</em>`);
+        await sendActionResult(`${actionLabel}: Tried to attack ${description}`, `${actor.isPlayer ? 'I try' : `${actor.name} tries`} to attack "${description}", but ${actor.isPlayer ? 'I am' : 'they are'} ${incapacitatedBy.toLowerCase()} and can't take actions. Narrate this briefly.`);
+        return;
+    }
+    const expiryNote = advanceClock();
     let weaponData;
+    const weaponItem = findItem(attacker.inventory, effectiveWeaponName);
     const normalizedWeaponName = effectiveWeaponName.toLowerCase();
     const isUnarmed = ['unarmed', 'kick', 'punch', 'headbutt', 'stomp', 'slap'].some(term => normalizedWeaponName.includes(term));
     if (isUnarmed) {
         weaponData = {
             name: 'Unarmed Strike',
-            damage_dice: getUnarmedStrikeDice(playerState, characterInfo),
+            damage_dice: getUnarmedStrikeDice(attacker, actor.characterClass),
             is_finesse: false,
             properties: ['Melee'],
             category: 'Simple Melee',
         };
     }
     else {
-        weaponData = getWeaponData(effectiveWeaponName);
+        // An item linked to an SRD weapon uses that weapon's stats, whatever the item is called.
+        weaponData = getWeaponData(weaponItem?.weapon || effectiveWeaponName);
     }
     if (!weaponData) {
         console.warn(`Could not find base weapon data for '${effectiveWeaponName}'. Using default stats.`);
@@ -380,63 +1483,292 @@ export async function handleAttackRollRequest(weaponName, description, rollModif
         weaponData = { name: effectiveWeaponName, damage_dice: '1d8', is_finesse: false, properties: ['Magical'], category: 'Martial Melee' };
     }
     // Monks can use Dexterity for their unarmed strikes.
-    const canUseFinesse = (weaponData.is_finesse || (isUnarmed && characterInfo.characterClass.toLowerCase() === 'monk'));
-    const abilityKey = canUseFinesse && playerState.abilityScores.dexterity > playerState.abilityScores.strength ? 'dexterity' : 'strength';
-    const attackBonus = getAbilityModifierValue(playerState.abilityScores[abilityKey]) + playerState.proficiencyBonus;
-    let finalModifier = rollModifier;
-    if (playerState.conditions?.some(c => c.name === 'Poisoned')) {
-        finalModifier = 'DISADVANTAGE';
-    }
-    let roll1 = Math.floor(Math.random() * 20) + 1, roll2 = Math.floor(Math.random() * 20) + 1;
-    let attackRoll = finalModifier === 'ADVANTAGE' ? Math.max(roll1, roll2) : (finalModifier === 'DISADVANTAGE' ? Math.min(roll1, roll2) : roll1);
-    const isCritical = attackRoll === 20;
+    const canUseFinesse = (weaponData.is_finesse || (isUnarmed && actor.characterClass.toLowerCase() === 'monk'));
+    const abilityKey = canUseFinesse && attacker.abilityScores.dexterity > attacker.abilityScores.strength ? 'dexterity' : 'strength';
+    // A magic weapon, such as a Longsword +1, adds its bonus to both rolls.
+    const magicBonuses = isUnarmed ? { attack: 0, damage: 0 } : getWeaponBonuses(weaponItem, effectiveWeaponName);
+    const attackBonus = getAbilityModifierValue(attacker.abilityScores[abilityKey]) + attacker.proficiencyBonus + magicBonuses.attack;
+    const { rollModifier: finalModifier } = getConditionRollModifier(attacker.conditions, 'attack', rollModifier, null, [getEncumbranceRollModifier(attacker, abilityKey)]);
+    const { isInCombat, combatants } = gameState.getState();
+    const targetNpc = isInCombat ? findEnemyTarget(combatants, description) : null;
+    const targetAc = targetNpc?.ac ?? null;
+    const attackReason = labelRoll(actor, `Attack with ${effectiveWeaponName} on ${description}`);
+    const { roll: attackRoll, allRolls, terms: attackTerms } = rollD20(finalModifier, attackBonus, attackReason);
+    const totalAttackRoll = attackRoll + attackBonus;
+    const outcome = resolveAttackRoll(attackRoll, totalAttackRoll, targetAc);
+    const isCritical = outcome === 'critical';
     const damageDice = weaponData.damage_dice;
-    let damageRoll = rollDice(damageDice).total + (isCritical ? rollDice(damageDice).total : 0);
-    const damageBonus = getAbilityModifierValue(playerState.abilityScores[abilityKey]);
-    const attackContent = { description: `Attack with ${effectiveWeaponName} on ${description}`, weaponName: effectiveWeaponName, attackRoll, attackBonus, totalAttackRoll: attackRoll + attackBonus, damageRoll, damageBonus, totalDamage: Math.max(1, damageRoll + damageBonus), damageDice, isCritical, allRolls: (finalModifier && finalModifier !== 'NONE') ? [roll1, roll2] : [roll1], rollModifier: finalModifier };
+    const damageBonus = getAbilityModifierValue(attacker.abilityScores[abilityKey]) + magicBonuses.damage;
+    // A miss deals no damage, so its damage dice are never rolled.
+    const { damageRoll, damageTerms } = outcome === 'miss' ? { damageRoll: 0, damageTerms: [] } : rollDamage(damageDice, isCritical, attackReason);
+    const totalDamage = outcome === 'miss' ? 0 : Math.max(1, damageRoll + damageBonus);
+    const attackContent = { description: attackReason, weaponName: effectiveWeaponName, attackRoll, attackBonus, totalAttackRoll, damageRoll, damageBonus, totalDamage, damageDice, isCritical, allRolls, rollModifier: finalModifier, attackTerms, damageTerms, outcome, targetAc };
     ui.addMessage('attack', attackContent);
     ui.logToDebugger('event', 'Player Attack Roll', JSON.stringify(attackContent, null, 2));
-    const { isInCombat, combatants } = gameState.getState();
+    if (targetNpc && outcome !== 'miss') {
+        targetNpc.hp = Math.max(0, targetNpc.hp - totalDamage);
+        gameState.updateState({ combatants: [...combatants] });
+    }
+    // Attacking outside of your own turn uses up a readied action.
+    const attackerCombatant = isInCombat ? combatants.find(c => c.id === actor.id) : null;
+    if (attackerCombatant?.readiedAction && gameState.getState().activeCombatantId !== attackerCombatant.id) {
+        attackerCombatant.readiedAction = null;
+        gameState.updateState({ combatants: [...combatants] });
+    }
     if (isInCombat) {
-        const targetName = description.toLowerCase();
-        const targetNpc = combatants.find(c => !c.isPlayer && c.hp > 0 && c.name.toLowerCase().includes(targetName));
-        if (targetNpc) {
-            const newHp = Math.max(0, targetNpc.hp - attackContent.totalDamage);
-            targetNpc.hp = newHp;
-            gameState.updateState({ combatants: [...combatants] });
-            ui.updateCombatTrackerUI(combatants, isInCombat);
-        }
+        const { combatRound, activeCombatantId } = gameState.getState();
+        ui.updateCombatTrackerUI(combatants, isInCombat, combatRound, activeCombatantId);
+    }
+    const defeatTag = formatDefeatTag(targetNpc, description);
+    const attackerPossessive = actor.isPlayer ? 'My' : `${actor.name}'s`;
+    let apiPrompt;
+    if (outcome === 'miss') {
+        const missReason = attackRoll === 1 ? 'a natural 1, an automatic miss' : `${totalAttackRoll} against AC ${targetAc}`;
+        apiPrompt = `${attackerPossessive} attack against "${description}" with the ${effectiveWeaponName} MISSES (${missReason}). The target takes no damage. Narrate the miss.`;
+    }
+    else if (outcome === 'unknown') {
+        apiPrompt = `${attackerPossessive} attack roll against "${description}" with the ${effectiveWeaponName} is ${totalAttackRoll}. If that meets the target's armor class, it deals ${totalDamage} damage. Narrate the outcome. If this defeats the target, you MUST include the ${defeatTag} tag.`;
     }
-    const historyPrompt = `Action: Attacked ${description} with ${effectiveWeaponName} (Attack Roll: ${attackContent.totalAttackRoll}, Damage: ${attackContent.totalDamage})`;
-    const apiPrompt = `The attack roll against "${description}" with the ${effectiveWeaponName} is ${attackContent.totalAttackRoll}, dealing ${attackContent.totalDamage} damage. ${attackContent.isCritical ? 'It was a critical hit. ' : ''}Narrate the outcome. If this defeats the target, you MUST include the [GAME_ACTION|ENEMY_DEFEATED|{"name": "${description}"}] tag.`;
+    else {
+        const hitText = isCritical ? 'is a CRITICAL HIT (a natural 20)' : `HITS (${totalAttackRoll} against AC ${targetAc})`;
+        const hpText = targetNpc ? ` It now has ${targetNpc.hp}/${targetNpc.maxHp} HP.` : '';
+        const defeatText = targetNpc?.hp === 0
+            ? ` This reduces the target to 0 HP. Narrate its defeat and you MUST include the ${defeatTag} tag.`
+            : ` Narrate the outcome. If this defeats the target, you MUST include the ${defeatTag} tag.`;
+        apiPrompt = `${attackerPossessive} attack against "${description}" with the ${effectiveWeaponName} ${hitText}, dealing ${totalDamage} damage.${hpText}${defeatText}`;
+    }
+    apiPrompt += expiryNote;
+    const resultText = outcome === 'miss' ? 'Miss' : (outcome === 'unknown' ? `Damage if it hits: ${totalDamage}` : `${isCritical ? 'Critical hit' : 'Hit'}, Damage: ${totalDamage}`);
+    const historyPrompt = `${actionLabel}: Attacked ${description} with ${effectiveWeaponName} (Attack Roll: ${totalAttackRoll}, ${resultText})`;
     const newHistory = [...chatHistory, { role: 'user', parts: [{ text: historyPrompt }] }];
     gameState.updateState({ chatHistory: newHistory, isGenerating: false });
     saveCurrentGame();
     await sendMessageAndProcessStream(apiPrompt);
+    passTurnToNextPlayer();
+}
+/**
+ * Adds the player's side of a resolved action to the chat history and asks the storyteller to narrate the result.
+ * In a hot-seat game, the next player then takes their turn.
+ * @param {string} historyPrompt The short record of the action kept in the chat history.
+ * @param {string} apiPrompt The full result sent to the storyteller.
+ */
+async function sendActionResult(historyPrompt, apiPrompt) {
+    const { chatHistory } = gameState.getState();
+    gameState.updateState({ chatHistory: [...chatHistory, { role: 'user', parts: [{ text: historyPrompt }] }], isGenerating: false });
+    saveCurrentGame();
+    await sendMessageAndProcessStream(apiPrompt);
+    passTurnToNextPlayer();
+}
+/**
+ * Resolves a spell the storyteller asked the acting character to cast. Spends a spell slot (upcasting
+ * to the next free slot if the requested one is used up), rolls the spell attack or the target's
+ * saving throw against the caster's spell save DC, rolls the damage or healing given in the spell's
+ * description, and sends the result back for narration. Healing can target the caster or anyone in
+ * the party by name.
+ * @param {string} spellName The spell to cast.
+ * @param {string} targetDescription The target, or "self" for the caster.
+ * @param {string} [requestedLevel] The slot level to cast it with, if the storyteller gave one.
+ */
+export async function handleSpellCastRequest(spellName, targetDescription, requestedLevel) {
+    const { playerState, characterInfo, isInCombat, combatants } = gameState.getState();
+    if (!playerState || !characterInfo)
+        return;
+    const actor = getActingCharacter();
+    const casterSheet = actor.sheet;
+    const actionLabel = labelAction(actor);
+    const [subject, subjectIs, subjectHas] = actor.isPlayer ? ['I', 'I am', "I don't have"] : [actor.name, `${actor.name} is`, `${actor.name} doesn't have`];
+    const incapacitatedBy = getIncapacitatingCondition(casterSheet.conditions);
+    if (incapacitatedBy) {
+        ui.addMessage('dm', `<em>(${actor.isPlayer ? 'You are' : subjectIs} ${incapacitatedBy.toLowerCase()} and can't cast spells.)</em>`);
+        await sendActionResult(`${actionLabel}: Tried to cast ${spellName}`, `${subject} ${actor.isPlayer ? 'try' : 'tries'} to cast ${spellName}, but ${subjectIs} ${incapacitatedBy.toLowerCase()} and can't take actions. Narrate this briefly.`);
+        return;
+    }
+    const spell = findSpell(spellName);
+    if (!spell) {
+        ui.addMessage('dm', `<em>(No spell data found for "${spellName}", so the storyteller decides how it plays out.)</em>`);
+        await sendActionResult(`${actionLabel}: Cast ${spellName} on ${targetDescription}`, `${subject} ${actor.isPlayer ? 'cast' : 'casts'} ${spellName} on "${targetDescription}". There are no rules on file for this spell, so decide fairly what it does and narrate the outcome.`);
+        return;
+    }
+    if (!canCastSpell(actor.characterClass, casterSheet, spell)) {
+        const caster = getSpellcastingClass(actor.characterClass);
+        const missing = spell.level > 0 && caster?.preparation === 'prepared' ? 'prepared' : 'known';
+        ui.addMessage('dm', `<em>(${actor.isPlayer ? "You don't have" : subjectHas} ${spell.name} ${missing}.)</em>`);
+        await sendActionResult(`${actionLabel}: Tried to cast ${spell.name}`, `${subject} ${actor.isPlayer ? 'try' : 'tries'} to cast ${spell.name}, but ${subjectHas} that spell ${missing}. Nothing happens. Narrate this briefly and let me choose another action.`);
+        return;
+    }
+    const slotLevel = spell.level === 0 ? 0 : findAvailableSlot(casterSheet.spellSlots, Math.max(spell.level, parseInt(requestedLevel, 10) || 0));
+    if (slotLevel === null) {
+        ui.addMessage('dm', `<em>(${actor.isPlayer ? 'You have' : `${actor.name} has`} no spell slots left to cast ${spell.name}.)</em>`);
+        await sendActionResult(`${actionLabel}: Tried to cast ${spell.name}`, `${subject} ${actor.isPlayer ? 'try' : 'tries'} to cast ${spell.name}, but ${actor.isPlayer ? 'I have' : `${actor.name} has`} no spell slots of level ${spell.level} or higher left. Nothing happens. Narrate this briefly and let me choose another action.`);
+        return;
+    }
+    if (slotLevel > 0)
+        updateCharacterSheet(actor, { spellSlots: { [slotLevel]: { ...casterSheet.spellSlots[slotLevel], current: casterSheet.spellSlots[slotLevel].current - 1 } } });
+    let castingNotes = advanceClock();
+    if (isConcentrationSpell(spell)) {
+        const concentration = startConcentration(getActingCharacter().sheet, spell, getClock(gameState.getState()));
+        updateCharacterSheet(actor, concentration.update);
+        if (concentration.ended)
+            ui.addMessage('dm', `<em>${actor.isPlayer ? 'You stop' : `${actor.name} stops`} concentrating on ${concentration.ended}.</em>`);
+        castingNotes += ` ${subjectIs} now concentrating on ${spell.name}${concentration.ended ? `, which ends ${actor.isPlayer ? 'my' : 'their'} concentration on ${concentration.ended}` : ''}.`;
+    }
+    const stats = getSpellcastingStats(actor.characterClass, casterSheet);
+    const effect = parseSpellEffect(spell);
+    const castName = slotLevel > spell.level ? `${spell.name} (level ${slotLevel} slot)` : spell.name;
+    const reason = labelRoll(actor, `Cast ${castName} on ${targetDescription}`);
+    const targetName = targetDescription.toLowerCase();
+    const targetsSelf = !targetName || ['self', 'me', 'myself'].includes(targetName) || targetName === actor.name.toLowerCase();
+    const targetAlly = targetsSelf ? actor : resolveCharacter(targetDescription);
+    const targetNpc = isInCombat && !targetAlly ? findEnemyTarget(combatants, targetDescription) : null;
+    const results = [];
+    let damageDealt = null;
+    if (effect.attack) {
+        const { rollModifier } = getConditionRollModifier(getActingCharacter().sheet.conditions, 'attack');
+        const targetAc = targetNpc?.ac ?? null;
+        const { roll: attackRoll, allRolls, terms: attackTerms } = rollD20(rollModifier, stats.attackBonus, reason);
+        const totalAttackRoll = attackRoll + stats.attackBonus;
+        const outcome = resolveAttackRoll(attackRoll, totalAttackRoll, targetAc);
+        const isCritical = outcome === 'critical';
+        const damageDice = effect.damage ? scaleSpellDice(effect.damage.dice, effect.scaling, spell.level, slotLevel, casterSheet.level) : '0';
+        const { damageRoll, damageTerms } = outcome === 'miss' || !effect.damage ? { damageRoll: 0, damageTerms: [] } : rollDamage(damageDice, isCritical, reason);
+        const attackContent = { description: reason, weaponName: spell.name, attackRoll, attackBonus: stats.attackBonus, totalAttackRoll, damageRoll, damageBonus: 0, totalDamage: damageRoll, damageDice, isCritical, allRolls, rollModifier, attackTerms, damageTerms, outcome, targetAc };
+        ui.addMessage('attack', attackContent);
+        ui.logToDebugger('event', 'Player Spell Attack', JSON.stringify(attackContent, null, 2));
+        if (outcome === 'miss') {
+            results.push(`The spell attack MISSES (${attackRoll === 1 ? 'a natural 1' : `${totalAttackRoll} against AC ${targetAc}`}).`);
+        }
+        else if (outcome === 'unknown') {
+            results.push(`The spell attack roll is ${totalAttackRoll}. If that meets the target's armor class, it hits${effect.damage ? ` for ${damageRoll} ${effect.damage.type} damage` : ''}.`);
+        }
+        else {
+            results.push(`The spell attack ${isCritical ? 'is a CRITICAL HIT' : `HITS (${totalAttackRoll} against AC ${targetAc})`}.`);
+            damageDealt = effect.damage ? damageRoll : null;
+        }
+    }
+    else if (effect.save) {
+        const saveName = `${effect.save.charAt(0).toUpperCase()}${effect.save.slice(1)} saving throw`;
+        const saveBonus = targetNpc?.saves?.[effect.save];
+        let saved = null;
+        if (typeof saveBonus === 'number') {
+            const { roll, allRolls, total, terms } = rollD20('NONE', saveBonus, `${targetNpc.name}: ${saveName} against ${spell.name}`);
+            saved = total >= stats.saveDc;
+            const diceContent = { description: `${targetNpc.name}: ${saveName}`, roll, modifier: saveBonus, total, dieValue: 20, diceString: `d20+${saveBonus}`, skillOrAbility: effect.save, allRolls, terms, dc: stats.saveDc, succeeded: saved };
+            ui.addMessage('dice', diceContent);
+            ui.logToDebugger('event', 'NPC Saving Throw', JSON.stringify(diceContent, null, 2));
+            results.push(`${targetNpc.name} ${saved ? 'SUCCEEDS' : 'FAILS'} on a DC ${stats.saveDc} ${saveName} (rolled ${total}).`);
+        }
+        else {
+            results.push(`The target must make a DC ${stats.saveDc} ${saveName}; decide whether it succeeds.`);
+        }
+        if (effect.damage) {
+            const damage = rollSpellAmount(scaleSpellDice(effect.damage.dice, effect.scaling, spell.level, slotLevel, casterSheet.level), 0, `${spell.name} damage`);
+            if (saved === null) {
+                results.push(`On a failed save it takes ${damage} ${effect.damage.type} damage${effect.halfOnSave ? `, or ${Math.floor(damage / 2)} on a success` : ''}.`);
+            }
+            else {
+                damageDealt = saved ? (effect.halfOnSave ? Math.floor(damage / 2) : 0) : damage;
+            }
+        }
+    }
+    else if (effect.damage) {
+        damageDealt = rollSpellAmount(scaleSpellDice(effect.damage.dice, effect.scaling, spell.level, slotLevel, casterSheet.level), 0, `${spell.name} damage`);
+    }
+    if (damageDealt !== null) {
+        results.push(`It deals ${damageDealt} ${effect.damage.type} damage.`);
+        if (targetNpc && damageDealt > 0) {
+            targetNpc.hp = Math.max(0, targetNpc.hp - damageDealt);
+            gameState.updateState({ combatants: [...combatants] });
+            results.push(`${targetNpc.name} now has ${targetNpc.hp}/${targetNpc.maxHp} HP.`);
+        }
+    }
+    if (effect.healing) {
+        const healingDice = scaleSpellDice(effect.healing.dice, effect.scaling, spell.level, slotLevel, casterSheet.level);
+        const healed = rollSpellAmount(healingDice, effect.healing.addsModifier ? stats.modifier : 0, `${spell.name} healing`);
+        if (targetAlly) {
+            const healResult = applyHealingToPlayer(resolveCharacter(targetAlly.id).sheet, healed);
+            updateCharacterSheet(targetAlly, healResult.update);
+            const { current, max } = resolveCharacter(targetAlly.id).sheet.health;
+            ui.addEventMessage('heal', `${targetAlly.isPlayer ? 'You regain' : `${targetAlly.name} regains`} ${healed} HP from ${spell.name} (${current}/${max}).`);
+            results.push(targetAlly.isPlayer ? `I regain ${healed} hit points, bringing me to ${current}/${max}.` : `${targetAlly.name} regains ${healed} hit points, bringing them to ${current}/${max}.`);
+        }
+        else {
+            results.push(`The target regains ${healed} hit points.`);
+        }
+    }
+    if (results.length === 0) {
+        const saveNote = effect.save ? '' : ` If the spell calls for a saving throw, the DC is ${stats.saveDc}.`;
+        results.push(`The spell takes effect as described.${saveNote}`);
+    }
+    refreshVitals();
+    const slotsLeft = slotLevel > 0 ? ` ${actor.isPlayer ? 'I have' : `${actor.name} has`} ${getActingCharacter().sheet.spellSlots[slotLevel].current} level ${slotLevel} slot(s) left.` : '';
+    const defeatTag = formatDefeatTag(targetNpc, targetDescription);
+    const defeatText = targetNpc?.hp === 0
+        ? ` This reduces the target to 0 HP. Narrate its defeat and you MUST include the ${defeatTag} tag.`
+        : (effect.damage ? ` If this defeats the target, you MUST include the ${defeatTag} tag.` : '');
+    const historyPrompt = `${actionLabel}: Cast ${castName} on ${targetDescription} (${results.join(' ')})`;
+    await sendActionResult(historyPrompt, `${subject} ${actor.isPlayer ? 'cast' : 'casts'} ${castName} on "${targetDescription}". ${results.join(' ')}${slotsLeft}${castingNotes} Narrate the spell and its outcome.${defeatText}`);
 }
+/**
+ * Rolls a spell's damage or healing and shows the roll.
+ * @param {string} dice The dice to roll.
+ * @param {number} bonus A flat bonus added to the roll, such as the spellcasting modifier.
+ * @param {string} reason What is being rolled, shown on the roll and recorded in the roll log.
+ * @returns {number} The total, at least 0.
+ */
+function rollSpellAmount(dice, bonus, reason) {
+    const notation = bonus === 0 ? dice : `${dice}${bonus > 0 ? '+' : ''}${bonus}`;
+    const { total, rolls, terms } = rollDice(notation, reason);
+    const diceContent = { description: reason, roll: total, modifier: 0, total, dieValue: parseInt(dice.split('d')[1], 10) || 0, diceString: notation, allRolls: rolls, terms };
+    ui.addMessage('dice', diceContent);
+    ui.logToDebugger('event', 'Spell Roll', JSON.stringify(diceContent, null, 2));
+    return Math.max(0, total);
+}
+/**
+ * Resolves an NPC's attack against the player, or against the companion named as its target. In a
+ * hot-seat game, a player waiting for their turn who is attacked takes the seat to defend.
+ * @param {{attackerName: string, attackerId?: string, weaponName: string, targetName?: string}} intent The NPC_ATTACK_INTENT payload.
+ */
 async function handleNpcAttackIntent(intent) {
-    const { playerState, combatants, chatHistory } = gameState.getState();
+    const targetSeat = intent.targetName ? findSeat(getSeats(), intent.targetName) : null;
+    if (targetSeat && !targetSeat.playerState.isDead)
+        seatPlayer(targetSeat.id);
+    const { playerState, characterInfo, combatants, activeCombatantId, chatHistory } = gameState.getState();
     if (!playerState || !combatants)
         return;
-    const attacker = combatants.find(c => c.name === intent.attackerName && c.hp > 0);
+    const targetCompanion = intent.targetName ? findPartyMember(playerState.party, intent.targetName) : null;
+    const defender = targetCompanion && !targetCompanion.isDead ? targetCompanion : playerState;
+    const attacker = findNamedEnemy(combatants, { id: intent.attackerId, name: intent.attackerName }, activeCombatantId);
     if (!attacker) {
         console.warn(`Could not find attacker "${intent.attackerName}" in combatants list.`);
         return;
     }
-    const weaponData = getWeaponData(intent.weaponName);
-    if (!weaponData) {
-        console.warn(`NPC Attacker '${attacker.name}' tried to use unknown weapon '${intent.weaponName}'.`);
-        return;
+    const statblockAttack = findCombatantAttack(attacker, intent.weaponName);
+    let attackBonus, damageBonus, damageDice, damageType;
+    if (statblockAttack) {
+        ({ attackBonus, damageBonus, damageDice, damageType } = statblockAttack);
     }
-    const attackBonus = 4;
-    const damageBonus = 2;
-    const attackRoll = rollDice('d20').total;
-    const isCritical = attackRoll === 20;
-    const damageDice = weaponData.damage_dice;
-    let damageRoll = rollDice(damageDice).total + (isCritical ? rollDice(damageDice).total : 0);
+    else {
+        const weaponData = getWeaponData(intent.weaponName);
+        if (!weaponData) {
+            console.warn(`NPC Attacker '${attacker.name}' tried to use unknown weapon '${intent.weaponName}'.`);
+            return;
+        }
+        // Without a statblock, fall back to the stats of a typical low-level foe.
+        attackBonus = 4;
+        damageBonus = 2;
+        damageDice = weaponData.damage_dice;
+        damageType = getWeaponDamageType(weaponData);
+    }
+    const attackName = statblockAttack?.name || intent.weaponName;
+    const attackReason = `${attacker.name} attacks with ${attackName}`;
+    const { rollModifier } = getConditionRollModifier(defender.conditions, 'attacked');
+    const { roll: attackRoll, allRolls, terms: attackTerms } = rollD20(rollModifier, attackBonus, attackReason);
+    const outcome = resolveAttackRoll(attackRoll, attackRoll + attackBonus, defender.armorClass);
+    const isCritical = outcome === 'critical';
+    const { damageRoll, damageTerms } = outcome === 'miss' ? { damageRoll: 0, damageTerms: [] } : rollDamage(damageDice, isCritical, attackReason);
     const attackContent = {
-        description: `${attacker.name} attacks with ${intent.weaponName}`,
-        weaponName: intent.weaponName,
+        description: attackReason,
+        weaponName: attackName,
         attackRoll: attackRoll,
         attackBonus: attackBonus,
         totalAttackRoll: attackRoll + attackBonus,
@@ -445,33 +1777,68 @@ async function handleNpcAttackIntent(intent) {
         totalDamage: Math.max(1, damageRoll + damageBonus),
         damageDice: damageDice,
         isCritical: isCritical,
-        allRolls: [attackRoll],
-        rollModifier: 'NONE'
+        allRolls,
+        rollModifier,
+        attackTerms,
+        damageTerms,
+        outcome,
+        targetAc: defender.armorClass
     };
     ui.addMessage('attack', attackContent);
     ui.logToDebugger('event', 'NPC Attack Roll', JSON.stringify(attackContent, null, 2));
     let damageApplied = 0;
-    if (attackContent.totalAttackRoll >= playerState.armorClass) {
-        damageApplied = attackContent.totalDamage;
-        const newHp = Math.max(0, playerState.health.current - damageApplied);
-        gameState.updatePlayerState({ health: { ...playerState.health, current: newHp } });
-        ui.updatePlayerStateUI(gameState.getState().playerState, gameState.getState().characterInfo);
-        if (newHp === 0)
-            ui.addMessage('dm', '<em>You have been defeated!</em>');
-    }
-    const apiPrompt = `My enemy, "${attacker.name}", attacked me with its ${intent.weaponName}. The attack roll was ${attackContent.totalAttackRoll} and it dealt ${damageApplied} damage. Narrate the outcome of this attack.`;
+    let vitalsText = '';
+    if (outcome !== 'miss' && defender !== playerState) {
+        const companionDamage = damageCompanion(defender, attackContent.totalDamage, damageType);
+        updateCharacterSheet({ id: defender.id, isPlayer: false }, companionDamage.update);
+        damageApplied = companionDamage.amount;
+        vitalsText = companionDamage.text;
+        refreshVitals();
+    }
+    else if (outcome !== 'miss') {
+        const typedDamage = adjustDamageForType(attackContent.totalDamage, damageType, getDamageModifiers(playerState, characterInfo));
+        damageApplied = typedDamage.amount;
+        if (typedDamage.modifier) {
+            ui.addMessage('dm', `<em>You are ${typedDamage.modifier} to ${damageType} damage and take ${damageApplied}.</em>`);
+            vitalsText += ` I am ${typedDamage.modifier} to ${damageType} damage, so I take ${damageApplied} instead of ${attackContent.totalDamage}.`;
+        }
+        const absorbed = Math.min(playerState.health.temp || 0, damageApplied);
+        if (absorbed > 0)
+            vitalsText += ` My temporary hit points absorb ${absorbed} of it.`;
+        const { update, outcome: damageOutcome } = applyDamageToPlayer(playerState, damageApplied, isCritical);
+        gameState.updatePlayerState(update);
+        vitalsText += announceDamageOutcome(damageOutcome, isCritical);
+        const concentrationCheck = rollConcentrationSave(gameState.getState().playerState, damageApplied);
+        if (concentrationCheck.update)
+            gameState.updatePlayerState(concentrationCheck.update);
+        vitalsText += concentrationCheck.text;
+        refreshVitals();
+        if (damageOutcome === 'killed')
+            leaveCombat();
+        // The storyteller's view of the character includes whether they are dying.
+        if (damageOutcome !== 'hurt')
+            await initializeChatSession();
+    }
+    const outcomeText = outcome === 'miss' ? 'It MISSED' : (isCritical ? 'It was a CRITICAL HIT' : 'It HIT');
+    const [targetText, targetPossessive] = defender === playerState ? ['me', 'my'] : [defender.name, `${defender.name}'s`];
+    const apiPrompt = `My enemy, "${attacker.name}", attacked ${targetText} with its ${attackName}. The attack roll was ${attackContent.totalAttackRoll} against ${targetPossessive} AC of ${defender.armorClass}. ${outcomeText} and dealt ${outcome === 'miss' ? 0 : attackContent.totalDamage} damage.${vitalsText} Narrate the outcome of this attack.`;
     const newHistory = [...chatHistory, { role: 'user', parts: [{ text: `(System: NPC attack resolved. Result: ${damageApplied} damage.)` }] }];
     gameState.updateState({ chatHistory: newHistory, isGenerating: false });
     saveCurrentGame();
     await sendMessageAndProcessStream(apiPrompt);
 }
+/**
+ * Rolls a skill check for an NPC, using its statblock when it has one.
+ * @param {{npcName: string, npcId?: string, skill: string, description: string}} intent The NPC_SKILL_INTENT payload.
+ */
 async function handleNpcSkillIntent(intent) {
-    const { combatants, chatHistory } = gameState.getState();
-    const npc = combatants.find(c => c.name === intent.npcName && c.hp > 0);
+    const { combatants, activeCombatantId, chatHistory } = gameState.getState();
+    const npc = findNamedEnemy(combatants, { id: intent.npcId, name: intent.npcName }, activeCombatantId);
     const npcName = npc ? npc.name : intent.npcName;
-    const modifier = 2;
-    const roll = rollDice('d20').total;
-    const total = roll + modifier;
+    const monster = dataManager.findMonster(npc?.statblock || intent.npcName);
+    // Without a statblock, fall back to the bonus of a typical low-level foe.
+    const modifier = monster ? calculateMonsterCheckModifier(intent.skill, monster) : 2;
+    const { roll, total, terms } = rollD20('NONE', modifier, `${npcName} attempts ${intent.description}`);
     const diceContent = {
         description: `${npcName} attempts ${intent.description}`,
         roll: roll,
@@ -480,7 +1847,8 @@ async function handleNpcSkillIntent(intent) {
         dieValue: 20,
         diceString: `d20+${modifier}`,
         skillOrAbility: intent.skill,
-        allRolls: [roll]
+        allRolls: [roll],
+        terms
     };
     ui.addMessage('dice', diceContent);
     ui.logToDebugger('event', 'NPC Skill Check', JSON.stringify(diceContent, null, 2));
@@ -490,42 +1858,161 @@ async function handleNpcSkillIntent(intent) {
     saveCurrentGame();
     await sendMessageAndProcessStream(apiPrompt);
 }
-export async function handleDiceRollRequest(skillOrAbility, description, rollModifier) {
-    const { playerState, chatHistory } = gameState.getState();
+/**
+ * Rolls an ability check, skill check or saving throw the storyteller asked for, using the acting
+ * character's sheet. With a DC the roll is settled here and the verdict is sent back; without one
+ * the storyteller judges the total.
+ * @param {string} skillOrAbility The skill or ability, or a saving throw such as "Dexterity Save".
+ * @param {string} description What the roll is for.
+ * @param {string} [rollModifier] 'ADVANTAGE', 'DISADVANTAGE' or 'NONE'.
+ * @param {string | number} [dc] The difficulty class to beat, if the storyteller set one.
+ */
+export async function handleDiceRollRequest(skillOrAbility, description, rollModifier, dc) {
+    const { playerState } = gameState.getState();
     if (!playerState)
         return;
-    let finalModifier = rollModifier;
-    if (playerState.conditions?.some(c => c.name === 'Poisoned')) {
-        finalModifier = 'DISADVANTAGE';
+    const actor = getActingCharacter();
+    const actionLabel = labelAction(actor);
+    const rollerPossessive = actor.isPlayer ? "My character's" : `${actor.name}'s`;
+    const expiryNote = advanceClock();
+    const saveAbility = parseSavingThrow(skillOrAbility);
+    const loadModifier = getEncumbranceRollModifier(actor.sheet, saveAbility || getCheckAbility(skillOrAbility));
+    const { rollModifier: finalModifier, autoFail } = getConditionRollModifier(actor.sheet.conditions, saveAbility ? 'save' : 'check', rollModifier, saveAbility, [loadModifier]);
+    const modifier = saveAbility ? calculateSavingThrowModifier(saveAbility, actor.sheet) : calculateRollModifier(skillOrAbility, actor.sheet);
+    const rollName = saveAbility ? `${saveAbility.charAt(0).toUpperCase()}${saveAbility.slice(1)} saving throw` : `${skillOrAbility} check`;
+    const difficulty = parseInt(String(dc ?? ''), 10);
+    const hasDc = Number.isFinite(difficulty);
+    if (autoFail) {
+        ui.addMessage('dm', `<em>${actor.isPlayer ? 'You are' : `${actor.name} is`} ${autoFail.toLowerCase()} and automatically ${actor.isPlayer ? 'fail' : 'fails'} the ${rollName}.</em>`);
+        await sendActionResult(`${actionLabel}: ${description} (automatic failure: ${autoFail})`, `${rollerPossessive} ${rollName} to "${description}" automatically FAILS because ${actor.isPlayer ? 'I am' : 'they are'} ${autoFail.toLowerCase()}.${expiryNote} Narrate the failure.`);
+        return;
     }
-    gameState.updatePlayerState({ turnCount: playerState.turnCount + 1 });
-    const modifier = calculateRollModifier(skillOrAbility, playerState);
-    let roll1 = Math.floor(Math.random() * 20) + 1, roll2 = Math.floor(Math.random() * 20) + 1;
-    let chosenRoll = finalModifier === 'ADVANTAGE' ? Math.max(roll1, roll2) : (finalModifier === 'DISADVANTAGE' ? Math.min(roll1, roll2) : roll1);
-    const diceContent = { description, roll: chosenRoll, modifier, total: chosenRoll + modifier, dieValue: 20, diceString: `d20+${modifier}`, skillOrAbility, allRolls: (finalModifier && finalModifier !== 'NONE') ? [roll1, roll2] : [roll1], rollModifier: finalModifier };
-    ui.addMessage('dice', diceContent);
-    ui.logToDebugger('event', 'Player Skill Check', JSON.stringify(diceContent, null, 2));
-    const historyPrompt = `Action: ${description} (Result: ${diceContent.total})`;
-    const apiPrompt = `The ${skillOrAbility} check for my character's attempt to "${description}" resulted in a total of ${diceContent.total}. Narrate the outcome.`;
-    const newHistory = [...chatHistory, { role: 'user', parts: [{ text: historyPrompt }] }];
-    gameState.updateState({ chatHistory: newHistory, isGenerating: false });
-    saveCurrentGame();
-    await sendMessageAndProcessStream(apiPrompt);
+    const { roll: chosenRoll, allRolls, total, terms } = rollD20(finalModifier, modifier, labelRoll(actor, `${skillOrAbility}: ${description}`));
+    const succeeded = hasDc ? total >= difficulty : null;
+    const diceContent = { description, roll: chosenRoll, modifier, total, dieValue: 20, diceString: `d20+${modifier}`, skillOrAbility, allRolls, rollModifier: finalModifier, terms, ...(hasDc ? { dc: difficulty, succeeded } : {}) };
+    ui.addMessage('dice', diceContent, getActorName(actor));
+    ui.logToDebugger('event', saveAbility ? 'Player Saving Throw' : 'Player Skill Check', JSON.stringify(diceContent, null, 2));
+    const verdict = succeeded ? 'SUCCEEDS' : 'FAILS';
+    const historyPrompt = `${actionLabel}: ${description} (Result: ${total}${hasDc ? ` vs DC ${difficulty}, ${succeeded ? 'success' : 'failure'}` : ''})`;
+    const apiPrompt = hasDc
+        ? `${rollerPossessive} ${rollName} to "${description}" ${verdict} (a total of ${total} against DC ${difficulty}). Narrate the ${succeeded ? 'success' : 'failure'}; do not change the verdict.`
+        : `The ${rollName} for ${actor.isPlayer ? "my character's" : `${actor.name}'s`} attempt to "${description}" resulted in a total of ${total}. Narrate the outcome.`;
+    await sendActionResult(historyPrompt, `${apiPrompt}${expiryNote}`);
+}
+// --- PLAYER INPUT ---
+/** How often a queued action checks whether the storyteller has finished replying. */
+const INPUT_QUEUE_POLL_MS = 250;
+/** Actions waiting for the storyteller, typed at this screen or sent by online guests, in the order they came. */
+const pendingInputs = [];
+let isDrainingInputs = false;
+/**
+ * Seats the character the host gave an online guest, so their action is played for them. In combat
+ * they wait for their own turn.
+ * @param {string} seatId The ID of the guest's seat.
+ * @returns {string | null} Why the guest can't act now, or null once they are seated.
+ */
+function seatOnlinePlayer(seatId) {
+    const { players, characterInfo, isInCombat, activeCombatantId } = gameState.getState();
+    const seat = (isHotSeat(players) ? players : [{ id: 'player', characterInfo }]).find(s => s.id === seatId);
+    if (!seat)
+        return 'Your character is no longer in this game. Rejoin so the host can give you another.';
+    if (isInCombat && activeCombatantId !== seat.id)
+        return `It isn't ${seat.characterInfo.name}'s turn yet.`;
+    seatPlayer(seat.id);
+    // A guest acts as their own character, even if the host had switched to a companion.
+    gameState.updateState({ actingCharacterId: 'player' });
+    return null;
+}
+/**
+ * Plays the queued actions one at a time, each once the storyteller has finished with the last.
+ */
+async function drainInputQueue() {
+    if (isDrainingInputs)
+        return;
+    isDrainingInputs = true;
+    try {
+        while (pendingInputs.length > 0) {
+            if (gameState.getState().isGenerating) {
+                await new Promise(resolve => setTimeout(resolve, INPUT_QUEUE_POLL_MS));
+                continue;
+            }
+            const { input, seatId, resolve, reject } = pendingInputs.shift();
+            const refusal = seatId ? seatOnlinePlayer(seatId) : null;
+            try {
+                if (!refusal)
+                    await submitPlayerInput(input);
+                resolve(refusal);
+            }
+            catch (error) {
+                reject(error);
+            }
+        }
+    }
+    finally {
+        isDrainingInputs = false;
+    }
+}
+/**
+ * Queues an action or command to play once the storyteller is free.
+ * @param {string} input What the player typed.
+ * @param {string} [seatId] For an online guest, the seat the host gave them; otherwise it is played for whoever is seated.
+ * @returns {Promise<string | null>} Resolves once the action has played, with why it was refused if it was.
+ * @throws Rejects if playing the action failed. The actions queued behind it still play.
+ */
+export function queuePlayerInput(input, seatId) {
+    return new Promise((resolve, reject) => {
+        pendingInputs.push({ input, seatId, resolve, reject });
+        drainInputQueue();
+    });
 }
 export async function handleFormSubmit(event) {
     event.preventDefault();
     const userInput = dom.chatInput.value.trim();
     if (!userInput || gameState.getState().isGenerating)
         return;
-    ui.addMessage('user', userInput);
     dom.chatInput.value = '';
-    const { playerState, chatHistory } = gameState.getState();
-    const newTurnCount = (playerState?.turnCount || 0) + 1;
-    const newHistory = [...chatHistory, { role: 'user', parts: [{ text: userInput }] }];
-    gameState.updatePlayerState({ turnCount: newTurnCount });
+    try {
+        await queuePlayerInput(userInput);
+    }
+    catch (error) {
+        console.error('Failed to play the action:', error);
+        ui.addMessage('error', `Your action could not be played. ${error.message}`);
+    }
+}
+/**
+ * Plays one action or command for the acting character.
+ * @param {string} userInput What the player typed.
+ */
+async function submitPlayerInput(userInput) {
+    const currentPlayer = gameState.getState().playerState;
+    const actor = currentPlayer ? getActingCharacter() : null;
+    ui.addMessage('user', userInput, actor ? getActorName(actor) : null);
+    if (isCommand(userInput)) {
+        await executeCommand(userInput);
+        return;
+    }
+    // A companion can still act while the player lies unconscious, but not once the adventure is over.
+    if (currentPlayer && (currentPlayer.isDead || (actor.isPlayer && currentPlayer.health.current === 0))) {
+        await handleDownedPlayerInput();
+        passTurnToNextPlayer();
+        return;
+    }
+    if (actor && !actor.isPlayer && (actor.sheet.isDead || actor.sheet.health.current === 0)) {
+        ui.addMessage('dm', `<em>${actor.name} is ${actor.sheet.isDead ? 'dead' : 'unconscious'} and can't act. Switch to another character to continue.</em>`);
+        return;
+    }
+    // Actions typed for a companion, or by one of several players, are labelled so the storyteller knows who is acting.
+    const actorName = actor ? getActorName(actor) : null;
+    const actionText = actorName ? `(As ${actorName}) ${userInput}` : userInput;
+    const { chatHistory } = gameState.getState();
+    const newHistory = [...chatHistory, { role: 'user', parts: [{ text: actionText }] }];
+    const expiryNote = advanceClock();
     gameState.updateState({ chatHistory: newHistory });
     saveCurrentGame();
-    let finalPrompt = userInput;
+    let finalPrompt = expiryNote ? `${actionText}\n\n(${expiryNote.trim()})` : actionText;
+    const nextSeat = getNextSeat();
+    if (nextSeat)
+        finalPrompt += `\n\n(After this, it is ${nextSeat.characterInfo.name}'s turn. End by asking ${nextSeat.characterInfo.name} what they do.)`;
     let contextString = '';
     const knownEntity = dataManager.findEntityInText(userInput);
     if (knownEntity) {
@@ -538,9 +2025,10 @@ export async function handleFormSubmit(event) {
         }
     }
     if (contextString) {
-        finalPrompt = `(Use the following background information...)\n${contextString}\n\nMy action is: ${userInput}`;
+        finalPrompt = `(Use the following background information...)\n${contextString}\n\nMy action is: ${finalPrompt}`;
     }
     await sendMessageAndProcessStream(finalPrompt);
+    passTurnToNextPlayer();
 }
 export async function startAdventure(startingHook) {
     dom.appElement.classList.remove('hidden');
@@ -562,7 +2050,7 @@ export async function handleRerollRequest(button) {
     const diceMessage = button.closest('.dice-roll-message');
     if (!diceMessage)
         return;
-    const { skillOrAbility, description, modifier } = diceMessage.dataset;
+    const { skillOrAbility, description, modifier, dc } = diceMessage.dataset;
     if (!skillOrAbility || !description)
         return;
     const messages = Array.from(dom.chatLog.children);
@@ -573,7 +2061,7 @@ export async function handleRerollRequest(button) {
     const currentHistory = gameState.getState().chatHistory;
     const newHistory = currentHistory.slice(0, -2);
     gameState.updateState({ chatHistory: newHistory });
-    await handleDiceRollRequest(skillOrAbility, description, modifier);
+    await handleDiceRollRequest(skillOrAbility, description, modifier, dc);
 }
 export async function handleRegenerateRequest(button) {
     if (gameState.getState().isGenerating)
@@ -2,7 +2,9 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
  */
-import { SAVE_GAME_KEY, API_KEY_STORAGE_KEY, PROVIDER_SETTINGS_KEY } from "./config.js";
+import { SAVE_GAME_KEY, API_KEY_STORAGE_KEY, PROVIDER_SETTINGS_KEY, RELAY_URL_STORAGE_KEY, DEFAULT_RELAY_URL, SAVE_EXPORT_FORMAT, SAVE_EXPORT_VERSION, SAVE_SCHEMA_VERSION, AUTOSAVE_SNAPSHOT_LIMIT } from "./config.js";
+import * as saveStore from "./save-store.js";
+import { migrateSaveSlot, getSchemaVersion } from "./save-migrations.js";
 // This file handles the game's lifecycle and persistence (saving/loading).
 /**
  * Retrieves the current provider settings from localStorage.
@@ -57,108 +59,439 @@ export function saveProviderSettings(settings) {
     }
 }
 /**
- * Retrieves all saved game slots from localStorage.
- * Includes validation to filter out any corrupted or malformed save data.
- * @returns {import("./types.js").SaveSlot[]} An array of valid SaveSlot objects.
+ * Retrieves the address of the relay server last used for online play.
+ * @returns {string} The relay's WebSocket URL, or the default local one.
  */
-export function getSaves() {
+export function getRelayUrl() {
     try {
-        const savedData = localStorage.getItem(SAVE_GAME_KEY);
-        if (!savedData)
-            return [];
-        try {
-            const saves = JSON.parse(savedData);
-            if (!Array.isArray(saves)) {
-                console.warn('Saved data in localStorage is not an array. Clearing it.');
-                try {
-                    localStorage.removeItem(SAVE_GAME_KEY);
-                }
-                catch (e) {
-                    console.error('Failed to remove corrupted save data from localStorage.', e);
-                }
-                return [];
-            }
-            // Filter out any malformed saves that might crash the UI
-            return saves.filter(save => {
-                const isValid = save &&
-                    typeof save === 'object' &&
-                    save.characterInfo &&
-                    typeof save.characterInfo.name === 'string' &&
-                    save.playerState &&
-                    typeof save.playerState.level === 'number';
-                if (!isValid) {
-                    console.warn('Found and filtered an invalid save slot:', save);
-                }
-                return isValid;
-            });
+        return localStorage.getItem(RELAY_URL_STORAGE_KEY) || DEFAULT_RELAY_URL;
+    }
+    catch (error) {
+        console.warn("Could not access localStorage for the relay address.", error);
+        return DEFAULT_RELAY_URL;
+    }
+}
+/**
+ * Remembers the relay server used for online play, to offer it next time.
+ * @param {string} relayUrl The relay's WebSocket URL.
+ */
+export function saveRelayUrl(relayUrl) {
+    try {
+        localStorage.setItem(RELAY_URL_STORAGE_KEY, relayUrl);
+    }
+    catch (error) {
+        console.warn("Could not save the relay address to localStorage.", error);
+    }
+}
+/**
+ * Checks that a save slot has the minimum structure needed to list it and repair it on load.
+ * Missing player state fields are filled in by the schema migrations rather than rejected here.
+ * @param {any} save The candidate save slot.
+ * @returns {boolean} True if the slot is usable.
+ */
+export function isValidSaveSlot(save) {
+    return !!(save &&
+        typeof save === 'object' &&
+        save.characterInfo &&
+        typeof save.characterInfo.name === 'string' &&
+        save.playerState &&
+        typeof save.playerState === 'object');
+}
+/**
+ * Checks that a player state has the core fields the game loop relies on.
+ * @param {any} state The candidate player state.
+ * @returns {boolean} True if the player state is usable.
+ */
+export function isPlayerStateValid(state) {
+    if (!state || typeof state !== 'object')
+        return false;
+    const has = (prop) => Object.prototype.hasOwnProperty.call(state, prop);
+    return has('level') && typeof state.level === 'number' &&
+        has('health') && typeof state.health === 'object' &&
+        has('abilityScores') && has('skills') && has('savingThrows');
+}
+/**
+ * Checks that a chat history entry has the `{ role, parts: [{ text }] }` shape used by the providers.
+ * @param {any} message The candidate chat message.
+ * @returns {boolean} True if the message is well formed.
+ */
+function isValidChatMessage(message) {
+    return !!(message &&
+        (message.role === 'user' || message.role === 'model') &&
+        Array.isArray(message.parts) &&
+        message.parts.every(part => part && typeof part.text === 'string'));
+}
+/**
+ * Creates a save slot ID that does not collide with any existing slot.
+ * @param {Set<string>} existingIds The IDs already in use.
+ * @returns {string} A new, unique ID.
+ */
+function createUniqueSaveId(existingIds) {
+    let id = Date.now();
+    while (existingIds.has(String(id))) {
+        id++;
+    }
+    return String(id);
+}
+/**
+ * Adds a snapshot of a finished turn to a slot's autosave ring. Several saves happen within one turn,
+ * so the snapshot is only taken once the game has moved on to a later turn, from the slot as it was
+ * last saved: the state the previous turn ended in.
+ * @param {any[] | undefined} snapshots The slot's existing snapshots, oldest first.
+ * @param {Omit<import("./types.js").SaveSlot, 'id'>} savedData The game data last saved to the slot.
+ * @param {number} turnCount The turn the game data now being saved is on.
+ * @returns {any[] | undefined} The new snapshot list, trimmed to the configured limit, or the
+ * existing one if the turn hasn't moved on.
+ */
+function appendSnapshot(snapshots, savedData, turnCount) {
+    const { playerState, characterInfo, players, activeSeatId, worldState, combatants, isInCombat, combatRound, activeCombatantId, chatHistory } = savedData;
+    const savedTurn = playerState?.turnCount || 0;
+    if (!playerState || savedTurn >= turnCount)
+        return snapshots;
+    const snapshot = JSON.parse(JSON.stringify({
+        schemaVersion: SAVE_SCHEMA_VERSION,
+        turnCount: savedTurn,
+        savedAt: Date.now(),
+        playerState,
+        // In a hot-seat game the seated character changes from turn to turn.
+        characterInfo,
+        players: players || [],
+        activeSeatId: activeSeatId || null,
+        worldState: worldState || {},
+        combatants: combatants || [],
+        isInCombat: !!isInCombat,
+        combatRound: combatRound || 0,
+        activeCombatantId: activeCombatantId || null,
+        chatLength: (chatHistory || []).length,
+    }));
+    const previous = (snapshots || []).filter(s => s.turnCount < savedTurn);
+    return [...previous, snapshot].slice(-AUTOSAVE_SNAPSHOT_LIMIT);
+}
+/**
+ * Drops roll log entries made after a given turn, used when a save is rewound or forked.
+ * The generator keeps its current position so the abandoned rolls are not simply replayed.
+ * @param {{seed: number, state: number, log: any[]} | undefined} dice The save's dice state.
+ * @param {number} turnCount The last turn to keep.
+ * @returns {{seed: number, state: number, log: any[]} | undefined} The trimmed dice state.
+ */
+function trimDiceLog(dice, turnCount) {
+    if (!dice)
+        return dice;
+    return { ...dice, log: (dice.log || []).filter(entry => entry.turn <= turnCount) };
+}
+/**
+ * Upgrades a slot restored from an autosave snapshot, since the snapshot may have been taken by an
+ * older version of the game than the slot it came from.
+ * @param {any} restoredSave The slot holding the snapshot's state.
+ * @param {any} snapshot The snapshot it was restored from.
+ * @returns {import("./types.js").SaveSlot} The slot at the current schema version.
+ */
+function migrateRestoredSave(restoredSave, snapshot) {
+    return migrateSaveSlot({ ...restoredSave, schemaVersion: getSchemaVersion(snapshot) }).slot;
+}
+/** The longest text an imported save may hold in a field that is listed by name, such as a character's name or location. */
+const MAX_IMPORTED_NAME_LENGTH = 200;
+/** The longest text an imported save may hold in a character's description or biography. */
+const MAX_IMPORTED_TEXT_LENGTH = 20000;
+/**
+ * Checks the text fields of an imported save that the save list and character sheet show, since a
+ * shared save file comes from outside the app.
+ * @param {any} save The imported save slot.
+ * @throws An error naming the first field that isn't short plain text.
+ */
+function validateImportedText(save) {
+    const checkText = (value, label, maxLength, isRequired = false) => {
+        if (value === undefined || value === null) {
+            if (isRequired)
+                throw new Error(`The save file has no ${label}.`);
+            return;
         }
-        catch (error) {
-            console.error("Error parsing saved games from localStorage. It might be corrupted. Clearing it.", error);
-            try {
-                localStorage.removeItem(SAVE_GAME_KEY);
-            }
-            catch (e) {
-                console.error('Failed to remove corrupted save data from localStorage.', e);
-            }
-            return [];
+        if (typeof value !== 'string' || value.length > maxLength || (isRequired && !value.trim())) {
+            throw new Error(`The ${label} in the save file is not valid text of up to ${maxLength} characters.`);
         }
+    };
+    const checkCharacter = (characterInfo, owner) => {
+        if (!characterInfo || typeof characterInfo !== 'object')
+            throw new Error(`The save file is missing the ${owner}'s data.`);
+        checkText(characterInfo.name, `${owner} name`, MAX_IMPORTED_NAME_LENGTH, true);
+        ['race', 'characterClass', 'background', 'alignment', 'gender'].forEach(field => checkText(characterInfo[field], `${owner} ${field}`, MAX_IMPORTED_NAME_LENGTH));
+        ['desc', 'bio'].forEach(field => checkText(characterInfo[field], `${owner} ${field}`, MAX_IMPORTED_TEXT_LENGTH));
+    };
+    checkCharacter(save.characterInfo, 'character');
+    checkText(save.playerState.location, 'location', MAX_IMPORTED_NAME_LENGTH);
+    if (save.players !== undefined && !Array.isArray(save.players))
+        throw new Error("The save file's hot-seat players are corrupted.");
+    (save.players || []).forEach((seat, index) => checkCharacter(seat?.characterInfo, `hot-seat player ${index + 1}`));
+    if (save.snapshots !== undefined && !Array.isArray(save.snapshots))
+        throw new Error("The save file's autosave history is corrupted.");
+    (save.snapshots || []).forEach(snapshot => {
+        if (!snapshot || typeof snapshot !== 'object' || typeof snapshot.turnCount !== 'number' || !snapshot.playerState || typeof snapshot.playerState !== 'object')
+            throw new Error("The save file's autosave history is corrupted.");
+        checkText(snapshot.playerState.location, 'autosave location', MAX_IMPORTED_NAME_LENGTH);
+        if (snapshot.characterInfo)
+            checkCharacter(snapshot.characterInfo, 'autosave character');
+        (Array.isArray(snapshot.players) ? snapshot.players : []).forEach((seat, index) => checkCharacter(seat?.characterInfo, `autosave hot-seat player ${index + 1}`));
+    });
+}
+/**
+ * Upgrade steps for portable save files, keyed by the version they upgrade from.
+ * Each step returns a file one version newer.
+ */
+const SAVE_EXPORT_UPGRADES = {
+    // Version 0 is a bare save slot, as found in the legacy localStorage save array.
+    0: (slot) => ({ format: SAVE_EXPORT_FORMAT, version: 1, exportedAt: null, save: slot }),
+};
+/**
+ * Identifies the version of a portable save file and upgrades it to the current format.
+ * @param {any} fileData The parsed contents of the file.
+ * @returns {{format: string, version: number, exportedAt: string | null, save: any}} The upgraded file.
+ * @throws An error if the file is not a save file or was written by a newer version of the game.
+ */
+function upgradeSaveExport(fileData) {
+    if (!fileData || typeof fileData !== 'object') {
+        throw new Error("This file is not an Unfettered Storyteller save.");
     }
-    catch (storageError) {
-        console.warn("Could not access localStorage to get saves.", storageError);
-        return [];
+    let file = fileData;
+    let version;
+    if (file.format === SAVE_EXPORT_FORMAT && typeof file.version === 'number') {
+        version = file.version;
+    }
+    else if (isValidSaveSlot(file)) {
+        version = 0;
+    }
+    else {
+        throw new Error("This file is not an Unfettered Storyteller save.");
     }
+    if (version > SAVE_EXPORT_VERSION) {
+        throw new Error("This save file was created by a newer version of the game. Please update the app and try again.");
+    }
+    while (version < SAVE_EXPORT_VERSION) {
+        const upgrade = SAVE_EXPORT_UPGRADES[version];
+        if (!upgrade) {
+            throw new Error(`Save files of version ${version} can no longer be imported.`);
+        }
+        file = upgrade(file);
+        version = file.version;
+    }
+    return file;
 }
 /**
- * Adds a brand new save slot to localStorage.
- * Used only after initial character creation.
- * @param {import("./types.js").SaveSlot} newSave The complete SaveSlot object for the new game.
+ * Opens the IndexedDB save store and migrates any saves left in the legacy
+ * localStorage key. Must be called once at application startup.
  */
-export function addNewSave(newSave) {
+export async function initSaves() {
     try {
-        const allSaves = getSaves();
-        allSaves.push(newSave);
-        localStorage.setItem(SAVE_GAME_KEY, JSON.stringify(allSaves));
+        await saveStore.init(SAVE_GAME_KEY, isValidSaveSlot);
     }
     catch (error) {
-        console.error("Failed to add new save to localStorage.", error);
-        alert("Failed to save your new game. Your browser might be blocking storage access.");
+        console.error("Failed to open the save database.", error);
+        alert("Your saved adventures could not be loaded. Your browser might be blocking storage access.");
+    }
+}
+/**
+ * Retrieves all saved game slots from the save store.
+ * Includes validation to filter out any corrupted or malformed save data.
+ * @returns {import("./types.js").SaveSlot[]} An array of valid SaveSlot objects.
+ */
+export function getSaves() {
+    if (!saveStore.isReady()) {
+        console.warn("Save store is not initialized. No saves are available.");
+        return [];
     }
+    // Filter out any malformed saves that might crash the UI
+    return saveStore.getAll().filter(save => {
+        const isValid = isValidSaveSlot(save);
+        if (!isValid) {
+            console.warn('Found and filtered an invalid save slot:', save);
+        }
+        return isValid;
+    });
+}
+/**
+ * Adds a brand new save slot to the save store.
+ * Used only after initial character creation.
+ * @param {import("./types.js").SaveSlot} newSave The complete SaveSlot object for the new game.
+ * @returns {Promise<void>} Resolves once the save has been written.
+ * @throws An error if the save could not be written, for the caller to report.
+ */
+export function addNewSave(newSave) {
+    return saveStore.put({ chatHistory: [], schemaVersion: SAVE_SCHEMA_VERSION, ...newSave }).catch(error => {
+        console.error("Failed to add new save to IndexedDB.", error);
+        throw new Error("Your browser might be blocking storage access or be out of space.");
+    });
 }
 /**
  * Updates an existing save slot with the latest game state.
+ * Only the slot's own record and the changed part of its chat history are rewritten.
  * @param {string} characterId The ID of the save slot to update.
  * @param {Omit<import("./types.js").SaveSlot, 'id'>} currentSaveData The latest game data to save.
+ * @returns {Promise<void>} Resolves once the save has been written.
+ * @throws An error if the save could not be written, for the caller to report.
  */
 export function updateSave(characterId, currentSaveData) {
-    try {
-        const allSaves = getSaves();
-        const saveIndex = allSaves.findIndex(save => save.id === characterId);
-        if (saveIndex > -1) {
-            allSaves[saveIndex] = { ...allSaves[saveIndex], ...currentSaveData };
-            localStorage.setItem(SAVE_GAME_KEY, JSON.stringify(allSaves));
-        }
-        else {
-            // This case should ideally not happen after character creation, but is a safeguard.
-            console.warn("Attempted to update a save slot that doesn't exist. Creating a new one.", characterId);
-            addNewSave({ id: characterId, ...currentSaveData });
-        }
+    const existingSave = saveStore.getAll().find(save => save.id === characterId);
+    if (!existingSave) {
+        // This case should ideally not happen after character creation, but is a safeguard.
+        console.warn("Attempted to update a save slot that doesn't exist. Creating a new one.", characterId);
+        return addNewSave({ id: characterId, ...currentSaveData });
     }
-    catch (error) {
-        console.error("Failed to update save in localStorage.", error);
+    const snapshots = currentSaveData.playerState ? appendSnapshot(existingSave.snapshots, existingSave, currentSaveData.playerState.turnCount || 0) : existingSave.snapshots;
+    return saveStore.put({ ...existingSave, ...currentSaveData, snapshots }).catch(error => {
+        console.error("Failed to update save in IndexedDB.", error);
+        throw new Error("Your browser might be blocking storage access or be out of space.");
+    });
+}
+/**
+ * Restores a save slot to one of its autosave snapshots. The chat history is truncated
+ * to the length it had at that turn, and any later snapshots are discarded.
+ * @param {string} characterId The ID of the save slot to rewind.
+ * @param {number} turnCount The turn of the snapshot to restore.
+ * @returns {Promise<import("./types.js").SaveSlot>} The rewound save slot, once it has been written.
+ * @throws An error if the slot or snapshot does not exist.
+ */
+export async function rewindSave(characterId, turnCount) {
+    const storedSave = getSaves().find(save => save.id === characterId);
+    const existingSave = storedSave && migrateSaveSlot(storedSave).slot;
+    const snapshot = existingSave?.snapshots?.find(s => s.turnCount === turnCount);
+    if (!existingSave || !snapshot) {
+        throw new Error("Could not find that point in the adventure's history.");
     }
+    const restored = JSON.parse(JSON.stringify(snapshot));
+    const rewoundSave = migrateRestoredSave({
+        ...existingSave,
+        playerState: restored.playerState,
+        characterInfo: restored.characterInfo || existingSave.characterInfo,
+        players: restored.players || [],
+        activeSeatId: restored.activeSeatId || null,
+        worldState: restored.worldState,
+        combatants: restored.combatants,
+        isInCombat: restored.isInCombat,
+        combatRound: restored.combatRound || 0,
+        activeCombatantId: restored.activeCombatantId || null,
+        chatHistory: (existingSave.chatHistory || []).slice(0, snapshot.chatLength),
+        snapshots: existingSave.snapshots.filter(s => s.turnCount <= turnCount),
+        dice: trimDiceLog(existingSave.dice, turnCount),
+    }, snapshot);
+    await saveStore.put(rewoundSave);
+    return rewoundSave;
 }
 /**
- * Deletes a save slot from localStorage.
+ * Deletes a save slot from the save store.
  * @param {string} characterId The ID of the save slot to delete.
+ * @returns {Promise<void>} Resolves once the save has been removed.
  */
 export function deleteSave(characterId) {
-    try {
-        const allSaves = getSaves();
-        const updatedSaves = allSaves.filter(save => save.id !== characterId);
-        localStorage.setItem(SAVE_GAME_KEY, JSON.stringify(updatedSaves));
-    }
-    catch (error) {
-        console.error("Failed to delete save from localStorage.", error);
+    return saveStore.remove(characterId).catch(error => {
+        console.error("Failed to delete save from IndexedDB.", error);
         alert("Failed to delete the save file. Your browser might be blocking storage access.");
+    });
+}
+/**
+ * Creates a new save slot that branches off an existing one at an earlier point in its chat history.
+ * The branch shares the chat history up to that point and takes its state from the autosave snapshot
+ * taken there, so the original adventure is left untouched.
+ * @param {string} characterId The ID of the save slot to fork.
+ * @param {number} chatLength The number of chat messages to keep in the branch.
+ * @returns {Promise<import("./types.js").SaveSlot>} The new branch, once it has been written.
+ * @throws An error if the slot does not exist or no snapshot covers that point in the story.
+ */
+export async function forkSave(characterId, chatLength) {
+    const storedSave = getSaves().find(save => save.id === characterId);
+    if (!storedSave) {
+        throw new Error("Could not find the selected save file.");
+    }
+    const existingSave = migrateSaveSlot(storedSave).slot;
+    const earlierSnapshots = (existingSave.snapshots || []).filter(s => s.chatLength <= chatLength);
+    const snapshot = earlierSnapshots[earlierSnapshots.length - 1];
+    if (!snapshot) {
+        throw new Error("That message is older than the autosave history, so the story can't be forked from it.");
+    }
+    const restored = JSON.parse(JSON.stringify(snapshot));
+    const { createdAt, ...sourceFields } = existingSave;
+    const forkedSave = migrateRestoredSave({
+        ...sourceFields,
+        id: createUniqueSaveId(new Set(getSaves().map(s => s.id))),
+        parentId: existingSave.id,
+        forkedAt: { turnCount: snapshot.turnCount, chatLength },
+        playerState: restored.playerState,
+        characterInfo: restored.characterInfo || existingSave.characterInfo,
+        players: restored.players || [],
+        activeSeatId: restored.activeSeatId || null,
+        worldState: restored.worldState,
+        combatants: restored.combatants,
+        isInCombat: restored.isInCombat,
+        combatRound: restored.combatRound || 0,
+        activeCombatantId: restored.activeCombatantId || null,
+        chatHistory: (existingSave.chatHistory || []).slice(0, chatLength),
+        snapshots: earlierSnapshots,
+        dice: trimDiceLog(existingSave.dice, snapshot.turnCount),
+    }, snapshot);
+    await saveStore.put(forkedSave);
+    return forkedSave;
+}
+/**
+ * Upgrades a stored save slot to the current schema version, persisting the result if anything changed.
+ * @param {string} characterId The ID of the save slot to upgrade.
+ * @returns {{save: import("./types.js").SaveSlot, repairs: string[]}} The upgraded slot and a list of repairs that were made.
+ * @throws An error if the slot does not exist or was written by a newer version of the game.
+ */
+export function migrateSave(characterId) {
+    const existingSave = getSaves().find(save => save.id === characterId);
+    if (!existingSave) {
+        throw new Error("Could not find the selected save file.");
+    }
+    const { slot, repairs, migrated } = migrateSaveSlot(existingSave);
+    if (migrated) {
+        saveStore.put(slot).catch(error => {
+            console.error("Failed to write the upgraded save to IndexedDB.", error);
+        });
+    }
+    return { save: slot, repairs };
+}
+/**
+ * Packages a single save slot as a versioned, portable save file.
+ * @param {string} characterId The ID of the save slot to export.
+ * @returns {{format: string, version: number, exportedAt: string, save: import("./types.js").SaveSlot}} The file contents.
+ * @throws An error if the save slot does not exist.
+ */
+export function exportSave(characterId) {
+    const save = getSaves().find(s => s.id === characterId);
+    if (!save) {
+        throw new Error("Could not find the selected save file.");
+    }
+    const { createdAt, ...portableSave } = save;
+    return {
+        format: SAVE_EXPORT_FORMAT,
+        version: SAVE_EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        save: migrateSaveSlot(portableSave).slot,
+    };
+}
+/**
+ * Validates a portable save file and adds it as a new save slot.
+ * Older file versions and save schemas are upgraded first, and the slot is
+ * given a fresh ID if its original one is already in use.
+ * @param {any} fileData The parsed contents of the save file.
+ * @returns {Promise<{save: import("./types.js").SaveSlot, repairs: string[]}>} The imported save slot and any repairs made to it.
+ * @throws An error if the file is not a valid save.
+ */
+export async function importSave(fileData) {
+    const { save: fileSave } = upgradeSaveExport(fileData);
+    if (!isValidSaveSlot(fileSave)) {
+        throw new Error("The save file is missing character data or is corrupted.");
+    }
+    if (fileSave.chatHistory !== undefined && (!Array.isArray(fileSave.chatHistory) || !fileSave.chatHistory.every(isValidChatMessage))) {
+        throw new Error("The save file's chat history is corrupted.");
+    }
+    validateImportedText(fileSave);
+    const { slot: save, repairs } = migrateSaveSlot(fileSave);
+    if (!isPlayerStateValid(save.playerState)) {
+        throw new Error("The save file is missing character data or is corrupted.");
     }
+    const existingIds = new Set(getSaves().map(s => s.id));
+    const id = (save.id && !existingIds.has(String(save.id))) ? String(save.id) : createUniqueSaveId(existingIds);
+    const { createdAt, ...importedFields } = save;
+    const importedSave = { ...importedFields, id };
+    await addNewSave(importedSave);
+    return { save: importedSave, repairs };
 }
@@ -7,6 +7,8 @@ import * as config from './config.js';
 import { dom } from './dom.js';
 import { playerStateSchema } from './rpg-data.js';
 import { promiseWithTimeout } from './utils.js';
+import { formatItem, getEncumbrance } from './inventory.js';
+import { formatMoney } from './currency.js';
 /**
  * Extracts, sanitizes, and parses a JSON string from an LLM's raw output.
  * It is designed to be resilient to common LLM errors like conversational text,
@@ -187,7 +189,7 @@ export class GeminiAPIProvider {
         }
         throw new Error("All available AI models have been exhausted.");
     }
-    getSystemInstructionContent(charInfo, pState, isMature) {
+    getSystemInstructionContent(charInfo, pState, isMature, otherPlayers = []) {
         const formatProficiencyList = (proficiencies) => Object.entries(proficiencies).filter(([, val]) => val === 'proficient')
             .map(([key]) => key.replace(/([A-Z])/g, ' $1')).join(', ') || 'None';
         let pregnancyDescription = '';
@@ -196,6 +198,27 @@ export class GeminiAPIProvider {
             const weeksPregnant = Math.floor(daysPregnant / 7);
             pregnancyDescription = `She is ${weeksPregnant} weeks pregnant. At 28+ weeks, this imposes Disadvantage on Athletics, Acrobatics, and Stealth checks.`;
         }
+        let vitalityDescription = '';
+        if (pState.isDead) {
+            vitalityDescription = 'DEAD. The character has died and the adventure is over. Do not bring them back or offer further actions.';
+        }
+        else if (pState.health?.current === 0) {
+            vitalityDescription = pState.deathSaves?.isStable
+                ? 'Unconscious and stable at 0 HP. They cannot move, act or speak until they are healed or wake up.'
+                : `Unconscious and DYING at 0 HP (death saves: ${pState.deathSaves?.successes || 0} successes, ${pState.deathSaves?.failures || 0} failures). They cannot move, act or speak. The application rolls their death saves.`;
+        }
+        const formatCompanion = (member) => {
+            const scores = member.abilityScores;
+            const status = member.isDead ? 'Dead' : (member.conditions || []).map(c => c.name).join(', ') || 'None';
+            return `- **${member.name}** (Level ${member.level} ${member.race} ${member.characterClass}): HP ${member.health.current}/${member.health.max}, AC ${member.armorClass}, Weapon: ${member.equipment.weapon}, Str ${scores.strength}, Dex ${scores.dexterity}, Con ${scores.constitution}, Int ${scores.intelligence}, Wis ${scores.wisdom}, Cha ${scores.charisma}; Conditions: ${status}`;
+        };
+        const partyDescription = (pState.party || []).map(formatCompanion).join('\n');
+        const formatOtherPlayer = ({ characterInfo: info, playerState: state }) => {
+            const status = state.isDead ? 'Dead' : (state.conditions || []).map(c => c.name).join(', ') || 'None';
+            return `- **${info.name}** (${info.gender}, Level ${state.level} ${info.race} ${info.characterClass}): HP ${state.health.current}/${state.health.max}, AC ${state.armorClass}, Weapon: ${state.equipment.weapon}; Conditions: ${status}. ${info.desc}`;
+        };
+        const otherPlayersDescription = otherPlayers.map(formatOtherPlayer).join('\n');
+        const load = getEncumbrance(pState);
         const getAbilityModifier = (score) => {
             const mod = Math.floor((score - 10) / 2);
             return mod >= 0 ? `+${mod}` : String(mod);
@@ -211,9 +234,23 @@ ${charInfo.draconicAncestry ? `- **Draconic Ancestry:** ${charInfo.draconicAnces
 - **Ability Scores:** Str ${pState.abilityScores.strength} (${getAbilityModifier(pState.abilityScores.strength)}), Dex ${pState.abilityScores.dexterity} (${getAbilityModifier(pState.abilityScores.dexterity)}), Con ${pState.abilityScores.constitution} (${getAbilityModifier(pState.abilityScores.constitution)}), Int ${pState.abilityScores.intelligence} (${getAbilityModifier(pState.abilityScores.intelligence)}), Wis ${pState.abilityScores.wisdom} (${getAbilityModifier(pState.abilityScores.wisdom)}), Cha ${pState.abilityScores.charisma} (${getAbilityModifier(pState.abilityScores.charisma)})
 - **Proficient Skills:** ${formatProficiencyList(pState.skills)}
 - **Spells Known:** ${pState.spellsKnown?.join(', ') || 'None'}
-- **Combat:** AC ${pState.armorClass}, Speed ${pState.speed}ft, Weapon: ${pState.equipment.weapon}
+${pState.preparedSpells?.length ? `- **Spells Prepared:** ${pState.preparedSpells.join(', ')}` : ''}
+- **Spell Slots:** ${Object.entries(pState.spellSlots || {}).map(([level, slot]) => `Level ${level}: ${slot.current}/${slot.max}`).join(', ') || 'None'}
+- **Combat:** HP ${pState.health.current}/${pState.health.max}${pState.health.temp ? ` (+${pState.health.temp} temporary)` : ''}, AC ${pState.armorClass}, Speed ${pState.speed}ft, Weapon: ${pState.equipment.weapon}
+- **Inventory:** ${(pState.inventory || []).map(formatItem).join(', ') || 'Nothing'} (${load.carried}/${load.capacity} lb. carried${load.level !== 'none' ? `, ${load.level}` : ''}); **Money:** ${formatMoney(pState.money)}
+- **Conditions:** ${(pState.conditions || []).map(c => (c.duration ? `${c.name} (${c.duration})` : c.name)).join(', ') || 'None'}${pState.concentration ? `; **Concentrating on:** ${pState.concentration.spell}` : ''}
+- **Hit Dice:** ${pState.hitDice ? `${pState.hitDice.current}/${pState.hitDice.max} (d${pState.hitDice.die})` : 'None'}; **Class Resources:** ${Object.entries(pState.classResources || {}).map(([name, r]) => `${name} ${r.current}/${r.max}`).join(', ') || 'None'}
 ${pregnancyDescription ? `- **Condition:** ${pregnancyDescription}` : ''}
-
+${vitalityDescription ? `- **Vitality:** ${vitalityDescription}` : ''}
+${partyDescription ? `
+**Party Companions**
+These companions travel with the player. Each has their own character sheet, which the application tracks; they roll initiative and take their own turns in combat. The user may direct a companion's actions, which arrive prefixed with '(As Name)'. Use that companion's name in ATTACK, CAST_SPELL and ROLL tags for their actions.
+${partyDescription}
+` : ''}${otherPlayersDescription ? `
+**Other Player Characters (Hot-Seat Play)**
+Several players share this game at one screen and take turns. The character above is the one whose turn it is; these players wait for theirs. Each player's input arrives prefixed with '(As Name)'. Treat the other player characters as player characters, not NPCs: never decide their actions or speech. All tags apply to the player whose turn it is.
+${otherPlayersDescription}
+` : ''}
 **Roleplaying Directive: GM & Player Roles**
 - You are the Game Master (GM). Your role is to describe the world, portray ALL Non-Player Characters (NPCs), and present challenges. You have absolute control over every NPC's actions, dialogue, motivations, and reactions.
 - The user is the Player. Their role is to control ONLY their Player Character (PC). Their input should ALWAYS be interpreted as an action or statement from their character.
@@ -221,11 +258,17 @@ ${pregnancyDescription ? `- **Condition:** ${pregnancyDescription}` : ''}
 
 **Core Mechanic: Action Tags**
 You MUST use these tags to request player actions. DO NOT roll for the player.
-- **Ability/Skill Check:** For uncertain non-combat actions.
-  - **Format:** '[ROLL|SKILL_or_ABILITY|DESCRIPTION|MODIFIER]'
+- **Ability/Skill Check or Saving Throw:** For uncertain non-combat actions, and for saving throws against traps, spells and other hazards.
+  - **Format:** '[ROLL|SKILL_or_ABILITY|DESCRIPTION|MODIFIER|DC]'
+  - **SKILL_or_ABILITY:** A skill (e.g., 'Stealth') or ability (e.g., 'Strength') for a check. For a saving throw, write the ability followed by 'Save' (e.g., 'Dexterity Save').
   - **MODIFIER:** Optional 'ADVANTAGE' or 'DISADVANTAGE'.
+  - **DC:** Optional but strongly preferred, e.g. 'DC 15'. When you give a DC, the application decides success or failure and tells you the verdict; narrate that verdict and do not overrule it.
+  - **Example:** '[ROLL|Dexterity Save|Leap clear of the collapsing floor|NONE|DC 13]'
 - **Player Attack:** If the player character declares their intent to attack a creature with a weapon (like 'I attack the guard with my sword'), you MUST use this tag. **If the player specifies a weapon, you MUST use that exact weapon name for \`WEAPON_NAME\`.** Do not substitute a different weapon. Do not describe the attack's outcome; only set up the action by describing the attempt.
   - **Format:** '[ATTACK|WEAPON_NAME|TARGET_DESCRIPTION|MODIFIER]'
+- **Player Spell:** If the player character casts a spell, you MUST use this tag with the exact spell name. The application checks that they know (or have prepared) the spell, spends a spell slot, rolls the spell attack or the target's saving throw, and rolls damage or healing. Do not describe the outcome; only set up the casting. Use "self" as the target for spells the player casts on themselves. The application also tracks the player's concentration: casting a concentration spell ends the previous one, and taking damage calls for a Constitution save to keep it.
+  - **Format:** '[CAST_SPELL|SPELL_NAME|TARGET_DESCRIPTION|SLOT_LEVEL]'
+  - **SLOT_LEVEL:** Optional. Give it only when the player asks to cast the spell with a higher-level slot.
 
 **Gameplay Rules:**
 - **Response Style:** Describe the world vividly and concisely. End with a prompt for player action. Do not include meta-commentary, instructions, or bracketed text like '[SILENCE...]' in your narrative response.
@@ -233,19 +276,64 @@ You MUST use these tags to request player actions. DO NOT roll for the player.
 - **Game Actions & State Changes:** Your primary way to change the player's state is with a Game Action tag. This tells the application what *happened*, and the application will do the math. This is the ONLY way you should report changes to health, XP, money, or inventory. Do NOT describe these changes in the narrative text (e.g., do not say "You gain 50 XP.").
   - **Format:** [GAME_ACTION|TYPE|{"json_payload"}]
   - **Allowed Types & Payloads:**
-    - \`START_COMBAT\`: Used to begin a combat encounter. The payload MUST be an array of all enemies involved. The application will roll for initiative.
-      - **Example:** You are ambushed by goblins! [GAME_ACTION|START_COMBAT|[{"name": "Goblin Scout", "hp": 7, "xpValue": 50}, {"name": "Goblin Boss", "hp": 12, "xpValue": 100}]]
-    - \`NPC_ATTACK_INTENT\`: When an NPC decides to attack, you MUST use this action to declare their intent. **You MUST NOT roll any dice for NPCs.** The application will perform the rolls and inform you of the outcome.
+    - \`START_COMBAT\`: Used to begin a combat encounter. The payload MUST be an array of all enemies involved. The application will roll for initiative. If an enemy is based on a standard SRD monster, include its exact monster name as \`statblock\`; the application will use that monster's real AC, attacks, saves and challenge rating. For enemies without a statblock you may give an \`ac\`. The application resolves hits and misses against AC itself; narrate the result it reports. The application also runs the turn order: it will tell you when it is an NPC's turn, so do not act for NPCs on the player's turn.
+      - **Example:** You are ambushed by goblins! [GAME_ACTION|START_COMBAT|[{"name": "Goblin Scout", "statblock": "Goblin", "hp": 7, "xpValue": 50}, {"name": "Goblin Boss", "statblock": "Goblin Boss", "hp": 12, "xpValue": 100}]]
+    - \`NPC_ATTACK_INTENT\`: When an NPC decides to attack, you MUST use this action to declare their intent. **You MUST NOT roll any dice for NPCs.** The application will perform the rolls and inform you of the outcome. For enemies with a statblock, \`weaponName\` should name one of the monster's actions (e.g., "Scimitar", "Bite").
       - **Example:** The goblin lunges! [GAME_ACTION|NPC_ATTACK_INTENT|{"attackerName": "Goblin Scout", "weaponName": "Scimitar", "targetName": "Player"}]
+      - Use a companion's name as \`targetName\` when the NPC attacks them.
+      - When the application gives the attacker's ID, include it as \`attackerId\` so the right one of several same-named enemies attacks.
     - \`NPC_SKILL_INTENT\`: When an NPC tries to use a skill where the outcome is uncertain (e.g., hiding, persuading, deceiving). **You MUST NOT roll any dice.** The application will perform the roll and tell you the result.
       - **Example:** The goblin tries to hide. [GAME_ACTION|NPC_SKILL_INTENT|{"npcName": "Goblin Scout", "skill": "Stealth", "description": "to hide in the shadows"}]
       - **Example:** The merchant tries to lie. [GAME_ACTION|NPC_SKILL_INTENT|{"npcName": "Shady Merchant", "skill": "Deception", "description": "to convince you the amulet is genuine"}]
     - \`ENEMY_DEFEATED\`: After you narrate an enemy's defeat, you MUST include this tag. This is how the application awards XP.
       - **Example:** The goblin collapses. [GAME_ACTION|ENEMY_DEFEATED|{"name": "Goblin Scout"}]
+      - When the application gives you the tag to use, copy it exactly, including its \`id\`.
+    - \`DELAY_TURN\`: On an NPC's turn, use this if the NPC waits to act until after the next creature in the initiative order.
+      - **Example:** The goblin hangs back, waiting to see what its ally does. [GAME_ACTION|DELAY_TURN|{"name": "Goblin Scout"}]
+    - \`READY_ACTION\`: On an NPC's turn, use this if the NPC holds its action until a trigger happens. Its turn ends immediately. If the trigger occurs before its next turn, narrate its reaction.
+      - **Example:** The archer draws and waits. [GAME_ACTION|READY_ACTION|{"name": "Goblin Archer", "trigger": "the player steps out from cover"}]
+    - \`STABILIZE\`: When another character tends to the dying player, use this. With \`"method": "medicine"\` the application rolls their DC 10 Medicine check (give their bonus as \`bonus\`); \`"magic"\` (e.g., Spare the Dying or a healer's kit) always works; \`"healing"\` restores \`hp\` hit points and wakes the player.
+      - **Example:** The priest kneels beside you. [GAME_ACTION|STABILIZE|{"name": "Brother Aldric", "method": "medicine", "bonus": 4}]
+    - \`TAKE_DAMAGE\`: When the player takes damage from anything other than an NPC attack (traps, falls, spells, hazards), use this. Give a fixed \`amount\` or \`dice\` for the application to roll, and the damage \`type\`. The application applies the player's resistances, immunities and temporary hit points.
+      - **Example:** The floor gives way onto spikes. [GAME_ACTION|TAKE_DAMAGE|{"dice": "2d6", "type": "piercing", "source": "spike trap"}]
+    - \`HEAL\`: When the player regains hit points (potions, spells, a healer's care), use this with an \`amount\` or \`dice\`.
+      - **Example:** You drink the potion. [GAME_ACTION|HEAL|{"dice": "2d4+2", "source": "Potion of Healing"}]
+    - \`GRANT_TEMP_HP\`: When the player gains temporary hit points, use this with an \`amount\` or \`dice\`. Temporary hit points don't stack.
+      - **Example:** The warlock's pact shields you. [GAME_ACTION|GRANT_TEMP_HP|{"amount": 5, "source": "Armor of Agathys"}]
+    - \`REST\`: When the player takes a short rest (about an hour) or a long rest (a full night), use this with \`"type": "short"\` or \`"long"\`. On a short rest you may give \`hitDice\`, the number of hit dice to spend; otherwise the application spends what is needed. The application restores hit points and class resources, ends expired conditions, and advances the in-game clock. Never rest during combat.
+      - **Example:** You make camp for the night. [GAME_ACTION|REST|{"type": "long"}]
+    - \`USE_RESOURCE\`: When the player uses a limited class feature listed under Class Resources, use this with its \`name\` and, if it costs more than one use, the \`amount\`. If none are left, the feature fails.
+      - **Example:** You fly into a rage! [GAME_ACTION|USE_RESOURCE|{"name": "Rage"}]
+    - \`APPLY_CONDITION\`: When the player gains a condition (e.g., Poisoned, Prone, Frightened, Restrained, Stunned), use this with its \`name\` and how long it lasts in \`rounds\`, \`minutes\`, \`hours\` or \`turns\`, or a \`duration\` such as "until a long rest". If a creature keeps it up by concentrating on a spell, add \`"concentration": true\`, the \`source\` creature and the \`sourceSpell\`. The application applies the condition's effects to rolls and ends it when it runs out or the source is defeated.
+      - **Example:** The spider's venom burns in your veins. [GAME_ACTION|APPLY_CONDITION|{"name": "Poisoned", "hours": 1, "source": "Giant Spider"}]
+    - \`REMOVE_CONDITION\`: When a condition ends early (the player stands up, breaks free, or is cured), use this with its \`name\`.
+      - **Example:** You scramble back to your feet. [GAME_ACTION|REMOVE_CONDITION|{"name": "Prone"}]
+    - **Companions:** \`TAKE_DAMAGE\`, \`HEAL\`, \`APPLY_CONDITION\` and \`REMOVE_CONDITION\` affect the player unless you add a \`target\` naming a party companion.
+      - **Example:** The dart strikes Bram. [GAME_ACTION|TAKE_DAMAGE|{"amount": 3, "type": "piercing", "source": "dart trap", "target": "Bram"}]
+    - \`ADD_PARTY_MEMBER\`: When a character joins the player's party, use this with their \`name\`, a short \`description\`, and their \`race\`, \`characterClass\` and optionally \`level\`. The application builds their character sheet.
+      - **Example:** The dwarf shoulders her axe and falls in beside you. [GAME_ACTION|ADD_PARTY_MEMBER|{"name": "Helga Stonehand", "description": "A gruff dwarven mercenary.", "race": "Dwarf", "characterClass": "Fighter"}]
+    - \`REMOVE_PARTY_MEMBER\`: When a companion leaves the party, use this with their \`name\`.
+      - **Example:** [GAME_ACTION|REMOVE_PARTY_MEMBER|{"name": "Helga Stonehand"}]
     - \`MODIFY_HEALTH\`: Used for non-attack health changes (e.g., potions, traps). Use negative for damage, positive for healing.
       - **Example (Healing):** [GAME_ACTION|MODIFY_HEALTH|{"amount": 8, "source": "Potion of Healing"}]
-    - \`GAIN_REWARD\`: Used for non-combat rewards.
-      - **Example:** [GAME_ACTION|GAIN_REWARD|{"xp": 75, "money": 50}]
+    - \`GAIN_REWARD\`: Used for non-combat rewards. \`money\` is a number of gold pieces, or the coins found by kind (\`cp\`, \`sp\`, \`ep\`, \`gp\`, \`pp\`).
+      - **Example:** [GAME_ACTION|GAIN_REWARD|{"xp": 75, "money": {"gp": 12, "sp": 30}}]
+    - \`LEVEL_UP\`: Only in a milestone campaign, where the player levels up at story milestones rather than with XP: when they reach one, use this with a short \`reason\`. Each tag earns one level. The application tracks XP and levels, and the player takes each earned level themselves, so do not announce level ups or describe new abilities.
+      - **Example:** With the lich destroyed, the valley is free at last. [GAME_ACTION|LEVEL_UP|{"reason": "Destroyed the lich of Hollowmere"}]
+    - \`SPEND_MONEY\`: When the player pays for something that isn't an item, such as a room at an inn, a bribe or a toll, use this with the \`amount\` (e.g. "5 sp" or "2 gp") and the \`reason\`. The application pays from the player's coins and makes change; if they can't afford it, it tells you, and the payment doesn't happen.
+      - **Example:** The innkeeper slides a key across the bar. [GAME_ACTION|SPEND_MONEY|{"amount": "5 sp", "reason": "a room for the night"}]
+    - \`OFFER_ITEM\`: When the player browses a merchant's wares, use one tag per item for sale, with the \`merchant\`'s name, the item's \`name\`, the \`quantity\` for sale and an asking \`price\`. Use exact SRD names for weapons, armor and magic items; the application prices those itself and uses your price only for other goods. The player chooses what to buy in a shop window, and the application takes their money and adds the items. Do NOT use ADD_ITEM or SPEND_MONEY for these purchases.
+      - **Example:** Brenna gestures at the rack behind her. [GAME_ACTION|OFFER_ITEM|{"merchant": "Brenna's Smithy", "name": "Longsword", "quantity": 2}] [GAME_ACTION|OFFER_ITEM|{"merchant": "Brenna's Smithy", "name": "Whetstone", "quantity": 5, "price": "1 cp"}]
+    - \`ADD_ITEM\`: When the player picks up or is given an item, use this with its \`name\` and optionally a \`quantity\` and its \`weight\` in pounds. The application recognises standard weapons, armor and magic items and tracks how much the player carries.
+      - **Example:** Among the bones you find a coil of rope and three torches. [GAME_ACTION|ADD_ITEM|{"name": "Hempen Rope (50 feet)"}] [GAME_ACTION|ADD_ITEM|{"name": "Torch", "quantity": 3}]
+    - \`REMOVE_ITEM\`: When the player uses up, drops, sells or loses an item from their inventory, use this with its \`name\` and optionally a \`quantity\`.
+      - **Example:** You light one of your torches and toss the other into the pit. [GAME_ACTION|REMOVE_ITEM|{"name": "Torch", "quantity": 2}]
+    - \`EQUIP_ITEM\`: When the player draws a weapon, dons armor or takes up a shield from their inventory, use this with its \`name\`; add \`"unequip": true\` when they put it away or take it off. The application updates their armor class.
+      - **Example:** You strap the shield to your arm. [GAME_ACTION|EQUIP_ITEM|{"name": "Shield"}]
+    - \`ATTUNE_ITEM\`: When the player spends a short rest attuning to a magic item that requires attunement, use this with its \`name\`; add \`"end": true\` when they end the attunement. Magic item bonuses to attacks, damage, armor class and saving throws are applied by the application, and only while the item is attuned if it needs to be. A character can be attuned to no more than three items at once.
+      - **Example:** After an hour of meditation, the ring's magic hums against your skin. [GAME_ACTION|ATTUNE_ITEM|{"name": "Ring of Protection"}]
+    - \`USE_ITEM_CHARGE\`: When the player uses a magic item's charges, as with a wand or staff, use this with its \`name\` and optionally the number of \`charges\` spent. Items with no charges left can't use their charged powers; they regain charges at dawn.
+      - **Example:** You point the wand and sticky strands burst across the corridor. [GAME_ACTION|USE_ITEM_CHARGE|{"name": "Wand of Web", "charges": 1}]
 - **Background Info:** If the player's prompt is prefixed with '(Use the following background information...)', treat that text as trusted TTRPG rulebook information and prioritize it in your answer.
 `;
         if (isMature) {
@@ -284,8 +372,8 @@ You MUST use these tags to request player actions. DO NOT roll for the player.
         }
         return instruction;
     }
-    async createChatSession(charInfo, pState, isMature, history) {
-        const systemInstructionText = this.getSystemInstructionContent(charInfo, pState, isMature);
+    async createChatSession(charInfo, pState, isMature, history, otherPlayers = []) {
+        const systemInstructionText = this.getSystemInstructionContent(charInfo, pState, isMature, otherPlayers);
         const modelName = this.getCurrentModel();
         const chatConfig = {};
         let effectiveHistory;
@@ -0,0 +1,135 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { deepMerge } from './state-manager.js';
+import { takeRest } from './rpg-helpers.js';
+// This module runs hot-seat play, where several player characters, each made with the character
+// creator, share one save and take turns at one screen. Each player has a seat: `{ id,
+// characterInfo, playerState }`. Whoever holds the seat lives in the game state's `characterInfo`
+// and `playerState` exactly as in a solo game, so every rule applies to them unchanged, while the
+// others wait in `players`. The seated player's own entry there is refreshed whenever the seat
+// changes hands. A solo game has no players list. Every function returns updated copies, leaving it
+// to the caller to store them.
+// --- CONSTANTS ---
+/**
+ * The parts of the player state that belong to the whole group rather than one character. They
+ * travel with the seat, so every player sees the same location, quests, companions and clock.
+ */
+export const SHARED_PLAYER_FIELDS = ['location', 'turnCount', 'quests', 'party', 'npcStates'];
+// --- HELPERS ---
+/**
+ * Makes an ID for a new seat that no other player uses.
+ * @param {string} name The player character's name.
+ * @param {any[]} players The current seats.
+ * @returns {string} The ID.
+ */
+function createSeatId(name, players) {
+    const base = `player-${String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'hero'}`;
+    let id = base;
+    for (let suffix = 2; players.some(seat => seat.id === id); suffix++)
+        id = `${base}-${suffix}`;
+    return id;
+}
+// --- PUBLIC API ---
+/**
+ * Checks whether a game is played hot-seat, with more than one player character.
+ * @param {any[] | undefined} players The game's seats.
+ * @returns {boolean} True if several players share the game.
+ */
+export function isHotSeat(players) {
+    return (players || []).length > 1;
+}
+/**
+ * Creates a seat for a player character.
+ * @param {import("./types.js").CharacterInfo} characterInfo The character's static info.
+ * @param {import("./types.js").PlayerState} playerState The character's state.
+ * @param {any[]} players The seats already taken.
+ * @returns {{id: string, characterInfo: any, playerState: any}} The new seat.
+ */
+export function createSeat(characterInfo, playerState, players) {
+    return { id: createSeatId(characterInfo.name, players), characterInfo, playerState };
+}
+/**
+ * Finds a player by seat ID, full name, or first name.
+ * @param {any[] | undefined} players The game's seats.
+ * @param {string} nameOrId The seat ID or character name.
+ * @returns {any | null} The seat, or null if nobody matches.
+ */
+export function findSeat(players, nameOrId) {
+    const wanted = String(nameOrId || '').trim().toLowerCase();
+    if (!wanted)
+        return null;
+    const seats = players || [];
+    const nameOf = (seat) => seat.characterInfo.name.toLowerCase();
+    return seats.find(seat => seat.id === nameOrId) ||
+        seats.find(seat => nameOf(seat) === wanted) ||
+        seats.find(seat => nameOf(seat).split(/\s+/)[0] === wanted) ||
+        null;
+}
+/**
+ * Writes the seated player's current character back into their seat.
+ * @param {any[]} players The game's seats.
+ * @param {string} seatId The seated player's ID.
+ * @param {import("./types.js").CharacterInfo} characterInfo Their static info.
+ * @param {import("./types.js").PlayerState} playerState Their current state.
+ * @returns {any[]} The updated seats.
+ */
+export function storeSeat(players, seatId, characterInfo, playerState) {
+    return players.map(seat => (seat.id === seatId ? { ...seat, characterInfo, playerState } : seat));
+}
+/**
+ * Copies the group's shared fields onto a player's state.
+ * @param {import("./types.js").PlayerState} playerState The player's own state.
+ * @param {import("./types.js").PlayerState} groupState The state to take the shared fields from.
+ * @returns {import("./types.js").PlayerState} The player's state with the group's shared fields.
+ */
+export function withSharedFields(playerState, groupState) {
+    const shared = {};
+    SHARED_PLAYER_FIELDS.forEach(field => {
+        if (groupState[field] !== undefined)
+            shared[field] = groupState[field];
+    });
+    return { ...playerState, ...shared };
+}
+/**
+ * Checks whether a player can still take part: alive and above 0 HP.
+ * @param {any} seat The player's seat.
+ * @returns {boolean} True if the player is standing.
+ */
+export function isSeatStanding(seat) {
+    return !seat.playerState.isDead && seat.playerState.health.current > 0;
+}
+/**
+ * Finds who takes the next turn outside of combat, in seating order. The dead are skipped; a
+ * player at 0 HP still gets their turn, so they can wake up.
+ * @param {any[]} players The game's seats.
+ * @param {string} seatId The seated player's ID.
+ * @returns {string | null} The next player's seat ID, or null if nobody else is alive.
+ */
+export function getNextSeatId(players, seatId) {
+    const currentIndex = players.findIndex(seat => seat.id === seatId);
+    for (let step = 1; step < players.length; step++) {
+        const seat = players[(currentIndex + step) % players.length];
+        if (!seat.playerState.isDead)
+            return seat.id;
+    }
+    return null;
+}
+/**
+ * Rests the players waiting for their turn alongside the seated one, using the same rules. They
+ * spend hit dice as needed on a short rest.
+ * @param {any[]} players The game's seats.
+ * @param {string} seatId The seated player's ID, whose rest the caller resolves.
+ * @param {'short' | 'long'} restType The kind of rest.
+ * @param {number} turnCount The game clock when the rest starts.
+ * @returns {any[]} The updated seats.
+ */
+export function restSeats(players, seatId, restType, turnCount) {
+    return players.map(seat => {
+        if (seat.id === seatId || seat.playerState.isDead)
+            return seat;
+        const { update } = takeRest({ ...seat.playerState, turnCount }, restType);
+        return { ...seat, playerState: deepMerge(seat.playerState, update) };
+    });
+}
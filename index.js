@@ -10,6 +10,9 @@ import * as game from './game.js';
 import * as characterCreator from './character-creator.js';
 import * as gameLoop from './game-loop.js';
 import * as sessionManager from './session-manager.js';
+import * as commands from './commands.js';
+import * as multiplayer from './multiplayer.js';
+import * as shop from './shop.js';
 // --- SESSION & GAME LIFECYCLE ---
 /**
  * Sets up the main event listeners for the application once it's running.
@@ -42,6 +45,9 @@ function setupMainAppEventListeners() {
     });
     dom.characterCreationCloseBtn.addEventListener('click', () => {
         dom.characterCreationModal.classList.add('hidden');
+        // Closing the creator while adding a hot-seat player goes back to the game in progress.
+        if (characterCreator.cancelAddingPlayer())
+            return;
         dom.appElement.classList.add('hidden');
         dom.landingPage.classList.remove('hidden');
     });
@@ -58,13 +64,16 @@ function setupMainAppEventListeners() {
         const target = event.target;
         const choiceButton = target.closest('.action-choice-btn');
         if (choiceButton) {
-            const { actionType, weaponName, targetDescription, skillOrAbility, description, modifier } = choiceButton.dataset;
+            const { actionType, weaponName, targetDescription, skillOrAbility, description, modifier, spellName, slotLevel, dc } = choiceButton.dataset;
             choiceButton.parentElement?.remove();
             if (actionType === 'attack') {
                 await gameLoop.handleAttackRollRequest(weaponName, targetDescription, modifier);
             }
+            else if (actionType === 'spell') {
+                await gameLoop.handleSpellCastRequest(spellName, targetDescription, slotLevel);
+            }
             else if (actionType === 'roll') {
-                await gameLoop.handleDiceRollRequest(skillOrAbility, description, modifier);
+                await gameLoop.handleDiceRollRequest(skillOrAbility, description, modifier, dc);
             }
             return;
         }
@@ -74,6 +83,33 @@ function setupMainAppEventListeners() {
                 await gameLoop.handleRerollRequest(actionButton);
             else if (actionButton.classList.contains('regenerate-btn'))
                 await gameLoop.handleRegenerateRequest(actionButton);
+            else if (actionButton.classList.contains('fork-btn'))
+                await sessionManager.forkGame(Number(actionButton.dataset.historyLength));
+        }
+    });
+    dom.combatTracker.addEventListener('click', async (event) => {
+        const button = event.target.closest('[data-combat-action]');
+        if (!button)
+            return;
+        const { combatAction } = button.dataset;
+        // A guest's turn buttons are played by the host.
+        if (multiplayer.isGuest() && combatAction !== 'ready') {
+            multiplayer.sendGuestCombatAction(combatAction);
+            return;
+        }
+        if (combatAction === 'end-turn') {
+            await gameLoop.endPlayerTurn();
+        }
+        else if (combatAction === 'delay') {
+            if (!await gameLoop.delayPlayerTurn())
+                ui.addMessage('dm', "*Nobody else acts after you this round, so there's no one to delay for.*");
+        }
+        else if (combatAction === 'ready') {
+            dom.chatInput.value = '/ready ';
+            dom.chatInput.focus();
+        }
+        else if (combatAction === 'continue') {
+            await gameLoop.continueCombat();
         }
     });
     dom.saveSlotsList.addEventListener('click', async (event) => {
@@ -86,14 +122,70 @@ function setupMainAppEventListeners() {
         if (button.classList.contains('load-btn')) {
             await sessionManager.loadGame(id);
         }
+        else if (button.classList.contains('export-btn')) {
+            sessionManager.exportGame(id);
+        }
+        else if (button.classList.contains('rewind-btn')) {
+            await sessionManager.rewindGame(id, Number(button.dataset.turn));
+        }
         else if (button.classList.contains('delete-btn')) {
             await sessionManager.deleteGame(id);
         }
     });
-    dom.chatForm.addEventListener('submit', gameLoop.handleFormSubmit);
+    dom.importSaveBtn.addEventListener('click', () => dom.importSaveInput.click());
+    dom.importSaveInput.addEventListener('change', async () => {
+        const file = dom.importSaveInput.files?.[0];
+        dom.importSaveInput.value = '';
+        if (file)
+            await sessionManager.importGame(file);
+    });
+    dom.chatForm.addEventListener('submit', (event) => {
+        if (multiplayer.isGuest())
+            multiplayer.handleGuestSubmit(event);
+        else
+            gameLoop.handleFormSubmit(event);
+    });
+    dom.actingCharacter.addEventListener('change', () => {
+        gameLoop.setActingCharacter(dom.actingCharacter.value);
+        dom.chatInput.focus();
+    });
+    // Slash command autocomplete
+    let commandSuggestions = [];
+    let activeSuggestion = 0;
+    const refreshCommandSuggestions = () => {
+        commandSuggestions = commands.getCommandSuggestions(dom.chatInput.value);
+        activeSuggestion = 0;
+        ui.showCommandSuggestions(commandSuggestions, activeSuggestion);
+    };
+    const acceptCommandSuggestion = (value) => {
+        dom.chatInput.value = value;
+        dom.chatInput.focus();
+        refreshCommandSuggestions();
+    };
     dom.chatInput.addEventListener('keydown', (event) => {
+        if (commandSuggestions.length > 0) {
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                activeSuggestion = (activeSuggestion + step + commandSuggestions.length) % commandSuggestions.length;
+                ui.showCommandSuggestions(commandSuggestions, activeSuggestion);
+                return;
+            }
+            if (event.key === 'Tab') {
+                event.preventDefault();
+                acceptCommandSuggestion(commandSuggestions[activeSuggestion].value);
+                return;
+            }
+            if (event.key === 'Escape') {
+                commandSuggestions = [];
+                ui.hideCommandSuggestions();
+                return;
+            }
+        }
         if (event.key === 'Enter' && !event.shiftKey) {
             event.preventDefault();
+            commandSuggestions = [];
+            ui.hideCommandSuggestions();
             dom.chatForm.requestSubmit();
         }
     });
@@ -101,6 +193,14 @@ function setupMainAppEventListeners() {
         const input = dom.chatInput;
         input.style.height = 'auto';
         input.style.height = `${input.scrollHeight}px`;
+        refreshCommandSuggestions();
+    });
+    dom.commandSuggestions.addEventListener('mousedown', (event) => {
+        const option = event.target.closest('li');
+        if (!option)
+            return;
+        event.preventDefault();
+        acceptCommandSuggestion(option.dataset.value);
     });
     dom.micBtn.addEventListener('click', () => {
         const { speech } = sessionManager.getServices();
@@ -188,6 +288,8 @@ function setupMainAppEventListeners() {
         dom.appElement.classList.remove('sidebar-open');
     });
     dom.viewCharacterSheetBtn.addEventListener('click', ui.showCharacterSheetModal);
+    dom.addPlayerBtn.addEventListener('click', characterCreator.startAddingPlayer);
+    dom.hostOnlineBtn.addEventListener('click', () => ui.showOnlineModal('host', game.getRelayUrl()));
     dom.characterSheetCloseBtn.addEventListener('click', () => {
         dom.characterSheetModal.classList.add('hidden');
     });
@@ -199,10 +301,15 @@ function setupMainAppEventListeners() {
         }
     });
     // Level Up Listeners
+    characterCreator.watchForLevelUps();
     dom.levelUpBtn.addEventListener('click', characterCreator.startLevelUp);
     dom.levelUpCancelBtn.addEventListener('click', () => { dom.levelUpModal.classList.add('hidden'); });
     dom.levelUpNextBtn.addEventListener('click', characterCreator.handleLevelUpNext);
     dom.levelUpPrevBtn.addEventListener('click', characterCreator.handleLevelUpPrev);
+    // Shop Listeners
+    dom.shopForm.addEventListener('submit', shop.handleShopSubmit);
+    dom.shopItemList.addEventListener('input', shop.handleShopInput);
+    dom.shopCancelBtn.addEventListener('click', shop.closeShop);
 }
 /**
  * Sets up a listener for the service worker to handle application updates.
@@ -269,6 +376,7 @@ async function main() {
         }
     });
     await dataManager.init();
+    await game.initSaves();
     ui.populateCreationDropdowns();
     sessionManager.setupInitialEventListeners(setupMainAppEventListeners);
 }
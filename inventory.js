@@ -0,0 +1,466 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as dataManager from './data-manager.js';
+import { escapeRegExp } from './utils.js';
+import { MAX_ATTUNED_ITEMS } from './config.js';
+import { readMagicItemRules } from './magic-items.js';
+// This module looks after the player's inventory. Each entry in `playerState.inventory` is an item
+// record: `{ id, name, quantity, weight, weapon, armor, magicItem, equipped, attuned,
+// requiresAttunement, bonuses, needsNoArmor, charges }`, where `weight` is in pounds for one of the
+// item, and `weapon`, `armor` and `magicItem` link the item to its SRD data by name (or slug, for
+// magic items) when it has any. The magic item rules are read by `magic-items.js`. The equipped
+// weapon and armor are still named in `playerState.equipment`, which the rest of the game reads.
+// Carried weight uses the variant encumbrance rules, based on Strength. Every function returns
+// updated copies, leaving it to the caller to store them.
+// --- CONSTANTS ---
+/** Pounds an item weighs when nothing better is known. */
+const DEFAULT_ITEM_WEIGHT = 1;
+/** Weights of the SRD weapons and armor, in pounds, keyed by their names in the SRD data. */
+const EQUIPMENT_WEIGHTS = {
+    'battleaxe': 4, 'blowgun': 1, 'club': 2, 'crossbow, hand': 3, 'crossbow, heavy': 18, 'crossbow, light': 5,
+    'dagger': 1, 'dart': 0.25, 'flail': 2, 'glaive': 6, 'greataxe': 7, 'greatclub': 10, 'greatsword': 6,
+    'halberd': 6, 'handaxe': 2, 'javelin': 2, 'lance': 6, 'light hammer': 2, 'longbow': 2, 'longsword': 3,
+    'mace': 4, 'maul': 10, 'morningstar': 4, 'net': 3, 'pike': 18, 'quarterstaff': 4, 'rapier': 2,
+    'scimitar': 3, 'shortbow': 2, 'shortsword': 2, 'sickle': 2, 'sling': 0, 'spear': 3, 'trident': 4,
+    'war pick': 2, 'warhammer': 2, 'whip': 3,
+    'padded': 8, 'leather': 10, 'studded leather': 13, 'hide': 12, 'chain shirt': 20, 'scale mail': 45,
+    'breastplate': 20, 'half plate': 40, 'ring mail': 40, 'chain mail': 55, 'splint': 60, 'plate': 65,
+    'shield': 6,
+};
+/** Weights of common adventuring gear, in pounds, matched against item names. */
+const GEAR_WEIGHTS = {
+    'arrow': 0.05, 'bolt': 0.075, 'sling bullet': 0.075, 'needle': 0.02, 'quiver': 1, 'case': 1,
+    'backpack': 5, 'bedroll': 7, 'blanket': 3, 'book': 5, 'spellbook': 3, 'candle': 0, 'chain': 10,
+    'crowbar': 5, 'flask': 1, 'grappling hook': 4, 'hammer': 3, 'healer\'s kit': 3, 'holy symbol': 1,
+    'amulet': 1, 'emblem': 0, 'reliquary': 2, 'lantern': 2, 'lamp': 1, 'manacles': 6, 'mess kit': 1,
+    'oil': 1, 'piton': 0.25, 'pole': 7, 'pot': 10, 'potion': 0.5, 'vial': 0, 'pouch': 1,
+    'component pouch': 2, 'arcane focus': 1, 'orb': 3, 'crystal': 1, 'rod': 2, 'staff': 4, 'wand': 1,
+    'rations': 2, 'rope': 10, 'silk rope': 5, 'sack': 0.5, 'shovel': 5, 'tent': 20, 'tinderbox': 1,
+    'torch': 1, 'waterskin': 5, 'thieves\' tools': 1, 'tools': 5, 'lute': 2, 'flute': 1, 'drum': 3,
+    'clothes': 3, 'fine clothes': 6, 'traveler\'s clothes': 4, 'robes': 4, 'cloak': 1, 'boots': 1,
+    'ring': 0, 'gem': 0, 'coin': 0.02, 'scroll': 0, 'map': 0, 'letter': 0, 'parchment': 0, 'ink': 0,
+    'mirror': 0.5, 'whetstone': 1, 'fishing tackle': 4, 'lock': 1, 'caltrops': 2, 'ball bearings': 2,
+    'ladder': 25, 'chest': 25, 'barrel': 70, 'explorer\'s pack': 59, 'dungeoneer\'s pack': 61.5,
+    'burglar\'s pack': 44.5, 'priest\'s pack': 24, 'scholar\'s pack': 10, 'diplomat\'s pack': 36,
+    'entertainer\'s pack': 38,
+};
+/**
+ * Armor names that are also everyday words ("a leather pouch", "a silver plate"). An item only
+ * counts as that armor when it's named exactly so, or called armor.
+ */
+const AMBIGUOUS_ARMOR_NAMES = ['padded', 'leather', 'hide', 'plate', 'splint'];
+/** Variant encumbrance: carried weight, as a multiple of Strength, at which each level begins. */
+const ENCUMBERED_PER_STRENGTH = 5;
+const HEAVILY_ENCUMBERED_PER_STRENGTH = 10;
+const CARRYING_CAPACITY_PER_STRENGTH = 15;
+/** The abilities whose attacks, checks and saves are made with disadvantage while heavily encumbered. */
+const ENCUMBERED_ABILITIES = ['strength', 'dexterity', 'constitution'];
+// --- HELPERS ---
+/**
+ * Reduces an item name to the form used to compare names: lowercase, without a quantity in
+ * brackets or a plural ending, so "Torches (3)" and "torch" compare equal.
+ * @param {string} name The item name.
+ * @returns {string} The name to compare.
+ */
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/\s*\(\d+\)\s*$/, '').trim().replace(/(?:(?<=s|x|ch|sh)es|s)$/, '');
+}
+/**
+ * Finds the longest key that appears as a whole word in a name, allowing a plural ending.
+ * @param {string} name The lowercase name to search.
+ * @param {string[]} keys The lowercase keys to look for.
+ * @returns {string | null} The matching key, or null if none appears.
+ */
+function findKeyInName(name, keys) {
+    return keys
+        .filter(key => new RegExp(`\\b${escapeRegExp(key)}(?:e?s)?\\b`).test(name))
+        .sort((a, b) => b.length - a.length)[0] || null;
+}
+/**
+ * Finds the SRD weapon an item name refers to. "Light crossbow" matches the SRD's "Crossbow, light".
+ * @param {string} name The item name.
+ * @returns {string | null} The weapon's SRD name, or null if it isn't a weapon.
+ */
+function findWeaponName(name) {
+    const weapons = dataManager.getWeapons() || {};
+    const lowerName = name.toLowerCase().replace(/\+\d+/, '').trim();
+    const aliases = {};
+    Object.keys(weapons).forEach(key => {
+        aliases[key] = key;
+        const [base, variant] = key.split(', ');
+        if (variant)
+            aliases[`${variant} ${base}`] = key;
+    });
+    const match = findKeyInName(lowerName, Object.keys(aliases));
+    return match ? weapons[aliases[match]].name : null;
+}
+/**
+ * Finds the SRD armor or shield an item name refers to.
+ * @param {string} name The item name.
+ * @returns {string | null} The armor's SRD name, or null if it isn't armor.
+ */
+function findArmorName(name) {
+    const armors = dataManager.getArmor() || {};
+    const lowerName = name.toLowerCase().replace(/\+\d+/, '').trim();
+    const match = findKeyInName(lowerName, Object.keys(armors));
+    if (!match)
+        return null;
+    if (AMBIGUOUS_ARMOR_NAMES.includes(match) && lowerName !== match && !/\barmou?r\b/.test(lowerName))
+        return null;
+    return armors[match].name;
+}
+/**
+ * Works out what one of an item weighs from its SRD link or name.
+ * @param {string} name The item name.
+ * @param {string | null} weapon The item's SRD weapon name.
+ * @param {string | null} armor The item's SRD armor name.
+ * @returns {number} The weight in pounds.
+ */
+function estimateWeight(name, weapon, armor) {
+    const equipmentKey = (weapon || armor || '').toLowerCase();
+    if (equipmentKey in EQUIPMENT_WEIGHTS)
+        return EQUIPMENT_WEIGHTS[equipmentKey];
+    const gearKey = findKeyInName(name.toLowerCase(), Object.keys(GEAR_WEIGHTS));
+    return gearKey ? GEAR_WEIGHTS[gearKey] : DEFAULT_ITEM_WEIGHT;
+}
+/**
+ * Splits a quantity off an item description, as in "Torches (10)", "10 torches" or "Rations x5".
+ * Lengths and weights, as in "50 feet of rope", are part of the name.
+ * @param {string} text The item description.
+ * @returns {{name: string, quantity: number}} The item's name and how many there are.
+ */
+function parseQuantity(text) {
+    const trimmed = String(text).trim();
+    const trailing = trimmed.match(/^(.+?)(?:\s*\((\d+)\)|\s+[x×]\s*(\d+))$/i);
+    if (trailing)
+        return { name: trailing[1].trim(), quantity: parseInt(trailing[2] || trailing[3], 10) };
+    const leading = trimmed.match(/^(\d+)\s+(?!(?:ft|feet|foot|lb|lbs|pounds?|gp|sp|cp)\b)(.+)$/i);
+    if (leading)
+        return { name: leading[2].trim(), quantity: parseInt(leading[1], 10) };
+    return { name: trimmed, quantity: 1 };
+}
+/**
+ * Makes an ID for a new item that no other item in the inventory uses.
+ * @param {string} name The item's name.
+ * @param {any[]} inventory The current inventory.
+ * @returns {string} The ID.
+ */
+function createItemId(name, inventory) {
+    const base = `item-${String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'thing'}`;
+    let id = base;
+    for (let suffix = 2; inventory.some(item => item.id === id); suffix++)
+        id = `${base}-${suffix}`;
+    return id;
+}
+/**
+ * Checks whether an item is body armor, as opposed to a shield.
+ * @param {any} item The item.
+ * @returns {boolean} True for body armor.
+ */
+function isBodyArmor(item) {
+    return !!item.armor && item.armor.toLowerCase() !== 'shield';
+}
+/**
+ * Checks whether an item is a shield.
+ * @param {any} item The item.
+ * @returns {boolean} True for shields.
+ */
+function isShield(item) {
+    return item.armor?.toLowerCase() === 'shield';
+}
+// --- PUBLIC API ---
+/**
+ * Checks whether an inventory entry is an item record rather than one of the plain strings saved
+ * by older versions of the game.
+ * @param {any} item The inventory entry.
+ * @returns {boolean} True for item records.
+ */
+export function isItemRecord(item) {
+    return !!item && typeof item === 'object' && typeof item.name === 'string';
+}
+/**
+ * Builds an item record from a description, linking it to its SRD weapon, armor or magic item data.
+ * @param {string | any} details The item's name, optionally with a quantity ("Torches (10)"), or an
+ *   object with its `name` and optionally `quantity`, `weight`, `equipped`, `attuned` and `requiresAttunement`.
+ * @param {any[]} [inventory] The inventory it will join, used to keep IDs unique.
+ * @returns {any} The item record.
+ */
+export function createItem(details, inventory = []) {
+    const fields = typeof details === 'string' ? {} : details || {};
+    const parsed = parseQuantity(typeof details === 'string' ? details : fields.name);
+    const weapon = fields.weapon ?? findWeaponName(parsed.name);
+    const armor = fields.armor ?? (weapon ? null : findArmorName(parsed.name));
+    const magicItemData = dataManager.getMagicItem(parsed.name);
+    const magicItem = fields.magicItem ?? magicItemData?.slug ?? null;
+    const quantity = Math.floor(Number(fields.quantity));
+    const weight = Number(fields.weight);
+    const rules = readMagicItemRules({ name: parsed.name, weapon, armor }, magicItemData);
+    return {
+        id: createItemId(parsed.name, inventory),
+        name: parsed.name,
+        quantity: Number.isFinite(quantity) && quantity > 0 ? quantity : parsed.quantity,
+        weight: Number.isFinite(weight) && weight >= 0 ? weight : estimateWeight(parsed.name, weapon, armor),
+        weapon,
+        armor,
+        magicItem,
+        equipped: !!fields.equipped,
+        attuned: !!fields.attuned,
+        ...rules,
+        requiresAttunement: typeof fields.requiresAttunement === 'boolean' ? fields.requiresAttunement : rules.requiresAttunement,
+    };
+}
+/**
+ * Brings an item record saved before magic items had rules up to date, reading its bonuses,
+ * charges and whether it needs attunement.
+ * @param {any} item The item record.
+ * @returns {any} The item with its magic item rules.
+ */
+export function applyMagicItemRules(item) {
+    return { ...item, ...readMagicItemRules(item, dataManager.getMagicItem(item.name)) };
+}
+/**
+ * Finds an item by ID or name. An exact name wins; otherwise the first item whose name contains
+ * the one given is used.
+ * @param {any[] | undefined} inventory The inventory.
+ * @param {string} nameOrId The item's ID or name.
+ * @returns {any | null} The item, or null if nothing matches.
+ */
+export function findItem(inventory, nameOrId) {
+    const wanted = normalizeName(nameOrId);
+    if (!wanted)
+        return null;
+    const items = (inventory || []).filter(isItemRecord);
+    return items.find(item => item.id === nameOrId) ||
+        items.find(item => normalizeName(item.name) === wanted) ||
+        items.find(item => normalizeName(item.name).includes(wanted)) ||
+        null;
+}
+/**
+ * Adds an item to an inventory. Unequipped items with the same name and no magic stack into one
+ * entry, except items with charges, which each keep their own.
+ * @param {any[]} inventory The inventory.
+ * @param {string | any} details The item, as accepted by `createItem`.
+ * @returns {{inventory: any[], item: any}} The updated inventory and the item that was added.
+ */
+export function addItem(inventory, details) {
+    const item = createItem(details, inventory);
+    const stack = !item.charges && inventory.find(existing => normalizeName(existing.name) === normalizeName(item.name) && !existing.equipped && !existing.attuned && !item.equipped);
+    if (stack) {
+        const merged = { ...stack, quantity: stack.quantity + item.quantity };
+        return { inventory: inventory.map(existing => (existing.id === stack.id ? merged : existing)), item };
+    }
+    return { inventory: [...inventory, item], item };
+}
+/**
+ * Removes some or all of an item from a player's inventory. Giving up an equipped weapon or armor
+ * empties that equipment slot.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {string} nameOrId The item's ID or name.
+ * @param {number} [quantity] How many to remove; all of them if not given.
+ * @returns {{update: {inventory: any[], equipment: any} | null, removed: any | null, quantity: number}}
+ *   The state changes to apply, or null if the player has no such item, the item and how many were removed.
+ */
+export function removeItem(playerState, nameOrId, quantity = null) {
+    const item = findItem(playerState.inventory, nameOrId);
+    if (!item)
+        return { update: null, removed: null, quantity: 0 };
+    const count = Math.min(item.quantity, Number.isFinite(quantity) && quantity > 0 ? Math.floor(quantity) : item.quantity);
+    const remaining = item.quantity - count;
+    const inventory = remaining > 0
+        ? playerState.inventory.map(existing => (existing.id === item.id ? { ...existing, quantity: remaining } : existing))
+        : playerState.inventory.filter(existing => existing.id !== item.id);
+    const equipment = { ...playerState.equipment };
+    if (remaining === 0 && item.equipped) {
+        if (equipment.weapon === item.name)
+            equipment.weapon = 'None';
+        if (equipment.armor === item.name)
+            equipment.armor = 'None';
+    }
+    return { update: { inventory, equipment }, removed: item, quantity: count };
+}
+/**
+ * Equips or takes off an item. A player wields one weapon and wears one suit of armor at a time, so
+ * equipping either takes off the last one; a shield is carried alongside, unless the weapon needs
+ * both hands. The equipped weapon and armor are named in `equipment`.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {string} nameOrId The item's ID or name.
+ * @param {boolean} [equipped] False to take the item off.
+ * @returns {{update: {inventory: any[], equipment: any} | null, item: any | null, error: string | null}}
+ *   The state changes to apply, or null with the reason the item can't be equipped.
+ */
+export function equipItem(playerState, nameOrId, equipped = true) {
+    const item = findItem(playerState.inventory, nameOrId);
+    if (!item)
+        return { update: null, item: null, error: `You don't have "${nameOrId}" in your inventory.` };
+    if (equipped && !item.weapon && !item.armor)
+        return { update: null, item, error: `${item.name} isn't a weapon, armor or shield you can equip.` };
+    const equipment = { ...playerState.equipment };
+    const isTwoHanded = (weaponName) => !!dataManager.getWeapons()?.[weaponName?.toLowerCase()]?.is_two_handed;
+    const inventory = playerState.inventory.map(existing => {
+        if (existing.id === item.id)
+            return { ...existing, equipped };
+        if (!equipped || !existing.equipped)
+            return existing;
+        const replaced = (item.weapon && (existing.weapon || (isShield(existing) && isTwoHanded(item.weapon)))) ||
+            (isBodyArmor(item) && isBodyArmor(existing)) ||
+            (isShield(item) && (isShield(existing) || isTwoHanded(existing.weapon)));
+        return replaced ? { ...existing, equipped: false } : existing;
+    });
+    const wasEquipped = new Set(playerState.inventory.filter(existing => existing.equipped).map(existing => existing.id));
+    inventory.filter(existing => !existing.equipped && (wasEquipped.has(existing.id) || existing.id === item.id)).forEach(existing => {
+        if (equipment.weapon === existing.name)
+            equipment.weapon = 'None';
+        if (equipment.armor === existing.name)
+            equipment.armor = 'None';
+    });
+    if (equipped && item.weapon)
+        equipment.weapon = item.name;
+    if (equipped && isBodyArmor(item))
+        equipment.armor = item.name;
+    return { update: { inventory, equipment }, item: { ...item, equipped }, error: null };
+}
+/**
+ * Attunes the player to a magic item, or ends their attunement to it. A player can be attuned to
+ * no more than `MAX_ATTUNED_ITEMS` items at once.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {string} nameOrId The item's ID or name.
+ * @param {boolean} [attuned] False to end the attunement.
+ * @returns {{update: {inventory: any[]} | null, item: any | null, error: string | null}}
+ *   The state changes to apply, or null with the reason the attunement can't change.
+ */
+export function attuneItem(playerState, nameOrId, attuned = true) {
+    const item = findItem(playerState.inventory, nameOrId);
+    if (!item)
+        return { update: null, item: null, error: `You don't have "${nameOrId}" in your inventory.` };
+    if (attuned && !item.requiresAttunement)
+        return { update: null, item, error: `${item.name} doesn't need attunement; its magic already works for you.` };
+    if (item.attuned === attuned)
+        return { update: null, item, error: `You are ${attuned ? 'already' : 'not'} attuned to ${item.name}.` };
+    const attunedItems = playerState.inventory.filter(existing => existing.attuned);
+    if (attuned && attunedItems.length >= MAX_ATTUNED_ITEMS)
+        return { update: null, item, error: `You can be attuned to no more than ${MAX_ATTUNED_ITEMS} items. End your attunement to one of these first: ${attunedItems.map(existing => existing.name).join(', ')}.` };
+    const inventory = playerState.inventory.map(existing => (existing.id === item.id ? { ...existing, attuned } : existing));
+    return { update: { inventory }, item: { ...item, attuned }, error: null };
+}
+/**
+ * Spends charges from a magic item.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {string} nameOrId The item's ID or name.
+ * @param {number} [count] How many charges to spend.
+ * @returns {{update: {inventory: any[]} | null, item: any | null, error: string | null}}
+ *   The state changes to apply, or null with the reason the charges can't be spent.
+ */
+export function spendItemCharges(playerState, nameOrId, count = 1) {
+    const item = findItem(playerState.inventory, nameOrId);
+    if (!item)
+        return { update: null, item: null, error: `You don't have "${nameOrId}" in your inventory.` };
+    if (!item.charges)
+        return { update: null, item, error: `${item.name} has no charges.` };
+    if (item.requiresAttunement && !item.attuned)
+        return { update: null, item, error: `You must be attuned to ${item.name} to use its charges.` };
+    if (item.charges.current < count)
+        return { update: null, item, error: `${item.name} has only ${item.charges.current} charge${item.charges.current === 1 ? '' : 's'} left.` };
+    const spent = { ...item, charges: { ...item.charges, current: item.charges.current - count } };
+    const inventory = playerState.inventory.map(existing => (existing.id === item.id ? spent : existing));
+    return { update: { inventory }, item: spent, error: null };
+}
+/**
+ * Restores the charges magic items regain at dawn.
+ * @param {any[] | undefined} inventory The inventory.
+ * @param {(dice: string) => number} rollRegain Rolls the dice an item regains charges by.
+ * @returns {any[]} The updated inventory.
+ */
+export function rechargeItems(inventory, rollRegain) {
+    return (inventory || []).map(item => {
+        if (!item.charges || item.charges.current >= item.charges.max)
+            return item;
+        const regained = item.charges.regain === 'all' ? item.charges.max : rollRegain(item.charges.regain);
+        return { ...item, charges: { ...item.charges, current: Math.min(item.charges.max, item.charges.current + regained) } };
+    });
+}
+/**
+ * Converts a list of item descriptions into item records, adding the equipped weapon and armor if
+ * the list leaves them out. Entries that are already item records are kept as they are. Shields
+ * count as carried in hand, as they did before items could be equipped.
+ * @param {any[] | undefined} entries Item descriptions, such as "Torches (10)", or item records.
+ * @param {{weapon?: string, armor?: string} | undefined} equipment The equipped weapon and armor.
+ * @returns {any[]} The inventory.
+ */
+export function buildInventory(entries, equipment) {
+    let inventory = [];
+    (Array.isArray(entries) ? entries : []).forEach(entry => {
+        if (isItemRecord(entry)) {
+            inventory.push(entry);
+            return;
+        }
+        if (typeof entry !== 'string' || !entry.trim() || /^\(?(none|empty)\)?$/i.test(entry.trim()))
+            return;
+        const item = createItem(entry, inventory);
+        inventory.push(isShield(item) ? { ...item, equipped: true } : item);
+    });
+    [equipment?.weapon, equipment?.armor].forEach(name => {
+        if (!name || /^none$/i.test(name.trim()))
+            return;
+        const existing = inventory.find(item => normalizeName(item.name) === normalizeName(name));
+        if (existing)
+            inventory = inventory.map(item => (item.id === existing.id ? { ...item, equipped: true } : item));
+        else
+            inventory.push(createItem({ name, equipped: true }, inventory));
+    });
+    return inventory;
+}
+/**
+ * Describes an item for lists: its name, how many there are, whether it's equipped or attuned and
+ * the charges it has left.
+ * @param {any} item The item.
+ * @returns {string} The description, e.g. "Torch ×10" or "Wand of Web (attuned, 5/7 charges)".
+ */
+export function formatItem(item) {
+    const flags = [
+        item.equipped ? 'equipped' : null,
+        item.attuned ? 'attuned' : (item.requiresAttunement ? 'needs attunement' : null),
+        item.charges ? `${item.charges.current}/${item.charges.max} charges` : null,
+    ].filter(Boolean);
+    return `${item.name}${item.quantity > 1 ? ` ×${item.quantity}` : ''}${flags.length ? ` (${flags.join(', ')})` : ''}`;
+}
+/**
+ * Adds up what an inventory weighs.
+ * @param {any[] | undefined} inventory The inventory.
+ * @returns {number} The weight in pounds.
+ */
+export function getCarriedWeight(inventory) {
+    const total = (inventory || []).filter(isItemRecord).reduce((sum, item) => sum + (item.weight || 0) * (item.quantity || 1), 0);
+    return Math.round(total * 100) / 100;
+}
+/**
+ * Works out how encumbered a character is under the variant encumbrance rules. Carrying more than
+ * 5 times their Strength score in pounds costs 10 feet of speed; more than 10 times costs 20 feet
+ * and gives disadvantage on Strength, Dexterity and Constitution attacks, checks and saves.
+ * @param {import("./types.js").PlayerState} playerState The character's current state.
+ * @returns {{carried: number, capacity: number, level: 'none' | 'encumbered' | 'heavily encumbered', speedPenalty: number, isOverCapacity: boolean}}
+ *   The carried weight and carrying capacity in pounds, the encumbrance level and the speed it costs.
+ */
+export function getEncumbrance(playerState) {
+    const strength = playerState.abilityScores?.strength || 10;
+    const carried = getCarriedWeight(playerState.inventory);
+    const capacity = strength * CARRYING_CAPACITY_PER_STRENGTH;
+    const isOverCapacity = carried > capacity;
+    if (carried > strength * HEAVILY_ENCUMBERED_PER_STRENGTH)
+        return { carried, capacity, level: 'heavily encumbered', speedPenalty: 20, isOverCapacity };
+    if (carried > strength * ENCUMBERED_PER_STRENGTH)
+        return { carried, capacity, level: 'encumbered', speedPenalty: 10, isOverCapacity };
+    return { carried, capacity, level: 'none', speedPenalty: 0, isOverCapacity };
+}
+/**
+ * Finds the disadvantage a heavy load puts on a roll.
+ * @param {import("./types.js").PlayerState} playerState The character's current state.
+ * @param {string | null} ability The ability the roll uses.
+ * @returns {'DISADVANTAGE' | 'NONE'} The load's effect on the roll.
+ */
+export function getEncumbranceRollModifier(playerState, ability) {
+    if (!ability || !ENCUMBERED_ABILITIES.includes(ability))
+        return 'NONE';
+    return getEncumbrance(playerState).level === 'heavily encumbered' ? 'DISADVANTAGE' : 'NONE';
+}
@@ -0,0 +1,135 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createItem, addItem, removeItem, equipItem, buildInventory, findItem, formatItem, getCarriedWeight, getEncumbrance, getEncumbranceRollModifier } from './inventory.js';
+// These tests check the inventory rules: item records, stacking, equipping and the variant
+// encumbrance rules. The SRD data isn't loaded here, so weapons and armor are linked by hand.
+// Run them with `npm test`.
+// --- HELPERS ---
+/**
+ * Builds a character carrying the given items.
+ * @param {any[]} inventory The item records.
+ * @param {number} [strength] The character's Strength score.
+ * @returns {any} The player state.
+ */
+function createCarrier(inventory, strength = 10) {
+    return { abilityScores: { strength }, inventory, equipment: { weapon: 'None', armor: 'None' } };
+}
+/**
+ * Builds an item of a given total weight.
+ * @param {number} weight The weight in pounds.
+ * @returns {any} The item record.
+ */
+function createLoad(weight) {
+    return createItem({ name: 'Sack of stones', weight, quantity: 1 });
+}
+// --- ITEM RECORDS ---
+test('reads a quantity from the item description', () => {
+    assert.deepEqual([createItem('Torches (10)').name, createItem('Torches (10)').quantity], ['Torches', 10]);
+    assert.deepEqual([createItem('10 torches').name, createItem('10 torches').quantity], ['torches', 10]);
+    assert.deepEqual([createItem('Rations x5').name, createItem('Rations x5').quantity], ['Rations', 5]);
+    assert.deepEqual([createItem('50 feet of rope').name, createItem('50 feet of rope').quantity], ['50 feet of rope', 1]);
+});
+test('estimates weights from the gear table, and one pound for anything else', () => {
+    assert.equal(createItem('Rope (50 feet)').weight, 10);
+    assert.equal(createItem('Bedroll').weight, 7);
+    assert.equal(createItem('Strange idol').weight, 1);
+    assert.equal(createItem({ name: 'Anvil', weight: 120 }).weight, 120);
+    assert.equal(createItem({ name: 'Longsword', weapon: 'Longsword' }).weight, 3);
+});
+test('gives each new item an ID no other item in the inventory uses', () => {
+    const first = createItem('Dagger');
+    const second = createItem('Dagger', [first]);
+    assert.equal(first.id, 'item-dagger');
+    assert.equal(second.id, 'item-dagger-2');
+});
+test('finds items by ID, by name ignoring plurals and quantities, or by part of the name', () => {
+    const inventory = [createItem('Torches (3)'), createItem('Potion of Healing', [])];
+    assert.equal(findItem(inventory, 'item-torches').name, 'Torches');
+    assert.equal(findItem(inventory, 'torch').name, 'Torches');
+    assert.equal(findItem(inventory, 'healing').name, 'Potion of Healing');
+    assert.equal(findItem(inventory, 'lantern'), null);
+});
+test('describes items with their quantity and whether they are equipped', () => {
+    assert.equal(formatItem(createItem('Torches (10)')), 'Torches ×10');
+    assert.equal(formatItem(createItem({ name: 'Shield', armor: 'Shield', equipped: true })), 'Shield (equipped)');
+});
+// --- ADDING AND REMOVING ---
+test('stacks an unequipped item onto one with the same name', () => {
+    const { inventory: once } = addItem([], 'Torches (2)');
+    const { inventory } = addItem(once, 'Torch');
+    assert.equal(inventory.length, 1);
+    assert.equal(inventory[0].quantity, 3);
+});
+test('keeps an equipped item in its own entry', () => {
+    const { inventory: once } = addItem([], { name: 'Dagger', weapon: 'Dagger', equipped: true });
+    const { inventory } = addItem(once, { name: 'Dagger', weapon: 'Dagger' });
+    assert.equal(inventory.length, 2);
+});
+test('removes some of a stack, or all of it', () => {
+    const carrier = createCarrier([createItem('Torches (5)')]);
+    assert.equal(removeItem(carrier, 'torch', 2).update.inventory[0].quantity, 3);
+    assert.deepEqual(removeItem(carrier, 'torch').update.inventory, []);
+    assert.equal(removeItem(carrier, 'lantern').update, null);
+});
+test('empties the equipment slot when the equipped weapon is given up', () => {
+    const sword = createItem({ name: 'Longsword', weapon: 'Longsword', equipped: true });
+    const carrier = { ...createCarrier([sword]), equipment: { weapon: 'Longsword', armor: 'None' } };
+    assert.equal(removeItem(carrier, 'Longsword').update.equipment.weapon, 'None');
+});
+// --- EQUIPPING ---
+test('wields one weapon at a time', () => {
+    const sword = createItem({ name: 'Longsword', weapon: 'Longsword', equipped: true });
+    const axe = createItem({ name: 'Handaxe', weapon: 'Handaxe' }, [sword]);
+    const carrier = { ...createCarrier([sword, axe]), equipment: { weapon: 'Longsword', armor: 'None' } };
+    const { update, error } = equipItem(carrier, 'Handaxe');
+    assert.equal(error, null);
+    assert.equal(update.equipment.weapon, 'Handaxe');
+    assert.deepEqual(update.inventory.map(item => [item.name, item.equipped]), [['Longsword', false], ['Handaxe', true]]);
+});
+test('wears one suit of armor at a time, with a shield alongside', () => {
+    const leather = createItem({ name: 'Leather Armor', armor: 'Leather', equipped: true });
+    const shield = createItem({ name: 'Shield', armor: 'Shield', equipped: true }, [leather]);
+    const chain = createItem({ name: 'Chain Mail', armor: 'Chain mail' }, [leather, shield]);
+    const carrier = { ...createCarrier([leather, shield, chain]), equipment: { weapon: 'None', armor: 'Leather Armor' } };
+    const { update } = equipItem(carrier, 'Chain Mail');
+    assert.equal(update.equipment.armor, 'Chain Mail');
+    assert.deepEqual(update.inventory.map(item => [item.name, item.equipped]), [['Leather Armor', false], ['Shield', true], ['Chain Mail', true]]);
+});
+test('refuses to equip something that is not a weapon, armor or shield', () => {
+    const carrier = createCarrier([createItem('Lantern')]);
+    assert.match(equipItem(carrier, 'Lantern').error, /isn't a weapon, armor or shield/);
+    assert.match(equipItem(carrier, 'Crown').error, /don't have "Crown"/);
+});
+test('builds an inventory from an old save, adding the equipped weapon and armor it left out', () => {
+    const inventory = buildInventory(['Torches (3)', 'None', ''], { weapon: 'Dagger', armor: 'None' });
+    assert.deepEqual(inventory.map(item => [item.name, item.quantity, item.equipped]), [['Torches', 3, false], ['Dagger', 1, true]]);
+});
+// --- ENCUMBRANCE ---
+test('adds up the weight of every item in the inventory', () => {
+    assert.equal(getCarriedWeight([createItem('Torches (10)'), createItem('Rope (50 feet)'), createItem({ name: 'Arrows', quantity: 20 })]), 21);
+});
+test('is unencumbered up to 5 times Strength in pounds', () => {
+    const load = getEncumbrance(createCarrier([createLoad(50)]));
+    assert.deepEqual(load, { carried: 50, capacity: 150, level: 'none', speedPenalty: 0, isOverCapacity: false });
+});
+test('loses 10 feet of speed past 5 times Strength', () => {
+    const load = getEncumbrance(createCarrier([createLoad(51)]));
+    assert.equal(load.level, 'encumbered');
+    assert.equal(load.speedPenalty, 10);
+});
+test('loses 20 feet of speed past 10 times Strength, and notes going over capacity', () => {
+    assert.equal(getEncumbrance(createCarrier([createLoad(101)])).speedPenalty, 20);
+    assert.equal(getEncumbrance(createCarrier([createLoad(151)])).isOverCapacity, true);
+    assert.equal(getEncumbrance(createCarrier([createLoad(151)], 18)).level, 'encumbered');
+});
+test('gives disadvantage on Strength, Dexterity and Constitution rolls only when heavily encumbered', () => {
+    const heavy = createCarrier([createLoad(101)]);
+    assert.equal(getEncumbranceRollModifier(heavy, 'dexterity'), 'DISADVANTAGE');
+    assert.equal(getEncumbranceRollModifier(heavy, 'wisdom'), 'NONE');
+    assert.equal(getEncumbranceRollModifier(heavy, null), 'NONE');
+    assert.equal(getEncumbranceRollModifier(createCarrier([createLoad(51)]), 'strength'), 'NONE');
+});
@@ -0,0 +1,146 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+// This module reads the rules of magic items into numbers the game can apply. An item's bonuses
+// come from a "+1" in its name, as in "Longsword +1", and from its description, as in "You gain a +1
+// bonus to AC and saving throws while wearing this ring". The magic item data doesn't record which
+// items need attunement, so the SRD's list is kept here. Items are the records kept in the player's
+// inventory (see `inventory.js`).
+// --- CONSTANTS ---
+/** The SRD magic items that need attunement, matched against the start of an item's data name. */
+const ATTUNEMENT_ITEMS = [
+    'amulet of health', 'amulet of proof against detection and location', 'amulet of the planes',
+    'animated shield', 'armor of invulnerability', 'armor of resistance', 'armor of vulnerability',
+    'arrow-catching shield', 'belt of dwarvenkind', 'belt of giant strength', 'berserker axe',
+    'boots of levitation', 'boots of speed', 'boots of striding and springing', 'boots of the winterlands',
+    'bracers of archery', 'bracers of defense', 'brooch of shielding', 'cloak of arachnida',
+    'cloak of displacement', 'cloak of elvenkind', 'cloak of protection', 'cloak of the bat', 'crystal ball',
+    'cube of force', 'dancing sword', 'defender', 'demon armor', 'dragon scale mail', 'dwarven thrower',
+    'eyes of charming', 'eyes of the eagle', 'flame tongue', 'frost brand', 'gauntlets of ogre power',
+    'gem of seeing', 'gloves of missile snaring', 'gloves of swimming and climbing', 'hammer of thunderbolts',
+    'hat of disguise', 'headband of intellect', 'helm of brilliance', 'helm of telepathy',
+    'helm of teleportation', 'holy avenger', 'ioun stone', 'luck blade', 'mace of disruption',
+    'mace of terror', 'mantle of spell resistance', 'medallion of thoughts', 'necklace of adaptation',
+    'necklace of prayer beads', 'nine lives stealer', 'oathbow', 'orb of dragonkind', 'pearl of power',
+    'periapt of wound closure', 'plate armor of etherealness', 'ring of djinni summoning',
+    'ring of elemental command', 'ring of evasion', 'ring of feather falling', 'ring of free action',
+    'ring of invisibility', 'ring of jumping', 'ring of mind shielding', 'ring of protection',
+    'ring of regeneration', 'ring of resistance', 'ring of shooting stars', 'ring of spell storing',
+    'ring of spell turning', 'ring of telekinesis', 'ring of the ram', 'ring of warmth', 'ring of x-ray vision',
+    'robe of eyes', 'robe of scintillating colors', 'robe of stars', 'robe of the archmagi',
+    'rod of absorption', 'rod of alertness', 'rod of lordly might', 'rod of rulership', 'scarab of protection',
+    'scimitar of speed', 'shield of missile attraction', 'slippers of spider climbing', 'spellguard shield',
+    'staff of', 'stone of good luck', 'sun blade', 'sword of life stealing', 'sword of sharpness',
+    'sword of wounding', 'talisman of', 'trident of fish command', 'vorpal sword', 'wand of binding',
+    'wand of enemy detection', 'wand of fear', 'wand of fireballs', 'wand of lightning bolts',
+    'wand of paralysis', 'wand of polymorph', 'wand of the war mage', 'wand of web', 'wand of wonder',
+    'winged boots', 'wings of flying',
+];
+// --- HELPERS ---
+/**
+ * Reads the bonuses an item's description grants the one who carries it, such as "+1 bonus to AC
+ * and saving throws" or "+2 bonus to attack and damage rolls made with it". Bonuses to spell attacks
+ * are left out.
+ * @param {string} desc The item's description.
+ * @returns {{attack: number, damage: number, ac: number, saves: number, checks: number}} The bonuses.
+ */
+function readDescriptionBonuses(desc) {
+    const bonuses = { attack: 0, damage: 0, ac: 0, saves: 0, checks: 0 };
+    for (const match of String(desc || '').matchAll(/\+(\d+) bonus to ([^.;]*)/gi)) {
+        const amount = parseInt(match[1], 10);
+        const targets = match[2].toLowerCase().replace(/\bspell attack rolls?\b/g, '');
+        if (/\b(?:ac|armor class)\b/.test(targets))
+            bonuses.ac = Math.max(bonuses.ac, amount);
+        if (/\bsaving throws?\b/.test(targets))
+            bonuses.saves = Math.max(bonuses.saves, amount);
+        if (/\bability checks?\b/.test(targets))
+            bonuses.checks = Math.max(bonuses.checks, amount);
+        if (/\battack (?:and damage )?rolls?\b/.test(targets))
+            bonuses.attack = Math.max(bonuses.attack, amount);
+        if (/\bdamage rolls?\b/.test(targets))
+            bonuses.damage = Math.max(bonuses.damage, amount);
+    }
+    return bonuses;
+}
+/**
+ * Reads how many charges an item holds and how many it regains each dawn.
+ * @param {string} desc The item's description.
+ * @returns {{current: number, max: number, regain: string} | null} The charges, full, or null if the item has none.
+ *   `regain` is dice notation, or 'all'.
+ */
+function readCharges(desc) {
+    const text = String(desc || '');
+    const max = text.match(/\bhas (\d+) charges\b/i);
+    if (!max)
+        return null;
+    const regain = text.match(/regains (all|\d+d\d+(?:\s*[+-]\s*\d+)?|\d+) (?:expended )?charges/i);
+    return { current: parseInt(max[1], 10), max: parseInt(max[1], 10), regain: regain ? regain[1].replace(/\s+/g, '').toLowerCase() : 'all' };
+}
+// --- PUBLIC API ---
+/**
+ * Works out the rules an item carries: whether it needs attunement, its bonuses and its charges.
+ * @param {{name: string, weapon: string | null, armor: string | null}} item The item, with its SRD links.
+ * @param {any} [magicItemData] The item's magic item data, if it has any.
+ * @returns {{requiresAttunement: boolean, bonuses: {attack: number, damage: number, ac: number, saves: number, checks: number}, needsNoArmor: boolean, charges: {current: number, max: number, regain: string} | null}}
+ *   The item's rules. `needsNoArmor` marks an armor class bonus that only applies without armor or a shield.
+ */
+export function readMagicItemRules(item, magicItemData) {
+    const desc = magicItemData?.desc || '';
+    const dataName = String(magicItemData?.name || '').toLowerCase();
+    const bonuses = readDescriptionBonuses(desc);
+    // An enhancement such as "Longsword +1" or "+2 Shield" improves the weapon's attacks or the armor's AC.
+    const enhancement = parseInt(item.name.match(/\+(\d+)\b/)?.[1] || '0', 10);
+    if (enhancement && item.weapon) {
+        bonuses.attack = Math.max(bonuses.attack, enhancement);
+        bonuses.damage = Math.max(bonuses.damage, enhancement);
+    }
+    if (enhancement && item.armor)
+        bonuses.ac = Math.max(bonuses.ac, enhancement);
+    return {
+        requiresAttunement: (!!dataName && ATTUNEMENT_ITEMS.some(name => dataName.startsWith(name))) || /requires attunement/i.test(desc),
+        bonuses,
+        needsNoArmor: bonuses.ac > 0 && /wearing no armor/i.test(desc),
+        charges: readCharges(desc),
+    };
+}
+/**
+ * Checks whether an item's magic works for the one carrying it: it must be attuned if it needs to
+ * be, and armor and shields must be worn.
+ * @param {any} item The item.
+ * @returns {boolean} True if its bonuses apply.
+ */
+export function isItemActive(item) {
+    if (item.requiresAttunement && !item.attuned)
+        return false;
+    return !item.armor || !!item.equipped;
+}
+/**
+ * Adds up one kind of bonus from every active item a character carries. Bonuses to attack and
+ * damage rolls only count for the weapon they're on; see `getWeaponBonuses`.
+ * @param {import("./types.js").PlayerState} playerState The character's state.
+ * @param {'ac' | 'saves' | 'checks'} kind The kind of bonus.
+ * @returns {number} The total bonus.
+ */
+export function getItemBonus(playerState, kind) {
+    const inventory = (playerState.inventory || []).filter(item => item?.bonuses);
+    const isArmored = inventory.some(item => item.armor && item.equipped);
+    return inventory
+        .filter(item => isItemActive(item) && !(kind === 'ac' && item.needsNoArmor && isArmored))
+        .reduce((total, item) => total + (item.bonuses[kind] || 0), 0);
+}
+/**
+ * Finds the magic bonuses to attack and damage rolls made with a weapon. Without an item record, a
+ * "+1" in the weapon's name still counts.
+ * @param {any | null} item The weapon's item record, if the attacker carries one.
+ * @param {string} weaponName The name of the weapon attacked with.
+ * @returns {{attack: number, damage: number}} The bonuses.
+ */
+export function getWeaponBonuses(item, weaponName) {
+    if (item?.bonuses) {
+        const isActive = !item.requiresAttunement || item.attuned;
+        return isActive ? { attack: item.bonuses.attack || 0, damage: item.bonuses.damage || 0 } : { attack: 0, damage: 0 };
+    }
+    const enhancement = parseInt(String(weaponName || '').match(/\+(\d+)\b/)?.[1] || '0', 10);
+    return { attack: enhancement, damage: enhancement };
+}
@@ -0,0 +1,131 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readMagicItemRules, isItemActive, getItemBonus, getWeaponBonuses } from './magic-items.js';
+import { createItem, attuneItem, spendItemCharges, rechargeItems } from './inventory.js';
+import { calculateArmorClass, calculateSavingThrowModifier } from './rpg-helpers.js';
+import { MAX_ATTUNED_ITEMS } from './config.js';
+// These tests check the magic item rules: bonuses read from item names and descriptions, the
+// attunement limit and charges. The descriptions are shortened from the SRD's. Run them with `npm test`.
+// --- FIXTURES ---
+const RING_OF_PROTECTION = { name: 'Ring of Protection', desc: 'You gain a +1 bonus to AC and saving throws while wearing this ring.' };
+const BRACERS_OF_DEFENSE = { name: 'Bracers of Defense', desc: 'While wearing these bracers, you gain a +2 bonus to AC if you are wearing no armor and using no shield.' };
+const WAND_OF_WEB = { name: 'Wand of Web', desc: 'This wand has 7 charges. The wand regains 1d6 + 1 expended charges daily at dawn.' };
+const WAND_OF_THE_WAR_MAGE = { name: 'Wand of the War Mage, +2', desc: 'While holding this wand, you gain a +2 bonus to spell attack rolls.' };
+// --- HELPERS ---
+/**
+ * Builds a magic item record from its data, as the inventory does once the data is loaded.
+ * @param {{name: string, desc: string}} data The item's magic item data.
+ * @param {any} [fields] Other fields of the item record, such as `attuned`.
+ * @returns {any} The item record.
+ */
+function createMagicItem(data, fields = {}) {
+    return { ...createItem({ name: data.name, ...fields }), ...readMagicItemRules({ name: data.name, weapon: null, armor: null }, data), ...fields };
+}
+/**
+ * Builds a character with average scores carrying the given items.
+ * @param {any[]} inventory The item records.
+ * @returns {any} The player state.
+ */
+function createCharacter(inventory) {
+    return {
+        abilityScores: { strength: 10, dexterity: 14, constitution: 10, intelligence: 10, wisdom: 10, charisma: 10 },
+        savingThrows: { strength: 'none', dexterity: 'none', constitution: 'none', intelligence: 'none', wisdom: 'none', charisma: 'none' },
+        proficiencyBonus: 2,
+        inventory,
+        equipment: { weapon: 'None', armor: 'None' },
+    };
+}
+// --- READING THE RULES ---
+test('reads a "+1" in a weapon or armor name as an enhancement', () => {
+    assert.deepEqual(readMagicItemRules({ name: 'Longsword +1', weapon: 'Longsword', armor: null }).bonuses, { attack: 1, damage: 1, ac: 0, saves: 0, checks: 0 });
+    assert.deepEqual(readMagicItemRules({ name: '+2 Shield', weapon: null, armor: 'Shield' }).bonuses, { attack: 0, damage: 0, ac: 2, saves: 0, checks: 0 });
+});
+test('reads bonuses to AC and saving throws from a description, and the need for attunement', () => {
+    const rules = readMagicItemRules({ name: 'Ring of Protection', weapon: null, armor: null }, RING_OF_PROTECTION);
+    assert.equal(rules.requiresAttunement, true);
+    assert.equal(rules.bonuses.ac, 1);
+    assert.equal(rules.bonuses.saves, 1);
+    assert.equal(rules.needsNoArmor, false);
+});
+test('leaves out bonuses to spell attacks', () => {
+    const rules = readMagicItemRules({ name: 'Wand of the War Mage, +2', weapon: null, armor: null }, WAND_OF_THE_WAR_MAGE);
+    assert.equal(rules.bonuses.attack, 0);
+    assert.equal(rules.requiresAttunement, true);
+});
+test('marks an AC bonus that only applies without armor', () => {
+    const rules = readMagicItemRules({ name: 'Bracers of Defense', weapon: null, armor: null }, BRACERS_OF_DEFENSE);
+    assert.equal(rules.bonuses.ac, 2);
+    assert.equal(rules.needsNoArmor, true);
+});
+test('reads charges and the dice they are regained with', () => {
+    assert.deepEqual(readMagicItemRules({ name: 'Wand of Web', weapon: null, armor: null }, WAND_OF_WEB).charges, { current: 7, max: 7, regain: '1d6+1' });
+    assert.equal(readMagicItemRules({ name: 'Rope', weapon: null, armor: null }).charges, null);
+});
+// --- APPLYING BONUSES ---
+test('applies an item that needs attunement only once attuned, and armor only once worn', () => {
+    assert.equal(isItemActive(createMagicItem(RING_OF_PROTECTION)), false);
+    assert.equal(isItemActive(createMagicItem(RING_OF_PROTECTION, { attuned: true })), true);
+    assert.equal(isItemActive(createItem({ name: '+1 Shield', armor: 'Shield' })), false);
+    assert.equal(isItemActive(createItem({ name: '+1 Shield', armor: 'Shield', equipped: true })), true);
+});
+test('adds an attuned ring of protection to AC and saving throws', () => {
+    const unattuned = createCharacter([createMagicItem(RING_OF_PROTECTION)]);
+    const attuned = createCharacter([createMagicItem(RING_OF_PROTECTION, { attuned: true })]);
+    assert.equal(calculateArmorClass(unattuned), 12);
+    assert.equal(calculateArmorClass(attuned), 13);
+    assert.equal(calculateSavingThrowModifier('wisdom', attuned), 1);
+});
+test('drops the bracers of defense bonus while armor is worn', () => {
+    const bracers = createMagicItem(BRACERS_OF_DEFENSE, { attuned: true });
+    assert.equal(getItemBonus(createCharacter([bracers]), 'ac'), 2);
+    const armor = createItem({ name: 'Leather Armor', armor: 'Leather', equipped: true });
+    assert.equal(getItemBonus(createCharacter([bracers, armor]), 'ac'), 0);
+});
+test('applies weapon bonuses only to the weapon they are on', () => {
+    const sword = createItem({ name: 'Longsword +1', weapon: 'Longsword' });
+    assert.deepEqual(getWeaponBonuses(sword, 'Longsword +1'), { attack: 1, damage: 1 });
+    assert.equal(getItemBonus(createCharacter([sword]), 'ac'), 0);
+    assert.deepEqual(getWeaponBonuses(null, 'Mace +2'), { attack: 2, damage: 2 });
+    assert.deepEqual(getWeaponBonuses({ ...sword, requiresAttunement: true, attuned: false }, 'Longsword +1'), { attack: 0, damage: 0 });
+});
+// --- ATTUNEMENT ---
+test('attunes to no more than three items at once', () => {
+    const rings = Array.from({ length: MAX_ATTUNED_ITEMS }, (_, i) => ({ ...createMagicItem(RING_OF_PROTECTION, { attuned: true }), id: `ring-${i}` }));
+    const wand = createMagicItem(WAND_OF_WEB, { requiresAttunement: true });
+    const character = createCharacter([...rings, wand]);
+    const { update, error } = attuneItem(character, 'Wand of Web');
+    assert.equal(update, null);
+    assert.match(error, /no more than 3 items/);
+    const freed = createCharacter([...rings.slice(1), wand]);
+    assert.equal(attuneItem(freed, 'Wand of Web').update.inventory.find(item => item.name === 'Wand of Web').attuned, true);
+});
+test('refuses to attune to an item that does not need it, or twice to the same item', () => {
+    assert.match(attuneItem(createCharacter([createItem('Rope')]), 'Rope').error, /doesn't need attunement/);
+    assert.match(attuneItem(createCharacter([createMagicItem(RING_OF_PROTECTION, { attuned: true })]), 'Ring of Protection').error, /already attuned/);
+});
+test('ends an attunement', () => {
+    const character = createCharacter([createMagicItem(RING_OF_PROTECTION, { attuned: true })]);
+    assert.equal(attuneItem(character, 'Ring of Protection', false).update.inventory[0].attuned, false);
+});
+// --- CHARGES ---
+test('spends charges only while attuned and while enough are left', () => {
+    const wand = createMagicItem(WAND_OF_WEB, { requiresAttunement: true });
+    assert.match(spendItemCharges(createCharacter([wand]), 'Wand of Web').error, /must be attuned/);
+    const attuned = createCharacter([{ ...wand, attuned: true }]);
+    assert.equal(spendItemCharges(attuned, 'Wand of Web', 2).item.charges.current, 5);
+    assert.match(spendItemCharges(attuned, 'Wand of Web', 8).error, /has only 7 charges left/);
+    assert.match(spendItemCharges(createCharacter([createItem('Rope')]), 'Rope').error, /has no charges/);
+});
+test('regains charges at dawn, up to the maximum', () => {
+    const wand = createMagicItem(WAND_OF_WEB);
+    const spent = { ...wand, charges: { ...wand.charges, current: 1 } };
+    const rolled = [];
+    const [recharged] = rechargeItems([spent], dice => { rolled.push(dice); return 4; });
+    assert.deepEqual(rolled, ['1d6+1']);
+    assert.equal(recharged.charges.current, 5);
+    assert.equal(rechargeItems([spent], () => 20)[0].charges.current, 7);
+});
@@ -0,0 +1,370 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { dom } from './dom.js';
+import * as ui from './ui.js';
+import { gameState } from './state-manager.js';
+import { isHotSeat, storeSeat, findSeat } from './hot-seat.js';
+import { queuePlayerInput } from './game-loop.js';
+import { isCommand, isGuestCommand } from './commands.js';
+import { getRecentMessages } from './session-manager.js';
+import { MAX_ONLINE_NAME_LENGTH } from './config.js';
+import { escapeHtml } from './utils.js';
+// This module runs online play through the relay in `relay-server.js`. The host's browser owns the
+// game: it keeps the game state, talks to the storyteller and shares what happens with its guests,
+// namely chat messages, roll results and the state their character sheets and the combat tracker
+// show. Guests only display what the host shares and send their actions, which the host queues
+// behind its own and plays for the character the host has given the guest.
+// --- CONSTANTS ---
+/** How long the host waits after a state change before sharing it, so a burst of changes goes out once. */
+const STATE_SHARE_DELAY_MS = 250;
+/** The combat tracker buttons a guest can press, as the commands the host runs for them. */
+const GUEST_COMBAT_COMMANDS = { 'end-turn': '/endturn', 'delay': '/delay' };
+// --- MODULE STATE ---
+/** @type {WebSocket | null} */
+let socket = null;
+/** @type {'host' | 'guest' | null} */
+let role = null;
+/** As a guest, the ID of the seat the host gave this browser, or null while only watching. */
+let guestSeatId = null;
+/** As the host, the seat each guest plays, by the ID the relay gave their connection. */
+const guestSeats = new Map();
+/** As the host, the open requests to seat a guest, by the guest's connection ID. */
+const seatRequests = new Map();
+let stateShareTimer = null;
+let unsubscribeFromState = null;
+// --- HELPERS ---
+/**
+ * Reads the name of a guest as the relay gave it.
+ * @param {any} name The name.
+ * @returns {string} The name, or "A guest" if it isn't short, plain text.
+ */
+function readGuestName(name) {
+    const isPlainName = typeof name === 'string' && name.trim() && name.length <= MAX_ONLINE_NAME_LENGTH && !/[\u0000-\u001F\u007F]/.test(name);
+    return isPlainName ? name.trim() : 'A guest';
+}
+/**
+ * Opens a connection to the relay.
+ * @param {string} relayUrl The relay's WebSocket URL.
+ * @param {Record<string, string>} params The room code, role and name to join with.
+ * @returns {Promise<WebSocket>} The open connection.
+ */
+function connect(relayUrl, params) {
+    return new Promise((resolve, reject) => {
+        let connection;
+        try {
+            const url = new URL(relayUrl);
+            Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+            connection = new WebSocket(url);
+        }
+        catch (error) {
+            reject(error);
+            return;
+        }
+        connection.addEventListener('open', () => resolve(connection), { once: true });
+        connection.addEventListener('error', () => reject(new Error(`Could not reach the relay at ${relayUrl}.`)), { once: true });
+    });
+}
+/**
+ * Sends a message through the relay.
+ * @param {any} message The message.
+ */
+function send(message) {
+    if (socket?.readyState === WebSocket.OPEN)
+        socket.send(JSON.stringify(message));
+}
+/**
+ * Closes the connection and forgets the online game.
+ */
+function disconnect() {
+    unsubscribeFromState?.();
+    unsubscribeFromState = null;
+    clearTimeout(stateShareTimer);
+    seatRequests.forEach(request => request.remove());
+    seatRequests.clear();
+    guestSeats.clear();
+    guestSeatId = null;
+    const closing = socket;
+    socket = null;
+    role = null;
+    dom.appElement.classList.remove('online-guest');
+    closing?.close();
+}
+/**
+ * Picks out the parts of the game state that guests display. The seated player's entry in the
+ * players list is brought up to date, so guests can show any player's sheet.
+ * @returns {any} The state to share.
+ */
+function getSharedState() {
+    const { characterInfo, playerState, players, activeSeatId, isInCombat, combatants, combatRound, activeCombatantId, isGenerating } = gameState.getState();
+    return {
+        characterInfo,
+        playerState,
+        players: storeSeat(players, activeSeatId, characterInfo, playerState),
+        activeSeatId,
+        isInCombat,
+        combatants,
+        combatRound,
+        activeCombatantId,
+        isGenerating,
+    };
+}
+/**
+ * Shares the game state with every guest shortly after it changes.
+ */
+function scheduleStateShare() {
+    clearTimeout(stateShareTimer);
+    stateShareTimer = setTimeout(() => send({ type: 'state', state: getSharedState() }), STATE_SHARE_DELAY_MS);
+}
+/**
+ * Shows a message the host shared, as the host showed it.
+ * @param {any} message The message, as given to `shareMessage`.
+ */
+function showSharedMessage(message) {
+    if (message.event)
+        ui.addEventMessage(message.event, message.details);
+    else
+        ui.addMessage(message.sender, message.content, message.author);
+}
+/**
+ * Shows a guest the state the host shared, with the sheet of the character the host gave them.
+ * A guest without one sees no character sheet.
+ * @param {any} state The shared state.
+ */
+function applySharedState(state) {
+    const soloSeat = { id: 'player', characterInfo: state.characterInfo, playerState: state.playerState };
+    const seat = (isHotSeat(state.players) ? state.players : [soloSeat]).find(s => s.id === guestSeatId);
+    gameState.updateState({ ...state, characterInfo: seat?.characterInfo || null, playerState: seat?.playerState || null });
+    if (seat)
+        ui.updatePlayerStateUI(seat.playerState, seat.characterInfo);
+    else
+        ui.clearPlayerStatsUI();
+    ui.updateCombatTrackerUI(state.combatants, state.isInCombat, state.combatRound, state.activeCombatantId);
+    ui.setLoading(false, state.isGenerating);
+}
+/**
+ * Lists the characters the host can give a guest: every player character nobody else plays online.
+ * @returns {any[]} The open seats.
+ */
+function getOpenSeats() {
+    const { players, characterInfo } = gameState.getState();
+    const seats = isHotSeat(players) ? players : [{ id: 'player', characterInfo }];
+    const takenSeatIds = new Set(guestSeats.values());
+    return seats.filter(seat => !takenSeatIds.has(seat.id));
+}
+/**
+ * Asks the host which character a guest who just joined plays. The character the guest named is
+ * offered first, but nobody plays a character until the host chooses it for them.
+ * @param {string} guestId The guest's connection ID.
+ * @param {string} name The guest's name.
+ */
+function requestSeat(guestId, name) {
+    const openSeats = getOpenSeats();
+    const named = findSeat(openSeats, name);
+    const seats = named ? [named, ...openSeats.filter(seat => seat !== named)] : openSeats;
+    const request = ui.displaySeatRequest(name, seats, (seat) => {
+        seatRequests.delete(guestId);
+        if (!seat || getOpenSeats().every(open => open.id !== seat.id)) {
+            ui.addEventMessage('party', `${escapeHtml(name)} is watching the game.`);
+            return;
+        }
+        guestSeats.set(guestId, seat.id);
+        send({ type: 'seated', to: guestId, seatId: seat.id });
+        ui.addEventMessage('party', `${escapeHtml(name)} plays ${escapeHtml(seat.characterInfo.name)}.`);
+        scheduleStateShare();
+    });
+    seatRequests.set(guestId, request);
+}
+/**
+ * Acts on a message the relay passed to the host.
+ * @param {any} message The message.
+ */
+function handleHostMessage(message) {
+    switch (message.type) {
+        case 'guest-joined': {
+            const { chatHistory } = gameState.getState();
+            send({ type: 'welcome', to: message.from, state: getSharedState(), messages: getRecentMessages(chatHistory) });
+            ui.addEventMessage('party', `${escapeHtml(readGuestName(message.name))} joined the game online.`);
+            requestSeat(message.from, readGuestName(message.name));
+            break;
+        }
+        case 'guest-left':
+            seatRequests.get(message.from)?.remove();
+            seatRequests.delete(message.from);
+            guestSeats.delete(message.from);
+            ui.addEventMessage('party', `${escapeHtml(readGuestName(message.name))} left the online game.`);
+            break;
+        case 'action': {
+            if (typeof message.text !== 'string' || !message.text.trim())
+                break;
+            const seatId = guestSeats.get(message.from);
+            if (!seatId) {
+                send({ type: 'notice', to: message.from, text: "The host hasn't given you a character to play yet." });
+                break;
+            }
+            if (isCommand(message.text) && !isGuestCommand(message.text)) {
+                send({ type: 'notice', to: message.from, text: 'Only the host can use that command. Type /help to see the commands you can use.' });
+                break;
+            }
+            queuePlayerInput(message.text.trim(), seatId).then(refusal => {
+                if (refusal)
+                    send({ type: 'notice', to: message.from, text: refusal });
+            }).catch(error => {
+                console.error('Failed to play a guest action:', error);
+                send({ type: 'notice', to: message.from, text: `Your action could not be played. ${error.message}` });
+            });
+            break;
+        }
+        case 'error':
+            ui.addMessage('error', `Relay: ${message.message}`);
+            break;
+    }
+}
+/**
+ * Acts on a message the relay passed to a guest.
+ * @param {any} message The message.
+ */
+function handleGuestMessage(message) {
+    switch (message.type) {
+        case 'welcome':
+            dom.chatLog.innerHTML = '';
+            (message.messages || []).forEach(showSharedMessage);
+            applySharedState(message.state);
+            ui.scrollToBottom();
+            break;
+        case 'state':
+            applySharedState(message.state);
+            break;
+        case 'seated':
+            guestSeatId = typeof message.seatId === 'string' ? message.seatId : null;
+            break;
+        case 'message':
+        case 'roll':
+            showSharedMessage(message.message);
+            break;
+        case 'notice':
+            ui.addMessage('error', message.text);
+            break;
+        case 'host-left':
+            ui.addMessage('error', 'The host has ended the online game.');
+            break;
+        case 'error':
+            ui.addMessage('error', `Relay: ${message.message}`);
+            break;
+    }
+}
+/**
+ * Listens to an open connection for the given role.
+ * @param {WebSocket} connection The connection.
+ * @param {(message: any) => void} handleMessage What to do with each message.
+ */
+function listen(connection, handleMessage) {
+    connection.addEventListener('message', (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        }
+        catch (error) {
+            console.warn('Ignored a relay message that is not JSON.', error);
+            return;
+        }
+        handleMessage(message);
+    });
+    connection.addEventListener('close', () => {
+        if (socket !== connection)
+            return;
+        disconnect();
+        ui.addMessage('error', 'Disconnected from the online game.');
+    });
+}
+// --- PUBLIC API ---
+/**
+ * Checks whether this browser hosts an online game.
+ * @returns {boolean} True if hosting.
+ */
+export function isHosting() {
+    return role === 'host';
+}
+/**
+ * Checks whether this browser is a guest in someone else's online game.
+ * @returns {boolean} True if a guest.
+ */
+export function isGuest() {
+    return role === 'guest';
+}
+/**
+ * Opens the game in progress to guests through a relay.
+ * @param {string} relayUrl The relay's WebSocket URL.
+ * @param {string} room The room code guests join with.
+ */
+export async function hostGame(relayUrl, room) {
+    const { characterInfo } = gameState.getState();
+    if (!characterInfo)
+        throw new Error('Start or load an adventure before hosting it.');
+    disconnect();
+    const connection = await connect(relayUrl, { room, role: 'host', name: characterInfo.name.slice(0, MAX_ONLINE_NAME_LENGTH) });
+    socket = connection;
+    role = 'host';
+    listen(connection, handleHostMessage);
+    unsubscribeFromState = gameState.subscribe(scheduleStateShare);
+    ui.addEventMessage('party', `Hosting online as room ${room.toUpperCase()}. Friends can join from the start screen with this code.`);
+}
+/**
+ * Joins someone else's online game as a guest.
+ * @param {string} relayUrl The relay's WebSocket URL.
+ * @param {string} room The host's room code.
+ * @param {string} name The guest's name, usually that of the character they hope to play. The host
+ *   chooses which character they play.
+ */
+export async function joinGame(relayUrl, room, name) {
+    disconnect();
+    const connection = await connect(relayUrl, { room, role: 'guest', name });
+    socket = connection;
+    role = 'guest';
+    dom.appElement.classList.add('online-guest');
+    dom.chatLog.innerHTML = '';
+    ui.clearPlayerStatsUI();
+    ui.addMessage('dm', `<em>Connected to room ${room.toUpperCase()}. Waiting for the host...</em>`);
+    listen(connection, handleGuestMessage);
+}
+/**
+ * Shares a chat message with the guests, if hosting. Dice and attack rolls go out as roll results.
+ * @param {any} message The message: `{sender, content, author}`, or `{event, details}` for an event line.
+ */
+export function shareMessage(message) {
+    if (role !== 'host')
+        return;
+    const isRoll = message.sender === 'dice' || message.sender === 'attack';
+    send({ type: isRoll ? 'roll' : 'message', message });
+}
+/**
+ * Sends a guest's action to the host, who plays it when it's their character's turn.
+ * @param {string} text The action or command.
+ */
+export function sendGuestAction(text) {
+    send({ type: 'action', text });
+}
+/**
+ * Handles the chat form for a guest, sending what they typed to the host. The host echoes it back
+ * once it plays.
+ * @param {Event} event The form submit event.
+ */
+export function handleGuestSubmit(event) {
+    event.preventDefault();
+    const text = dom.chatInput.value.trim();
+    if (!text)
+        return;
+    sendGuestAction(text);
+    dom.chatInput.value = '';
+}
+/**
+ * Sends a guest's press of a combat tracker button to the host as the matching command. Buttons
+ * that run the fight itself are left to the host.
+ * @param {string} combatAction The button's action.
+ */
+export function sendGuestCombatAction(combatAction) {
+    const command = GUEST_COMBAT_COMMANDS[combatAction];
+    if (command)
+        sendGuestAction(command);
+}
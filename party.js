@@ -0,0 +1,261 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as dataManager from './data-manager.js';
+import { deepMerge } from './state-manager.js';
+import { DEFAULT_SKILLS, DEFAULT_SAVING_THROWS, calculateProficiencyBonus, calculateAverageMaxHp, calculateArmorClass, createHitDice, buildClassResources, takeRest } from './rpg-helpers.js';
+import { buildSpellSlots, choosePreparedSpells } from './spellcasting.js';
+// This module builds and looks after the player's companions. Each party member in
+// `playerState.party` carries its own character sheet, in the same shape as the player's, so the
+// dice, spell and condition rules can be applied to it unchanged. Every function returns updated
+// copies, leaving it to the caller to store them.
+// --- CONSTANTS ---
+const STANDARD_ARRAY = [15, 14, 13, 12, 10, 8];
+/**
+ * How a companion of each class is built when the storyteller only gives a name and a description:
+ * the order the standard array is assigned to abilities in, and their starting gear.
+ */
+const CLASS_ARCHETYPES = {
+    barbarian: { abilities: ['strength', 'constitution', 'dexterity', 'wisdom', 'charisma', 'intelligence'], weapon: 'Greataxe', armor: 'Hide' },
+    bard: { abilities: ['charisma', 'dexterity', 'constitution', 'wisdom', 'intelligence', 'strength'], weapon: 'Rapier', armor: 'Leather' },
+    cleric: { abilities: ['wisdom', 'constitution', 'strength', 'dexterity', 'charisma', 'intelligence'], weapon: 'Mace', armor: 'Scale mail, Shield' },
+    druid: { abilities: ['wisdom', 'constitution', 'dexterity', 'intelligence', 'charisma', 'strength'], weapon: 'Quarterstaff', armor: 'Leather' },
+    fighter: { abilities: ['strength', 'constitution', 'dexterity', 'wisdom', 'charisma', 'intelligence'], weapon: 'Longsword', armor: 'Chain mail, Shield' },
+    monk: { abilities: ['dexterity', 'wisdom', 'constitution', 'strength', 'intelligence', 'charisma'], weapon: 'Quarterstaff', armor: 'None' },
+    paladin: { abilities: ['strength', 'charisma', 'constitution', 'wisdom', 'dexterity', 'intelligence'], weapon: 'Longsword', armor: 'Chain mail, Shield' },
+    ranger: { abilities: ['dexterity', 'wisdom', 'constitution', 'strength', 'intelligence', 'charisma'], weapon: 'Longbow', armor: 'Leather' },
+    rogue: { abilities: ['dexterity', 'constitution', 'intelligence', 'wisdom', 'charisma', 'strength'], weapon: 'Shortsword', armor: 'Leather' },
+    sorcerer: { abilities: ['charisma', 'constitution', 'dexterity', 'wisdom', 'intelligence', 'strength'], weapon: 'Dagger', armor: 'None' },
+    warlock: { abilities: ['charisma', 'constitution', 'dexterity', 'wisdom', 'intelligence', 'strength'], weapon: 'Dagger', armor: 'Leather' },
+    wizard: { abilities: ['intelligence', 'constitution', 'dexterity', 'wisdom', 'charisma', 'strength'], weapon: 'Quarterstaff', armor: 'None' },
+};
+const SAVE_ABBREVIATIONS = { str: 'strength', dex: 'dexterity', con: 'constitution', int: 'intelligence', wis: 'wisdom', cha: 'charisma' };
+// --- HELPERS ---
+/**
+ * Finds the longest name from a list that appears as a whole word in a piece of text.
+ * @param {string} text The text to search.
+ * @param {string[]} names The names to look for.
+ * @returns {string | null} The matching name, or null if none appears.
+ */
+function findNameInText(text, names) {
+    const lowerText = String(text || '').toLowerCase();
+    return [...names]
+        .sort((a, b) => b.length - a.length)
+        .find(name => new RegExp(`\\b${name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lowerText)) || null;
+}
+/**
+ * Turns an SRD skill name into its character sheet key ("Sleight of Hand" becomes "sleightOfHand").
+ * @param {string} skillName The skill's name.
+ * @returns {string} The skill's key.
+ */
+function toSkillKey(skillName) {
+    return skillName.toLowerCase().replace(/\s+(\w)/g, (_, letter) => letter.toUpperCase());
+}
+/**
+ * Works out a companion's skill proficiencies: the first skills their class lets them choose.
+ * @param {any} classData The companion's SRD class entry.
+ * @returns {Record<string, string>} The skill proficiency map.
+ */
+function buildSkills(classData) {
+    const skills = { ...DEFAULT_SKILLS };
+    for (const choice of classData?.skill_proficiencies || []) {
+        (choice.from || [])
+            .map(toSkillKey)
+            .filter(key => key in skills)
+            .slice(0, choice.choose || 0)
+            .forEach(key => skills[key] = 'proficient');
+    }
+    return skills;
+}
+/**
+ * Works out a companion's saving throw proficiencies from their class.
+ * @param {any} classData The companion's SRD class entry.
+ * @returns {Record<string, string>} The saving throw proficiency map.
+ */
+function buildSavingThrows(classData) {
+    const savingThrows = { ...DEFAULT_SAVING_THROWS };
+    String(classData?.prof_saving_throws || '')
+        .toLowerCase()
+        .split(',')
+        .map(save => SAVE_ABBREVIATIONS[save.trim().slice(0, 3)])
+        .filter(Boolean)
+        .forEach(ability => savingThrows[ability] = 'proficient');
+    return savingThrows;
+}
+/**
+ * Assigns the standard array to a class's abilities, keeping any scores the storyteller gave.
+ * @param {string[]} priorities The abilities in the order they get the highest scores.
+ * @param {any} givenScores Ability scores from the storyteller, if any.
+ * @returns {Record<string, number>} The ability scores.
+ */
+function buildAbilityScores(priorities, givenScores) {
+    const scores = {};
+    priorities.forEach((ability, index) => {
+        const given = givenScores?.[ability];
+        scores[ability] = typeof given === 'number' ? given : STANDARD_ARRAY[index];
+    });
+    return scores;
+}
+/**
+ * Makes an ID for a new companion that no other party member uses.
+ * @param {string} name The companion's name.
+ * @param {any[]} party The current party.
+ * @returns {string} The ID.
+ */
+function createCompanionId(name, party) {
+    const base = `companion-${String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'ally'}`;
+    let id = base;
+    for (let suffix = 2; party.some(member => member.id === id); suffix++)
+        id = `${base}-${suffix}`;
+    return id;
+}
+// --- PUBLIC API ---
+/**
+ * Builds a companion's character sheet. The class and race are read from the details, or guessed
+ * from the description ("a dwarf cleric of Moradin"); a companion with no recognisable class is a
+ * Fighter. Anything else the storyteller leaves out is filled in from the class: the standard
+ * array, average hit points, class skills and saves, and starting weapon and armor.
+ * @param {{name: string, description?: string, race?: string, characterClass?: string, class?: string, level?: number,
+ *   hp?: number, ac?: number, speed?: number, abilityScores?: any, weapon?: string, armor?: string, spellsKnown?: string[]}} details
+ *   The companion's details.
+ * @param {number} defaultLevel The level to use if the details don't give one, usually the player's.
+ * @param {any[]} [party] The current party, used to keep IDs unique.
+ * @returns {any} The companion's character sheet.
+ */
+export function createCompanion(details, defaultLevel, party = []) {
+    const description = details.description || '';
+    const classNames = dataManager.getClasses().map(c => c.name);
+    const classData = dataManager.getClass(details.characterClass || details.class) ||
+        dataManager.getClass(findNameInText(description, classNames)) ||
+        dataManager.getClass('Fighter');
+    const characterClass = classData?.name || 'Fighter';
+    const race = dataManager.getRace(details.race)?.name || details.race || findNameInText(description, dataManager.getRaces().map(r => r.name)) || 'Human';
+    const archetype = CLASS_ARCHETYPES[characterClass.toLowerCase()] || CLASS_ARCHETYPES.fighter;
+    const requestedLevel = Math.floor(Number(details.level));
+    const level = Math.min(20, Math.max(1, Number.isFinite(requestedLevel) ? requestedLevel : defaultLevel || 1));
+    const companion = {
+        id: createCompanionId(details.name, party),
+        name: details.name,
+        description,
+        race,
+        characterClass,
+        level,
+        abilityScores: buildAbilityScores(archetype.abilities, details.abilityScores),
+        proficiencyBonus: calculateProficiencyBonus(level),
+        skills: buildSkills(classData),
+        savingThrows: buildSavingThrows(classData),
+        equipment: { weapon: details.weapon || archetype.weapon, armor: details.armor || archetype.armor },
+        inventory: [],
+        spellsKnown: Array.isArray(details.spellsKnown) ? details.spellsKnown : [],
+        speed: typeof details.speed === 'number' ? details.speed : 30,
+        conditions: [],
+        concentration: null,
+        isDead: false,
+    };
+    const maxHp = typeof details.hp === 'number' ? Math.max(1, details.hp) : calculateAverageMaxHp(characterClass, level, companion.abilityScores.constitution);
+    companion.health = { current: maxHp, max: maxHp, temp: 0 };
+    companion.armorClass = typeof details.ac === 'number' ? details.ac : calculateArmorClass(companion);
+    companion.hitDice = createHitDice(characterClass, level);
+    companion.classResources = buildClassResources(characterClass, companion);
+    companion.spellSlots = buildSpellSlots(characterClass, companion);
+    companion.preparedSpells = choosePreparedSpells(characterClass, companion);
+    return companion;
+}
+/**
+ * Checks whether a party entry already has a character sheet, rather than being one of the
+ * name-and-description entries saved by older versions of the game.
+ * @param {any} member The party entry.
+ * @returns {boolean} True if it has a sheet.
+ */
+export function isCompanionSheet(member) {
+    return !!member?.id && !!member.abilityScores && !!member.health;
+}
+/**
+ * Gives every name-and-description party entry a full character sheet.
+ * @param {any[]} party The party entries.
+ * @param {number} defaultLevel The level given to companions whose details don't include one.
+ * @returns {any[]} The party with a sheet for every member.
+ */
+export function buildParty(party, defaultLevel) {
+    return (party || []).reduce((built, member) => [...built, isCompanionSheet(member) ? member : createCompanion(member, defaultLevel, built)], []);
+}
+/**
+ * Finds a party member by ID or by name. Names match ignoring case, and a first name is enough
+ * ("Bram" finds "Bram Ironfoot").
+ * @param {any[] | undefined} party The party.
+ * @param {string} nameOrId The member's ID or name.
+ * @returns {any | null} The party member, or null if none matches.
+ */
+export function findPartyMember(party, nameOrId) {
+    const wanted = String(nameOrId || '').trim().toLowerCase();
+    if (!wanted)
+        return null;
+    const members = party || [];
+    return members.find(m => m.id === nameOrId) ||
+        members.find(m => m.name.toLowerCase() === wanted) ||
+        members.find(m => m.name.toLowerCase().split(/\s+/)[0] === wanted) ||
+        null;
+}
+/**
+ * Applies changes to one party member's sheet, merging them the same way player state updates are.
+ * @param {any[]} party The party.
+ * @param {string} memberId The ID of the member to change.
+ * @param {any} update The changes to the member's sheet.
+ * @returns {any[]} The updated party.
+ */
+export function updatePartyMember(party, memberId, update) {
+    return party.map(member => (member.id === memberId ? deepMerge(member, update) : member));
+}
+/**
+ * Applies damage to a companion. Temporary hit points absorb damage first. Companions don't make
+ * death saves: one dropped to 0 HP falls unconscious and stays down until healed, unless the
+ * leftover damage reaches their maximum HP, which kills them outright.
+ * @param {any} member The companion's sheet.
+ * @param {number} damage The damage dealt, after resistances.
+ * @returns {{update: any, outcome: 'hurt' | 'downed' | 'killed'}} The sheet changes to apply, and what happened.
+ */
+export function applyDamageToCompanion(member, damage) {
+    const { current, max } = member.health;
+    const temp = member.health.temp || 0;
+    const absorbed = Math.min(temp, damage);
+    const remaining = current - (damage - absorbed);
+    if (remaining > 0)
+        return { update: { health: { current: remaining, max, temp: temp - absorbed } }, outcome: 'hurt' };
+    const conditions = [...(member.conditions || []).filter(c => c.name !== 'Unconscious'), { name: 'Unconscious', source: 'Dropped to 0 hit points' }];
+    const update = { health: { current: 0, max, temp: 0 }, conditions, concentration: null };
+    if (current > 0 && -remaining < max)
+        return { update, outcome: 'downed' };
+    return { update: { ...update, isDead: true }, outcome: 'killed' };
+}
+/**
+ * Rests the whole party alongside the player, using the same rules as the player's rest. Companions
+ * spend hit dice as needed on a short rest, and one who rests back above 0 HP wakes up.
+ * @param {any[]} party The party.
+ * @param {'short' | 'long'} restType The kind of rest.
+ * @param {number} turnCount The game clock when the rest starts.
+ * @returns {any[]} The rested party.
+ */
+export function restParty(party, restType, turnCount) {
+    return (party || []).map(member => {
+        if (member.isDead)
+            return member;
+        const { update } = takeRest({ ...member, turnCount }, restType);
+        if (update.health.current > 0)
+            update.conditions = update.conditions.filter(c => c.name !== 'Unconscious');
+        return deepMerge(member, update);
+    });
+}
+/**
+ * Copies each companion's current hit points onto their entry in the turn order, so defeated
+ * companions are skipped and the tracker stays up to date.
+ * @param {any[]} combatants The combatants.
+ * @param {any[]} party The party.
+ * @returns {any[]} The updated combatants.
+ */
+export function syncCompanionCombatants(combatants, party) {
+    return combatants.map(c => {
+        const member = c.isCompanion ? findPartyMember(party, c.id) : null;
+        return member ? { ...c, hp: member.health.current, maxHp: member.health.max, ac: member.armorClass } : c;
+    });
+}
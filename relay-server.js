@@ -0,0 +1,314 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { MAX_ONLINE_NAME_LENGTH } from './config.js';
+// A small WebSocket relay for online play, run with `npm run relay` on any machine the players can
+// reach (set PORT to change the port). Imported, it starts nothing until `createRelayServer` is called,
+// which is how `relay-server.test.js` runs one locally. It never looks inside the game: the host's browser owns the
+// game state, and the relay only passes messages between the host and the guests in its room.
+//
+// Connect to `ws://<relay>:<port>/?room=<code>&role=host|guest&name=<name>`. Messages are JSON.
+// - A guest's messages go to the room's host, with `from` (the guest's ID) and `name` added.
+// - A host's messages go to every guest, or only to the guest named by `to`.
+// - The relay tells the host `{type: 'guest-joined' | 'guest-left', from, name}`, and the guests
+//   `{type: 'host-left'}` before it closes the room. It refuses a connection with `{type: 'error',
+//   message}` when the room already has a host, has none for a guest to join, or the name is not
+//   plain text of up to MAX_ONLINE_NAME_LENGTH characters.
+// --- CONSTANTS ---
+const PORT = Number(process.env.PORT) || 8787;
+// The GUID every WebSocket server appends to the client's key to accept the handshake (RFC 6455).
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+// The status codes the relay closes connections with (RFC 6455, section 7.4.1).
+const CLOSE_CODES = { normal: 1000, messageTooBig: 1009 };
+// --- MODULE STATE ---
+/** @type {Map<string, {host: any, guests: Map<string, any>}>} */
+const rooms = new Map();
+let nextClientId = 1;
+// --- FRAMES ---
+/**
+ * Builds an unmasked WebSocket frame, as a server sends them.
+ * @param {number} opcode The frame's opcode.
+ * @param {Buffer} payload The frame's payload.
+ * @returns {Buffer} The frame.
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    }
+    else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(126, 1);
+        header.writeUInt16BE(payload.length, 2);
+    }
+    else {
+        header = Buffer.alloc(10);
+        header.writeUInt8(0x80 | opcode, 0);
+        header.writeUInt8(127, 1);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+/**
+ * Reads the first complete frame from the bytes a client has sent so far.
+ * @param {Buffer} buffer The received bytes.
+ * @returns {{fin: boolean, opcode: number, payload: Buffer, length: number} | null} The frame and how many bytes it took, or null if it hasn't fully arrived.
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2)
+        return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const isMasked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+    if (payloadLength === 126) {
+        if (buffer.length < 4)
+            return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    }
+    else if (payloadLength === 127) {
+        if (buffer.length < 10)
+            return null;
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (payloadLength > MAX_MESSAGE_BYTES)
+        throw new Error(`Message of ${payloadLength} bytes is too large.`);
+    const maskLength = isMasked ? 4 : 0;
+    if (buffer.length < offset + maskLength + payloadLength)
+        return null;
+    const mask = buffer.subarray(offset, offset + maskLength);
+    const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+    if (isMasked) {
+        for (let i = 0; i < payload.length; i++)
+            payload[i] ^= mask[i % 4];
+    }
+    return { fin, opcode, payload, length: offset + maskLength + payloadLength };
+}
+// --- CLIENTS ---
+/**
+ * Reads the name a client connected with. Names are shown to the other players, so they must be
+ * short, plain text.
+ * @param {string | null} name The name from the connection's URL.
+ * @returns {string | null} The trimmed name, or null if it isn't acceptable.
+ */
+function readName(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed || trimmed.length > MAX_ONLINE_NAME_LENGTH || /[\u0000-\u001F\u007F]/.test(trimmed))
+        return null;
+    return trimmed;
+}
+/**
+ * Sends a JSON message to a client.
+ * @param {any} client The client.
+ * @param {any} message The message.
+ */
+function send(client, message) {
+    if (!client.socket.destroyed)
+        client.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+}
+/**
+ * Closes a client's connection, telling it why first.
+ * @param {any} client The client.
+ * @param {string} [reason] Why the connection is closing.
+ * @param {number} [code] The close frame's status code.
+ */
+function closeClient(client, reason, code = CLOSE_CODES.normal) {
+    if (reason)
+        send(client, { type: 'error', message: reason });
+    if (client.socket.destroyed)
+        return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    client.socket.end(encodeFrame(OPCODES.close, payload));
+}
+/**
+ * Passes a message on from one client, host or guest, to the rest of its room.
+ * @param {any} client The client that sent it.
+ * @param {string} text The message's JSON text.
+ */
+function relayMessage(client, text) {
+    const room = rooms.get(client.room);
+    let message;
+    try {
+        message = JSON.parse(text);
+    }
+    catch (error) {
+        client.logger.warn(`Ignored a message that isn't JSON from ${client.name}.`);
+        return;
+    }
+    if (!room || !message || typeof message !== 'object')
+        return;
+    if (client.role === 'guest') {
+        send(room.host, { ...message, from: client.id, name: client.name });
+        return;
+    }
+    const { to, ...rest } = message;
+    if (to) {
+        const guest = room.guests.get(to);
+        if (guest)
+            send(guest, rest);
+    }
+    else {
+        room.guests.forEach(guest => send(guest, rest));
+    }
+}
+/**
+ * Removes a client from its room once it disconnects. A host leaving closes the room.
+ * @param {any} client The client.
+ */
+function leaveRoom(client) {
+    const room = rooms.get(client.room);
+    if (!room || client.hasLeft)
+        return;
+    client.hasLeft = true;
+    if (client.role === 'host' && room.host === client) {
+        room.guests.forEach(guest => {
+            send(guest, { type: 'host-left' });
+            closeClient(guest);
+        });
+        rooms.delete(client.room);
+        client.logger.log(`Room "${client.room}" closed.`);
+    }
+    else if (room.guests.delete(client.id)) {
+        send(room.host, { type: 'guest-left', from: client.id, name: client.name });
+        client.logger.log(`${client.name} left room "${client.room}".`);
+    }
+}
+/**
+ * Seats a new client in the room it asked for.
+ * @param {any} client The client.
+ * @returns {string | null} Why the client can't join, or null if it joined.
+ */
+function joinRoom(client) {
+    const room = rooms.get(client.room);
+    if (client.role === 'host') {
+        if (room)
+            return `Room "${client.room}" already has a host.`;
+        rooms.set(client.room, { host: client, guests: new Map() });
+        client.logger.log(`${client.name} is hosting room "${client.room}".`);
+        return null;
+    }
+    if (!room)
+        return `Nobody is hosting room "${client.room}".`;
+    room.guests.set(client.id, client);
+    send(room.host, { type: 'guest-joined', from: client.id, name: client.name });
+    client.logger.log(`${client.name} joined room "${client.room}".`);
+    return null;
+}
+/**
+ * Reads the frames a client sends and acts on each complete message.
+ * @param {any} client The client.
+ */
+function listen(client) {
+    let received = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentBytes = 0;
+    let isClosed = false;
+    client.socket.on('data', (chunk) => {
+        if (isClosed)
+            return;
+        received = Buffer.concat([received, chunk]);
+        try {
+            let frame;
+            while ((frame = decodeFrame(received))) {
+                received = received.subarray(frame.length);
+                if (frame.opcode === OPCODES.close) {
+                    isClosed = true;
+                    closeClient(client);
+                    return;
+                }
+                if (frame.opcode === OPCODES.ping) {
+                    client.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                    continue;
+                }
+                if (frame.opcode === OPCODES.pong)
+                    continue;
+                // A message split over several frames takes its type from the first one.
+                if (frame.opcode !== OPCODES.continuation)
+                    client.fragmentOpcode = frame.opcode;
+                // A message split over many frames is held until its last one, so its total size is capped too.
+                fragmentBytes += frame.payload.length;
+                if (fragmentBytes > MAX_MESSAGE_BYTES)
+                    throw new Error(`Message of more than ${MAX_MESSAGE_BYTES} bytes is too large.`);
+                fragments.push(frame.payload);
+                if (!frame.fin)
+                    continue;
+                const message = Buffer.concat(fragments);
+                fragments = [];
+                fragmentBytes = 0;
+                if (client.fragmentOpcode === OPCODES.text)
+                    relayMessage(client, message.toString('utf8'));
+            }
+        }
+        catch (error) {
+            // Only an oversized message is refused while reading frames.
+            client.logger.warn(`Dropped ${client.name}: ${error.message}`);
+            isClosed = true;
+            fragments = [];
+            received = Buffer.alloc(0);
+            closeClient(client, error.message, CLOSE_CODES.messageTooBig);
+        }
+    });
+    client.socket.on('close', () => leaveRoom(client));
+    client.socket.on('error', () => leaveRoom(client));
+}
+// --- SERVER ---
+/**
+ * Accepts a WebSocket connection and seats the client in the room it asked for.
+ * @param {import('node:http').IncomingMessage} request The upgrade request.
+ * @param {import('node:stream').Duplex} socket The client's socket.
+ * @param {Pick<Console, 'log' | 'warn'>} logger Where the client's comings and goings are logged.
+ */
+function acceptConnection(request, socket, logger) {
+    const key = request.headers['sec-websocket-key'];
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = createHash('sha1').update(`${key}${WEBSOCKET_GUID}`).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+    const params = new URL(request.url || '/', 'ws://relay').searchParams;
+    const role = params.get('role') === 'host' ? 'host' : 'guest';
+    const name = readName(params.get('name'));
+    const client = { id: `guest-${nextClientId++}`, socket, role, room: (params.get('room') || '').trim().toUpperCase(), name: name || role, fragmentOpcode: OPCODES.text, hasLeft: false, logger };
+    listen(client);
+    let refusal = client.room ? null : 'No room code was given.';
+    if (!refusal && !name)
+        refusal = `Names must be plain text of 1 to ${MAX_ONLINE_NAME_LENGTH} characters.`;
+    if (!refusal)
+        refusal = joinRoom(client);
+    if (refusal) {
+        client.hasLeft = true;
+        closeClient(client, refusal);
+    }
+}
+/**
+ * Creates a relay server. It starts listening once `listen` is called on it.
+ * @param {{logger?: Pick<Console, 'log' | 'warn'>}} [options] Where to log rooms opening and
+ * closing, players joining and leaving and the messages dropped. Defaults to the console.
+ * @returns {import('node:http').Server} The server.
+ */
+export function createRelayServer({ logger = console } = {}) {
+    const server = createServer((request, response) => {
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('Unfettered Storyteller relay. Connect with a WebSocket.\n');
+    });
+    server.on('upgrade', (request, socket) => acceptConnection(request, socket, logger));
+    return server;
+}
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    createRelayServer().listen(PORT, () => {
+        console.log(`Relay listening on ws://localhost:${PORT}`);
+    });
+}
@@ -0,0 +1,196 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { createRelayServer } from './relay-server.js';
+// These tests run the relay on a free local port and connect to it with a small stand-in for the
+// browser's WebSocket, which masks every frame it sends as browsers do. Run them with `npm test`.
+// --- CONSTANTS ---
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8 };
+// --- MODULE STATE ---
+let server;
+let port;
+const openSockets = new Set();
+// The relay's log lines, kept here rather than printed through the test output.
+const relayLog = [];
+// --- STAND-IN CLIENT ---
+/**
+ * Builds a masked WebSocket frame, as a browser sends them.
+ * @param {number} opcode The frame's opcode.
+ * @param {Buffer} payload The frame's payload.
+ * @param {boolean} [fin] Whether this is the last frame of its message.
+ * @returns {Buffer} The frame.
+ */
+function encodeClientFrame(opcode, payload, fin = true) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | payload.length]);
+    }
+    else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header.writeUInt8((fin ? 0x80 : 0) | opcode, 0);
+        header.writeUInt8(0x80 | 126, 1);
+        header.writeUInt16BE(payload.length, 2);
+    }
+    else {
+        header = Buffer.alloc(10);
+        header.writeUInt8((fin ? 0x80 : 0) | opcode, 0);
+        header.writeUInt8(0x80 | 127, 1);
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    const mask = randomBytes(4);
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++)
+        masked[i] ^= mask[i % 4];
+    return Buffer.concat([header, mask, masked]);
+}
+/**
+ * Connects to the relay the way `multiplayer.js` does.
+ * @param {Record<string, string>} params The room code, role and name to join with.
+ * @returns {Promise<{socket: import('node:net').Socket, nextMessage: () => Promise<any>, closed: Promise<number | null>, sendJson: (message: any) => void}>}
+ *   The connection: the next JSON message it receives, the status code it is closed with, and a way to send.
+ */
+function connectClient(params) {
+    return new Promise((resolve, reject) => {
+        const query = new URLSearchParams(params).toString();
+        const upgrade = request({
+            port,
+            path: `/?${query}`,
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': randomBytes(16).toString('base64') },
+        });
+        upgrade.on('error', reject);
+        upgrade.on('upgrade', (response, socket, head) => {
+            openSockets.add(socket);
+            const messages = [];
+            const waiting = [];
+            let closeCode = null;
+            let received = Buffer.alloc(0);
+            const closed = new Promise(resolveClosed => socket.on('close', () => resolveClosed(closeCode)));
+            const readFrames = (chunk) => {
+                received = Buffer.concat([received, chunk]);
+                while (received.length >= 2) {
+                    const opcode = received[0] & 0x0F;
+                    let length = received[1] & 0x7F;
+                    let offset = 2;
+                    if (length === 126) {
+                        length = received.readUInt16BE(2);
+                        offset = 4;
+                    }
+                    else if (length === 127) {
+                        length = Number(received.readBigUInt64BE(2));
+                        offset = 10;
+                    }
+                    if (received.length < offset + length)
+                        break;
+                    const payload = received.subarray(offset, offset + length);
+                    received = received.subarray(offset + length);
+                    if (opcode === OPCODES.close) {
+                        closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : null;
+                    }
+                    else if (opcode === OPCODES.text) {
+                        const message = JSON.parse(payload.toString('utf8'));
+                        if (waiting.length > 0)
+                            waiting.shift()(message);
+                        else
+                            messages.push(message);
+                    }
+                }
+            };
+            // Whatever the relay sent straight after the handshake arrives with it.
+            readFrames(head);
+            socket.on('data', readFrames);
+            socket.on('error', () => { });
+            resolve({
+                socket,
+                nextMessage: () => (messages.length > 0 ? Promise.resolve(messages.shift()) : new Promise(resolveMessage => waiting.push(resolveMessage))),
+                closed,
+                sendJson: (message) => socket.write(encodeClientFrame(OPCODES.text, Buffer.from(JSON.stringify(message)))),
+            });
+        });
+        upgrade.end();
+    });
+}
+// --- TESTS ---
+before(async () => {
+    const record = (line) => relayLog.push(line);
+    server = createRelayServer({ logger: { log: record, warn: record } });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+});
+after(async () => {
+    openSockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => server.close(resolve));
+});
+test("passes a guest's messages to the host with the ID and name the guest joined with", { timeout: 5000 }, async () => {
+    const host = await connectClient({ room: 'tavern', role: 'host', name: 'Host' });
+    const guest = await connectClient({ room: 'TAVERN', role: 'guest', name: 'Ana' });
+    const joined = await host.nextMessage();
+    assert.equal(joined.type, 'guest-joined');
+    assert.equal(joined.name, 'Ana');
+    guest.sendJson({ type: 'action', text: 'I open the door.', from: 'guest-999', name: 'Someone Else' });
+    const action = await host.nextMessage();
+    assert.deepEqual(action, { type: 'action', text: 'I open the door.', from: joined.from, name: 'Ana' });
+    host.socket.destroy();
+    guest.socket.destroy();
+});
+test('sends a message the host addresses to one guest only to that guest', { timeout: 5000 }, async () => {
+    const host = await connectClient({ room: 'cellar', role: 'host', name: 'Host' });
+    const first = await connectClient({ room: 'cellar', role: 'guest', name: 'Bram' });
+    const second = await connectClient({ room: 'cellar', role: 'guest', name: 'Cora' });
+    const firstJoined = await host.nextMessage();
+    await host.nextMessage();
+    host.sendJson({ type: 'notice', to: firstJoined.from, text: 'Only for Bram.' });
+    host.sendJson({ type: 'state', state: {} });
+    assert.deepEqual(await first.nextMessage(), { type: 'notice', text: 'Only for Bram.' });
+    assert.deepEqual(await first.nextMessage(), { type: 'state', state: {} });
+    assert.deepEqual(await second.nextMessage(), { type: 'state', state: {} });
+    [host, first, second].forEach(client => client.socket.destroy());
+});
+test('logs rooms opening and players joining to the logger it was given', { timeout: 5000 }, async () => {
+    const host = await connectClient({ room: 'stables', role: 'host', name: 'Host' });
+    const guest = await connectClient({ room: 'stables', role: 'guest', name: 'Dain' });
+    await host.nextMessage();
+    assert.ok(relayLog.includes('Host is hosting room "STABLES".'));
+    assert.ok(relayLog.includes('Dain joined room "STABLES".'));
+    host.socket.destroy();
+    guest.socket.destroy();
+});
+test('refuses a guest whose name is not short, plain text', { timeout: 5000 }, async () => {
+    const host = await connectClient({ room: 'gate', role: 'host', name: 'Host' });
+    const guest = await connectClient({ room: 'gate', role: 'guest', name: 'x'.repeat(41) });
+    const refusal = await guest.nextMessage();
+    assert.equal(refusal.type, 'error');
+    assert.match(refusal.message, /Names must be plain text/);
+    assert.equal(await guest.closed, 1000);
+    host.socket.destroy();
+});
+test('refuses a guest when nobody hosts the room', { timeout: 5000 }, async () => {
+    const guest = await connectClient({ room: 'empty', role: 'guest', name: 'Dara' });
+    const refusal = await guest.nextMessage();
+    assert.equal(refusal.message, 'Nobody is hosting room "EMPTY".');
+    assert.equal(await guest.closed, 1000);
+});
+test('closes with status 1009 once a message split over frames grows past the size limit', { timeout: 10000 }, async () => {
+    const host = await connectClient({ room: 'flood', role: 'host', name: 'Host' });
+    const megabyte = Buffer.alloc(1024 * 1024, 0x61);
+    host.socket.write(encodeClientFrame(OPCODES.text, megabyte, false));
+    for (let sent = megabyte.length; sent <= MAX_MESSAGE_BYTES; sent += megabyte.length)
+        host.socket.write(encodeClientFrame(OPCODES.continuation, megabyte, false));
+    assert.equal((await host.nextMessage()).type, 'error');
+    assert.equal(await host.closed, 1009);
+});
+test('closes with status 1009 when a single frame is larger than the size limit', { timeout: 5000 }, async () => {
+    const host = await connectClient({ room: 'boulder', role: 'host', name: 'Host' });
+    const header = Buffer.alloc(14);
+    header.writeUInt8(0x80 | OPCODES.text, 0);
+    header.writeUInt8(0x80 | 127, 1);
+    header.writeBigUInt64BE(BigInt(MAX_MESSAGE_BYTES + 1), 2);
+    host.socket.write(header);
+    assert.equal((await host.nextMessage()).type, 'error');
+    assert.equal(await host.closed, 1009);
+});
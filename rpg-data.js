@@ -112,7 +112,9 @@ export const playerStateSchema = {
                 type: Type.OBJECT,
                 properties: {
                     name: { type: Type.STRING, description: "The party member's name." },
-                    description: { type: Type.STRING, description: "A short description of the party member, including their class or role." }
+                    description: { type: Type.STRING, description: "A short description of the party member, including their class or role." },
+                    race: { type: Type.STRING, description: "The party member's race, e.g. 'Dwarf'." },
+                    characterClass: { type: Type.STRING, description: "The party member's class, e.g. 'Cleric'." }
                 },
                 required: ['name', 'description']
             }
@@ -3,6 +3,9 @@
  * SPDX-License-Identifier: Apache-2.0
  */
 import * as dataManager from './data-manager.js';
+import { DICE_LOG_LIMIT, DEATH_SAVE_DC, TURNS_PER_DAY, SHORT_REST_HOURS, LONG_REST_HOURS, MAX_LEVEL } from './config.js';
+import { getItemBonus } from './magic-items.js';
+import { rechargeItems } from './inventory.js';
 const SKILL_TO_ABILITY_MAP = {
     acrobatics: 'dexterity', animalHandling: 'wisdom', arcana: 'intelligence',
     athletics: 'strength', culture: 'intelligence', deception: 'charisma', engineering: 'intelligence',
@@ -80,25 +83,314 @@ export function getAbilityModifierValue(score) {
 export function calculateProficiencyBonus(level) {
     return Math.ceil(1 + (level / 4));
 }
-export function rollDice(diceNotation) {
-    if (diceNotation.includes('d')) {
-        const [numDice, numSides] = diceNotation.split('d').map(s => parseInt(s, 10));
-        let total = 0;
-        const rolls = [];
-        for (let i = 0; i < numDice; i++) {
-            const roll = Math.floor(Math.random() * numSides) + 1;
-            rolls.push(roll);
-            total += roll;
-        }
-        return { rolls, total };
+/**
+ * Finds the level a total of experience points reaches.
+ * @param {number} exp The experience points.
+ * @returns {number} The level, from 1 to 20.
+ */
+export function getLevelForXp(exp) {
+    const level = LEVEL_XP_THRESHOLDS.findIndex(threshold => exp < threshold);
+    return level === -1 ? LEVEL_XP_THRESHOLDS.length : Math.max(1, level);
+}
+/**
+ * Counts the levels a character has earned but not yet taken. Levels are earned with experience
+ * points or, in milestone campaigns, granted by the storyteller, which sets `milestoneLevel`;
+ * whichever is higher counts.
+ * @param {import("./types.js").PlayerState} playerState The character's state.
+ * @returns {number} The levels waiting to be taken, one at a time.
+ */
+export function getPendingLevels(playerState) {
+    const earnedLevel = Math.max(getLevelForXp(playerState.exp || 0), playerState.milestoneLevel || 0);
+    return Math.max(0, Math.min(MAX_LEVEL, earnedLevel) - playerState.level);
+}
+/**
+ * Finds the level a milestone grants: the one after the highest level already earned, so levels
+ * still waiting to be taken are never skipped.
+ * @param {import("./types.js").PlayerState} playerState The character's state.
+ * @returns {number|null} The level to set as `milestoneLevel`, or null if the character has already
+ * earned the highest level.
+ */
+export function getMilestoneLevel(playerState) {
+    const earnedLevel = playerState.level + getPendingLevels(playerState);
+    return earnedLevel >= MAX_LEVEL ? null : earnedLevel + 1;
+}
+// --- DICE SERVICE ---
+// Every random roll in the game goes through this seedable generator so that a
+// campaign's rolls can be replayed from its save. Each roll is recorded with the
+// turn it happened on, the individual dice and the reason it was made.
+let diceSeed = createDiceSeed();
+let diceCursor = diceSeed;
+let diceLog = [];
+let getDiceTurn = () => 0;
+/**
+ * Creates a fresh 32-bit seed for the dice generator.
+ * @returns {number} A random unsigned 32-bit integer.
+ */
+export function createDiceSeed() {
+    return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+/**
+ * Advances the generator and returns a float in [0, 1). Uses the mulberry32 algorithm.
+ * @returns {number} The next pseudo-random number.
+ */
+function nextRandom() {
+    diceCursor = (diceCursor + 0x6D2B79F5) >>> 0;
+    let t = diceCursor;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+/**
+ * Rolls a single die without logging it.
+ * @param {number} sides The number of sides on the die.
+ * @returns {number} The result, from 1 to `sides`.
+ */
+function rollDie(sides) {
+    return Math.floor(nextRandom() * sides) + 1;
+}
+/**
+ * Appends a roll to the log, dropping the oldest entries once the log is full.
+ * @param {{notation: string, dice: number[], modifier: number, total: number, reason: string}} entry The roll to record.
+ */
+function logRoll(entry) {
+    diceLog.push({ turn: getDiceTurn(), ...entry });
+    if (diceLog.length > DICE_LOG_LIMIT)
+        diceLog = diceLog.slice(-DICE_LOG_LIMIT);
+}
+/**
+ * Restores the dice generator from a save, or starts a new sequence if the save has none.
+ * @param {{seed: number, state: number, log: any[]} | null | undefined} savedDice The dice state stored in the save.
+ * @param {() => number} [turnProvider] Returns the current turn number, which is recorded with each roll.
+ */
+export function initDice(savedDice, turnProvider) {
+    if (savedDice && typeof savedDice.seed === 'number') {
+        diceSeed = savedDice.seed >>> 0;
+        diceCursor = (typeof savedDice.state === 'number' ? savedDice.state : savedDice.seed) >>> 0;
+        diceLog = Array.isArray(savedDice.log) ? [...savedDice.log] : [];
     }
     else {
-        const constantDamage = parseInt(diceNotation, 10);
-        if (!isNaN(constantDamage)) {
-            return { rolls: [constantDamage], total: constantDamage };
+        diceSeed = createDiceSeed();
+        diceCursor = diceSeed;
+        diceLog = [];
+    }
+    if (turnProvider)
+        getDiceTurn = turnProvider;
+}
+/**
+ * Returns the generator's seed, its current position and the roll log, ready to be stored in a save.
+ * @returns {{seed: number, state: number, log: any[]}} The dice state.
+ */
+export function getDiceState() {
+    return { seed: diceSeed, state: diceCursor, log: [...diceLog] };
+}
+// --- DICE NOTATION ---
+/** Upper bounds that keep a malformed or hostile expression from locking up the page. */
+const MAX_DICE_PER_TERM = 100;
+const MAX_DIE_SIDES = 1000;
+const MAX_REROLLS_PER_DIE = 100;
+/**
+ * Tests a die result against a comparison from a reroll or explode modifier.
+ * @param {number} value The die result.
+ * @param {{compare: string, target: number}} condition The comparison to apply.
+ * @returns {boolean} True if the result matches.
+ */
+function matchesCondition(value, condition) {
+    switch (condition.compare) {
+        case '<': return value < condition.target;
+        case '<=': return value <= condition.target;
+        case '>': return value > condition.target;
+        case '>=': return value >= condition.target;
+        default: return value === condition.target;
+    }
+}
+/**
+ * Parses a dice expression into a list of signed terms.
+ *
+ * Supported syntax (case-insensitive, whitespace ignored):
+ * - Terms joined by `+` or `-`: `2d6+3`, `1d8+1d6-1`
+ * - Dice with an optional count and `%` for d100: `d20`, `3d8`, `d%`
+ * - Keep/drop: `kh`/`k` (keep highest), `kl`, `dh`, `dl`, each followed by a count, e.g. `4d6kh3`; without
+ *   a count, one die is kept or dropped, so `2d20kl` keeps the lower die
+ * - Rerolls: `r` (until the result no longer matches) or `ro` (once), with an optional comparison, e.g. `2d6r1`, `1d20ro<3`
+ * - Exploding dice: `!` rolls another die on the maximum, or `!>=N` on a custom threshold
+ * - Advantage shorthand: `adv` or `dis` after a single die, e.g. `d20adv` is the same as `2d20kh1`
+ * @param {string} notation The dice expression.
+ * @returns {Array<{sign: number, type: 'constant', value: number} | {sign: number, type: 'dice', notation: string, count: number, sides: number, keep: {mode: string, count: number} | null, reroll: {compare: string, target: number, once: boolean} | null, explode: {compare: string, target: number} | null}>} The parsed terms.
+ * @throws An error describing the first part of the expression that could not be parsed.
+ */
+export function parseDiceNotation(notation) {
+    const source = String(notation).toLowerCase().replace(/\s+/g, '');
+    if (!source)
+        throw new Error('Dice notation is empty.');
+    const termPattern = /([+-]?)(?:(\d*)d(\d+|%)((?:kh\d*|kl\d*|k\d*|dh\d*|dl\d*|ro?(?:<=|>=|<|>|=)?\d+|!(?:(?:<=|>=|<|>|=)?\d+)?|adv|dis)*)|(\d+))/y;
+    const modifierPattern = /(kh|kl|k|dh|dl)(\d*)|(ro?)(<=|>=|<|>|=)?(\d+)|!(?:(<=|>=|<|>|=)?(\d+))?|(adv|dis)/g;
+    const terms = [];
+    let index = 0;
+    while (index < source.length) {
+        termPattern.lastIndex = index;
+        const match = termPattern.exec(source);
+        if (!match || (terms.length > 0 && !match[1])) {
+            throw new Error(`Could not parse dice notation "${notation}" near "${source.slice(index)}".`);
+        }
+        index = termPattern.lastIndex;
+        const sign = match[1] === '-' ? -1 : 1;
+        if (match[5] !== undefined) {
+            terms.push({ sign, type: 'constant', value: parseInt(match[5], 10) });
+            continue;
+        }
+        let count = match[2] === '' ? 1 : parseInt(match[2], 10);
+        const sides = match[3] === '%' ? 100 : parseInt(match[3], 10);
+        let keep = null, reroll = null, explode = null;
+        for (const mod of (match[4] || '').matchAll(modifierPattern)) {
+            if (mod[1]) {
+                keep = { mode: mod[1] === 'k' ? 'kh' : mod[1], count: mod[2] ? parseInt(mod[2], 10) : 1 };
+            }
+            else if (mod[3]) {
+                reroll = { compare: mod[4] || '=', target: parseInt(mod[5], 10), once: mod[3] === 'ro' };
+            }
+            else if (mod[8]) {
+                if (count !== 1)
+                    throw new Error(`Advantage shorthand only applies to a single die, not "${match[0]}".`);
+                count = 2;
+                keep = { mode: mod[8] === 'adv' ? 'kh' : 'kl', count: 1 };
+            }
+            else {
+                explode = mod[7] !== undefined ? { compare: mod[6] || '=', target: parseInt(mod[7], 10) } : { compare: '=', target: sides };
+            }
+        }
+        if (count < 1 || count > MAX_DICE_PER_TERM || sides < 1 || sides > MAX_DIE_SIDES) {
+            throw new Error(`Dice term "${match[0]}" is out of range.`);
+        }
+        const matchesEveryFace = (condition) => Array.from({ length: sides }, (_, i) => i + 1).every(face => matchesCondition(face, condition));
+        if ((reroll && !reroll.once && matchesEveryFace(reroll)) || (explode && matchesEveryFace(explode))) {
+            throw new Error(`Dice term "${match[0]}" would reroll or explode on every result.`);
+        }
+        terms.push({ sign, type: 'dice', notation: match[0].replace(/^[+-]/, ''), count, sides, keep, reroll, explode });
+    }
+    return terms;
+}
+/**
+ * Rolls one parsed dice term, applying rerolls, explosions and keep/drop rules.
+ * @param {any} term A dice term from `parseDiceNotation`.
+ * @returns {{dice: Array<{value: number, rerolled: number[], exploded: boolean, dropped: boolean}>, subtotal: number}} Every die rolled and the sum of the kept dice.
+ */
+function rollDiceTerm(term) {
+    const rollOne = (exploded) => {
+        const die = { value: rollDie(term.sides), rerolled: [], exploded, dropped: false };
+        if (term.reroll) {
+            while (matchesCondition(die.value, term.reroll) && die.rerolled.length < MAX_REROLLS_PER_DIE) {
+                die.rerolled.push(die.value);
+                die.value = rollDie(term.sides);
+                if (term.reroll.once)
+                    break;
+            }
+        }
+        return die;
+    };
+    const dice = [];
+    for (let i = 0; i < term.count; i++) {
+        let die = rollOne(false);
+        dice.push(die);
+        let explosions = 0;
+        while (term.explode && matchesCondition(die.value, term.explode) && explosions < MAX_REROLLS_PER_DIE) {
+            die = rollOne(true);
+            dice.push(die);
+            explosions++;
         }
     }
-    return { rolls: [0], total: 0 };
+    if (term.keep) {
+        const byValue = [...dice].sort((a, b) => a.value - b.value);
+        const count = Math.min(term.keep.count, dice.length);
+        let droppedDice = [];
+        if (term.keep.mode === 'kh')
+            droppedDice = byValue.slice(0, dice.length - count);
+        else if (term.keep.mode === 'kl')
+            droppedDice = byValue.slice(count);
+        else if (term.keep.mode === 'dh')
+            droppedDice = byValue.slice(dice.length - count);
+        else
+            droppedDice = byValue.slice(0, count);
+        droppedDice.forEach(die => die.dropped = true);
+    }
+    const subtotal = dice.filter(die => !die.dropped).reduce((sum, die) => sum + die.value, 0);
+    return { dice, subtotal };
+}
+/**
+ * Rolls a dice expression such as "2d6+3", "1d8+1d6", "4d6kh3" or "d20adv".
+ * See `parseDiceNotation` for the full syntax. Unparseable notation rolls nothing, totals 0 and
+ * comes back with an `error` saying what is wrong with it, for the caller to report.
+ * @param {string} diceNotation The dice to roll.
+ * @param {string} [reason] Why the roll was made, recorded in the roll log.
+ * @returns {import("./types.js").DiceRollResult & {error?: string}} The total, the kept dice values and a per-term breakdown for display.
+ */
+export function rollDice(diceNotation, reason = '') {
+    const notation = String(diceNotation).trim();
+    let parsedTerms;
+    try {
+        parsedTerms = parseDiceNotation(notation);
+    }
+    catch (error) {
+        console.warn(error.message);
+        return { notation, rolls: [0], total: 0, terms: [], error: error.message };
+    }
+    const terms = parsedTerms.map(term => {
+        if (term.type === 'constant')
+            return { ...term, subtotal: term.value };
+        return { ...term, ...rollDiceTerm(term) };
+    });
+    const total = terms.reduce((sum, term) => sum + term.sign * term.subtotal, 0);
+    const diceTerms = terms.filter(term => term.type === 'dice');
+    const rolls = diceTerms.flatMap(term => term.dice.filter(die => !die.dropped).map(die => die.value));
+    const modifier = terms.filter(term => term.type === 'constant').reduce((sum, term) => sum + term.sign * term.value, 0);
+    logRoll({ notation, dice: diceTerms.flatMap(term => term.dice.map(die => die.value)), modifier, total, reason });
+    return { notation, rolls: rolls.length > 0 ? rolls : [total], total, terms };
+}
+/**
+ * Rolls a d20, rolling twice and keeping the higher or lower die for advantage or disadvantage.
+ * @param {string} [rollModifier] 'ADVANTAGE', 'DISADVANTAGE' or 'NONE'.
+ * @param {number} [modifier] The bonus added to the kept die.
+ * @param {string} [reason] Why the roll was made, recorded in the roll log.
+ * @returns {{roll: number, allRolls: number[], total: number, terms: any[]}} The kept die, every die rolled, the total with the modifier and the per-term breakdown.
+ */
+export function rollD20(rollModifier = 'NONE', modifier = 0, reason = '') {
+    const dieNotation = rollModifier === 'ADVANTAGE' ? '2d20kh1' : (rollModifier === 'DISADVANTAGE' ? '2d20kl1' : '1d20');
+    const notation = modifier ? `${dieNotation}${modifier > 0 ? '+' : '-'}${Math.abs(modifier)}` : dieNotation;
+    const result = rollDice(notation, reason);
+    const d20Term = result.terms[0];
+    return {
+        roll: d20Term.subtotal,
+        allRolls: d20Term.dice.map(die => die.value),
+        total: result.total,
+        terms: result.terms,
+    };
+}
+/**
+ * Makes a percentile roll against a probability.
+ * @param {number} probability The chance of success, from 0 to 1.
+ * @param {string} [reason] Why the roll was made, recorded in the roll log.
+ * @returns {boolean} True if the roll succeeded.
+ */
+export function rollChance(probability, reason = '') {
+    const roll = rollDie(100);
+    logRoll({ notation: '1d100', dice: [roll], modifier: 0, total: roll, reason: `${reason} (needs ${Math.round(probability * 100)} or less)`.trim() });
+    return roll <= probability * 100;
+}
+/**
+ * Resolves an attack roll against a target's armor class. A natural 1 always misses
+ * and a natural 20 always hits as a critical.
+ * @param {number} naturalRoll The d20 result that was kept.
+ * @param {number} totalRoll The attack roll including bonuses.
+ * @param {number | null | undefined} armorClass The target's AC, if known.
+ * @returns {'critical' | 'hit' | 'miss' | 'unknown'} The outcome, or 'unknown' if the AC is not known.
+ */
+export function resolveAttackRoll(naturalRoll, totalRoll, armorClass) {
+    if (naturalRoll === 1)
+        return 'miss';
+    if (naturalRoll === 20)
+        return 'critical';
+    if (typeof armorClass !== 'number')
+        return 'unknown';
+    return totalRoll >= armorClass ? 'hit' : 'miss';
 }
 export function getWeaponData(weaponName) {
     const weapons = dataManager.getWeapons();
@@ -111,15 +403,25 @@ export function getWeaponData(weaponName) {
         .sort((a, b) => b.length - a.length)[0];
     return matchingWeaponKey ? weapons[matchingWeaponKey] : null;
 }
+/**
+ * Reads a weapon's damage type. The SRD data stores it as a link such as ".../damagetypes/slashing/".
+ * @param {any} weaponData The weapon's data from `getWeaponData`.
+ * @returns {string | null} The lowercase damage type, if known.
+ */
+export function getWeaponDamageType(weaponData) {
+    const damageType = weaponData?.damage_type;
+    if (typeof damageType === 'string')
+        return damageType.split('/').filter(Boolean).pop()?.toLowerCase() || null;
+    return damageType?.name?.toLowerCase() || null;
+}
 export function calculateArmorClass(playerState) {
     const armors = dataManager.getArmor();
     if (!armors)
-        return 10 + getAbilityModifierValue(playerState.abilityScores.dexterity);
+        return 10 + getAbilityModifierValue(playerState.abilityScores.dexterity) + getItemBonus(playerState, 'ac');
     const equippedArmorName = playerState.equipment.armor?.toLowerCase() || 'none';
-    // More robust shield detection using a regex for the whole word "shield".
-    const shieldRegex = /\bshield\b/;
-    const isWearingShield = playerState.inventory.some(i => shieldRegex.test(i.toLowerCase())) ||
-        shieldRegex.test(equippedArmorName);
+    // A shield is either an equipped item or part of the armor description, as in "Chain mail, Shield".
+    const isWearingShield = (playerState.inventory || []).some(item => item.equipped && item.armor?.toLowerCase() === 'shield') ||
+        /\bshield\b/.test(equippedArmorName);
     // For lookup, remove the shield part from the armor string.
     const armorNameToLookUp = equippedArmorName.replace(/,?\s*(with a\s*)?shield/g, '').trim();
     let baseAc = 10;
@@ -144,21 +446,464 @@ export function calculateArmorClass(playerState) {
     if (isWearingShield) {
         baseAc += 2;
     }
-    return baseAc;
+    // Magic armor, rings and cloaks add their bonuses on top.
+    return baseAc + getItemBonus(playerState, 'ac');
+}
+/**
+ * Finds the key of a skill or ability, ignoring case and spacing ("Sleight of Hand" matches "sleightOfHand").
+ * @param {string} name The skill or ability name.
+ * @returns {string | null} The key, or null if it isn't a known skill or ability.
+ */
+function findSkillKey(name) {
+    const cleaned = name.toLowerCase().replace(/[\s_-]/g, '');
+    return Object.keys(SKILL_TO_ABILITY_MAP).find(key => key.toLowerCase() === cleaned) || null;
 }
+/**
+ * Finds the ability an ability check or skill check uses.
+ * @param {string} skillOrAbility The skill or ability being checked.
+ * @returns {string | null} The ability (e.g. 'dexterity'), or null if it isn't a known skill or ability.
+ */
+export function getCheckAbility(skillOrAbility) {
+    const key = findSkillKey(skillOrAbility);
+    return key ? SKILL_TO_ABILITY_MAP[key] : null;
+}
+/**
+ * Calculates a monster's bonus for an ability check or skill check: the bonus its statblock lists
+ * for the skill, or else its ability modifier.
+ * @param {string} skillOrAbility The skill or ability being checked.
+ * @param {any} monster The monster's statblock.
+ * @returns {number} The bonus added to the d20.
+ */
+export function calculateMonsterCheckModifier(skillOrAbility, monster) {
+    const key = findSkillKey(skillOrAbility);
+    if (!key)
+        return 0;
+    const listed = Object.entries(monster.skills || {}).find(([name]) => findSkillKey(name) === key);
+    if (listed && typeof listed[1] === 'number')
+        return listed[1];
+    return getAbilityModifierValue(monster[SKILL_TO_ABILITY_MAP[key]] || 10);
+}
+/**
+ * Calculates the bonus for an ability check or skill check. Saving throws have their own
+ * proficiencies; see `calculateSavingThrowModifier`.
+ * @param {string} skillOrAbility The skill or ability being checked.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {number} The bonus added to the d20.
+ */
 export function calculateRollModifier(skillOrAbility, playerState) {
-    const cleanSkillOrAbility = skillOrAbility.toLowerCase().replace(/\s/g, '');
-    const abilityKey = SKILL_TO_ABILITY_MAP[cleanSkillOrAbility];
-    if (!abilityKey)
+    const key = findSkillKey(skillOrAbility);
+    if (!key)
         return 0;
-    const abilityScore = playerState.abilityScores[abilityKey];
-    const abilityModifier = getAbilityModifierValue(abilityScore);
-    let proficiencyBonus = 0;
-    if (Object.keys(playerState.skills).includes(cleanSkillOrAbility) && playerState.skills[cleanSkillOrAbility] === 'proficient') {
-        proficiencyBonus = playerState.proficiencyBonus;
+    const abilityModifier = getAbilityModifierValue(playerState.abilityScores[SKILL_TO_ABILITY_MAP[key]]);
+    const proficiencyBonus = playerState.skills?.[key] === 'proficient' ? playerState.proficiencyBonus : 0;
+    return abilityModifier + proficiencyBonus + getItemBonus(playerState, 'checks');
+}
+/**
+ * Calculates the bonus for a saving throw.
+ * @param {string} ability The ability the save uses (e.g. 'dexterity').
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {number} The bonus added to the d20.
+ */
+export function calculateSavingThrowModifier(ability, playerState) {
+    const proficiencyBonus = playerState.savingThrows?.[ability] === 'proficient' ? playerState.proficiencyBonus : 0;
+    return getAbilityModifierValue(playerState.abilityScores[ability]) + proficiencyBonus + getItemBonus(playerState, 'saves');
+}
+/**
+ * Reads the ability of a saving throw named in a roll request, such as "Dexterity Save",
+ * "WIS saving throw" or "Save: Constitution".
+ * @param {string} skillOrAbility The roll's name.
+ * @returns {string | null} The ability (e.g. 'dexterity'), or null if the roll isn't a saving throw.
+ */
+export function parseSavingThrow(skillOrAbility) {
+    const match = skillOrAbility.trim().match(/^(?:([a-z]+)\s+sav(?:e|ing\s+throw)|sav(?:e|ing\s+throw)\s*[:-]?\s*([a-z]+))$/i);
+    const word = (match?.[1] || match?.[2] || '').toLowerCase();
+    if (word.length < 3)
+        return null;
+    return Object.keys(DEFAULT_SAVING_THROWS).find(ability => ability.startsWith(word)) || null;
+}
+// --- DAMAGE TYPES ---
+export const DAMAGE_TYPES = [
+    'acid', 'bludgeoning', 'cold', 'fire', 'force', 'lightning', 'necrotic',
+    'piercing', 'poison', 'psychic', 'radiant', 'slashing', 'thunder',
+];
+/** Racial traits and class features that grant a fixed damage resistance or immunity. */
+const FEATURE_DAMAGE_MODIFIERS = {
+    'Dwarven Resilience': { resistances: ['poison'] },
+    'Hardy': { resistances: ['poison'] },
+    'Hellish Resistance': { resistances: ['fire'] },
+    'Purity of Body': { immunities: ['poison'] },
+};
+/**
+ * Works out the player's damage resistances, vulnerabilities and immunities from their race and
+ * class features, a Barbarian's rage, and any conditions that grant them (e.g. a potion of resistance).
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {import("./types.js").CharacterInfo} characterInfo The character's static info.
+ * @returns {{resistances: string[], vulnerabilities: string[], immunities: string[]}} Lowercase damage types.
+ */
+export function getDamageModifiers(playerState, characterInfo) {
+    const modifiers = { resistances: new Set(), vulnerabilities: new Set(), immunities: new Set() };
+    const add = (source) => {
+        Object.keys(modifiers).forEach(key => (source?.[key] || []).forEach(type => modifiers[key].add(String(type).toLowerCase())));
+    };
+    [...(playerState.racialTraits || []), ...(playerState.classFeatures || [])].forEach(name => add(FEATURE_DAMAGE_MODIFIERS[name]));
+    if (playerState.racialTraits?.includes('Damage Resistance')) {
+        const ancestryType = characterInfo?.draconicAncestry?.match(/\((\w+)\)/)?.[1];
+        if (ancestryType)
+            modifiers.resistances.add(ancestryType.toLowerCase());
+    }
+    const conditions = playerState.conditions || [];
+    if (conditions.some(c => /^rag(e|ing)$/i.test(c.name)) && playerState.classFeatures?.includes('Rage'))
+        add({ resistances: ['bludgeoning', 'piercing', 'slashing'] });
+    conditions.forEach(add);
+    return {
+        resistances: [...modifiers.resistances],
+        vulnerabilities: [...modifiers.vulnerabilities],
+        immunities: [...modifiers.immunities],
+    };
+}
+/**
+ * Adjusts damage for the target's immunities, resistances and vulnerabilities to its type.
+ * Resistance halves the damage (rounded down) and vulnerability doubles it.
+ * @param {number} amount The damage before adjustment.
+ * @param {string | null | undefined} damageType The type of damage, if known.
+ * @param {{resistances: string[], vulnerabilities: string[], immunities: string[]}} modifiers The target's damage modifiers.
+ * @returns {{amount: number, modifier: 'immune' | 'resistant' | 'vulnerable' | null}} The adjusted damage and which rule applied.
+ */
+export function adjustDamageForType(amount, damageType, modifiers) {
+    const type = damageType?.toLowerCase();
+    if (!type)
+        return { amount, modifier: null };
+    if (modifiers.immunities.includes(type))
+        return { amount: 0, modifier: 'immune' };
+    const isResistant = modifiers.resistances.includes(type);
+    const isVulnerable = modifiers.vulnerabilities.includes(type);
+    if (isResistant && isVulnerable)
+        return { amount: Math.floor(amount / 2) * 2, modifier: null };
+    if (isResistant)
+        return { amount: Math.floor(amount / 2), modifier: 'resistant' };
+    if (isVulnerable)
+        return { amount: amount * 2, modifier: 'vulnerable' };
+    return { amount, modifier: null };
+}
+// --- DYING & DEATH SAVES ---
+/**
+ * Creates a fresh death saving throw tally.
+ * @returns {{successes: number, failures: number, isStable: boolean}} An empty tally.
+ */
+export function createDeathSaves() {
+    return { successes: 0, failures: 0, isStable: false };
+}
+/**
+ * Checks whether the player is at 0 HP and still has to make death saving throws.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {boolean} True if the player is dying.
+ */
+export function isPlayerDying(playerState) {
+    return !!playerState && !playerState.isDead && playerState.health.current === 0 && !playerState.deathSaves?.isStable;
+}
+/**
+ * Returns the player's conditions with Unconscious added or removed.
+ * @param {any[] | undefined} conditions The player's current conditions.
+ * @param {boolean} isUnconscious Whether the player should be unconscious.
+ * @returns {any[]} The updated list of conditions.
+ */
+function withUnconscious(conditions, isUnconscious) {
+    const others = (conditions || []).filter(c => c.name !== 'Unconscious');
+    return isUnconscious ? [...others, { name: 'Unconscious', source: 'Dropped to 0 hit points' }] : others;
+}
+/**
+ * Applies damage to the player using the rules for dropping to 0 hit points. Temporary hit points
+ * absorb damage first. Damage that leaves the player at 0 with at least their maximum HP left over
+ * kills them outright. Damage taken while already at 0 counts as a failed death save, or two on a
+ * critical hit.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {number} damage The damage dealt, after resistances.
+ * @param {boolean} [isCritical] Whether the damage came from a critical hit.
+ * @returns {{update: Partial<import("./types.js").PlayerState>, outcome: 'hurt' | 'downed' | 'failedSave' | 'killed'}}
+ *   The player state changes to apply, and what happened.
+ */
+export function applyDamageToPlayer(playerState, damage, isCritical = false) {
+    const { current, max } = playerState.health;
+    const temp = playerState.health.temp || 0;
+    const absorbed = Math.min(temp, damage);
+    const remainingDamage = damage - absorbed;
+    if (remainingDamage === 0)
+        return { update: { health: { current, max, temp: temp - absorbed } }, outcome: 'hurt' };
+    if (current === 0) {
+        const failures = Math.min(3, (playerState.deathSaves?.failures || 0) + (isCritical ? 2 : 1));
+        const deathSaves = { ...(playerState.deathSaves || createDeathSaves()), failures, isStable: false };
+        const health = { current, max, temp: 0 };
+        return failures >= 3
+            ? { update: { health, deathSaves, isDead: true }, outcome: 'killed' }
+            : { update: { health, deathSaves }, outcome: 'failedSave' };
+    }
+    const remaining = current - remainingDamage;
+    if (remaining > 0)
+        return { update: { health: { current: remaining, max, temp: 0 } }, outcome: 'hurt' };
+    const update = { health: { current: 0, max, temp: 0 }, deathSaves: createDeathSaves(), conditions: withUnconscious(playerState.conditions, true) };
+    if (-remaining >= max)
+        return { update: { ...update, isDead: true }, outcome: 'killed' };
+    return { update, outcome: 'downed' };
+}
+/**
+ * Grants the player temporary hit points. They don't stack, so the player keeps whichever is higher.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {number} amount The temporary hit points granted.
+ * @returns {{update: Partial<import("./types.js").PlayerState>, applied: boolean}} The player state changes to apply,
+ *   and whether the new amount replaced the old one.
+ */
+export function grantTempHp(playerState, amount) {
+    const temp = playerState.health.temp || 0;
+    if (amount <= temp)
+        return { update: {}, applied: false };
+    return { update: { health: { ...playerState.health, temp: amount } }, applied: true };
+}
+/**
+ * Heals the player. Any healing brings a player at 0 HP back to consciousness.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {number} amount The hit points restored.
+ * @returns {{update: Partial<import("./types.js").PlayerState>, revived: boolean}} The player state changes to apply,
+ *   and whether the player regained consciousness.
+ */
+export function applyHealingToPlayer(playerState, amount) {
+    if (playerState.isDead)
+        return { update: {}, revived: false };
+    const { current, max } = playerState.health;
+    const healed = Math.min(max, current + Math.max(0, amount));
+    if (current > 0 || healed === 0)
+        return { update: { health: { current: healed, max } }, revived: false };
+    return {
+        update: { health: { current: healed, max }, deathSaves: createDeathSaves(), conditions: withUnconscious(playerState.conditions, false) },
+        revived: true,
+    };
+}
+/**
+ * Stabilizes a dying player. They stay unconscious at 0 HP but stop making death saves.
+ * @returns {Partial<import("./types.js").PlayerState>} The player state changes to apply.
+ */
+export function stabilizePlayer() {
+    return { deathSaves: { ...createDeathSaves(), isStable: true } };
+}
+/**
+ * Applies the result of a death saving throw. A natural 20 brings the player back with 1 HP,
+ * a natural 1 counts as two failures, and three successes or failures settle the outcome.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {number} naturalRoll The d20 result.
+ * @returns {{update: Partial<import("./types.js").PlayerState>, outcome: 'revived' | 'success' | 'stable' | 'failure' | 'dead'}}
+ *   The player state changes to apply, and what happened.
+ */
+export function resolveDeathSave(playerState, naturalRoll) {
+    const tally = playerState.deathSaves || createDeathSaves();
+    if (naturalRoll === 20)
+        return { update: applyHealingToPlayer(playerState, 1).update, outcome: 'revived' };
+    if (naturalRoll >= DEATH_SAVE_DC) {
+        const successes = tally.successes + 1;
+        return successes >= 3
+            ? { update: stabilizePlayer(), outcome: 'stable' }
+            : { update: { deathSaves: { ...tally, successes } }, outcome: 'success' };
     }
-    else if (Object.keys(playerState.savingThrows).includes(abilityKey) && playerState.savingThrows[abilityKey] === 'proficient') {
-        proficiencyBonus = playerState.proficiencyBonus;
+    const failures = Math.min(3, tally.failures + (naturalRoll === 1 ? 2 : 1));
+    return failures >= 3
+        ? { update: { deathSaves: { ...tally, failures }, isDead: true }, outcome: 'dead' }
+        : { update: { deathSaves: { ...tally, failures } }, outcome: 'failure' };
+}
+// --- RESTS & HIT DICE ---
+/**
+ * Limited-use class features, with how many uses a character of a given level gets and which rest
+ * restores them. Features a class gains later are left out until the character reaches that level.
+ */
+const CLASS_RESOURCES = {
+    barbarian: [
+        { name: 'Rage', recovery: 'long', uses: (level) => (level >= 17 ? 6 : level >= 12 ? 5 : level >= 6 ? 4 : level >= 3 ? 3 : 2) },
+    ],
+    bard: [
+        { name: 'Bardic Inspiration', recovery: (level) => (level >= 5 ? 'short' : 'long'), uses: (level, scores) => Math.max(1, getAbilityModifierValue(scores.charisma)) },
+    ],
+    cleric: [
+        { name: 'Channel Divinity', recovery: 'short', uses: (level) => (level >= 18 ? 3 : level >= 6 ? 2 : level >= 2 ? 1 : 0) },
+    ],
+    druid: [
+        { name: 'Wild Shape', recovery: 'short', uses: (level) => (level >= 2 ? 2 : 0) },
+    ],
+    fighter: [
+        { name: 'Second Wind', recovery: 'short', uses: () => 1 },
+        { name: 'Action Surge', recovery: 'short', uses: (level) => (level >= 17 ? 2 : level >= 2 ? 1 : 0) },
+    ],
+    monk: [
+        { name: 'Ki', recovery: 'short', uses: (level) => (level >= 2 ? level : 0) },
+    ],
+    paladin: [
+        { name: 'Divine Sense', recovery: 'long', uses: (level, scores) => 1 + Math.max(0, getAbilityModifierValue(scores.charisma)) },
+        { name: 'Lay on Hands', recovery: 'long', uses: (level) => level * 5 },
+        { name: 'Channel Divinity', recovery: 'short', uses: (level) => (level >= 3 ? 1 : 0) },
+    ],
+    sorcerer: [
+        { name: 'Sorcery Points', recovery: 'long', uses: (level) => (level >= 2 ? level : 0) },
+    ],
+    wizard: [
+        { name: 'Arcane Recovery', recovery: 'long', uses: () => 1 },
+    ],
+};
+/**
+ * How long each unit of a condition's duration lasts, in hours.
+ */
+const DURATION_UNIT_HOURS = { round: 1 / 600, minute: 1 / 60, hour: 1, day: 24 };
+/**
+ * Creates a full pool of hit dice for a character, one die per level of their class.
+ * @param {string} characterClass The character's class name.
+ * @param {number} level The character's level.
+ * @returns {{die: number, current: number, max: number}} The hit dice pool.
+ */
+export function createHitDice(characterClass, level) {
+    const die = dataManager.getClass(characterClass)?.hit_die || 8;
+    return { die, current: level, max: level };
+}
+/**
+ * Works out a character's maximum HP from their class hit die, taking the full die at 1st level
+ * and the average roll for every level after it.
+ * @param {string} characterClass The character's class name.
+ * @param {number} level The character's level.
+ * @param {number} constitution The character's Constitution score.
+ * @returns {number} The maximum HP, at least 1.
+ */
+export function calculateAverageMaxHp(characterClass, level, constitution) {
+    const hitDie = dataManager.getClass(characterClass)?.hit_die || 8;
+    const conMod = getAbilityModifierValue(constitution);
+    const averagePerLevel = Math.floor(hitDie / 2) + 1;
+    return Math.max(1, hitDie + conMod + (level - 1) * (averagePerLevel + conMod));
+}
+/**
+ * Works out a character's limited-use class features for their level, carrying over the uses they
+ * have already spent. A resource whose maximum grows (on levelling up) gains the difference.
+ * @param {string} characterClass The character's class name.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {Record<string, {current: number, max: number, recovery: 'short' | 'long'}>} The class resources, keyed by name.
+ */
+export function buildClassResources(characterClass, playerState) {
+    const resources = {};
+    for (const resource of CLASS_RESOURCES[characterClass?.toLowerCase()] || []) {
+        const max = resource.uses(playerState.level, playerState.abilityScores);
+        if (max <= 0)
+            continue;
+        const recovery = typeof resource.recovery === 'function' ? resource.recovery(playerState.level) : resource.recovery;
+        const existing = playerState.classResources?.[resource.name];
+        const current = existing ? Math.max(0, Math.min(max, existing.current + max - existing.max)) : max;
+        resources[resource.name] = { current, max, recovery };
+    }
+    return resources;
+}
+/**
+ * Converts a span of in-game hours into player turns, the unit the game clock counts in.
+ * @param {number} hours The hours that pass.
+ * @returns {number} The number of turns, at least one.
+ */
+export function hoursToTurns(hours) {
+    return Math.max(1, Math.round(hours * TURNS_PER_DAY / 24));
+}
+/**
+ * Checks whether a condition (or the player's concentration) wears off during a rest. Conditions
+ * lasting "until a short rest" end on any rest, those lasting "until a long rest" only on a long
+ * one, and timed conditions end if the rest outlasts them. Conditions without a duration are left
+ * for the storyteller to remove.
+ * @param {any} condition The condition to check.
+ * @param {'short' | 'long'} restType The kind of rest.
+ * @param {number} restEndsAtTurn The turn the rest ends on.
+ * @returns {boolean} True if the condition ends.
+ */
+function endsDuringRest(condition, restType, restEndsAtTurn) {
+    const duration = String(condition.duration || '').toLowerCase();
+    if (/short rest/.test(duration))
+        return true;
+    if (/long rest/.test(duration))
+        return restType === 'long';
+    if (typeof condition.expiresAtTurn === 'number')
+        return restEndsAtTurn > condition.expiresAtTurn;
+    // Conditions saved before durations were tracked only have their duration text.
+    const timed = duration.match(/(\d+)\s*(round|minute|hour|day)/);
+    if (!timed)
+        return false;
+    const restHours = restType === 'long' ? LONG_REST_HOURS : SHORT_REST_HOURS;
+    return Number(timed[1]) * DURATION_UNIT_HOURS[timed[2]] <= restHours;
+}
+/**
+ * Refills the entries of a pool of limited uses (class resources or spell slots) that a rest restores.
+ * @param {Record<string, {current: number, max: number, recovery: 'short' | 'long'}> | undefined} pool The pool to refill.
+ * @param {'short' | 'long'} restType The kind of rest.
+ * @param {(name: string) => void} onRecovered Called with the name of each entry that was refilled.
+ * @returns {Record<string, {current: number, max: number, recovery: 'short' | 'long'}>} The refilled pool.
+ */
+function recoverPool(pool, restType, onRecovered) {
+    const refilled = { ...(pool || {}) };
+    for (const [name, entry] of Object.entries(refilled)) {
+        if ((restType === 'long' || entry.recovery === 'short') && entry.current < entry.max) {
+            refilled[name] = { ...entry, current: entry.max };
+            onRecovered(name);
+        }
+    }
+    return refilled;
+}
+/**
+ * Resolves a short or long rest. A short rest spends hit dice, each healing its roll plus the
+ * Constitution modifier; with no count given, dice are spent one at a time until the player is at
+ * full health or out of dice. A long rest restores all HP and half the character's hit dice, and
+ * lets magic items regain the charges they regain at dawn.
+ * Either rest restores the class resources and spell slots it recovers, ends conditions and concentration
+ * that run out in that time, and advances the game clock.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {'short' | 'long'} restType The kind of rest.
+ * @param {number | null} [hitDiceToSpend] How many hit dice to spend on a short rest, or null to spend as needed.
+ * @returns {{update: Partial<import("./types.js").PlayerState>, hpRegained: number, hitDiceSpent: number, hitDiceRegained: number,
+ *   resourcesRecovered: string[], conditionsEnded: string[], turnsElapsed: number}} The player state changes to apply, and what the rest restored.
+ */
+export function takeRest(playerState, restType, hitDiceToSpend = null) {
+    const { current, max } = playerState.health;
+    const hitDice = playerState.hitDice || { die: 8, current: 0, max: playerState.level };
+    let health = current;
+    let hitDiceSpent = 0;
+    let hitDiceRegained = 0;
+    if (restType === 'long') {
+        health = max;
+        hitDiceRegained = Math.min(hitDice.max - hitDice.current, Math.max(1, Math.floor(hitDice.max / 2)));
+    }
+    else {
+        const conMod = getAbilityModifierValue(playerState.abilityScores.constitution);
+        const limit = Math.min(hitDice.current, hitDiceToSpend ?? hitDice.current);
+        while (hitDiceSpent < limit && (hitDiceToSpend !== null || health < max)) {
+            hitDiceSpent++;
+            health = Math.min(max, health + Math.max(0, rollDice(`1d${hitDice.die}`, 'Short rest hit die').total + conMod));
+        }
     }
-    return abilityModifier + proficiencyBonus;
+    const resourcesRecovered = [];
+    const resources = recoverPool(playerState.classResources, restType, name => resourcesRecovered.push(name));
+    const spellSlots = recoverPool(playerState.spellSlots, restType, () => {
+        if (!resourcesRecovered.includes('spell slots'))
+            resourcesRecovered.push('spell slots');
+    });
+    const inventory = restType === 'long' ? rechargeItems(playerState.inventory, dice => rollDice(dice, 'Magic item charges').total) : playerState.inventory || [];
+    if (inventory.some((item, index) => item !== playerState.inventory[index]))
+        resourcesRecovered.push('magic item charges');
+    const hours = restType === 'long' ? LONG_REST_HOURS : SHORT_REST_HOURS;
+    const restEndsAtTurn = (playerState.turnCount || 0) + hoursToTurns(hours);
+    const concentration = playerState.concentration && !endsDuringRest(playerState.concentration, restType, restEndsAtTurn) ? playerState.concentration : null;
+    const lostSpell = playerState.concentration && !concentration ? playerState.concentration.spell : null;
+    const conditions = playerState.conditions || [];
+    const endingConditions = conditions.filter(c => endsDuringRest(c, restType, restEndsAtTurn) || (lostSpell && c.sourceSpell?.toLowerCase() === lostSpell.toLowerCase()));
+    const conditionsEnded = [...(lostSpell ? [lostSpell] : []), ...endingConditions.map(c => c.name)];
+    return {
+        update: {
+            health: restType === 'long' ? { current: health, max, temp: 0 } : { current: health, max },
+            hitDice: { ...hitDice, current: hitDice.current - hitDiceSpent + hitDiceRegained },
+            classResources: resources,
+            spellSlots,
+            inventory,
+            conditions: conditions.filter(c => !endingConditions.includes(c)),
+            concentration,
+        },
+        hpRegained: health - current,
+        hitDiceSpent,
+        hitDiceRegained,
+        resourcesRecovered,
+        conditionsEnded,
+        turnsElapsed: hoursToTurns(hours),
+    };
 }
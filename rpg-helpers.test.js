@@ -0,0 +1,215 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDice, getDiceState, rollDice, parseDiceNotation, getLevelForXp, getPendingLevels, getMilestoneLevel } from './rpg-helpers.js';
+import { DICE_LOG_LIMIT, MAX_LEVEL } from './config.js';
+// These tests check the dice rules: the seedable generator every roll goes through, so a campaign's
+// rolls can be replayed from its save, and the dice notation it rolls. They also check how earned
+// levels are counted. Run them with `npm test`.
+// --- CONSTANTS ---
+/** The limits `parseDiceNotation` and `rollDice` enforce. */
+const MAX_DICE_PER_TERM = 100;
+const MAX_DIE_SIDES = 1000;
+const MAX_REROLLS_PER_DIE = 100;
+// --- HELPERS ---
+/**
+ * Rolls a d20 several times.
+ * @param {number} times How many rolls to make.
+ * @returns {number[]} The totals, in order.
+ */
+function rollD20s(times) {
+    return Array.from({ length: times }, () => rollDice('1d20').total);
+}
+// --- DICE SERVICE ---
+test('rolls the same sequence from the same seed', () => {
+    initDice({ seed: 42, state: 42, log: [] });
+    const first = rollD20s(20);
+    initDice({ seed: 42, state: 42, log: [] });
+    assert.deepEqual(rollD20s(20), first);
+    assert.ok(first.every(total => total >= 1 && total <= 20));
+});
+test('rolls a different sequence from a different seed', () => {
+    initDice({ seed: 42, state: 42, log: [] });
+    const first = rollD20s(20);
+    initDice({ seed: 43, state: 43, log: [] });
+    assert.notDeepEqual(rollD20s(20), first);
+});
+test('carries on from where a saved game left off after a save and restore', () => {
+    initDice({ seed: 7, state: 7, log: [] });
+    rollD20s(5);
+    const saved = JSON.parse(JSON.stringify(getDiceState()));
+    const expected = rollD20s(10);
+    initDice(saved);
+    assert.deepEqual(rollD20s(10), expected);
+});
+test('restores the seed and the roll log from a save', () => {
+    initDice({ seed: 9, state: 9, log: [] });
+    rollDice('2d6+1', 'First roll');
+    const saved = JSON.parse(JSON.stringify(getDiceState()));
+    initDice(null);
+    assert.deepEqual(getDiceState().log, []);
+    initDice(saved);
+    const restored = getDiceState();
+    assert.equal(restored.seed, 9);
+    assert.deepEqual(restored.log, saved.log);
+    assert.equal(restored.log[0].reason, 'First roll');
+});
+test('starts an old save without a generator position from its seed', () => {
+    initDice({ seed: 11, state: 11, log: [] });
+    const expected = rollD20s(3);
+    initDice({ seed: 11 });
+    assert.deepEqual(rollD20s(3), expected);
+});
+test('logs each roll with its turn, dice, modifier, total and reason', () => {
+    initDice({ seed: 3, state: 3, log: [] }, () => 12);
+    const result = rollDice('2d6+1', 'Sword damage');
+    const [entry] = getDiceState().log;
+    assert.equal(entry.turn, 12);
+    assert.equal(entry.notation, '2d6+1');
+    assert.equal(entry.dice.length, 2);
+    assert.equal(entry.modifier, 1);
+    assert.equal(entry.total, result.total);
+    assert.equal(entry.reason, 'Sword damage');
+    initDice(null, () => 0);
+});
+test('keeps only the newest rolls once the log is full', () => {
+    initDice({ seed: 5, state: 5, log: [] });
+    rollD20s(DICE_LOG_LIMIT + 10);
+    assert.equal(getDiceState().log.length, DICE_LOG_LIMIT);
+});
+// --- DICE NOTATION ---
+test('parses dice and constants joined by plus and minus signs', () => {
+    assert.deepEqual(parseDiceNotation('1d8+1d6-2'), [
+        { sign: 1, type: 'dice', notation: '1d8', count: 1, sides: 8, keep: null, reroll: null, explode: null },
+        { sign: 1, type: 'dice', notation: '1d6', count: 1, sides: 6, keep: null, reroll: null, explode: null },
+        { sign: -1, type: 'constant', value: 2 },
+    ]);
+});
+test('ignores case and whitespace and reads d20 and d% as one die', () => {
+    const [die, constant] = parseDiceNotation(' D20 + 1 ');
+    assert.equal(die.count, 1);
+    assert.equal(die.sides, 20);
+    assert.deepEqual(constant, { sign: 1, type: 'constant', value: 1 });
+    assert.equal(parseDiceNotation('d%')[0].sides, 100);
+});
+test('parses keep and drop modifiers, keeping or dropping one die without a count', () => {
+    assert.deepEqual(parseDiceNotation('4d6kh3')[0].keep, { mode: 'kh', count: 3 });
+    assert.deepEqual(parseDiceNotation('4d6k3')[0].keep, { mode: 'kh', count: 3 });
+    assert.deepEqual(parseDiceNotation('2d20kl')[0].keep, { mode: 'kl', count: 1 });
+    assert.deepEqual(parseDiceNotation('3d6dh')[0].keep, { mode: 'dh', count: 1 });
+    assert.deepEqual(parseDiceNotation('4d6dl1')[0].keep, { mode: 'dl', count: 1 });
+});
+test('keeps the highest dice when rolling 4d6kh3', () => {
+    initDice({ seed: 21, state: 21, log: [] });
+    const { total, terms: [term] } = rollDice('4d6kh3');
+    const values = term.dice.map(die => die.value).sort((a, b) => b - a);
+    assert.equal(term.dice.length, 4);
+    assert.equal(term.dice.filter(die => die.dropped).length, 1);
+    assert.equal(total, values[0] + values[1] + values[2]);
+});
+test('drops the lowest die when rolling 4d6dl1', () => {
+    initDice({ seed: 22, state: 22, log: [] });
+    const { total, terms: [term] } = rollDice('4d6dl1');
+    const values = term.dice.map(die => die.value).sort((a, b) => a - b);
+    assert.equal(total, values[1] + values[2] + values[3]);
+});
+test('parses rerolls, and rerolls until the result no longer matches', () => {
+    assert.deepEqual(parseDiceNotation('2d6r1')[0].reroll, { compare: '=', target: 1, once: false });
+    assert.deepEqual(parseDiceNotation('1d20ro<3')[0].reroll, { compare: '<', target: 3, once: true });
+    initDice({ seed: 23, state: 23, log: [] });
+    const [term] = rollDice('50d6r<3').terms;
+    assert.ok(term.dice.every(die => die.value >= 3));
+    assert.ok(term.dice.some(die => die.rerolled.length > 0));
+});
+test('rerolls a die only once with ro', () => {
+    initDice({ seed: 24, state: 24, log: [] });
+    const [term] = rollDice('50d6ro<6').terms;
+    assert.ok(term.dice.every(die => die.rerolled.length <= 1));
+});
+test('parses exploding dice, and rolls another die on each maximum', () => {
+    assert.deepEqual(parseDiceNotation('3d6!')[0].explode, { compare: '=', target: 6 });
+    assert.deepEqual(parseDiceNotation('3d6!>=5')[0].explode, { compare: '>=', target: 5 });
+    initDice({ seed: 25, state: 25, log: [] });
+    const [term] = rollDice('20d6!').terms;
+    const maximums = term.dice.filter(die => die.value === 6).length;
+    assert.equal(term.dice.length, 20 + maximums);
+    assert.equal(term.dice.filter(die => die.exploded).length, maximums);
+});
+test('reads adv and dis as rolling two dice and keeping one', () => {
+    const [advantage] = parseDiceNotation('d20adv');
+    assert.equal(advantage.count, 2);
+    assert.deepEqual(advantage.keep, { mode: 'kh', count: 1 });
+    const [disadvantage] = parseDiceNotation('1d20dis');
+    assert.equal(disadvantage.count, 2);
+    assert.deepEqual(disadvantage.keep, { mode: 'kl', count: 1 });
+});
+test('refuses advantage shorthand on more than one die', () => {
+    assert.throws(() => parseDiceNotation('2d20adv'), /only applies to a single die/);
+});
+test('refuses terms with too many dice, too many sides or no dice at all', () => {
+    assert.doesNotThrow(() => parseDiceNotation(`${MAX_DICE_PER_TERM}d${MAX_DIE_SIDES}`));
+    assert.throws(() => parseDiceNotation(`${MAX_DICE_PER_TERM + 1}d6`), /out of range/);
+    assert.throws(() => parseDiceNotation(`1d${MAX_DIE_SIDES + 1}`), /out of range/);
+    assert.throws(() => parseDiceNotation('0d6'), /out of range/);
+    assert.throws(() => parseDiceNotation('1d0'), /out of range/);
+});
+test('refuses rerolls and explosions that would match every result', () => {
+    assert.throws(() => parseDiceNotation('1d6r<=6'), /every result/);
+    assert.throws(() => parseDiceNotation('1d1!'), /every result/);
+    assert.doesNotThrow(() => parseDiceNotation('1d6ro<=6'));
+});
+test('stops rerolling and exploding a die after the limit', () => {
+    initDice({ seed: 1, state: 1, log: [] });
+    assert.equal(rollDice('1d1000r<1000').terms[0].dice[0].rerolled.length, MAX_REROLLS_PER_DIE);
+    assert.equal(rollDice('1d1000!>=2').terms[0].dice.length, MAX_REROLLS_PER_DIE + 1);
+});
+test('refuses malformed notation with an error naming the bad part', () => {
+    assert.throws(() => parseDiceNotation(''), /empty/);
+    assert.throws(() => parseDiceNotation('1d20+-2'), /near "\+-2"/);
+    assert.throws(() => parseDiceNotation('1d20+'), /near "\+"/);
+    assert.throws(() => parseDiceNotation('fireball'), /near "fireball"/);
+});
+test('rolls nothing for malformed notation and returns the error for the caller to report', () => {
+    initDice({ seed: 26, state: 26, log: [] });
+    const result = rollDice('1d20+-2', 'Bad roll');
+    assert.equal(result.total, 0);
+    assert.deepEqual(result.terms, []);
+    assert.match(result.error, /Could not parse dice notation "1d20\+-2"/);
+    assert.deepEqual(getDiceState().log, []);
+    assert.equal(rollDice('1d20+2').error, undefined);
+});
+// --- LEVELS ---
+test('reaches each level at its experience threshold', () => {
+    assert.equal(getLevelForXp(0), 1);
+    assert.equal(getLevelForXp(299), 1);
+    assert.equal(getLevelForXp(300), 2);
+    assert.equal(getLevelForXp(6500), 5);
+    assert.equal(getLevelForXp(1000000), MAX_LEVEL);
+});
+test('counts the levels earned with experience but not yet taken', () => {
+    assert.equal(getPendingLevels({ level: 1, exp: 250 }), 0);
+    assert.equal(getPendingLevels({ level: 1, exp: 300 }), 1);
+    assert.equal(getPendingLevels({ level: 2, exp: 2700 }), 2);
+    assert.equal(getPendingLevels({ level: 5, exp: 300 }), 0);
+});
+test('counts a milestone level when it is higher than the experience reaches', () => {
+    assert.equal(getPendingLevels({ level: 3, exp: 0, milestoneLevel: 4 }), 1);
+    assert.equal(getPendingLevels({ level: 3, exp: 6500, milestoneLevel: 4 }), 2);
+    assert.equal(getPendingLevels({ level: 4, milestoneLevel: 4 }), 0);
+});
+test('never counts levels past the highest level', () => {
+    assert.equal(getPendingLevels({ level: 19, exp: 0, milestoneLevel: 25 }), 1);
+    assert.equal(getPendingLevels({ level: MAX_LEVEL, exp: 1000000 }), 0);
+});
+test('grants the level after the highest one already earned at a milestone', () => {
+    assert.equal(getMilestoneLevel({ level: 3, exp: 0 }), 4);
+    assert.equal(getMilestoneLevel({ level: 3, exp: 0, milestoneLevel: 4 }), 5);
+    assert.equal(getMilestoneLevel({ level: 2, exp: 2700 }), 5);
+});
+test('grants no milestone once the highest level is earned', () => {
+    assert.equal(getMilestoneLevel({ level: MAX_LEVEL, exp: 0 }), null);
+    assert.equal(getMilestoneLevel({ level: 19, exp: 0, milestoneLevel: MAX_LEVEL }), null);
+});
@@ -0,0 +1,349 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { SAVE_SCHEMA_VERSION } from './config.js';
+import { buildSpellSlots, choosePreparedSpells } from './spellcasting.js';
+import { buildParty } from './party.js';
+import { buildInventory, applyMagicItemRules } from './inventory.js';
+import { createPurse } from './currency.js';
+import { DEFAULT_SKILLS, DEFAULT_SAVING_THROWS, calculateProficiencyBonus, calculateAverageMaxHp, createDiceSeed, createDeathSaves, createHitDice, buildClassResources } from './rpg-helpers.js';
+// This module upgrades save slots written by older versions of the game.
+// Every migration step takes a slot at version N and returns it at version N + 1,
+// recording a human-readable note for each field it had to repair.
+// --- HELPERS ---
+const DEFAULT_ABILITY_SCORES = {
+    strength: 10, dexterity: 10, constitution: 10,
+    intelligence: 10, wisdom: 10, charisma: 10,
+};
+/**
+ * Estimates a character's maximum HP from their class hit die, used when a save has lost its health data.
+ * @param {any} playerState The player state being repaired.
+ * @param {any} characterInfo The character's static info.
+ * @returns {number} The estimated maximum HP.
+ */
+function estimateMaxHp(playerState, characterInfo) {
+    return calculateAverageMaxHp(characterInfo?.characterClass, playerState.level, playerState.abilityScores.constitution);
+}
+/**
+ * Ensures a field is an array, replacing it with an empty one (and noting the repair) if not.
+ * @param {any} target The object holding the field.
+ * @param {string} key The field name.
+ * @param {string[]} repairs The list of repair notes to append to.
+ */
+function ensureArray(target, key, repairs) {
+    if (!Array.isArray(target[key])) {
+        target[key] = [];
+        repairs.push(`Reset missing ${key} list.`);
+    }
+}
+/**
+ * Adds any keys missing from a proficiency map (skills or saving throws) using the provided defaults.
+ * @param {any} target The player state being repaired.
+ * @param {string} key The proficiency map field name.
+ * @param {Record<string, string>} defaults The default proficiency map.
+ * @param {string[]} repairs The list of repair notes to append to.
+ */
+function fillProficiencyDefaults(target, key, defaults, repairs) {
+    const current = target[key] && typeof target[key] === 'object' ? target[key] : {};
+    const missing = Object.keys(defaults).filter(k => !(k in current));
+    if (missing.length > 0) {
+        target[key] = { ...defaults, ...current };
+        repairs.push(`Filled ${missing.length} missing ${key === 'skills' ? 'skill' : 'saving throw'} entr${missing.length === 1 ? 'y' : 'ies'}.`);
+    }
+}
+/**
+ * Brings the character sheet kept in an autosave snapshot written before snapshots were stamped up
+ * to the version 16 shapes. Every helper used here leaves state that already has them unchanged.
+ * @param {any} playerState The snapshot's player state.
+ * @returns {any} The upgraded player state.
+ */
+function upgradeLegacyPlayerState(playerState) {
+    return {
+        ...playerState,
+        health: { ...playerState.health, temp: playerState.health?.temp || 0 },
+        concentration: playerState.concentration || null,
+        party: buildParty(playerState.party, playerState.level),
+        inventory: buildInventory(playerState.inventory, playerState.equipment).map(applyMagicItemRules),
+        money: createPurse(playerState.money),
+    };
+}
+/**
+ * Upgrades an autosave snapshot written before snapshots were stamped with a schema version.
+ * @param {any} snapshot The snapshot.
+ * @returns {any} The upgraded snapshot, stamped with the current schema version.
+ */
+function upgradeLegacySnapshot(snapshot) {
+    return {
+        ...snapshot,
+        playerState: upgradeLegacyPlayerState(snapshot.playerState || {}),
+        players: (snapshot.players || []).map(seat => ({ ...seat, playerState: upgradeLegacyPlayerState(seat.playerState || {}) })),
+        schemaVersion: 17,
+    };
+}
+// --- MIGRATION STEPS ---
+/**
+ * Migration steps, keyed by the schema version they upgrade from.
+ */
+const MIGRATIONS = {
+    /**
+     * Version 0 covers every save written before schema versioning existed.
+     * It repairs the core character sheet fields that `isPlayerStateValid` checks for,
+     * along with the bookkeeping fields added to `playerState` over time.
+     */
+    0: (slot, repairs) => {
+        const playerState = { ...slot.playerState };
+        if (typeof playerState.level !== 'number') {
+            const parsedLevel = parseInt(playerState.level, 10);
+            playerState.level = Number.isFinite(parsedLevel) && parsedLevel > 0 ? Math.min(parsedLevel, 20) : 1;
+            repairs.push(`Restored character level (${playerState.level}).`);
+        }
+        if (!playerState.abilityScores || typeof playerState.abilityScores !== 'object') {
+            playerState.abilityScores = { ...DEFAULT_ABILITY_SCORES };
+            repairs.push('Reset missing ability scores to 10.');
+        }
+        else {
+            const missingScores = Object.keys(DEFAULT_ABILITY_SCORES).filter(k => typeof playerState.abilityScores[k] !== 'number');
+            if (missingScores.length > 0) {
+                playerState.abilityScores = { ...DEFAULT_ABILITY_SCORES, ...playerState.abilityScores };
+                missingScores.forEach(k => playerState.abilityScores[k] = DEFAULT_ABILITY_SCORES[k]);
+                repairs.push(`Reset missing ability scores: ${missingScores.join(', ')}.`);
+            }
+        }
+        fillProficiencyDefaults(playerState, 'skills', DEFAULT_SKILLS, repairs);
+        fillProficiencyDefaults(playerState, 'savingThrows', DEFAULT_SAVING_THROWS, repairs);
+        if (typeof playerState.proficiencyBonus !== 'number') {
+            playerState.proficiencyBonus = calculateProficiencyBonus(playerState.level);
+            repairs.push('Recalculated proficiency bonus.');
+        }
+        if (!playerState.health || typeof playerState.health !== 'object' || typeof playerState.health.max !== 'number') {
+            const max = estimateMaxHp(playerState, slot.characterInfo);
+            const current = typeof playerState.health?.current === 'number' ? Math.min(playerState.health.current, max) : max;
+            playerState.health = { current, max };
+            repairs.push(`Rebuilt hit points (${current}/${max}).`);
+        }
+        else if (typeof playerState.health.current !== 'number') {
+            playerState.health = { ...playerState.health, current: playerState.health.max };
+            repairs.push('Restored current hit points.');
+        }
+        if (!playerState.money || typeof playerState.money !== 'object') {
+            playerState.money = createPurse(0);
+            repairs.push('Reset missing money.');
+        }
+        if (!playerState.equipment || typeof playerState.equipment !== 'object') {
+            playerState.equipment = { weapon: 'None', armor: 'None' };
+            repairs.push('Reset missing equipment.');
+        }
+        ['inventory', 'party', 'quests', 'feats', 'racialTraits', 'classFeatures', 'spellsKnown', 'conditions']
+            .forEach(key => ensureArray(playerState, key, repairs));
+        if (typeof playerState.exp !== 'number') {
+            playerState.exp = 0;
+            repairs.push('Reset missing experience points.');
+        }
+        if (typeof playerState.turnCount !== 'number') {
+            playerState.turnCount = 0;
+            repairs.push('Reset missing turn counter.');
+        }
+        if (playerState.pregnancy === undefined)
+            playerState.pregnancy = null;
+        if (!playerState.npcStates || typeof playerState.npcStates !== 'object')
+            playerState.npcStates = {};
+        if (typeof playerState.location !== 'string')
+            playerState.location = 'Unknown';
+        const chatHistory = Array.isArray(slot.chatHistory) ? slot.chatHistory : [];
+        if (chatHistory !== slot.chatHistory)
+            repairs.push('Reset missing chat history.');
+        return { ...slot, playerState, chatHistory, schemaVersion: 1 };
+    },
+    /**
+     * Version 2 started persisting the world and combat state alongside the character.
+     */
+    1: (slot) => ({
+        ...slot,
+        worldState: slot.worldState && typeof slot.worldState === 'object' ? slot.worldState : {},
+        combatants: Array.isArray(slot.combatants) ? slot.combatants : [],
+        isInCombat: !!slot.isInCombat && Array.isArray(slot.combatants) && slot.combatants.length > 0,
+        schemaVersion: 2,
+    }),
+    /**
+     * Version 3 added the ring of autosave snapshots used to rewind to earlier turns.
+     */
+    2: (slot) => ({
+        ...slot,
+        snapshots: Array.isArray(slot.snapshots) ? slot.snapshots : [],
+        schemaVersion: 3,
+    }),
+    /**
+     * Version 4 added branching timelines. Existing saves become the roots of their own trees.
+     */
+    3: (slot) => ({
+        ...slot,
+        parentId: typeof slot.parentId === 'string' ? slot.parentId : null,
+        forkedAt: slot.forkedAt && typeof slot.forkedAt === 'object' ? slot.forkedAt : null,
+        schemaVersion: 4,
+    }),
+    /**
+     * Version 5 moved all rolls onto a seeded generator whose state and roll log are kept in the save.
+     */
+    4: (slot) => {
+        if (slot.dice && typeof slot.dice.seed === 'number')
+            return { ...slot, schemaVersion: 5 };
+        const seed = createDiceSeed();
+        return { ...slot, dice: { seed, state: seed, log: [] }, schemaVersion: 5 };
+    },
+    /**
+     * Version 6 started tracking whose turn it is. A fight saved mid-combat resumes
+     * at the top of the initiative order in round 1.
+     */
+    5: (slot) => {
+        const firstActor = slot.isInCombat ? slot.combatants.find(c => c.hp > 0) : null;
+        return {
+            ...slot,
+            combatRound: firstActor ? 1 : 0,
+            activeCombatantId: firstActor ? firstActor.id : null,
+            schemaVersion: 6,
+        };
+    },
+    /**
+     * Version 7 added the dying rules. Characters saved at 0 HP under the old rules, which had no
+     * death saves, are treated as stable rather than dead.
+     */
+    6: (slot) => {
+        const playerState = { ...slot.playerState, isDead: !!slot.playerState.isDead };
+        if (!playerState.deathSaves)
+            playerState.deathSaves = { ...createDeathSaves(), isStable: playerState.health.current === 0 };
+        return { ...slot, playerState, schemaVersion: 7 };
+    },
+    /**
+     * Version 8 added temporary hit points alongside current and maximum HP.
+     */
+    7: (slot) => ({
+        ...slot,
+        playerState: { ...slot.playerState, health: { ...slot.playerState.health, temp: slot.playerState.health.temp || 0 } },
+        schemaVersion: 8,
+    }),
+    /**
+     * Version 9 added hit dice and limited-use class resources, both starting full.
+     */
+    8: (slot) => {
+        const characterClass = slot.characterInfo?.characterClass;
+        const playerState = {
+            ...slot.playerState,
+            hitDice: createHitDice(characterClass, slot.playerState.level),
+            classResources: buildClassResources(characterClass, { ...slot.playerState, classResources: {} }),
+        };
+        return { ...slot, playerState, schemaVersion: 9 };
+    },
+    /**
+     * Version 10 added spell slots and, for classes that prepare spells, a list of prepared spells.
+     */
+    9: (slot) => {
+        const characterClass = slot.characterInfo?.characterClass;
+        const playerState = {
+            ...slot.playerState,
+            spellSlots: buildSpellSlots(characterClass, { ...slot.playerState, spellSlots: {} }),
+            preparedSpells: choosePreparedSpells(characterClass, slot.playerState),
+        };
+        return { ...slot, playerState, schemaVersion: 10 };
+    },
+    /**
+     * Version 11 started tracking the spell the player is concentrating on. Conditions saved
+     * earlier have no expiry and last until removed or rested off, as before.
+     */
+    10: (slot) => ({
+        ...slot,
+        playerState: { ...slot.playerState, concentration: slot.playerState.concentration || null },
+        schemaVersion: 11,
+    }),
+    /**
+     * Version 12 gave each party member a full character sheet. Older companions were only a
+     * name and description, so their race and class are read from the description where possible.
+     */
+    11: (slot) => ({
+        ...slot,
+        playerState: { ...slot.playerState, party: buildParty(slot.playerState.party, slot.playerState.level) },
+        schemaVersion: 12,
+    }),
+    /**
+     * Version 13 added hot-seat play. Earlier saves are solo games, with nobody else seated.
+     */
+    12: (slot) => ({ ...slot, players: slot.players || [], activeSeatId: slot.activeSeatId || null, schemaVersion: 13 }),
+    /**
+     * Version 14 replaced the inventory's plain strings with item records. The equipped weapon and
+     * armor join the inventory if it left them out, and shields already carried stay in hand.
+     */
+    13: (slot) => {
+        const withItems = (playerState) => ({ ...playerState, inventory: buildInventory(playerState.inventory, playerState.equipment) });
+        return {
+            ...slot,
+            playerState: withItems(slot.playerState),
+            players: (slot.players || []).map(seat => ({ ...seat, playerState: withItems(seat.playerState) })),
+            schemaVersion: 14,
+        };
+    },
+    /**
+     * Version 15 gave magic items their bonuses, charges and attunement rules. Items carried
+     * before then start with full charges.
+     */
+    14: (slot) => {
+        const withRules = (playerState) => ({ ...playerState, inventory: (playerState.inventory || []).map(applyMagicItemRules) });
+        return {
+            ...slot,
+            playerState: withRules(slot.playerState),
+            players: (slot.players || []).map(seat => ({ ...seat, playerState: withRules(seat.playerState) })),
+            schemaVersion: 15,
+        };
+    },
+    /**
+     * Version 16 split money into copper, silver, electrum, gold and platinum pieces. An older
+     * save's amount becomes coins of the currency it named, or gold if that can't be read.
+     */
+    15: (slot) => {
+        const withPurse = (playerState) => ({ ...playerState, money: createPurse(playerState.money) });
+        return {
+            ...slot,
+            playerState: withPurse(slot.playerState),
+            players: (slot.players || []).map(seat => ({ ...seat, playerState: withPurse(seat.playerState) })),
+            schemaVersion: 16,
+        };
+    },
+    /**
+     * Version 17 stamps each autosave snapshot with the schema version it was taken at, so a rewind
+     * or fork can upgrade the state it restores. Earlier steps left snapshots as they were, so an
+     * unstamped one is brought to the version 16 shapes first: item records, companion sheets and purses.
+     */
+    16: (slot) => ({
+        ...slot,
+        snapshots: (slot.snapshots || []).map(snapshot => (typeof snapshot.schemaVersion === 'number' ? snapshot : upgradeLegacySnapshot(snapshot))),
+        schemaVersion: 17,
+    }),
+};
+// --- PUBLIC API ---
+/**
+ * Returns the schema version of a save slot. Slots written before versioning are version 0.
+ * @param {any} slot The save slot.
+ * @returns {number} The slot's schema version.
+ */
+export function getSchemaVersion(slot) {
+    return typeof slot?.schemaVersion === 'number' ? slot.schemaVersion : 0;
+}
+/**
+ * Upgrades a save slot to the current schema version, one step at a time.
+ * The input slot is never mutated.
+ * @param {import("./types.js").SaveSlot} slot The save slot to upgrade.
+ * @returns {{slot: import("./types.js").SaveSlot, repairs: string[], migrated: boolean}}
+ *   The upgraded slot, a list of repairs that were made, and whether any migration step ran.
+ * @throws An error if the slot was written by a newer version of the game.
+ */
+export function migrateSaveSlot(slot) {
+    const startVersion = getSchemaVersion(slot);
+    if (startVersion > SAVE_SCHEMA_VERSION) {
+        throw new Error(`This save uses schema version ${startVersion}, which is newer than this version of the game supports.`);
+    }
+    const repairs = [];
+    let current = slot;
+    for (let version = startVersion; version < SAVE_SCHEMA_VERSION; version++) {
+        current = MIGRATIONS[version](current, repairs);
+    }
+    return { slot: current, repairs, migrated: startVersion !== SAVE_SCHEMA_VERSION };
+}
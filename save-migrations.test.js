@@ -0,0 +1,173 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateSaveSlot, getSchemaVersion } from './save-migrations.js';
+import { SAVE_SCHEMA_VERSION } from './config.js';
+// These tests upgrade save slots written by older versions of the game and check the shape they end
+// up in. Run them with `npm test`.
+// --- FIXTURES ---
+/**
+ * A save written before schema versioning: the character sheet is missing fields added since, and
+ * the inventory, money and party are in their oldest shapes.
+ * @returns {any} The save slot.
+ */
+function createUnversionedSlot() {
+    return {
+        id: 'save-1',
+        name: 'Mira',
+        characterInfo: { name: 'Mira', race: 'Human', characterClass: 'Fighter' },
+        playerState: {
+            level: '3',
+            abilityScores: { strength: 16, dexterity: 12, constitution: 14 },
+            health: { current: 20 },
+            money: { amount: 25, currency: 'Gold' },
+            equipment: { weapon: 'Longsword', armor: 'Chain Mail' },
+            inventory: ['Rope (50 feet)', 'Torches (10)'],
+            party: [{ name: 'Bram', description: 'A gruff dwarf who fights at your side' }],
+        },
+    };
+}
+/**
+ * A save written at version 13, when hot-seat play was added but inventories were still plain
+ * strings, with an autosave snapshot taken before snapshots were stamped.
+ * @returns {any} The save slot.
+ */
+function createVersion13Slot() {
+    const playerState = {
+        level: 2,
+        abilityScores: { strength: 10, dexterity: 16, constitution: 12, intelligence: 14, wisdom: 10, charisma: 8 },
+        health: { current: 0, max: 14, temp: 0 },
+        money: { amount: 40, currency: 'silver' },
+        equipment: { weapon: 'Dagger', armor: 'Leather Armor' },
+        inventory: ['Dagger', 'Leather Armor', "Thieves' Tools"],
+        party: [],
+        conditions: [],
+        concentration: null,
+        turnCount: 12,
+    };
+    return {
+        id: 'save-2',
+        name: 'Vex',
+        characterInfo: { name: 'Vex', race: 'Elf', characterClass: 'Rogue' },
+        playerState,
+        chatHistory: [{ role: 'user', parts: [{ text: 'I pick the lock.' }] }],
+        worldState: {},
+        combatants: [],
+        isInCombat: false,
+        snapshots: [{ turnCount: 10, playerState: { ...playerState, inventory: ['Dagger'], money: { amount: 5, currency: 'gold' } }, players: [] }],
+        parentId: null,
+        forkedAt: null,
+        dice: { seed: 1234, state: 5678, log: [] },
+        combatRound: 0,
+        activeCombatantId: null,
+        players: [],
+        activeSeatId: null,
+        schemaVersion: 13,
+    };
+}
+// --- TESTS ---
+test('reads saves without a schema version as version 0', () => {
+    assert.equal(getSchemaVersion(createUnversionedSlot()), 0);
+    assert.equal(getSchemaVersion(createVersion13Slot()), 13);
+});
+test('upgrades an unversioned save to the current schema version', () => {
+    const { slot, migrated } = migrateSaveSlot(createUnversionedSlot());
+    assert.equal(migrated, true);
+    assert.equal(slot.schemaVersion, SAVE_SCHEMA_VERSION);
+    assert.deepEqual(slot.chatHistory, []);
+    assert.deepEqual(slot.worldState, {});
+    assert.deepEqual(slot.combatants, []);
+    assert.equal(slot.isInCombat, false);
+    assert.deepEqual(slot.snapshots, []);
+    assert.equal(slot.parentId, null);
+    assert.equal(typeof slot.dice.seed, 'number');
+    assert.deepEqual(slot.dice.log, []);
+    assert.deepEqual(slot.players, []);
+    assert.equal(slot.activeSeatId, null);
+});
+test("repairs an unversioned save's character sheet and notes each repair", () => {
+    const { slot: { playerState }, repairs } = migrateSaveSlot(createUnversionedSlot());
+    assert.equal(playerState.level, 3);
+    assert.deepEqual(playerState.abilityScores, { strength: 16, dexterity: 12, constitution: 14, intelligence: 10, wisdom: 10, charisma: 10 });
+    assert.equal(playerState.proficiencyBonus, 2);
+    assert.equal(playerState.health.current, 20);
+    assert.equal(playerState.health.temp, 0);
+    assert.ok(playerState.health.max >= 20);
+    assert.equal(playerState.exp, 0);
+    assert.deepEqual(playerState.conditions, []);
+    assert.equal(playerState.skills.stealth, 'none');
+    assert.equal(playerState.savingThrows.wisdom, 'none');
+    assert.ok(repairs.includes('Restored character level (3).'));
+    assert.ok(repairs.includes('Reset missing ability scores: intelligence, wisdom, charisma.'));
+    assert.ok(repairs.includes(`Rebuilt hit points (20/${playerState.health.max}).`));
+    assert.ok(repairs.includes('Reset missing chat history.'));
+});
+test("brings an unversioned save's items, money and companions to their current shapes", () => {
+    const { slot: { playerState } } = migrateSaveSlot(createUnversionedSlot());
+    assert.deepEqual(playerState.money, { cp: 0, sp: 0, ep: 0, gp: 25, pp: 0 });
+    assert.deepEqual(playerState.inventory.map(item => [item.name, item.quantity, item.equipped]), [
+        ['Rope (50 feet)', 1, false],
+        ['Torches', 10, false],
+        ['Longsword', 1, true],
+        ['Chain Mail', 1, true],
+    ]);
+    assert.ok(playerState.inventory.every(item => item.bonuses && 'charges' in item));
+    const [bram] = playerState.party;
+    assert.equal(bram.name, 'Bram');
+    assert.equal(typeof bram.id, 'string');
+    assert.equal(bram.level, 3);
+    assert.equal(bram.health.current, bram.health.max);
+    assert.ok(playerState.hitDice && playerState.classResources && playerState.spellSlots);
+    assert.equal(playerState.deathSaves.isStable, false);
+});
+test('never changes the slot it is given', () => {
+    const original = createUnversionedSlot();
+    migrateSaveSlot(original);
+    assert.deepEqual(original, createUnversionedSlot());
+});
+test('upgrades a version 13 save from where it left off, keeping its dice and history', () => {
+    const original = createVersion13Slot();
+    const { slot, repairs, migrated } = migrateSaveSlot(original);
+    assert.equal(migrated, true);
+    assert.deepEqual(repairs, []);
+    assert.equal(slot.schemaVersion, SAVE_SCHEMA_VERSION);
+    assert.deepEqual(slot.dice, original.dice);
+    assert.deepEqual(slot.chatHistory, original.chatHistory);
+    assert.deepEqual(slot.playerState.money, { cp: 0, sp: 40, ep: 0, gp: 0, pp: 0 });
+    assert.deepEqual(slot.playerState.inventory.map(item => item.name), ['Dagger', 'Leather Armor', "Thieves' Tools"]);
+    assert.equal(slot.playerState.inventory.filter(item => item.equipped).length, 2);
+});
+test('leaves the steps a version 13 save has already been through alone', () => {
+    const { slot: { playerState } } = migrateSaveSlot(createVersion13Slot());
+    // A character saved at 0 HP before version 7 would be made stable; this one is past that step.
+    assert.equal(playerState.deathSaves, undefined);
+    assert.equal(playerState.turnCount, 12);
+});
+test('stamps and upgrades autosave snapshots written before snapshots had a version', () => {
+    const { slot: { snapshots: [snapshot] } } = migrateSaveSlot(createVersion13Slot());
+    assert.equal(snapshot.schemaVersion, 17);
+    assert.equal(snapshot.turnCount, 10);
+    assert.deepEqual(snapshot.playerState.money, { cp: 0, sp: 0, ep: 0, gp: 5, pp: 0 });
+    assert.deepEqual(snapshot.playerState.inventory.map(item => [item.name, item.equipped]), [['Dagger', true], ['Leather Armor', true]]);
+    assert.deepEqual(snapshot.playerState.party, []);
+});
+test('keeps autosave snapshots that already have a version as they are', () => {
+    const slot = { ...createVersion13Slot(), schemaVersion: 16 };
+    const stamped = { turnCount: 11, playerState: { inventory: [] }, players: [], schemaVersion: 16 };
+    slot.snapshots = [stamped];
+    assert.equal(migrateSaveSlot(slot).slot.snapshots[0], stamped);
+});
+test('returns a current save unchanged', () => {
+    const { slot: current } = migrateSaveSlot(createVersion13Slot());
+    const { slot, repairs, migrated } = migrateSaveSlot(current);
+    assert.equal(slot, current);
+    assert.deepEqual(repairs, []);
+    assert.equal(migrated, false);
+});
+test('refuses a save written by a newer version of the game', () => {
+    const slot = { ...createVersion13Slot(), schemaVersion: SAVE_SCHEMA_VERSION + 1 };
+    assert.throws(() => migrateSaveSlot(slot), /newer than this version of the game supports/);
+});
@@ -0,0 +1,228 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+// This module persists save slots in IndexedDB. Each character gets its own record
+// in the slot store, and its chat history is split into fixed-size chunks in a
+// separate store so a new turn only rewrites the tail of the conversation.
+// An in-memory mirror keeps reads synchronous for the rest of the application.
+// --- STATE ---
+let db = null;
+let slots = new Map();
+/** The chat history array that was last written for each slot, used to find dirty chunks. */
+let persistedChats = new Map();
+let writeQueue = Promise.resolve();
+// --- CONSTANTS ---
+const DB_NAME = 'UnfetteredSaveStore';
+const DB_VERSION = 1;
+const SLOT_STORE = 'slots';
+const CHAT_STORE = 'chatChunks';
+/** The number of chat messages stored in each chunk record. */
+const CHAT_CHUNK_SIZE = 50;
+// --- PRIVATE HELPERS ---
+/** Opens and initializes the IndexedDB database. */
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            if (!db.objectStoreNames.contains(SLOT_STORE)) {
+                db.createObjectStore(SLOT_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(CHAT_STORE)) {
+                db.createObjectStore(CHAT_STORE, { keyPath: ['slotId', 'index'] });
+            }
+        };
+        request.onsuccess = (event) => resolve(event.target.result);
+        request.onerror = (event) => reject(`IndexedDB error: ${event.target.error}`);
+    });
+}
+/** Wraps an IDBRequest in a promise. */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+/** Resolves when a transaction commits, rejects if it fails or is aborted. */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+    });
+}
+/**
+ * Reads every slot record and reassembles its chat history from the chunk store.
+ * @returns {Promise<import("./types.js").SaveSlot[]>} The stored save slots.
+ */
+async function readAllSlots() {
+    const transaction = db.transaction([SLOT_STORE, CHAT_STORE], 'readonly');
+    const [records, chunks] = await Promise.all([
+        promisifyRequest(transaction.objectStore(SLOT_STORE).getAll()),
+        promisifyRequest(transaction.objectStore(CHAT_STORE).getAll()),
+    ]);
+    const chunksBySlot = new Map();
+    chunks.forEach(chunk => {
+        if (!chunksBySlot.has(chunk.slotId))
+            chunksBySlot.set(chunk.slotId, []);
+        chunksBySlot.get(chunk.slotId).push(chunk);
+    });
+    return records
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+        .map(record => {
+            const { chatLength, ...slot } = record;
+            const slotChunks = (chunksBySlot.get(record.id) || []).sort((a, b) => a.index - b.index);
+            slot.chatHistory = slotChunks.flatMap(c => c.messages).slice(0, chatLength ?? undefined);
+            return slot;
+        });
+}
+/**
+ * Writes a slot and the chunks of its chat history that changed since the last write.
+ * Chat history is append-mostly, so this is usually a single chunk.
+ * @param {import("./types.js").SaveSlot} slot The slot to persist.
+ */
+async function writeSlot(slot) {
+    const { chatHistory = [], ...record } = slot;
+    const previousChat = persistedChats.get(slot.id) || [];
+    let firstDirtyIndex = 0;
+    while (firstDirtyIndex < previousChat.length &&
+        firstDirtyIndex < chatHistory.length &&
+        previousChat[firstDirtyIndex] === chatHistory[firstDirtyIndex]) {
+        firstDirtyIndex++;
+    }
+    const chatUnchanged = firstDirtyIndex === chatHistory.length && chatHistory.length === previousChat.length;
+    const newChunkCount = Math.ceil(chatHistory.length / CHAT_CHUNK_SIZE);
+    const oldChunkCount = Math.ceil(previousChat.length / CHAT_CHUNK_SIZE);
+    const transaction = db.transaction([SLOT_STORE, CHAT_STORE], 'readwrite');
+    const chatStore = transaction.objectStore(CHAT_STORE);
+    transaction.objectStore(SLOT_STORE).put({ ...record, chatLength: chatHistory.length });
+    if (!chatUnchanged) {
+        for (let index = Math.floor(firstDirtyIndex / CHAT_CHUNK_SIZE); index < newChunkCount; index++) {
+            chatStore.put({
+                slotId: slot.id,
+                index,
+                messages: chatHistory.slice(index * CHAT_CHUNK_SIZE, (index + 1) * CHAT_CHUNK_SIZE),
+            });
+        }
+        for (let index = newChunkCount; index < oldChunkCount; index++) {
+            chatStore.delete([slot.id, index]);
+        }
+    }
+    await transactionDone(transaction);
+    persistedChats.set(slot.id, chatHistory);
+}
+/** Deletes a slot record together with all of its chat chunks. */
+async function removeSlot(slotId) {
+    const transaction = db.transaction([SLOT_STORE, CHAT_STORE], 'readwrite');
+    transaction.objectStore(SLOT_STORE).delete(slotId);
+    transaction.objectStore(CHAT_STORE).delete(IDBKeyRange.bound([slotId, 0], [slotId, Infinity]));
+    await transactionDone(transaction);
+    persistedChats.delete(slotId);
+}
+/**
+ * Serializes writes so that two quick updates to the same slot never race.
+ * @template T
+ * @param {() => Promise<T>} task The write to perform.
+ * @returns {Promise<T>} A promise for the task's result.
+ */
+function enqueue(task) {
+    const run = writeQueue.then(() => {
+        if (!db)
+            throw new Error('Save store is not initialized.');
+        return task();
+    });
+    writeQueue = run.catch(() => { });
+    return run;
+}
+/**
+ * Moves saves from the legacy single-key localStorage format into IndexedDB.
+ * The legacy key is only removed once every slot has been written successfully.
+ * @param {string} legacyKey The localStorage key holding the old save array.
+ * @param {(save: any) => boolean} isValidSlot Validation applied to each legacy slot.
+ */
+async function migrateLegacySaves(legacyKey, isValidSlot) {
+    let legacyData = null;
+    try {
+        legacyData = localStorage.getItem(legacyKey);
+    }
+    catch (e) {
+        console.warn("Could not access localStorage to migrate legacy saves.", e);
+        return;
+    }
+    if (!legacyData)
+        return;
+    let legacySaves;
+    try {
+        legacySaves = JSON.parse(legacyData);
+    }
+    catch (e) {
+        console.error("Legacy save data is corrupted and cannot be migrated.", e);
+        return;
+    }
+    if (!Array.isArray(legacySaves))
+        return;
+    const now = Date.now();
+    for (const [index, save] of legacySaves.entries()) {
+        if (!isValidSlot(save)) {
+            console.warn('Skipping an invalid legacy save slot during migration:', save);
+            continue;
+        }
+        if (slots.has(save.id))
+            continue;
+        const slot = { ...save, chatHistory: Array.isArray(save.chatHistory) ? save.chatHistory : [], createdAt: now + index };
+        await writeSlot(slot);
+        slots.set(slot.id, slot);
+    }
+    localStorage.removeItem(legacyKey);
+}
+// --- PUBLIC API ---
+/**
+ * Opens the save database, migrates any legacy localStorage saves and loads
+ * every slot into memory. Must be called once before the other functions.
+ * @param {string} legacyKey The localStorage key used by the old save format.
+ * @param {(save: any) => boolean} isValidSlot Validation applied to legacy slots.
+ */
+export async function init(legacyKey, isValidSlot) {
+    db = await openDb();
+    const storedSlots = await readAllSlots();
+    slots = new Map(storedSlots.map(slot => [slot.id, slot]));
+    persistedChats = new Map(storedSlots.map(slot => [slot.id, slot.chatHistory]));
+    try {
+        await migrateLegacySaves(legacyKey, isValidSlot);
+    }
+    catch (e) {
+        console.error("Failed to migrate legacy saves. They remain in localStorage and will be retried next time.", e);
+    }
+}
+/** Returns true once the database has been opened. */
+export function isReady() {
+    return db !== null;
+}
+/**
+ * Returns every loaded save slot, oldest first.
+ * @returns {import("./types.js").SaveSlot[]}
+ */
+export function getAll() {
+    return [...slots.values()];
+}
+/**
+ * Stores a slot in memory immediately and persists it in the background.
+ * @param {import("./types.js").SaveSlot} slot The complete slot to store.
+ * @returns {Promise<void>} Resolves once the slot has been written to IndexedDB.
+ */
+export function put(slot) {
+    const createdAt = slots.get(slot.id)?.createdAt ?? slot.createdAt ?? Date.now();
+    const storedSlot = { ...slot, createdAt };
+    slots.set(storedSlot.id, storedSlot);
+    return enqueue(() => writeSlot(storedSlot));
+}
+/**
+ * Removes a slot from memory immediately and from IndexedDB in the background.
+ * @param {string} slotId The ID of the slot to remove.
+ * @returns {Promise<void>} Resolves once the slot has been deleted from IndexedDB.
+ */
+export function remove(slotId) {
+    slots.delete(slotId);
+    return enqueue(() => removeSlot(slotId));
+}
@@ -10,20 +10,17 @@ import * as rag from './rag.js';
 import { gameState } from './state-manager.js';
 import { cleanseResponseText, createLlmProvider } from './api.js';
 import { resetPointBuy } from './character-creator.js';
+import { SAVE_SCHEMA_VERSION } from './config.js';
+import { initDice, getDiceState } from './rpg-helpers.js';
+import { storeSeat } from './hot-seat.js';
+import * as multiplayer from './multiplayer.js';
 // --- MODULE STATE ---
 let mainAppListenersSetup = false;
 // --- HELPERS ---
-function isPlayerStateValid(state) {
-    if (!state || typeof state !== 'object')
-        return false;
-    const has = (prop) => Object.prototype.hasOwnProperty.call(state, prop);
-    return has('level') && typeof state.level === 'number' &&
-        has('health') && typeof state.health === 'object' &&
-        has('abilityScores') && has('skills') && has('savingThrows');
-}
 async function proceedToAdventure(action, setupMainAppEventListeners) {
     const providerSettings = game.getProviderSettings();
-    if (!gameState.getState().llmProvider) {
+    // A guest in an online game plays through the host's storyteller and needs no provider of their own.
+    if (action !== 'join' && !gameState.getState().llmProvider) {
         if (providerSettings.provider === 'gemini' && !providerSettings.apiKey) {
             ui.showSettings(providerSettings);
             return;
@@ -70,6 +67,9 @@ async function proceedToAdventure(action, setupMainAppEventListeners) {
             const allSaves = game.getSaves();
             ui.displaySaveSlots(allSaves);
         }
+        else if (action === 'join') {
+            ui.showOnlineModal('join', game.getRelayUrl());
+        }
     };
     if (!ageConfirmed) {
         dom.ageGateModal.classList.remove('hidden');
@@ -107,6 +107,29 @@ function handleSettingsSave(e) {
         alert(`Settings saved, but there was an error initializing the provider: ${error.message}`);
     }
 }
+async function handleOnlineFormSubmit(e) {
+    e.preventDefault();
+    const relayUrl = dom.relayUrlInput.value.trim();
+    const room = dom.roomCodeInput.value.trim();
+    const isHosting = dom.onlineForm.dataset.mode === 'host';
+    try {
+        if (isHosting) {
+            await multiplayer.hostGame(relayUrl, room);
+        }
+        else {
+            await multiplayer.joinGame(relayUrl, room, dom.onlineNameInput.value.trim());
+            dom.landingPage.classList.add('hidden');
+            dom.appElement.classList.remove('hidden');
+        }
+    }
+    catch (error) {
+        console.error("Failed to connect to the relay:", error);
+        alert(`Could not ${isHosting ? 'host' : 'join'} the online game. Error: ${error.message}`);
+        return;
+    }
+    game.saveRelayUrl(relayUrl);
+    dom.onlineModal.classList.add('hidden');
+}
 // --- PUBLIC API ---
 export function isGameInProgress() {
     const { currentCharacterId, playerState } = gameState.getState();
@@ -131,6 +154,14 @@ export function setupInitialEventListeners(setupMainAppEventListeners) {
     dom.landingNewBtn.addEventListener('click', () => proceedToAdventure('new', setupMainAppEventListeners));
     dom.landingLoadBtn.addEventListener('click', () => proceedToAdventure('load', setupMainAppEventListeners));
     dom.landingSettingsBtn.addEventListener('click', () => ui.showSettings(game.getProviderSettings()));
+    dom.landingJoinBtn.addEventListener('click', () => proceedToAdventure('join', setupMainAppEventListeners));
+    dom.onlineForm.addEventListener('submit', handleOnlineFormSubmit);
+    dom.onlineCancelBtn.addEventListener('click', () => {
+        dom.onlineModal.classList.add('hidden');
+        // Backing out of joining from the start screen goes back to it.
+        if (dom.appElement.classList.contains('hidden'))
+            dom.landingPage.classList.remove('hidden');
+    });
     dom.changeSettingsBtn.addEventListener('click', () => ui.showSettings(game.getProviderSettings()));
     dom.settingsForm.addEventListener('submit', handleSettingsSave);
     dom.providerSelector.addEventListener('change', () => {
@@ -163,12 +194,14 @@ export function getServices() {
     return { speech: services.speech };
 }
 export async function initializeChatSession() {
-    const { llmProvider, isMatureEnabled, characterInfo, playerState, chatHistory } = gameState.getState();
+    const { llmProvider, isMatureEnabled, characterInfo, playerState, chatHistory, players, activeSeatId } = gameState.getState();
     if (!llmProvider || !characterInfo || !playerState) {
         throw new Error("Cannot initialize chat: core state missing.");
     }
     try {
-        const chat = await llmProvider.createChatSession(characterInfo, playerState, isMatureEnabled, chatHistory);
+        // In a hot-seat game the storyteller also sees the players waiting for their turn.
+        const otherPlayers = players.filter(seat => seat.id !== activeSeatId);
+        const chat = await llmProvider.createChatSession(characterInfo, playerState, isMatureEnabled, chatHistory, otherPlayers);
         gameState.updateState({ chat });
     }
     catch (error) {
@@ -177,9 +210,30 @@ export async function initializeChatSession() {
         throw error;
     }
 }
+/** Returns the current turn number, which the dice service records with each roll. */
+function getCurrentTurn() {
+    return gameState.getState().playerState?.turnCount || 0;
+}
+/**
+ * Turns the latest turns of the chat history back into chat messages, as they were shown when played.
+ * @param {any[]} history The chat history.
+ * @param {number} [count] How many of the latest entries to turn into messages.
+ * @returns {{sender: string, content: string, author: string | null, historyLength: number}[]} The messages, each with the history length up to and including it.
+ */
+export function getRecentMessages(history, count = 3) {
+    const recentStart = Math.max(0, history.length - count);
+    return history.slice(recentStart).map((message, offset) => {
+        const text = message.parts.map(p => p.text).join('');
+        const sender = message.role === 'user' ? 'user' : 'dm';
+        // Actions labelled "(As Name)" are shown under that character's name, as they were when typed.
+        const author = sender === 'user' ? text.match(/^\(As ([^)]+)\) /) : null;
+        return { sender, content: cleanseResponseText(author ? text.slice(author[0].length) : text), author: author?.[1] || null, historyLength: recentStart + offset + 1 };
+    });
+}
 export function newGame(isMature) {
     gameState.resetForNewGame();
     gameState.updateState({ isMatureEnabled: isMature });
+    initDice(null, getCurrentTurn);
     dom.chatLog.innerHTML = '';
     ui.clearPlayerStatsUI();
     if (!gameState.getState().llmProvider) {
@@ -189,24 +243,52 @@ export function newGame(isMature) {
     resetPointBuy();
     ui.showCharacterCreation();
 }
-export function saveCurrentGame() {
-    const { playerState, characterInfo, currentCharacterId, chatHistory, llmProvider } = gameState.getState();
+/**
+ * Writes the game in progress to its save slot. A failed write is reported in the chat log, so
+ * callers that don't depend on the save can leave the result alone.
+ * @returns {Promise<boolean>} True once the save is written, false if there was nothing to save or the write failed.
+ */
+export async function saveCurrentGame() {
+    const { playerState, characterInfo, currentCharacterId, chatHistory, llmProvider, worldState, combatants, isInCombat, combatRound, activeCombatantId, players, activeSeatId } = gameState.getState();
     if (!playerState || !characterInfo || !currentCharacterId || !llmProvider)
-        return;
-    game.updateSave(currentCharacterId, {
+        return false;
+    const saving = game.updateSave(currentCharacterId, {
+        schemaVersion: SAVE_SCHEMA_VERSION,
         playerState,
         characterInfo,
+        players: storeSeat(players, activeSeatId, characterInfo, playerState),
+        activeSeatId,
         chatHistory,
+        worldState,
+        combatants,
+        isInCombat,
+        combatRound,
+        activeCombatantId,
+        dice: getDiceState(),
+        provider: game.getProviderSettings().provider,
+        modelName: llmProvider.getCurrentModel(),
         currentModelIndex: llmProvider.getCurrentModelIndex()
     });
+    try {
+        await saving;
+        return true;
+    }
+    catch (error) {
+        ui.addMessage('error', `Your progress could not be saved. ${error.message}`);
+        return false;
+    }
 }
 export async function loadGame(characterId) {
-    const saveSlot = game.getSaves().find(save => save.id === characterId);
-    if (!saveSlot) {
-        ui.addMessage('error', 'Could not find the selected save file.');
+    let saveSlot, repairs;
+    try {
+        ({ save: saveSlot, repairs } = game.migrateSave(characterId));
+    }
+    catch (error) {
+        console.error("Failed to upgrade save:", error);
+        alert(`The adventure could not be loaded. Error: ${error.message}`);
         return;
     }
-    if (!isPlayerStateValid(saveSlot.playerState) || !saveSlot.characterInfo) {
+    if (!game.isPlayerStateValid(saveSlot.playerState) || !saveSlot.characterInfo) {
         alert(`The save file for "${saveSlot.characterInfo?.name || 'Unknown'}" appears corrupted.`);
         return;
     }
@@ -214,12 +296,22 @@ export async function loadGame(characterId) {
     if (llmProvider) {
         llmProvider.setCurrentModelIndex(saveSlot.currentModelIndex || 0);
     }
+    initDice(saveSlot.dice, getCurrentTurn);
     gameState.updateState({
         currentCharacterId: saveSlot.id,
         isMatureEnabled: localStorage.getItem('matureEnabled') === 'true',
         characterInfo: saveSlot.characterInfo,
         playerState: saveSlot.playerState,
-        chatHistory: saveSlot.chatHistory,
+        chatHistory: saveSlot.chatHistory || [],
+        worldState: saveSlot.worldState || {},
+        combatants: saveSlot.combatants || [],
+        isInCombat: !!saveSlot.isInCombat,
+        combatRound: saveSlot.combatRound || 0,
+        activeCombatantId: saveSlot.activeCombatantId || null,
+        players: saveSlot.players || [],
+        activeSeatId: saveSlot.activeSeatId || null,
+        // A save made on a companion's turn in combat resumes acting for that companion.
+        actingCharacterId: (saveSlot.combatants || []).find(c => c.isCompanion && c.id === saveSlot.activeCombatantId)?.id || 'player',
     });
     try {
         await initializeChatSession();
@@ -228,13 +320,19 @@ export async function loadGame(characterId) {
         return;
     }
     ui.updatePlayerStateUI(saveSlot.playerState, saveSlot.characterInfo);
+    const { combatants, isInCombat, combatRound, activeCombatantId } = gameState.getState();
+    ui.updateCombatTrackerUI(combatants, isInCombat, combatRound, activeCombatantId);
     dom.chatLog.innerHTML = '';
-    const recentHistory = saveSlot.chatHistory.slice(-3);
-    recentHistory.forEach(message => {
-        const text = message.parts.map(p => p.text).join('');
-        const sender = message.role === 'user' ? 'user' : 'dm';
-        ui.addMessage(sender, cleanseResponseText(text));
+    getRecentMessages(gameState.getState().chatHistory).forEach(({ sender, content, author, historyLength }) => {
+        const messageElement = ui.addMessage(sender, content, author);
+        if (sender === 'dm')
+            ui.addForkButton(messageElement, historyLength);
     });
+    if (repairs.length > 0) {
+        console.warn(`Repaired save for "${saveSlot.characterInfo.name}":`, repairs);
+        ui.logToDebugger('event', 'Save Repaired', repairs);
+        ui.addMessage('dm', `*This save was written by an older version of the game and has been upgraded. Repairs made:*\n${repairs.map(r => `- ${r}`).join('\n')}`);
+    }
     ui.scrollToBottom();
     dom.loadGameModal.classList.add('hidden');
     dom.landingPage.classList.add('hidden');
@@ -250,4 +348,80 @@ export async function deleteGame(characterId) {
         game.deleteSave(characterId);
         ui.displaySaveSlots(game.getSaves());
     }
+}
+export async function rewindGame(characterId, turnCount) {
+    const save = game.getSaves().find(s => s.id === characterId);
+    if (!save)
+        return;
+    const snapshot = save.snapshots?.find(s => s.turnCount === turnCount);
+    const laterMessages = (save.chatHistory?.length || 0) - (snapshot?.chatLength || 0);
+    const confirmed = await ui.showConfirmModal(`Rewind "${save.characterInfo.name}" to turn ${turnCount}? The ${laterMessages} message(s) after that point will be permanently discarded.`, 'Rewind Adventure');
+    if (!confirmed)
+        return;
+    try {
+        await game.rewindSave(characterId, turnCount);
+    }
+    catch (error) {
+        console.error("Failed to rewind save:", error);
+        alert(`The adventure could not be rewound. Error: ${error.message}`);
+        return;
+    }
+    await loadGame(characterId);
+}
+export async function forkGame(chatLength) {
+    const { currentCharacterId, characterInfo, isGenerating } = gameState.getState();
+    if (!currentCharacterId || !characterInfo || isGenerating)
+        return;
+    const confirmed = await ui.showConfirmModal(`Start a new branch of "${characterInfo.name}"'s story from this message? The current timeline will be kept in your save list.`, 'Fork Adventure');
+    if (!confirmed)
+        return;
+    if (!(await saveCurrentGame())) {
+        alert('The adventure could not be forked, because its latest progress could not be saved first.');
+        return;
+    }
+    let forkedSave;
+    try {
+        forkedSave = await game.forkSave(currentCharacterId, chatLength);
+    }
+    catch (error) {
+        console.error("Failed to fork save:", error);
+        alert(`The adventure could not be forked. Error: ${error.message}`);
+        return;
+    }
+    await loadGame(forkedSave.id);
+}
+export function exportGame(characterId) {
+    try {
+        const fileData = game.exportSave(characterId);
+        const safeName = fileData.save.characterInfo.name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'adventure';
+        const dateStamp = fileData.exportedAt.slice(0, 10);
+        ui.downloadJsonFile(`${safeName}-${dateStamp}.json`, fileData);
+    }
+    catch (error) {
+        console.error("Failed to export save:", error);
+        alert(`The adventure could not be exported. Error: ${error.message}`);
+    }
+}
+export async function importGame(file) {
+    let fileData;
+    try {
+        fileData = JSON.parse(await file.text());
+    }
+    catch (error) {
+        console.error("Failed to read save file:", error);
+        alert(`"${file.name}" is not a valid save file.`);
+        return;
+    }
+    try {
+        const { save: importedSave, repairs } = await game.importSave(fileData);
+        ui.displaySaveSlots(game.getSaves());
+        if (repairs.length > 0) {
+            console.warn(`Repaired imported save for "${importedSave.characterInfo.name}":`, repairs);
+            alert(`"${importedSave.characterInfo.name}" was imported from an older save and repaired:\n- ${repairs.join('\n- ')}`);
+        }
+    }
+    catch (error) {
+        console.error("Failed to import save:", error);
+        alert(`The adventure could not be imported. Error: ${error.message}`);
+    }
 }
\ No newline at end of file
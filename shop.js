@@ -0,0 +1,204 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { dom } from './dom.js';
+import * as ui from './ui.js';
+import * as dataManager from './data-manager.js';
+import { gameState } from './state-manager.js';
+import { saveCurrentGame, initializeChatSession } from './session-manager.js';
+import { createItem, addItem, getEncumbrance } from './inventory.js';
+import { toCopper, spendMoney, formatMoney, formatPrice, getPurseValue } from './currency.js';
+// This module runs trading with merchants. The storyteller offers items with `OFFER_ITEM` actions;
+// standard weapons, armor and magic items are priced here from their SRD rules, so only other goods
+// (and magic items whose rarity varies) keep the price the storyteller named. The player picks what to buy in the shop window, and the
+// purchase takes the coins and adds the items in a single state change.
+// --- CONSTANTS ---
+/** SRD prices of weapons and armor, keyed by their names in the SRD data. */
+const EQUIPMENT_PRICES = {
+    'club': '1 sp', 'dagger': '2 gp', 'greatclub': '2 sp', 'handaxe': '5 gp', 'javelin': '5 sp',
+    'light hammer': '2 gp', 'mace': '5 gp', 'quarterstaff': '2 sp', 'sickle': '1 gp', 'spear': '1 gp',
+    'crossbow, light': '25 gp', 'dart': '5 cp', 'shortbow': '25 gp', 'sling': '1 sp', 'battleaxe': '10 gp',
+    'flail': '10 gp', 'glaive': '20 gp', 'greataxe': '30 gp', 'greatsword': '50 gp', 'halberd': '20 gp',
+    'lance': '10 gp', 'longsword': '15 gp', 'maul': '10 gp', 'morningstar': '15 gp', 'pike': '5 gp',
+    'rapier': '25 gp', 'scimitar': '25 gp', 'shortsword': '10 gp', 'trident': '5 gp', 'war pick': '5 gp',
+    'warhammer': '15 gp', 'whip': '2 gp', 'blowgun': '10 gp', 'crossbow, hand': '75 gp',
+    'crossbow, heavy': '50 gp', 'longbow': '50 gp', 'net': '1 gp',
+    'padded': '5 gp', 'leather': '10 gp', 'studded leather': '45 gp', 'hide': '10 gp', 'chain shirt': '50 gp',
+    'scale mail': '50 gp', 'breastplate': '400 gp', 'half plate': '750 gp', 'ring mail': '30 gp',
+    'chain mail': '75 gp', 'splint': '200 gp', 'plate': '1500 gp', 'shield': '10 gp',
+};
+/** Prices of magic items by rarity, in gold pieces, at the top of each rarity's range. Artifacts aren't for sale. */
+const MAGIC_ITEM_PRICES = { 'common': 100, 'uncommon': 500, 'rare': 5000, 'very rare': 50000, 'legendary': 100000 };
+/** The rarity of a +1, +2 or +3 weapon or armor. */
+const ENHANCEMENT_RARITIES = ['', 'uncommon', 'rare', 'very rare'];
+/** Magic item types that are used up, which sell for half their rarity's price. */
+const CONSUMABLE_TYPES = /\b(?:potion|scroll|ammunition)\b/i;
+// --- MODULE STATE ---
+/** @type {{merchant: string, offers: {name: string, quantity: number, price: number}[]} | null} */
+let shop = null;
+// --- HELPERS ---
+/**
+ * Reads a magic item's rarity. Items whose rarity depends on their bonus, such as "uncommon (+1),
+ * rare (+2)", use the rarity of the bonus in the item's name.
+ * @param {string} rarityText The item's rarity, as the magic item data gives it.
+ * @param {number} enhancement The "+N" in the item's name, or 0.
+ * @returns {string | null} The lowercase rarity, or null if it can't be read.
+ */
+function readRarity(rarityText, enhancement) {
+    const text = String(rarityText || '').toLowerCase();
+    const rarities = 'very rare|uncommon|common|rare|legendary|artifact';
+    const forEnhancement = enhancement ? text.match(new RegExp(`(${rarities})\\s*\\(\\+${enhancement}\\)`)) : null;
+    return forEnhancement?.[1] || text.match(new RegExp(rarities))?.[0] || null;
+}
+/**
+ * Works out what one of an item sells for. SRD weapons, armor and magic items have a list price;
+ * anything else, and magic items whose rarity varies, costs what the merchant asks.
+ * @param {string} name The item's name.
+ * @param {number | null} askingPrice The merchant's price, in copper pieces, if they named one.
+ * @returns {number | null} The price in copper pieces, or null if the item can't be priced or isn't for sale.
+ */
+function getPrice(name, askingPrice) {
+    const item = createItem(name);
+    const basePrice = toCopper(EQUIPMENT_PRICES[(item.weapon || item.armor || '').toLowerCase()]);
+    const enhancement = parseInt(item.name.match(/\+(\d+)\b/)?.[1] || '0', 10);
+    const magicItemData = dataManager.getMagicItem(item.name);
+    if (magicItemData) {
+        const rarity = readRarity(magicItemData.rarity, enhancement);
+        if (rarity === 'artifact')
+            return null;
+        if (!MAGIC_ITEM_PRICES[rarity] && askingPrice !== null)
+            return askingPrice;
+        const goldPieces = MAGIC_ITEM_PRICES[rarity] || MAGIC_ITEM_PRICES.common;
+        return toCopper(CONSUMABLE_TYPES.test(magicItemData.type) ? goldPieces / 2 : goldPieces);
+    }
+    if (enhancement && basePrice !== null)
+        return basePrice + toCopper(MAGIC_ITEM_PRICES[ENHANCEMENT_RARITIES[Math.min(enhancement, 3)]]);
+    return basePrice ?? askingPrice;
+}
+/**
+ * Reads how many of each offered item the player has chosen in the shop window.
+ * @returns {{offer: {name: string, quantity: number, price: number}, quantity: number}[]} The chosen items.
+ */
+function readBasket() {
+    return shop.offers
+        .map((offer, index) => {
+            const input = /** @type {HTMLInputElement | null} */ (dom.shopItemList.querySelector(`input[data-offer="${index}"]`));
+            const quantity = Math.min(offer.quantity, Math.max(0, Math.floor(Number(input?.value) || 0)));
+            return { offer, quantity };
+        })
+        .filter(line => line.quantity > 0);
+}
+/**
+ * Shows the basket's total beside the player's money.
+ */
+function updateShopTotal() {
+    const { playerState } = gameState.getState();
+    const total = readBasket().reduce((sum, line) => sum + line.offer.price * line.quantity, 0);
+    const canAfford = getPurseValue(playerState.money) >= total;
+    dom.shopTotal.innerHTML = `<strong>Total:</strong> ${formatPrice(total)} &middot; <strong>Your money:</strong> ${formatMoney(playerState.money)}`;
+    dom.shopTotal.classList.toggle('penalty', !canAfford);
+    dom.shopBuyBtn.disabled = total === 0 || !canAfford;
+}
+/**
+ * Adds a note of what happened at the shop to the chat history, so the storyteller knows.
+ * @param {string} summary The note.
+ */
+async function recordInHistory(summary) {
+    const { chatHistory } = gameState.getState();
+    gameState.updateState({ chatHistory: [...chatHistory, { role: 'user', parts: [{ text: `(System: ${summary})` }] }] });
+    saveCurrentGame();
+    await initializeChatSession();
+}
+// --- PUBLIC API ---
+/**
+ * Prices an item a merchant offers.
+ * @param {any} proposal The offer: the item's `name` and optionally its `quantity` and asking `price`
+ *   (gold pieces, or text such as "5 sp").
+ * @returns {{name: string, quantity: number, price: number} | null} The offer, with the price of one
+ *   in copper pieces, or null if the item can't be priced.
+ */
+export function priceOffer(proposal) {
+    const name = String(proposal?.name || '').trim();
+    if (!name)
+        return null;
+    const price = getPrice(name, toCopper(proposal.price));
+    if (price === null || price < 0)
+        return null;
+    const quantity = Math.floor(Number(proposal.quantity));
+    return { name, quantity: Number.isFinite(quantity) && quantity > 0 ? quantity : 1, price };
+}
+/**
+ * Opens the shop window with a merchant's wares.
+ * @param {string} merchant Who is selling.
+ * @param {any[]} proposals The items on offer, as given to `priceOffer`.
+ * @returns {boolean} False if none of the items could be priced.
+ */
+export function openShop(merchant, proposals) {
+    const offers = proposals.map(priceOffer).filter(Boolean);
+    if (offers.length === 0)
+        return false;
+    shop = { merchant: merchant || 'Merchant', offers };
+    dom.shopModalTitle.textContent = shop.merchant;
+    dom.shopItemList.innerHTML = offers.map((offer, index) => `
+        <li class="shop-item">
+            <label for="shop-quantity-${index}">
+                <span class="shop-item-name">${offer.name}</span>
+                <span class="shop-item-price">${formatPrice(offer.price)}${offer.quantity > 1 ? ` each (${offer.quantity} for sale)` : ''}</span>
+            </label>
+            <input type="number" id="shop-quantity-${index}" data-offer="${index}" min="0" max="${offer.quantity}" value="0">
+        </li>`).join('');
+    dom.shopError.classList.add('hidden');
+    updateShopTotal();
+    dom.shopModal.classList.remove('hidden');
+    return true;
+}
+/**
+ * Refreshes the total when the player changes what's in the basket.
+ */
+export function handleShopInput() {
+    if (shop)
+        updateShopTotal();
+}
+/**
+ * Closes the shop window without buying anything.
+ */
+export function closeShop() {
+    shop = null;
+    dom.shopModal.classList.add('hidden');
+}
+/**
+ * Buys the items chosen in the shop window. The coins are paid and the items added together, or
+ * not at all.
+ * @param {Event} event The form submit event.
+ */
+export async function handleShopSubmit(event) {
+    event.preventDefault();
+    if (!shop)
+        return;
+    const { playerState, characterInfo } = gameState.getState();
+    const basket = readBasket();
+    const total = basket.reduce((sum, line) => sum + line.offer.price * line.quantity, 0);
+    const payment = spendMoney(playerState.money, total);
+    if (!payment.purse) {
+        dom.shopError.textContent = payment.error;
+        dom.shopError.classList.remove('hidden');
+        return;
+    }
+    const loadBefore = getEncumbrance(playerState);
+    let inventory = playerState.inventory;
+    basket.forEach(line => {
+        ({ inventory } = addItem(inventory, { name: line.offer.name, quantity: line.quantity }));
+    });
+    gameState.updatePlayerState({ money: payment.purse, inventory });
+    const merchant = shop.merchant;
+    closeShop();
+    const { playerState: updatedState } = gameState.getState();
+    ui.updatePlayerStateUI(updatedState, characterInfo);
+    const bought = basket.map(line => `${line.offer.name}${line.quantity > 1 ? ` ×${line.quantity}` : ''}`).join(', ');
+    ui.addEventMessage('money', `You paid ${formatPrice(total)} to ${merchant} for ${bought}.`);
+    const load = getEncumbrance(updatedState);
+    if (load.level !== loadBefore.level && load.level !== 'none')
+        ui.addEventMessage('item', `You are now ${load.level}, carrying ${load.carried} lb.`);
+    await recordInHistory(`I bought ${bought} from ${merchant} for ${formatPrice(total)}. I have ${formatMoney(updatedState.money)} left.`);
+}
@@ -0,0 +1,27 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { priceOffer } from './shop.js';
+// These tests check how merchants' offers are priced. The SRD data isn't loaded here, so every item
+// keeps the price the merchant asks. Run them with `npm test`.
+// --- PRICING ---
+test('prices an offer in copper pieces from the gold pieces the merchant asks', () => {
+    assert.deepEqual(priceOffer({ name: 'Silk ribbon', price: 2, quantity: 3 }), { name: 'Silk ribbon', quantity: 3, price: 200 });
+});
+test('reads an asking price given as coins', () => {
+    assert.deepEqual(priceOffer({ name: 'Bread', price: '2 cp' }), { name: 'Bread', quantity: 1, price: 2 });
+    assert.equal(priceOffer({ name: 'Lantern', price: '1 gp 5 sp' }).price, 150);
+});
+test('offers one of an item unless the merchant says otherwise', () => {
+    assert.equal(priceOffer({ name: 'Bread', price: 1, quantity: 0 }).quantity, 1);
+    assert.equal(priceOffer({ name: 'Bread', price: 1, quantity: 'a few' }).quantity, 1);
+});
+test('leaves out offers without a name or a price', () => {
+    assert.equal(priceOffer({ name: '  ', price: 1 }), null);
+    assert.equal(priceOffer({ name: 'Mysterious box' }), null);
+    assert.equal(priceOffer({ name: 'Mysterious box', price: 'whatever you can spare' }), null);
+    assert.equal(priceOffer(null), null);
+});
@@ -0,0 +1,267 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import * as dataManager from './data-manager.js';
+import { getAbilityModifierValue, DAMAGE_TYPES } from './rpg-helpers.js';
+// This module holds the spellcasting rules: which classes cast spells and with which ability,
+// how many spell slots a character has, which spells they can cast right now, and what a spell
+// does, read from the description text in the SRD spell data.
+// --- CONSTANTS ---
+/**
+ * The spellcasting classes. `progression` picks the slot table, and `preparation` says whether the
+ * class casts any spell it knows or has to prepare spells each day.
+ */
+const SPELLCASTING_CLASSES = {
+    bard: { ability: 'charisma', progression: 'full', preparation: 'known' },
+    cleric: { ability: 'wisdom', progression: 'full', preparation: 'prepared' },
+    druid: { ability: 'wisdom', progression: 'full', preparation: 'prepared' },
+    paladin: { ability: 'charisma', progression: 'half', preparation: 'prepared' },
+    ranger: { ability: 'wisdom', progression: 'half', preparation: 'known' },
+    sorcerer: { ability: 'charisma', progression: 'full', preparation: 'known' },
+    warlock: { ability: 'charisma', progression: 'pact', preparation: 'known' },
+    wizard: { ability: 'intelligence', progression: 'full', preparation: 'prepared' },
+};
+/**
+ * Spell slots per spell level for a full caster, indexed by class level - 1. Half casters use the
+ * row for half their level, rounded up.
+ */
+const FULL_CASTER_SLOTS = [
+    [2], [3], [4, 2], [4, 3], [4, 3, 2], [4, 3, 3], [4, 3, 3, 1], [4, 3, 3, 2], [4, 3, 3, 3, 1], [4, 3, 3, 3, 2],
+    [4, 3, 3, 3, 2, 1], [4, 3, 3, 3, 2, 1], [4, 3, 3, 3, 2, 1, 1], [4, 3, 3, 3, 2, 1, 1], [4, 3, 3, 3, 2, 1, 1, 1],
+    [4, 3, 3, 3, 2, 1, 1, 1], [4, 3, 3, 3, 2, 1, 1, 1, 1], [4, 3, 3, 3, 3, 1, 1, 1, 1], [4, 3, 3, 3, 3, 2, 1, 1, 1],
+    [4, 3, 3, 3, 3, 2, 2, 1, 1],
+];
+/** Cantrips known by class, indexed by class level - 1. */
+const CANTRIPS_KNOWN = {
+    bard: [2, 2, 2, 3, 3, 3, 3, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+    cleric: [3, 3, 3, 4, 4, 4, 4, 4, 4, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5],
+    druid: [2, 2, 2, 3, 3, 3, 3, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+    sorcerer: [4, 4, 4, 5, 5, 5, 5, 5, 5, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6, 6],
+    warlock: [2, 2, 2, 3, 3, 3, 3, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4, 4],
+    wizard: [3, 3, 3, 4, 4, 4, 4, 4, 4, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5, 5],
+};
+/**
+ * Leveled spells known by the classes that cast the spells they know, indexed by class level - 1.
+ * Wizards instead copy two spells into their spellbook each level.
+ */
+const SPELLS_KNOWN = {
+    bard: [4, 5, 6, 7, 8, 9, 10, 11, 12, 14, 15, 15, 16, 18, 19, 19, 20, 22, 22, 22],
+    ranger: [0, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11],
+    sorcerer: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 12, 13, 13, 14, 14, 15, 15, 15, 15],
+    warlock: [2, 3, 4, 5, 6, 7, 8, 9, 10, 10, 11, 11, 12, 12, 13, 13, 14, 14, 15, 15],
+};
+/** Spells a wizard adds to their spellbook on gaining a level. */
+const WIZARD_SPELLS_PER_LEVEL = 2;
+const DAMAGE_PATTERN = new RegExp(`(\\d+d\\d+(?:\\s*\\+\\s*\\d+)?)\\s+(${DAMAGE_TYPES.join('|')})\\s+damage`, 'i');
+const SAVE_PATTERN = /(strength|dexterity|constitution|intelligence|wisdom|charisma) saving throw/i;
+// --- HELPERS ---
+/**
+ * Works out how many slots of each spell level a class gets at a given level.
+ * @param {{progression: string}} caster The class's spellcasting entry.
+ * @param {number} level The character's level.
+ * @returns {{counts: number[], recovery: 'short' | 'long'}} Slot counts, where index 0 is 1st-level
+ *   slots, and the rest that restores them.
+ */
+function getSlotTable(caster, level) {
+    if (caster.progression === 'pact') {
+        const count = level >= 17 ? 4 : level >= 11 ? 3 : level >= 2 ? 2 : 1;
+        const slotLevel = Math.min(5, Math.ceil(level / 2));
+        const counts = Array(slotLevel).fill(0);
+        counts[slotLevel - 1] = count;
+        return { counts, recovery: 'short' };
+    }
+    if (caster.progression === 'half')
+        return { counts: level >= 2 ? FULL_CASTER_SLOTS[Math.ceil(level / 2) - 1] : [], recovery: 'long' };
+    return { counts: FULL_CASTER_SLOTS[Math.min(20, level) - 1] || [], recovery: 'long' };
+}
+/**
+ * Compares two spell names, ignoring case and stray whitespace.
+ * @param {string} a The first name.
+ * @param {string} b The second name.
+ * @returns {boolean} True if they name the same spell.
+ */
+function isSameSpell(a, b) {
+    return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+// --- PUBLIC API ---
+/**
+ * Returns a class's spellcasting rules.
+ * @param {string} characterClass The character's class name.
+ * @returns {{ability: string, progression: string, preparation: string} | null} The rules, or null for classes that don't cast spells.
+ */
+export function getSpellcastingClass(characterClass) {
+    return SPELLCASTING_CLASSES[characterClass?.toLowerCase()] || null;
+}
+/**
+ * Works out a character's spell slots for their level, carrying over the slots they have already
+ * spent. A slot level whose maximum grows (on levelling up) gains the difference.
+ * @param {string} characterClass The character's class name.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {Record<string, {current: number, max: number, recovery: 'short' | 'long'}>} The spell slots, keyed by spell level.
+ */
+export function buildSpellSlots(characterClass, playerState) {
+    const caster = getSpellcastingClass(characterClass);
+    if (!caster)
+        return {};
+    const { counts, recovery } = getSlotTable(caster, playerState.level);
+    const slots = {};
+    counts.forEach((max, index) => {
+        if (max <= 0)
+            return;
+        const existing = playerState.spellSlots?.[index + 1];
+        const current = existing ? Math.max(0, Math.min(max, existing.current + max - existing.max)) : max;
+        slots[index + 1] = { current, max, recovery };
+    });
+    return slots;
+}
+/**
+ * Works out the spells a class learns on reaching a level: new cantrips, new leveled spells (for
+ * classes that cast the spells they know, and wizards' spellbooks) and the highest spell level they
+ * can learn. Classes that prepare spells from their whole list learn no leveled spells.
+ * @param {string} characterClass The character's class name.
+ * @param {number} level The level being reached.
+ * @returns {{cantrips: number, spells: number, maxSpellLevel: number}} The spells to learn.
+ */
+export function getSpellsToLearn(characterClass, level) {
+    const caster = getSpellcastingClass(characterClass);
+    if (!caster || level < 2)
+        return { cantrips: 0, spells: 0, maxSpellLevel: 0 };
+    // Half casters have no slots before 2nd level, so their first spells come with their first slots.
+    const { counts } = getSlotTable(caster, Math.min(20, level));
+    if (counts.length === 0)
+        return { cantrips: 0, spells: 0, maxSpellLevel: 0 };
+    const key = characterClass.toLowerCase();
+    const gained = (table) => (table ? Math.max(0, (table[level - 1] || 0) - (table[level - 2] || 0)) : 0);
+    let spells = 0;
+    if (key === 'wizard')
+        spells = WIZARD_SPELLS_PER_LEVEL;
+    else if (caster.preparation === 'known')
+        spells = gained(SPELLS_KNOWN[key]);
+    return {
+        cantrips: gained(CANTRIPS_KNOWN[key]),
+        spells,
+        maxSpellLevel: counts.length,
+    };
+}
+/**
+ * Calculates a character's spell save DC and spell attack bonus. Characters without a spellcasting
+ * class (casting a racial spell, say) use their best mental ability.
+ * @param {string} characterClass The character's class name.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {{ability: string, modifier: number, saveDc: number, attackBonus: number}} The spellcasting numbers.
+ */
+export function getSpellcastingStats(characterClass, playerState) {
+    const scores = playerState.abilityScores;
+    const ability = getSpellcastingClass(characterClass)?.ability
+        || ['intelligence', 'wisdom', 'charisma'].reduce((best, key) => (scores[key] > scores[best] ? key : best));
+    const modifier = getAbilityModifierValue(scores[ability]);
+    return {
+        ability,
+        modifier,
+        saveDc: 8 + playerState.proficiencyBonus + modifier,
+        attackBonus: playerState.proficiencyBonus + modifier,
+    };
+}
+/**
+ * Returns how many spells a character can have prepared: their spellcasting modifier plus their
+ * level (half their level for paladins), and at least one.
+ * @param {string} characterClass The character's class name.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {number | null} The number of spells, or null for classes that don't prepare spells.
+ */
+export function getMaxPreparedSpells(characterClass, playerState) {
+    const caster = getSpellcastingClass(characterClass);
+    if (caster?.preparation !== 'prepared')
+        return null;
+    const levels = caster.progression === 'half' ? Math.floor(playerState.level / 2) : playerState.level;
+    return Math.max(1, getAbilityModifierValue(playerState.abilityScores[caster.ability]) + levels);
+}
+/**
+ * Looks up a spell's SRD data by name.
+ * @param {string} spellName The spell's name.
+ * @returns {any | undefined} The spell data, or undefined if there is none.
+ */
+export function findSpell(spellName) {
+    return dataManager.getSpell(String(spellName).trim().toLowerCase().replace(/[\s/]+/g, '-'));
+}
+/**
+ * Checks whether the character can cast a spell right now. Cantrips and the spells of classes that
+ * cast from what they know only need to be known; other classes must have the spell prepared.
+ * @param {string} characterClass The character's class name.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {any} spell The spell's SRD data.
+ * @returns {boolean} True if the spell is available.
+ */
+export function canCastSpell(characterClass, playerState, spell) {
+    const caster = getSpellcastingClass(characterClass);
+    const isKnown = (playerState.spellsKnown || []).some(name => isSameSpell(name, spell.name));
+    if (spell.level === 0 || caster?.preparation !== 'prepared')
+        return isKnown;
+    return (playerState.preparedSpells || []).some(name => isSameSpell(name, spell.name));
+}
+/**
+ * Finds the lowest spell slot with uses left at or above a spell level.
+ * @param {Record<string, {current: number}>} spellSlots The character's spell slots.
+ * @param {number} minimumLevel The lowest slot level the spell can use.
+ * @returns {number | null} The slot level, or null if every suitable slot is spent.
+ */
+export function findAvailableSlot(spellSlots, minimumLevel) {
+    const levels = Object.keys(spellSlots || {}).map(Number).filter(level => level >= minimumLevel && spellSlots[level].current > 0);
+    return levels.length > 0 ? Math.min(...levels) : null;
+}
+/**
+ * Reads what a spell does from its description: whether it needs a spell attack or a saving throw,
+ * the damage or healing it deals, and how that grows with a higher slot or, for cantrips, with the
+ * caster's level.
+ * @param {any} spell The spell's SRD data.
+ * @returns {{attack: 'melee' | 'ranged' | null, save: string | null, halfOnSave: boolean, damage: {dice: string, type: string} | null,
+ *   healing: {dice: string, addsModifier: boolean} | null, scaling: {count: number, sides: number} | null}} The spell's mechanics.
+ */
+export function parseSpellEffect(spell) {
+    const [baseText, higherText = ''] = String(spell.description || '').split(/At Higher Levels\.?/i);
+    const attack = baseText.match(/(melee|ranged) spell attack/i);
+    const save = baseText.match(SAVE_PATTERN);
+    const damage = baseText.match(DAMAGE_PATTERN);
+    const healing = baseText.match(/regains?[^.]*?(\d+d\d+)(\s*\+\s*your spellcasting ability modifier)?/i);
+    const scaling = (spell.level === 0 ? baseText : higherText).match(/increases by (\d+)d(\d+)/i);
+    return {
+        attack: attack ? /** @type {'melee' | 'ranged'} */ (attack[1].toLowerCase()) : null,
+        save: save ? save[1].toLowerCase() : null,
+        halfOnSave: /half as much damage/i.test(baseText),
+        damage: damage ? { dice: damage[1].replace(/\s+/g, ''), type: damage[2].toLowerCase() } : null,
+        healing: !damage && healing ? { dice: healing[1], addsModifier: !!healing[2] } : null,
+        scaling: scaling ? { count: Number(scaling[1]), sides: Number(scaling[2]) } : null,
+    };
+}
+/**
+ * Adds a spell's extra dice to its base dice. Leveled spells gain them for each slot level above
+ * the spell's own; cantrips gain them at character levels 5, 11 and 17.
+ * @param {string} baseDice The spell's base damage or healing dice.
+ * @param {ReturnType<typeof parseSpellEffect>['scaling']} scaling The dice the spell gains per step.
+ * @param {number} spellLevel The spell's level.
+ * @param {number} slotLevel The slot it is cast with.
+ * @param {number} characterLevel The caster's level.
+ * @returns {string} The dice to roll.
+ */
+export function scaleSpellDice(baseDice, scaling, spellLevel, slotLevel, characterLevel) {
+    if (!scaling)
+        return baseDice;
+    const steps = spellLevel === 0
+        ? [5, 11, 17].filter(threshold => characterLevel >= threshold).length
+        : slotLevel - spellLevel;
+    return steps > 0 ? `${baseDice}+${steps * scaling.count}d${scaling.sides}` : baseDice;
+}
+/**
+ * Picks a starting list of prepared spells for a class that prepares spells: the leveled spells
+ * the character already knows, up to the number they can prepare.
+ * @param {string} characterClass The character's class name.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @returns {string[]} The prepared spell names, empty for classes that don't prepare spells.
+ */
+export function choosePreparedSpells(characterClass, playerState) {
+    const limit = getMaxPreparedSpells(characterClass, playerState);
+    if (limit === null)
+        return [];
+    return (playerState.spellsKnown || []).filter(name => (findSpell(name)?.level ?? 0) > 0).slice(0, limit);
+}
@@ -0,0 +1,28 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSpellsToLearn } from './spellcasting.js';
+// These tests check the spells the level-up page offers against the class tables in the SRD. Run
+// them with `npm test`.
+// --- TESTS ---
+test('gives a 2nd-level ranger two 1st-level spells to learn', () => {
+    assert.deepEqual(getSpellsToLearn('Ranger', 2), { cantrips: 0, spells: 2, maxSpellLevel: 1 });
+});
+test('gives a 2nd-level paladin 1st-level spells to prepare but none to learn', () => {
+    assert.deepEqual(getSpellsToLearn('Paladin', 2), { cantrips: 0, spells: 0, maxSpellLevel: 1 });
+});
+test('gives half casters nothing before their first spell slots', () => {
+    const nothing = { cantrips: 0, spells: 0, maxSpellLevel: 0 };
+    assert.deepEqual(getSpellsToLearn('Ranger', 1), nothing);
+    assert.deepEqual(getSpellsToLearn('Paladin', 1), nothing);
+});
+test('reaches 2nd-level spells at ranger level 5 and 3rd-level spells at level 9', () => {
+    assert.equal(getSpellsToLearn('Ranger', 5).maxSpellLevel, 2);
+    assert.equal(getSpellsToLearn('Ranger', 9).maxSpellLevel, 3);
+});
+test('adds two spells to a wizard\'s spellbook and a cantrip at 4th level', () => {
+    assert.deepEqual(getSpellsToLearn('Wizard', 4), { cantrips: 1, spells: 2, maxSpellLevel: 2 });
+});
@@ -38,6 +38,11 @@ const initialState = {
     currentCharacterId: null,
     isInCombat: false,
     combatants: [],
+    combatRound: 0,
+    activeCombatantId: null,
+    actingCharacterId: 'player',
+    players: [],
+    activeSeatId: null,
     worldState: {},
 };
 /**
@@ -46,8 +51,10 @@ const initialState = {
  */
 class _GameStateManager {
     state;
+    listeners;
     constructor() {
         this.state = { ...initialState };
+        this.listeners = new Set();
     }
     /**
      * Returns a read-only snapshot of the current application state.
@@ -63,6 +70,17 @@ class _GameStateManager {
      */
     updateState(newState) {
         this.state = { ...this.state, ...newState };
+        this.listeners.forEach(listener => listener(this.state));
+    }
+    /**
+     * Registers a function to be called with the new state after every update, such as the online
+     * host sharing the game with its guests.
+     * @param {(state: Readonly<import("./types.js").GameState>) => void} listener The function to call.
+     * @returns {() => void} A function that unregisters the listener.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
     }
     /**
      * Specifically updates the nested `playerState` object using an immutable deep merge.
@@ -1,6 +1,6 @@
 
 // A robust, "network-first" for HTML & "cache-first" for assets service worker
-const CACHE_NAME = 'unfettered-storyteller-cache-v47'; // Bumped version to force update and reflect new strategy
+const CACHE_NAME = 'unfettered-storyteller-cache-v71'; // Bumped version to force update and reflect new strategy
 // List all the files that make up the app shell
 const dataFiles = [
     './data/spells-0-1.json', './data/spells-2-3.json', './data/spells-4-5.json', 
@@ -36,6 +36,19 @@ const urlsToCache = [
   './rag.js',
   './rpg-data.js',
   './rpg-helpers.js',
+  './save-store.js',
+  './save-migrations.js',
+  './commands.js',
+  './combat.js',
+  './spellcasting.js',
+  './conditions.js',
+  './party.js',
+  './hot-seat.js',
+  './inventory.js',
+  './magic-items.js',
+  './currency.js',
+  './shop.js',
+  './multiplayer.js',
   './services.js',
   './session-manager.js',
   './state-manager.js',
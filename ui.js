@@ -5,17 +5,94 @@
 import { dom } from './dom.js';
 import * as config from './config.js';
 import * as dataManager from './data-manager.js';
-import { getAbilityModifierValue, LEVEL_XP_THRESHOLDS } from './rpg-helpers.js';
+import { getAbilityModifierValue, getDamageModifiers, getPendingLevels } from './rpg-helpers.js';
+import { getSpellcastingStats } from './spellcasting.js';
+import { getEffectiveSpeed } from './conditions.js';
+import { findItem, formatItem, getEncumbrance } from './inventory.js';
+import { formatMoney } from './currency.js';
+import { isPartyCombatant } from './combat.js';
+import { isHotSeat } from './hot-seat.js';
+import { shareMessage } from './multiplayer.js';
 import * as characterCreator from './character-creator.js';
 import { gameState } from './state-manager.js';
+import { escapeHtml } from './utils.js';
 // --- UI HELPER FUNCTIONS ---
 function updateCoreStats(playerState, characterInfo) {
     dom.statsCharName.textContent = characterInfo.name;
     dom.statsLocation.textContent = playerState.location;
-    dom.statsHealth.textContent = `${playerState.health.current}/${playerState.health.max}`;
-    dom.statsMoney.textContent = `${playerState.money.amount} ${playerState.money.currency}`;
+    const tempHp = playerState.health.temp || 0;
+    dom.statsHealth.textContent = `${playerState.health.current}/${playerState.health.max}${tempHp > 0 ? ` (+${tempHp} temp)` : ''}`;
+    updateRestPools(playerState);
+    updateDefenses(playerState, characterInfo);
+    updateDyingStatus(playerState);
+    updateConditions(playerState);
+    dom.statsMoney.textContent = formatMoney(playerState.money);
     dom.statsExp.textContent = `${playerState.exp} XP`;
 }
+/**
+ * Shows the player's remaining hit dice and uses of limited class features, hiding the
+ * resources row for classes that have none.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ */
+function updateRestPools(playerState) {
+    const { hitDice } = playerState;
+    dom.statsHitDice.textContent = hitDice ? `${hitDice.current}/${hitDice.max} (d${hitDice.die})` : '--';
+    const resources = Object.entries(playerState.classResources || {});
+    dom.statsResources.classList.toggle('hidden', resources.length === 0);
+    dom.statsResourcesValue.textContent = resources.map(([name, r]) => `${name} ${r.current}/${r.max}`).join(', ');
+}
+/**
+ * Lists the player's damage resistances, vulnerabilities and immunities, hiding the row if there are none.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {import("./types.js").CharacterInfo} characterInfo The character's static info.
+ */
+function updateDefenses(playerState, characterInfo) {
+    const { resistances, vulnerabilities, immunities } = getDamageModifiers(playerState, characterInfo);
+    const parts = [
+        immunities.length > 0 ? `Immune: ${immunities.join(', ')}` : '',
+        resistances.length > 0 ? `Resist: ${resistances.join(', ')}` : '',
+        vulnerabilities.length > 0 ? `Vulnerable: ${vulnerabilities.join(', ')}` : '',
+    ].filter(Boolean);
+    dom.statsDefenses.classList.toggle('hidden', parts.length === 0);
+    dom.statsDefensesValue.textContent = parts.join('; ');
+}
+/**
+ * Lists the player's conditions and the spell they are concentrating on, hiding the row if there
+ * are none. Hovering over an SRD condition shows its rules.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ */
+function updateConditions(playerState) {
+    const items = (playerState.conditions || []).map(condition => {
+        const rules = dataManager.getCondition(condition.name)?.desc || '';
+        const label = condition.duration ? `${condition.name} (${condition.duration})` : condition.name;
+        return `<span class="condition" title="${rules.replace(/"/g, '&quot;')}">${label}</span>`;
+    });
+    if (playerState.concentration)
+        items.push(`<span class="condition concentration">Concentrating: ${playerState.concentration.spell}</span>`);
+    dom.statsConditions.classList.toggle('hidden', items.length === 0);
+    dom.statsConditionsList.innerHTML = items.join(', ');
+}
+/**
+ * Shows the death saving throw tally while the player is at 0 HP, and the game-over banner once they have died.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ */
+function updateDyingStatus(playerState) {
+    const isDown = playerState.health.current === 0 || !!playerState.isDead;
+    dom.statsDeathSaves.classList.toggle('hidden', !isDown);
+    dom.gameOverBanner.classList.toggle('hidden', !playerState.isDead);
+    if (!isDown)
+        return;
+    const { successes = 0, failures = 0, isStable = false } = playerState.deathSaves || {};
+    if (playerState.isDead) {
+        dom.statsDeathSavesValue.textContent = 'Dead';
+    }
+    else if (isStable) {
+        dom.statsDeathSavesValue.textContent = 'Stable (unconscious)';
+    }
+    else {
+        dom.statsDeathSavesValue.innerHTML = `<span class="death-save-successes">${'&#10003;'.repeat(successes)}${'&middot;'.repeat(3 - successes)}</span> <span class="death-save-failures">${'&#10007;'.repeat(failures)}${'&middot;'.repeat(3 - failures)}</span>`;
+    }
+}
 function updatePregnancyStatus(playerState, characterInfo) {
     let speedPenalty = 0;
     if (characterInfo.gender === 'female' && playerState.pregnancy?.isPregnant) {
@@ -41,12 +118,74 @@ function updatePregnancyStatus(playerState, characterInfo) {
     }
     return { speedPenalty };
 }
+/**
+ * Shows the player's spell save DC and attack bonus, their remaining spell slots, and their spells,
+ * marking the ones they have prepared.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {import("./types.js").CharacterInfo} characterInfo The character's static info.
+ */
+function updateSpellcasting(playerState, characterInfo) {
+    const spells = playerState.spellsKnown || [];
+    const prepared = (playerState.preparedSpells || []).map(name => name.toLowerCase());
+    const slots = Object.entries(playerState.spellSlots || {});
+    const isCaster = spells.length > 0 || slots.length > 0;
+    const { saveDc, attackBonus } = getSpellcastingStats(characterInfo.characterClass, playerState);
+    dom.statsSpellcasting.textContent = isCaster ? `DC ${saveDc} / ${attackBonus >= 0 ? '+' : ''}${attackBonus}` : '--';
+    dom.statsSpellSlots.textContent = slots.length > 0 ? slots.map(([level, slot]) => `L${level} ${slot.current}/${slot.max}`).join(', ') : '--';
+    const spellItems = [...spells, ...(playerState.preparedSpells || []).filter(name => !spells.some(known => known.toLowerCase() === name.toLowerCase()))]
+        .sort()
+        .map(spell => (prepared.includes(spell.toLowerCase()) ? `<li class="prepared" title="Prepared">${spell}</li>` : `<li>${spell}</li>`));
+    dom.statsSpellsKnown.innerHTML = spellItems.length > 0 ? spellItems.join('') : '<li>(None)</li>';
+}
+/**
+ * Renders a companion's entry in the party list: their class, level and vitals, then their description.
+ * @param {any} member The companion's sheet.
+ * @returns {string} The list item as HTML.
+ */
+function formatPartyMember(member) {
+    const status = member.isDead ? 'Dead' : (member.conditions || []).map(c => c.name).join(', ');
+    const tempHp = member.health.temp > 0 ? ` (+${member.health.temp})` : '';
+    return `<li class="${member.isDead || member.health.current === 0 ? 'downed' : ''}">
+        <strong>${member.name}</strong> <span class="party-stats">Lvl ${member.level} ${member.race} ${member.characterClass} &middot; HP ${member.health.current}/${member.health.max}${tempHp} &middot; AC ${member.armorClass}${status ? ` &middot; ${status}` : ''}</span>
+        ${member.description ? `<br><span class="party-description">${member.description}</span>` : ''}
+    </li>`;
+}
+/**
+ * Fills the picker that chooses whose actions the chat input issues, showing it only when the player
+ * has companions or shares the game with other players, and shows whose turn it is in the chat input.
+ * @param {import("./types.js").PlayerState} playerState The player's current state.
+ * @param {import("./types.js").CharacterInfo} characterInfo The character's static info.
+ */
+function updateActingCharacter(playerState, characterInfo) {
+    const party = playerState.party || [];
+    const { actingCharacterId, players, activeSeatId } = gameState.getState();
+    const hotSeat = isHotSeat(players);
+    const acting = party.find(member => member.id === actingCharacterId);
+    // In a hot-seat game every living player is listed, and picking one hands them the seat.
+    const playerOptions = hotSeat
+        ? players.filter(seat => seat.id === activeSeatId || !seat.playerState.isDead).map(seat => ({ id: seat.id, name: seat.characterInfo.name }))
+        : [{ id: 'player', name: characterInfo.name }];
+    dom.actingCharacter.classList.toggle('hidden', party.length === 0 && !hotSeat);
+    dom.actingCharacter.innerHTML = [...playerOptions, ...party.filter(member => !member.isDead)]
+        .map(character => `<option value="${character.id}">${character.name}</option>`)
+        .join('');
+    dom.actingCharacter.value = acting ? acting.id : (activeSeatId || 'player');
+    if (acting)
+        dom.chatInput.placeholder = `What does ${acting.name} do? (Type /help for commands)`;
+    else if (hotSeat)
+        dom.chatInput.placeholder = `${characterInfo.name}'s turn: what do you do? (Type /help for commands)`;
+    else
+        dom.chatInput.placeholder = 'What do you do? (Type /help for commands)';
+}
 function updateEquipmentAndLists(playerState) {
     dom.equipWeapon.textContent = playerState.equipment.weapon || 'None';
     dom.equipArmor.textContent = playerState.equipment.armor || 'None';
-    const createList = (items) => items.length > 0 ? items.map(item => `<li>${item}</li>`).join('') : '<li>(None)</li>';
-    dom.statsInventory.innerHTML = createList(playerState.inventory);
-    const partyItems = playerState.party.map(member => `<li><strong>${member.name}:</strong> ${member.description}</li>`);
+    const load = getEncumbrance(playerState);
+    dom.equipLoad.innerHTML = `${load.carried}/${load.capacity} lb.${load.level !== 'none' ? ` <span class="penalty">${load.level}${load.isOverCapacity ? ', over capacity' : ''}</span>` : ''}`;
+    dom.equipAttuned.textContent = `${playerState.inventory.filter(item => item.attuned).length}/${config.MAX_ATTUNED_ITEMS}`;
+    const inventoryItems = playerState.inventory.map(item => `<li>${formatItem(item)}</li>`);
+    dom.statsInventory.innerHTML = inventoryItems.length > 0 ? inventoryItems.join('') : '<li>(None)</li>';
+    const partyItems = playerState.party.map(formatPartyMember);
     dom.statsParty.innerHTML = partyItems.length > 0 ? partyItems.join('') : '<li>(None)</li>';
     const questItems = playerState.quests.map(quest => `<li><strong>${quest.name}:</strong> ${quest.description}</li>`);
     dom.statsQuests.innerHTML = questItems.length > 0 ? questItems.join('') : '<li>(None)</li>';
@@ -55,7 +194,7 @@ function updateCharacterDetails(playerState, characterInfo, speedPenalty) {
     dom.statsLevel.textContent = String(playerState.level);
     dom.statsProficiencyBonus.textContent = `+${playerState.proficiencyBonus}`;
     dom.statsAC.textContent = String(playerState.armorClass);
-    dom.statsSpeed.textContent = `${playerState.speed - speedPenalty} ft.`;
+    dom.statsSpeed.textContent = `${getEffectiveSpeed(playerState, playerState.speed - speedPenalty)} ft.`;
     dom.statsRace.textContent = characterInfo.race;
     dom.statsClass.textContent = characterInfo.characterClass;
     dom.statsBackground.textContent = characterInfo.background;
@@ -96,8 +235,42 @@ function createRegenerateButton() {
     button.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" height="18px" viewBox="0 0 24 24" width="18px" fill="currentColor"><path d="M0 0h24v24H0V0z" fill="none"/><path d="M12 6v3l4-4-4-4v3c-4.42 0-8 3.58-8 8 0 1.57.46 3.03 1.24 4.26L6.7 14.8c-.45-.83-.7-1.79-.7-2.8 0-3.31 2.69-6 6-6zm6.76 1.74L17.3 9.2c.44.84.7 1.79.7 2.8 0 3.31-2.69 6-6 6v-3l-4 4 4 4v-3c4.42 0-8 3.58-8-8 0-1.57-.46-3.03-1.24-4.26z"/></svg> Regenerate`;
     return button;
 }
+/**
+ * Renders the per-term breakdown of a dice roll, showing every die with dropped,
+ * rerolled and exploded dice marked.
+ * @param {any[]} terms The `terms` array from `rollDice`.
+ * @returns {string} The breakdown as HTML.
+ */
+function formatDiceTerms(terms) {
+    return terms.map((term, index) => {
+        const sign = term.sign < 0 ? '- ' : (index > 0 ? '+ ' : '');
+        if (term.type === 'constant')
+            return `${sign}${term.value}`;
+        const dice = term.dice.map(die => {
+            const classes = ['die', die.dropped ? 'die-dropped' : '', die.exploded ? 'die-exploded' : '', die.value === term.sides ? 'die-max' : '', die.value === 1 ? 'die-min' : ''].filter(Boolean).join(' ');
+            const title = die.rerolled.length > 0 ? ` title="Rerolled from ${die.rerolled.join(', ')}"` : '';
+            return `<span class="${classes}"${title}>${die.value}</span>`;
+        }).join('');
+        return `${sign}<span class="dice-term">${dice} <span class="dice-term-notation">(${term.notation})</span></span>`;
+    }).join(' ');
+}
 // --- EXPORTED UI FUNCTIONS ---
-export function addMessage(sender, content) {
+/**
+ * Marks a DM message with its position in the chat history and adds a button for forking the story from it.
+ * @param {HTMLElement} dmMessageElement The rendered DM message.
+ * @param {number} historyLength The length of the chat history up to and including this message.
+ */
+export function addForkButton(dmMessageElement, historyLength) {
+    dmMessageElement.querySelector('.fork-btn')?.remove();
+    dmMessageElement.dataset.historyLength = String(historyLength);
+    const button = document.createElement('button');
+    button.className = 'fork-btn action-btn';
+    button.title = 'Start a new branch of the story from this message';
+    button.dataset.historyLength = String(historyLength);
+    button.innerHTML = `<svg xmlns="http://www.w3.org/2000/svg" height="18px" viewBox="0 0 24 24" width="18px" fill="currentColor"><path d="M0 0h24v24H0V0z" fill="none"/><path d="M14 4l2.29 2.29-2.88 2.88 1.42 1.42 2.88-2.88L20 10V4h-6zm-4 0H4v6l2.29-2.29 4.71 4.7V20h2v-8.41l-5.29-5.3L10 4z"/></svg> Fork`;
+    dmMessageElement.appendChild(button);
+}
+export function addMessage(sender, content, author = null) {
     const messageElement = document.createElement('div');
     messageElement.classList.add('message');
     let messageHtml = '';
@@ -106,10 +279,17 @@ export function addMessage(sender, content) {
         messageElement.classList.add('dice-roll-message');
         const modifierSign = diceContent.modifier >= 0 ? '+' : '-';
         let breakdown = `Rolled ${diceContent.roll} (d${diceContent.dieValue}) ${modifierSign} ${Math.abs(diceContent.modifier)}`;
-        if (diceContent.allRolls.length > 1) {
+        if (diceContent.terms?.length > 0) {
+            breakdown = `Rolled ${formatDiceTerms(diceContent.terms)}`;
+        }
+        else if (diceContent.allRolls.length > 1) {
             breakdown = `Rolled ${diceContent.roll} from [${diceContent.allRolls.join(', ')}] (d${diceContent.dieValue}) ${modifierSign} ${Math.abs(diceContent.modifier)}`;
         }
-        messageHtml = `<span class="dice-title">${diceContent.description}</span><span class="dice-result">${diceContent.total}</span><span class="dice-breakdown">${breakdown}</span>`;
+        messageHtml = `<span class="dice-title">${escapeHtml(diceContent.description)}</span><span class="dice-result">${diceContent.total}</span><span class="dice-breakdown">${breakdown}</span>`;
+        if (typeof diceContent.dc === 'number') {
+            messageHtml += `<div class="roll-verdict ${diceContent.succeeded ? 'success' : 'failure'}">${diceContent.succeeded ? 'SUCCESS' : 'FAILURE'} (DC ${diceContent.dc})</div>`;
+            messageElement.dataset.dc = String(diceContent.dc);
+        }
         if (diceContent.rollModifier === 'ADVANTAGE') {
             messageHtml += `<span class="advantage-notice">Rolled with Advantage</span>`;
         }
@@ -128,11 +308,21 @@ export function addMessage(sender, content) {
         const attackBonusSign = attackContent.attackBonus >= 0 ? '+' : '-';
         const damageBonusSign = attackContent.damageBonus >= 0 ? '+' : '-';
         let attackBreakdown = `${attackContent.attackRoll} (d20) ${attackBonusSign} ${Math.abs(attackContent.attackBonus)}`;
-        if (attackContent.allRolls.length > 1) {
+        if (attackContent.attackTerms?.length > 0) {
+            attackBreakdown = formatDiceTerms(attackContent.attackTerms);
+        }
+        else if (attackContent.allRolls.length > 1) {
             attackBreakdown = `${attackContent.attackRoll} from [${attackContent.allRolls.join(', ')}] (d20) ${attackBonusSign} ${Math.abs(attackContent.attackBonus)}`;
         }
+        let damageBreakdown = `${attackContent.damageRoll} (${attackContent.damageDice}) ${damageBonusSign} ${Math.abs(attackContent.damageBonus)}`;
+        if (attackContent.outcome === 'miss') {
+            damageBreakdown = 'No damage on a miss';
+        }
+        else if (attackContent.damageTerms?.length > 0) {
+            damageBreakdown = `${formatDiceTerms(attackContent.damageTerms)} ${damageBonusSign} ${Math.abs(attackContent.damageBonus)}`;
+        }
         messageHtml = `
-        <span class="attack-title">${attackContent.description}</span>
+        <span class="attack-title">${escapeHtml(attackContent.description)}</span>
         <div class="attack-results">
             <div class="result-box">
                 <span class="result-label">Attack</span>
@@ -142,13 +332,17 @@ export function addMessage(sender, content) {
             <div class="result-box">
                 <span class="result-label">Damage</span>
                 <span class="result-value">${attackContent.totalDamage}</span>
-                <span class="result-breakdown">${attackContent.damageRoll} (${attackContent.damageDice}) ${damageBonusSign} ${Math.abs(attackContent.damageBonus)}</span>
+                <span class="result-breakdown">${damageBreakdown}</span>
             </div>
         </div>
     `;
         if (attackContent.isCritical) {
             messageHtml += `<div class="critical-hit">CRITICAL HIT!</div>`;
         }
+        else if (attackContent.outcome === 'hit' || attackContent.outcome === 'miss') {
+            const acText = typeof attackContent.targetAc === 'number' ? ` (AC ${attackContent.targetAc})` : '';
+            messageHtml += `<div class="attack-outcome ${attackContent.outcome}">${attackContent.outcome === 'hit' ? 'HIT' : 'MISS'}${acText}</div>`;
+        }
         if (attackContent.rollModifier === 'ADVANTAGE') {
             messageHtml += `<span class="advantage-notice">Rolled with Advantage</span>`;
         }
@@ -159,11 +353,21 @@ export function addMessage(sender, content) {
     else {
         messageElement.classList.add(`${sender}-message`);
         const textContent = (typeof content === 'string') ? content : '';
-        messageHtml = textContent.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>').replace(/\*(.*?)\*/g, '<em>$1</em>').replace(/\n/g, '<br>');
+        // What a player types, here or as an online guest, is shown as text; only its emphasis is formatted.
+        const safeText = sender === 'user' ? escapeHtml(textContent) : textContent;
+        messageHtml = safeText.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>').replace(/\*(.*?)\*/g, '<em>$1</em>').replace(/\n/g, '<br>');
+    }
+    // Messages from the acting character are headed with their name when it isn't the solo player.
+    if (author) {
+        messageElement.dataset.author = author;
+        messageHtml = `<span class="message-author">${escapeHtml(author)}</span>${messageHtml}`;
     }
     messageElement.innerHTML = messageHtml;
     dom.chatLog.appendChild(messageElement);
     scrollToBottom();
+    // A streamed reply starts empty and is shared once it is complete.
+    if (content)
+        shareMessage({ sender, content, author });
     return messageElement;
 }
 export function addEventMessage(type, details) {
@@ -177,6 +381,24 @@ export function addEventMessage(type, details) {
         case 'xp':
             iconSvg = `<svg class="event-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M12 17.27L18.18 21l-1.64-7.03L22 9.24l-7.19-.61L12 2L9.19 8.63L2 9.24l5.46 4.73L5.82 21L12 17.27z"/></svg>`;
             break;
+        case 'heal':
+            iconSvg = `<svg class="event-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M12 21.35l-1.45-1.32C5.4 15.36 2 12.28 2 8.5 2 5.42 4.42 3 7.5 3c1.74 0 3.41.81 4.5 2.09C13.09 3.81 14.76 3 16.5 3 19.58 3 22 5.42 22 8.5c0 3.78-3.4 6.86-8.55 11.54L12 21.35z"/></svg>`;
+            break;
+        case 'damage':
+            iconSvg = `<svg class="event-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M7 2v11h3v9l7-12h-4l4-8z"/></svg>`;
+            break;
+        case 'temp-hp':
+            iconSvg = `<svg class="event-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M12 1L3 5v6c0 5.55 3.84 10.74 9 12 5.16-1.26 9-6.45 9-12V5l-9-4z"/></svg>`;
+            break;
+        case 'rest':
+            iconSvg = `<svg class="event-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M12.34 2.02C6.59 1.82 2 6.42 2 12c0 5.52 4.48 10 10 10 3.71 0 6.93-2.02 8.66-5.02-7.51-.25-12.09-8.43-8.32-14.96z"/></svg>`;
+            break;
+        case 'party':
+            iconSvg = `<svg class="event-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M16 11c1.66 0 2.99-1.34 2.99-3S17.66 5 16 5c-1.66 0-3 1.34-3 3s1.34 3 3 3zm-8 0c1.66 0 2.99-1.34 2.99-3S9.66 5 8 5C6.34 5 5 6.34 5 8s1.34 3 3 3zm0 2c-2.33 0-7 1.17-7 3.5V19h14v-2.5c0-2.33-4.67-3.5-7-3.5zm8 0c-.29 0-.62.02-.97.05 1.16.84 1.97 1.97 1.97 3.45V19h6v-2.5c0-2.33-4.67-3.5-7-3.5z"/></svg>`;
+            break;
+        case 'condition':
+            iconSvg = `<svg class="event-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/></svg>`;
+            break;
         case 'money':
             iconSvg = `<svg class="event-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><path d="M15 15H9v-2H7v2H5v2h2v2h2v-2h2v2h2v-2h2v-2h-2v-2zm0-4.5c0-1.38-1.12-2.5-2.5-2.5S10 9.12 10 10.5H8.5c0-2.21 1.79-4 4-4s4 1.79 4 4v.5h-2V10.5zm-5 0c0-1.38-1.12-2.5-2.5-2.5S5 9.12 5 10.5H3.5c0-2.21 1.79-4 4-4s4 1.79 4 4v.5h-2V10.5z"/></svg>`;
             break;
@@ -184,6 +406,7 @@ export function addEventMessage(type, details) {
     messageElement.innerHTML = `${iconSvg}<span>${details}</span>`;
     dom.chatLog.appendChild(messageElement);
     scrollToBottom();
+    shareMessage({ event: type, details });
 }
 export function setLoading(isLoading, showSpinner = isLoading) {
     dom.loadingIndicator.classList.toggle('hidden', !showSpinner);
@@ -206,53 +429,40 @@ export function updatePlayerStateUI(playerState, characterInfo) {
     updateCoreStats(playerState, characterInfo);
     const { speedPenalty } = updatePregnancyStatus(playerState, characterInfo);
     updateEquipmentAndLists(playerState);
-    updateCharacterDetails(playerState, characterInfo, speedPenalty);
+    updateActingCharacter(playerState, characterInfo);
+    updateCharacterDetails(playerState, characterInfo, speedPenalty + getEncumbrance(playerState).speedPenalty);
     updateAbilityScores(playerState);
     updateProficiencyLists(playerState);
-    // Update spells
-    if (playerState.spellsKnown && playerState.spellsKnown.length > 0) {
-        dom.statsSpellsKnown.innerHTML = [...playerState.spellsKnown].sort().map(spell => `<li>${spell}</li>`).join('');
-    }
-    else {
-        dom.statsSpellsKnown.innerHTML = '<li>(None)</li>';
-    }
+    updateSpellcasting(playerState, characterInfo);
     // Check for level up
-    if (playerState.level < 20) {
-        const currentLevel = playerState.level;
-        const currentXp = playerState.exp;
-        let highestAttainableLevel = currentLevel;
-        for (let level = currentLevel + 1; level <= 20; level++) {
-            const xpNeeded = LEVEL_XP_THRESHOLDS[level - 1];
-            if (xpNeeded !== undefined && currentXp >= xpNeeded) {
-                highestAttainableLevel = level;
-            }
-            else {
-                break;
-            }
-        }
-        const levelsToGain = highestAttainableLevel - currentLevel;
-        const canLevelUp = levelsToGain > 0;
-        dom.levelUpBtn.classList.toggle('hidden', !canLevelUp);
-        if (canLevelUp) {
-            dom.levelUpBtn.textContent = (levelsToGain > 1) ? `Level Up! (${levelsToGain} levels)` : 'Level Up!';
-        }
-    }
-    else {
-        dom.levelUpBtn.classList.add('hidden');
+    const levelsToGain = getPendingLevels(playerState);
+    dom.levelUpBtn.classList.toggle('hidden', levelsToGain === 0);
+    if (levelsToGain > 0) {
+        dom.levelUpBtn.textContent = (levelsToGain > 1) ? `Level Up! (${levelsToGain} levels)` : 'Level Up!';
     }
 }
 export function clearPlayerStatsUI() {
     dom.statsCharName.textContent = 'Character';
     dom.statsLocation.textContent = 'Unknown';
     dom.statsHealth.textContent = '--/--';
+    dom.statsDeathSaves.classList.add('hidden');
+    dom.statsDefenses.classList.add('hidden');
+    dom.statsConditions.classList.add('hidden');
+    dom.statsHitDice.textContent = '--';
+    dom.statsResources.classList.add('hidden');
+    dom.gameOverBanner.classList.add('hidden');
     dom.statsMoney.textContent = '--';
     dom.statsExp.textContent = '--';
     dom.statsPregnancyStatus.classList.add('hidden');
     dom.equipWeapon.textContent = 'None';
     dom.equipArmor.textContent = 'None';
+    dom.equipLoad.textContent = '--';
+    dom.equipAttuned.textContent = '--';
     dom.statsInventory.innerHTML = '<li>(Empty)</li>';
     dom.statsQuests.innerHTML = '<li>(None)</li>';
     dom.statsParty.innerHTML = '<li>(None)</li>';
+    dom.actingCharacter.classList.add('hidden');
+    dom.chatInput.placeholder = 'What do you do? (Type /help for commands)';
     dom.statsLevel.textContent = '';
     dom.statsProficiencyBonus.textContent = '';
     dom.statsAC.textContent = '';
@@ -279,6 +489,8 @@ export function clearPlayerStatsUI() {
     dom.statsRacialTraits.innerHTML = '<li>(None)</li>';
     dom.statsClassFeatures.innerHTML = '<li>(None)</li>';
     dom.statsSpellsKnown.innerHTML = '<li>(None)</li>';
+    dom.statsSpellcasting.textContent = '--';
+    dom.statsSpellSlots.textContent = '--';
     dom.levelUpBtn.classList.add('hidden');
 }
 export function displayStoryHooks(hooks, startAdventureCallback) {
@@ -307,21 +519,59 @@ export function displaySaveSlots(allSaves) {
         dom.saveSlotsList.innerHTML = '<p class="no-saves">No adventures saved yet. Time to start one!</p>';
     }
     else {
+        const saveIds = new Set(allSaves.map(save => save?.id));
+        const childrenByParent = new Map();
         allSaves.forEach(save => {
+            const parentId = save?.parentId && saveIds.has(save.parentId) ? save.parentId : null;
+            if (!childrenByParent.has(parentId))
+                childrenByParent.set(parentId, []);
+            childrenByParent.get(parentId).push(save);
+        });
+        // Walk the branch tree depth-first so every fork is listed directly beneath the adventure it came from.
+        const orderedSaves = [];
+        const visit = (parentId, depth) => {
+            (childrenByParent.get(parentId) || []).forEach(save => {
+                orderedSaves.push({ save, depth });
+                visit(save.id, depth + 1);
+            });
+        };
+        visit(null, 0);
+        orderedSaves.forEach(({ save, depth }) => {
             if (!save || !save.characterInfo || !save.playerState) {
                 console.warn('Skipping rendering of a malformed save slot:', save);
                 return;
             }
             const card = document.createElement('div');
-            card.className = 'save-slot-card';
+            card.className = depth > 0 ? 'save-slot-card save-slot-branch' : 'save-slot-card';
+            card.style.setProperty('--branch-depth', String(depth));
+            const branchHtml = depth > 0 ? `
+                    <p class="save-slot-branch-label">Branch from turn ${escapeHtml(save.forkedAt?.turnCount ?? '?')}</p>` : '';
+            const snapshots = Array.isArray(save.snapshots) ? [...save.snapshots].reverse() : [];
+            const historyHtml = snapshots.length > 0 ? `
+                    <details class="save-slot-history">
+                        <summary>Rewind (${snapshots.length} autosave${snapshots.length === 1 ? '' : 's'})</summary>
+                        <ul>
+                            ${snapshots.map(snapshot => `
+                            <li>
+                                <span>Turn ${escapeHtml(snapshot.turnCount)} &middot; ${escapeHtml(snapshot.playerState?.location || 'Unknown')} &middot; HP ${escapeHtml(snapshot.playerState?.health?.current ?? '?')}/${escapeHtml(snapshot.playerState?.health?.max ?? '?')} &middot; ${escapeHtml(new Date(snapshot.savedAt).toLocaleString())}</span>
+                                <button class="rewind-btn secondary" data-id="${escapeHtml(save.id)}" data-turn="${escapeHtml(snapshot.turnCount)}">Rewind</button>
+                            </li>`).join('')}
+                        </ul>
+                    </details>` : '';
+            const statusHtml = save.playerState.isDead
+                ? ' <span class="save-slot-status fallen">Fallen</span>'
+                : (save.playerState.health?.current === 0 ? ' <span class="save-slot-status">Unconscious</span>' : '');
+            const playersHtml = isHotSeat(save.players) ? `
+                    <p>Hot-seat: ${save.players.map(seat => escapeHtml(seat.characterInfo?.name)).join(', ')}</p>` : '';
             card.innerHTML = `
                 <div class="save-slot-info">
-                    <h4>${save.characterInfo.name}</h4>
-                    <p>Level ${save.playerState.level} ${save.characterInfo.race} ${save.characterInfo.characterClass}</p>
+                    <h4>${escapeHtml(save.characterInfo.name)}${statusHtml}</h4>
+                    <p>Level ${escapeHtml(save.playerState.level ?? '?')} ${escapeHtml(save.characterInfo.race)} ${escapeHtml(save.characterInfo.characterClass)}</p>${playersHtml}${branchHtml}${historyHtml}
                 </div>
                 <div class="save-slot-actions">
-                    <button class="load-btn" data-id="${save.id}">Load</button>
-                    <button class="delete-btn" data-id="${save.id}">Delete</button>
+                    <button class="load-btn" data-id="${escapeHtml(save.id)}">Load</button>
+                    <button class="export-btn secondary" data-id="${escapeHtml(save.id)}">Export</button>
+                    <button class="delete-btn" data-id="${escapeHtml(save.id)}">Delete</button>
                 </div>
             `;
             dom.saveSlotsList.appendChild(card);
@@ -329,6 +579,22 @@ export function displaySaveSlots(allSaves) {
     }
     dom.loadGameModal.classList.remove('hidden');
 }
+/**
+ * Offers a JSON object to the user as a file download.
+ * @param {string} filename The suggested file name.
+ * @param {any} data The data to serialize.
+ */
+export function downloadJsonFile(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
 export function showCharacterCreation() {
     dom.characterCreationModal.classList.remove('hidden');
     characterCreator.resetPointBuy();
@@ -347,6 +613,26 @@ export function showSettings(settings) {
         dom.apiKeyInput.focus();
     }
 }
+/**
+ * Opens the online play form, to host the game in progress or to join someone else's.
+ * @param {'host' | 'join'} mode Whether this browser hosts or joins.
+ * @param {string} relayUrl The relay server to offer.
+ */
+export function showOnlineModal(mode, relayUrl) {
+    const isHosting = mode === 'host';
+    dom.onlineForm.dataset.mode = mode;
+    dom.onlineModalTitle.textContent = isHosting ? 'Host Online' : 'Join Online Game';
+    dom.onlineModalHint.textContent = isHosting
+        ? 'Friends join from the start screen with the relay address and this room code. Add their characters with Add Player first.'
+        : "Enter the host's relay address and room code, and the name of the character the host added for you.";
+    dom.onlineNameGroup.classList.toggle('hidden', isHosting);
+    dom.onlineNameInput.required = !isHosting;
+    dom.relayUrlInput.value = relayUrl;
+    if (isHosting && !dom.roomCodeInput.value)
+        dom.roomCodeInput.value = Math.random().toString(36).slice(2, 7).toUpperCase();
+    dom.onlineModal.classList.remove('hidden');
+    (isHosting ? dom.roomCodeInput : dom.onlineNameInput).focus();
+}
 export function updateRagStatus(status, message) {
     if (!dom.ragStatus || !dom.buildRagBtn)
         return;
@@ -430,10 +716,19 @@ export function displayActionChoices(choices) {
             button.dataset.weaponName = choice.weaponName;
             button.dataset.targetDescription = choice.targetDescription;
         }
+        else if (choice.type === 'spell') {
+            button.textContent = `Cast ${choice.spellName}${choice.targetDescription ? ` on ${choice.targetDescription}` : ''}${choice.slotLevel ? ` (level ${choice.slotLevel})` : ''}`;
+            button.dataset.spellName = choice.spellName;
+            button.dataset.targetDescription = choice.targetDescription;
+            if (choice.slotLevel)
+                button.dataset.slotLevel = choice.slotLevel;
+        }
         else { // 'roll'
-            button.textContent = `${choice.skillOrAbility}: ${choice.description}`;
+            button.textContent = `${choice.skillOrAbility}: ${choice.description}${choice.dc ? ` (DC ${choice.dc})` : ''}`;
             button.dataset.skillOrAbility = choice.skillOrAbility;
             button.dataset.description = choice.description;
+            if (choice.dc)
+                button.dataset.dc = choice.dc;
         }
         if (choice.modifier && choice.modifier !== 'NONE') {
             button.textContent += ` (${choice.modifier})`;
@@ -444,6 +739,34 @@ export function displayActionChoices(choices) {
     dom.chatLog.appendChild(container);
     scrollToBottom();
 }
+/**
+ * Asks the host which character an online guest plays. The request is only shown to the host.
+ * @param {string} guestName The guest's name.
+ * @param {any[]} seats The characters the guest can be given.
+ * @param {(seat: any | null) => void} onChoose Called with the chosen seat, or null if the guest only watches.
+ * @returns {HTMLElement} The request, so it can be withdrawn if the guest leaves first.
+ */
+export function displaySeatRequest(guestName, seats, onChoose) {
+    const container = document.createElement('div');
+    container.className = 'seat-request-container';
+    const title = document.createElement('p');
+    title.className = 'roll-choice-title';
+    title.textContent = `Which character does ${guestName} play?`;
+    container.appendChild(title);
+    [...seats, null].forEach(seat => {
+        const button = document.createElement('button');
+        button.className = 'seat-choice-btn';
+        button.textContent = seat ? seat.characterInfo.name : 'None, they only watch';
+        button.addEventListener('click', () => {
+            container.remove();
+            onChoose(seat);
+        });
+        container.appendChild(button);
+    });
+    dom.chatLog.appendChild(container);
+    scrollToBottom();
+    return container;
+}
 export function addPostResponseButtons(dmMessageElement) {
     const prevSibling = dmMessageElement.previousElementSibling;
     if (prevSibling && prevSibling.classList.contains('user-message')) {
@@ -454,6 +777,27 @@ export function addPostResponseButtons(dmMessageElement) {
         dmMessageElement.insertAdjacentElement('afterend', buttonContainer);
     }
 }
+/**
+ * Shows autocomplete suggestions for a slash command above the chat input.
+ * @param {{value: string, label: string, description: string}[]} suggestions The suggestions to list.
+ * @param {number} activeIndex The index of the highlighted suggestion.
+ */
+export function showCommandSuggestions(suggestions, activeIndex) {
+    const list = dom.commandSuggestions;
+    if (suggestions.length === 0) {
+        hideCommandSuggestions();
+        return;
+    }
+    list.innerHTML = suggestions.map((suggestion, index) => `
+        <li role="option" class="${index === activeIndex ? 'active' : ''}" data-value="${suggestion.value}" aria-selected="${index === activeIndex}">
+            ${suggestion.label}${suggestion.description ? `<span class="suggestion-description">${suggestion.description}</span>` : ''}
+        </li>`).join('');
+    list.classList.remove('hidden');
+}
+export function hideCommandSuggestions() {
+    dom.commandSuggestions.classList.add('hidden');
+    dom.commandSuggestions.innerHTML = '';
+}
 export function showConfirmModal(text, title = 'Confirm Action') {
     return new Promise((resolve) => {
         dom.confirmModalTitle.textContent = title;
@@ -527,7 +871,7 @@ export function showCharacterSheetModal() {
             return '';
         return `<h4>${title}</h4><ul>${items.map(item => `<li class="cs-list-item" data-type="${dataType}" data-name="${item}">${item}</li>`).join('')}</ul>`;
     };
-    const allEquipment = [...new Set([playerState.equipment.weapon, playerState.equipment.armor, ...playerState.inventory])].filter(i => i && i.toLowerCase() !== 'none' && i.toLowerCase() !== '(empty)');
+    const allEquipment = [...new Set(playerState.inventory.map(item => item.name))];
     listHtml += renderClickableList('Racial Traits', playerState.racialTraits, 'trait');
     listHtml += renderClickableList('Class Features', playerState.classFeatures, 'feature');
     listHtml += renderClickableList('Feats', playerState.feats, 'feat');
@@ -566,15 +910,13 @@ export function displayCharacterSheetDetail(itemElement) {
             itemData = dataManager.getSpell(name.toLowerCase().replace(/[\s/]+/g, '-'));
             break;
         case 'equipment':
-            const weapons = dataManager.getWeapons();
-            const armors = dataManager.getArmor();
-            const normalizedName = name.toLowerCase();
-            const weaponKey = Object.keys(weapons).find(k => normalizedName.includes(k));
-            const armorKey = Object.keys(armors).find(k => normalizedName.includes(k));
-            if (weaponKey)
-                itemData = weapons[weaponKey];
-            else if (armorKey)
-                itemData = armors[armorKey];
+            const item = findItem(playerState.inventory, name);
+            if (item?.magicItem)
+                itemData = dataManager.getMagicItem(item.name);
+            else if (item?.weapon)
+                itemData = dataManager.getWeapons()[item.weapon.toLowerCase()];
+            else if (item?.armor)
+                itemData = dataManager.getArmor()[item.armor.toLowerCase()];
             if (!itemData)
                 itemData = { name: name, desc: 'No detailed information available for this item.' };
             break;
@@ -606,13 +948,22 @@ export function displayCharacterSheetDetail(itemElement) {
                 <li><strong>Category:</strong> ${itemData.category}</li>
             </ul>`;
         }
+        if (type === 'equipment' && itemData.rarity) { // Magic item
+            html += `<ul>
+                <li><strong>Type:</strong> ${itemData.type}</li>
+                <li><strong>Rarity:</strong> ${itemData.rarity}</li>
+            </ul>`;
+        }
+        const ownedItem = type === 'equipment' ? findItem(playerState.inventory, name) : null;
+        if (ownedItem)
+            html += `<p><strong>Carrying:</strong> ${ownedItem.quantity} × ${ownedItem.weight} lb.${ownedItem.equipped ? ' (equipped)' : ''}</p>`;
     }
     else {
         html = `<h3>${name}</h3><p>No detailed information found.</p>`;
     }
     detailsContainer.innerHTML = html;
 }
-export function updateCombatTrackerUI(combatants, isInCombat) {
+export function updateCombatTrackerUI(combatants, isInCombat, combatRound = 0, activeCombatantId = null) {
     if (!dom.combatTracker)
         return;
     if (!isInCombat || !combatants || combatants.length === 0) {
@@ -621,16 +972,42 @@ export function updateCombatTrackerUI(combatants, isInCombat) {
         return;
     }
     dom.combatTracker.classList.remove('hidden');
-    let html = '<h4>Combat Order</h4>';
+    let html = `<h4>Combat Order${combatRound ? ` &middot; Round ${combatRound}` : ''}</h4>`;
+    const { playerState, players, activeSeatId } = gameState.getState();
     combatants.forEach(c => {
-        const typeClass = c.isPlayer ? 'player' : 'enemy';
-        const defeatedClass = c.hp === 0 ? 'defeated' : '';
+        // The players' and companions' entries show their live hit points, which change outside of the tracker.
+        const companion = c.isCompanion ? playerState?.party?.find(member => member.id === c.id) : null;
+        const waitingPlayer = c.isPlayer && c.id !== activeSeatId ? players.find(seat => seat.id === c.id) : null;
+        const sheet = waitingPlayer ? waitingPlayer.playerState : (c.isPlayer ? playerState : companion);
+        const health = sheet ? sheet.health : { current: c.hp, max: c.maxHp, temp: 0 };
+        const typeClass = c.isPlayer ? 'player' : (c.isCompanion ? 'companion' : 'enemy');
+        const defeatedClass = health.current === 0 ? 'defeated' : '';
+        const activeClass = c.id === activeCombatantId ? 'active' : '';
+        const readiedText = c.readiedAction ? `<span class="combatant-readied" title="Readied: ${c.readiedAction}">Readied</span>` : '';
+        const tempText = health.temp > 0 ? ` (+${health.temp})` : '';
         html += `
-            <div class="combatant-entry ${typeClass} ${defeatedClass}">
-                <span class="combatant-name">${c.name} (Init: ${c.initiative})</span>
-                <span class="combatant-hp">HP: ${c.hp}/${c.maxHp}</span>
+            <div class="combatant-entry ${typeClass} ${defeatedClass} ${activeClass}">
+                <span class="combatant-name">${c.name} (Init: ${c.initiative})${readiedText}</span>
+                <span class="combatant-hp">HP: ${health.current}/${health.max}${tempText}${typeof c.ac === 'number' ? ` &middot; AC ${c.ac}` : ''}${c.cr ? ` &middot; CR ${c.cr}` : ''}</span>
             </div>
         `;
     });
+    const activeCombatant = combatants.find(c => c.id === activeCombatantId);
+    if (isPartyCombatant(activeCombatant)) {
+        html += `
+            <div class="combat-turn-controls">
+                <button class="action-btn" data-combat-action="end-turn">End Turn</button>
+                <button class="action-btn" data-combat-action="delay">Delay</button>
+                <button class="action-btn" data-combat-action="ready">Ready...</button>
+            </div>
+        `;
+    }
+    else if (activeCombatant) {
+        html += `
+            <div class="combat-turn-controls">
+                <button class="action-btn" data-combat-action="continue">Continue ${activeCombatant.name}'s turn</button>
+            </div>
+        `;
+    }
     dom.combatTracker.innerHTML = html;
 }
@@ -74,3 +74,13 @@ export function escapeRegExp(str) {
     // $& means the whole matched string
     return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
+/**
+ * Escapes the characters that have special meaning in HTML, so text from outside the app (a
+ * save file, another player) can be put into markup without becoming markup itself.
+ * @param {any} value The text to escape. Other values are converted to text first.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value) {
+    const replacements = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => replacements[char]);
+}